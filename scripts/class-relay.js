@@ -0,0 +1,127 @@
+// Classroom relay: passes every message a device sends to the other devices in the same room (the URL
+// path, e.g. ws://host:8787/CLASS). It keeps no state beyond who is connected, so any copy on the
+// classroom network will do. No dependencies: a bare WebSocket server (RFC 6455, text frames only).
+// Usage: npm run relay (PORT=n to change the port from 8787, PORT=0 for any free one)
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+
+const PORT = process.env.PORT ? Number(process.env.PORT) : 8787;
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// Cues are a few hundred bytes; anything much bigger isn't from the app
+const MAX_MESSAGE = 64 * 1024;
+
+const rooms = new Map();
+
+// Unmasked server frame: FIN set, `opcode`, then the payload length in 7, 16 or 64 bits
+const frame = (opcode, payload) => {
+  const length = payload.length;
+  const header = length < 126 ? Buffer.alloc(2) : length < 65536 ? Buffer.alloc(4) : Buffer.alloc(10);
+  header[0] = 0x80 | opcode;
+  if (length < 126) {
+    header[1] = length;
+  } else if (length < 65536) {
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+// Splits complete frames off the front of `buffer`: { frames: [{ opcode, payload }], rest }, or null for a
+// frame no browser sends (unmasked, fragmented or too large)
+const readFrames = (buffer) => {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const fin = buffer[offset] & 0x80;
+    const opcode = buffer[offset] & 0x0f;
+    const masked = buffer[offset + 1] & 0x80;
+    let length = buffer[offset + 1] & 0x7f;
+    let at = offset + 2;
+    if (!fin || !masked) return null;
+    if (length === 126) {
+      if (buffer.length < at + 2) break;
+      length = buffer.readUInt16BE(at);
+      at += 2;
+    } else if (length === 127) {
+      if (buffer.length < at + 8) break;
+      const long = buffer.readBigUInt64BE(at);
+      if (long > BigInt(MAX_MESSAGE)) return null;
+      length = Number(long);
+      at += 8;
+    }
+    if (length > MAX_MESSAGE) return null;
+    if (buffer.length < at + 4 + length) break;
+    const mask = buffer.subarray(at, at + 4);
+    const payload = Buffer.from(buffer.subarray(at + 4, at + 4 + length));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    frames.push({ opcode, payload });
+    offset = at + 4 + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+};
+
+// Room named by the URL path; null for a path that isn't valid percent-encoding (e.g. /%E0)
+const roomOf = (url) => {
+  try {
+    return decodeURIComponent(new URL(url, 'http://relay').pathname.slice(1)) || 'CLASS';
+  } catch {
+    return null;
+  }
+};
+
+const leave = (room, socket) => {
+  const members = rooms.get(room);
+  if (!members) return;
+  members.delete(socket);
+  if (members.size === 0) rooms.delete(room);
+};
+
+const server = createServer((req, res) => {
+  res.writeHead(200, { 'content-type': 'text/plain' });
+  res.end(`rhythm-os classroom relay: ${[...rooms.values()].reduce((total, members) => total + members.size, 0)} connected\n`);
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  const room = roomOf(req.url);
+  if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket' || room === null) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+  socket.setNoDelay(true);
+
+  if (!rooms.has(room)) rooms.set(room, new Set());
+  rooms.get(room).add(socket);
+
+  let pending = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    const read = readFrames(Buffer.concat([pending, chunk]));
+    if (!read) {
+      socket.end(frame(0x8, Buffer.from([0x03, 0xf0])));
+      return;
+    }
+    pending = read.rest;
+    read.frames.forEach(({ opcode, payload }) => {
+      if (opcode === 0x1) {
+        const message = frame(0x1, payload);
+        rooms.get(room).forEach(member => { if (member !== socket && member.writable) member.write(message); });
+      } else if (opcode === 0x8) {
+        socket.end(frame(0x8, Buffer.alloc(0)));
+      } else if (opcode === 0x9) {
+        socket.write(frame(0xa, payload));
+      }
+    });
+  });
+  socket.on('close', () => leave(room, socket));
+  socket.on('error', (err) => {
+    console.warn(`Dropped a connection in ${room}: ${err.message}`);
+    leave(room, socket);
+  });
+});
+
+server.listen(PORT, () => console.log(`Classroom relay on ws://0.0.0.0:${server.address().port}/<room>`));
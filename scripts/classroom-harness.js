@@ -0,0 +1,140 @@
+// Runs the classroom clock maths: ping/pong samples between clocks set apart either way, and followers
+// joining a cue before its start, during the count-in, just short of a bar line and mid phrase. Cues come
+// off the network, so broken ones (an odd clock, level, seed or loop) must be refused or clamped, and so
+// must a relay room path that isn't valid percent-encoding. Usage: npm run test:classroom
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { connect } from 'node:net';
+import { once } from 'node:events';
+import { runCases } from './run-cases.js';
+import { CLASS_JOIN_MARGIN, clockSample, bestClockSample, cueTempo, classJoin, cueUsable } from '../src/classroom.js';
+
+// 4/4 at 120: bars of 2 s, starting 5 s into the teacher's clock after two bars of count-in
+const CUE = { meterId: '4/4', bpm: 120, startAt: 5000, countInBars: 2 };
+// The same cue dealing a four-bar phrase of cards, as the app's levels
+const DEAL = { ...CUE, mode: 'cards', difficulty: 'basic', streamSeed: null, loop: null };
+const LEVELS = ['basic', 'advanced', 'expert'];
+
+// A relay on a free port: { port, stop }
+const startRelay = async () => {
+  const relay = spawn(process.execPath, [new URL('./class-relay.js', import.meta.url).pathname], { env: { ...process.env, PORT: '0' } });
+  let output = '';
+  for await (const chunk of relay.stdout) {
+    output += chunk;
+    const match = /:(\d+)\//.exec(output);
+    if (match) return { port: Number(match[1]), stop: () => relay.kill() };
+  }
+  throw new Error(`relay exited: ${output}`);
+};
+
+// Status line of the relay's answer to a WebSocket handshake for `path`
+const handshake = async (port, path) => {
+  const socket = connect(port, '127.0.0.1');
+  await once(socket, 'connect');
+  socket.write(`GET ${path} HTTP/1.1\r\nHost: relay\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n`);
+  const [answer] = await once(socket, 'data');
+  socket.destroy();
+  return answer.toString().split('\r\n')[0];
+};
+
+const cases = {
+  'a follower joining before the start keeps the teacher\'s start and the whole count-in': () => {
+    assert.deepEqual(classJoin(CUE, 0, 0), { at: 5000, countInBars: 2, bar: 0 });
+    assert.deepEqual(classJoin(CUE, 5000 - CLASS_JOIN_MARGIN, 0), { at: 5000, countInBars: 2, bar: 0 });
+  },
+
+  'joining during the count-in starts on the next bar line with what is left of it': () => {
+    assert.deepEqual(classJoin(CUE, 6000, 0), { at: 7000, countInBars: 1, bar: 0 });
+    // Too close to the bar line to set up: the one after, the count-in gone and the phrase from its start
+    assert.deepEqual(classJoin(CUE, 7000 - CLASS_JOIN_MARGIN + 1, 0), { at: 9000, countInBars: 0, bar: 0 });
+  },
+
+  'joining mid phrase starts on the next bar line at the bar the teacher is on by then': () => {
+    assert.deepEqual(classJoin(CUE, 12000, 0), { at: 13000, countInBars: 0, bar: 2 });
+    assert.deepEqual(classJoin(CUE, 13000, 0), { at: 15000, countInBars: 0, bar: 3 });
+  },
+
+  'the start time is moved onto the follower\'s clock by the offset, either way': () => {
+    // Teacher 3 s ahead: its 5000 is our 2000
+    assert.deepEqual(classJoin(CUE, 0, 3000), { at: 2000, countInBars: 2, bar: 0 });
+    assert.deepEqual(classJoin(CUE, 4000, 3000), { at: 6000, countInBars: 0, bar: 0 });
+    // Teacher 3 s behind: its 5000 is our 8000
+    assert.deepEqual(classJoin(CUE, 0, -3000), { at: 8000, countInBars: 2, bar: 0 });
+    assert.deepEqual(classJoin(CUE, 15000, -3000), { at: 16000, countInBars: 0, bar: 2 });
+  },
+
+  'a ping/pong sample puts the teacher\'s reading halfway through the round trip': () => {
+    assert.deepEqual(clockSample(1000, 4100, 1200), { rtt: 200, offset: 3000 });
+    assert.deepEqual(clockSample(1000, -1900, 1200), { rtt: 200, offset: -3000 });
+    assert.equal(clockSample(1000, undefined, 1200), null);
+    assert.equal(clockSample(1000, 4100, 900), null, 'reply from before the ping kept');
+  },
+
+  'the shortest round trip wins, and joining with it lines the bars up with the teacher': () => {
+    // Our clock runs 2345 ms behind the teacher's; replies are delayed unevenly on the way back
+    const lag = 2345;
+    const samples = [[10000, 90, 10], [12000, 25, 15], [14000, 140, 60]]
+      .map(([t0, there, back]) => clockSample(t0, t0 + there + lag, t0 + there + back));
+    assert.equal(bestClockSample([]), null);
+    const best = bestClockSample(samples);
+    assert.equal(best.rtt, 40);
+    const join = classJoin(CUE, 20000, best.offset);
+    // Back on the teacher's clock the start is one of its bar lines, within the sample's uncertainty
+    const teacherAt = join.at + lag;
+    const fromBar = (teacherAt - CUE.startAt) % 2000;
+    assert.ok(Math.min(fromBar, 2000 - fromBar) <= best.rtt / 2, `${fromBar} ms off a bar line`);
+  },
+
+  'a cue with an unknown meter or no start time is refused': () => {
+    assert.equal(classJoin({ ...CUE, meterId: '9/8' }, 0, 0), null);
+    assert.equal(classJoin({ ...CUE, meterId: 'constructor' }, 0, 0), null);
+    assert.equal(classJoin({ ...CUE, startAt: 'soon' }, 0, 0), null);
+    assert.equal(classJoin({ meterId: '4/4' }, 0, 0), null);
+  },
+
+  'an odd tempo, count-in or offset is clamped rather than followed': () => {
+    assert.equal(cueTempo({ bpm: 'fast' }), 60);
+    assert.equal(cueTempo({ bpm: 900 }), 180);
+    assert.deepEqual(classJoin({ ...CUE, countInBars: 40 }, 0, 0), { at: 5000, countInBars: 2, bar: 0 });
+    assert.deepEqual(classJoin({ ...CUE, countInBars: -3 }, 6000, 0), { at: 7000, countInBars: 0, bar: 1 });
+    assert.deepEqual(classJoin({ ...CUE, countInBars: 'two' }, 0, 0), { at: 5000, countInBars: 0, bar: 0 });
+    assert.deepEqual(classJoin(CUE, 0, NaN), { at: 5000, countInBars: 2, bar: 0 });
+    // 6/8 counts dotted quarters: two a bar, 2 s at 60
+    assert.deepEqual(classJoin({ ...CUE, meterId: '6/8', bpm: 60 }, 6000, 0), { at: 7000, countInBars: 1, bar: 0 });
+  },
+
+  'a cue dealing from a known level, seed and loop is followed': () => {
+    assert.ok(cueUsable(DEAL, LEVELS, 4));
+    assert.ok(cueUsable({ ...DEAL, loop: [1, 3] }, LEVELS, 4));
+    assert.ok(cueUsable({ ...DEAL, loop: [2, 2] }, LEVELS, 4));
+    assert.ok(cueUsable({ ...DEAL, mode: 'stream', streamSeed: 0x9e3779b9 }, LEVELS, 4));
+  },
+
+  'a cue with an unknown level, a broken stream seed or a loop off the phrase is dropped': () => {
+    assert.equal(cueUsable({ ...DEAL, difficulty: 'master' }, LEVELS, 4), false);
+    assert.equal(cueUsable({ ...DEAL, difficulty: undefined }, LEVELS, 4), false);
+    assert.equal(cueUsable({ ...DEAL, mode: 'stream' }, LEVELS, 4), false, 'stream without a seed');
+    assert.equal(cueUsable({ ...DEAL, streamSeed: 1.5 }, LEVELS, 4), false);
+    assert.equal(cueUsable({ ...DEAL, streamSeed: Infinity }, LEVELS, 4), false);
+    assert.equal(cueUsable({ ...DEAL, streamSeed: '42' }, LEVELS, 4), false);
+    assert.equal(cueUsable({ ...DEAL, loop: [0, 4] }, LEVELS, 4), false, 'loop past the last bar');
+    assert.equal(cueUsable({ ...DEAL, loop: [-1, 2] }, LEVELS, 4), false);
+    assert.equal(cueUsable({ ...DEAL, loop: [3, 1] }, LEVELS, 4), false, 'loop backwards');
+    assert.equal(cueUsable({ ...DEAL, loop: [0.5, 2] }, LEVELS, 4), false);
+    assert.equal(cueUsable({ ...DEAL, loop: [1] }, LEVELS, 4), false);
+    assert.equal(cueUsable({ ...DEAL, loop: '0,1' }, LEVELS, 4), false);
+    assert.equal(cueUsable({ ...DEAL, loop: undefined }, LEVELS, 4), false);
+  },
+
+  'the relay turns away a room path it can\'t decode and keeps serving the others': async () => {
+    const relay = await startRelay();
+    try {
+      assert.equal(await handshake(relay.port, '/%E0'), 'HTTP/1.1 400 Bad Request');
+      assert.equal(await handshake(relay.port, '/CLASS%20B'), 'HTTP/1.1 101 Switching Protocols');
+    } finally {
+      relay.stop();
+    }
+  },
+};
+
+await runCases(cases);
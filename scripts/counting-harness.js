@@ -0,0 +1,126 @@
+// Counts cards in every counting system: straight, dotted and tuplet figures in simple beats, eighths and
+// sixteenths in compound ones, rests, the lit count as a beat plays, and the inventory a recorded voice
+// has to cover. Usage: npm run test:counting
+import assert from 'node:assert/strict';
+import { runCases } from './run-cases.js';
+import { COUNT_SYSTEMS, countInventory, noteCounts } from '../src/counting.js';
+
+// Cards as the pattern library defines them, without the glyphs
+const SIMPLE = {
+  quarter: { timings: [0] },
+  eighths: { timings: [0, 0.5] },
+  sixteenths: { timings: [0, 0.25, 0.5, 0.75] },
+  eighthTwoSixteenths: { timings: [0, 0.5, 0.75] },
+  dottedEighthSixteenth: { timings: [0, 0.75] },
+  sixteenthDottedEighth: { timings: [0, 0.25] },
+  triplet: { timings: [0, 1 / 3, 2 / 3] },
+  quintuplet: { timings: [0, 0.2, 0.4, 0.6, 0.8] },
+  restEighth: { timings: [0.5], notes: [{ at: 0, dur: 0.5, rest: true }, { at: 0.5, dur: 0.5 }] },
+};
+const COMPOUND = {
+  dottedQuarter: { kind: 'compound', timings: [0] },
+  eighths: { kind: 'compound', timings: [0, 1 / 3, 2 / 3] },
+  quarterEighth: { kind: 'compound', timings: [0, 2 / 3] },
+  sixteenths: { kind: 'compound', timings: [0, 1 / 6, 1 / 3, 1 / 2, 2 / 3, 5 / 6] },
+};
+const ALL = [...Object.values(SIMPLE), ...Object.values(COMPOUND)];
+
+// Texts `system` shows for `pattern` on beat `beat`
+const counts = (system, pattern, beat = 3) => noteCounts(pattern, COUNT_SYSTEMS[system], beat).map(count => count.text);
+
+// Expected texts per pattern, keyed like SIMPLE / COMPOUND
+const expectCounts = (system, patterns, expected) => {
+  Object.entries(expected).forEach(([id, texts]) => assert.deepEqual(counts(system, patterns[id]), texts, `${system} ${id}`));
+};
+
+const cases = {
+  '1-e-&-a numbers the beat and names the places in it': () => {
+    expectCounts('numbers', SIMPLE, {
+      quarter: ['3'],
+      eighths: ['3', '&'],
+      sixteenths: ['3', 'e', '&', 'a'],
+      eighthTwoSixteenths: ['3', '&', 'a'],
+      dottedEighthSixteenth: ['3', 'a'],
+      sixteenthDottedEighth: ['3', 'e'],
+      triplet: ['3', 'trip', 'let'],
+      quintuplet: ['3', 'ta', 'ta', 'ta', 'ta'],
+      restEighth: ['3', '&'],
+    });
+    expectCounts('numbers', COMPOUND, {
+      dottedQuarter: ['3'],
+      eighths: ['3', '&', 'a'],
+      quarterEighth: ['3', 'a'],
+      sixteenths: ['3', 'ta', '&', 'ta', 'a', 'ta'],
+    });
+  },
+
+  'Takadimi names places in the beat, in fours, threes, sixes and fives': () => {
+    expectCounts('takadimi', SIMPLE, {
+      quarter: ['ta'],
+      eighths: ['ta', 'di'],
+      sixteenths: ['ta', 'ka', 'di', 'mi'],
+      eighthTwoSixteenths: ['ta', 'di', 'mi'],
+      dottedEighthSixteenth: ['ta', 'mi'],
+      sixteenthDottedEighth: ['ta', 'ka'],
+      triplet: ['ta', 'ki', 'da'],
+      quintuplet: ['ta', 'ka', 'di', 'mi', 'ti'],
+      restEighth: ['ta', 'di'],
+    });
+    expectCounts('takadimi', COMPOUND, {
+      dottedQuarter: ['ta'],
+      eighths: ['ta', 'ki', 'da'],
+      quarterEighth: ['ta', 'da'],
+      sixteenths: ['ta', 'va', 'ki', 'di', 'da', 'ma'],
+    });
+  },
+
+  'Kodály names note values, tuplets by their own syllables': () => {
+    expectCounts('kodaly', SIMPLE, {
+      quarter: ['ta'],
+      eighths: ['ti', 'ti'],
+      sixteenths: ['ti', 'ri', 'ti', 'ri'],
+      eighthTwoSixteenths: ['ti', 'ti', 'ri'],
+      dottedEighthSixteenth: ['tim', 'ri'],
+      sixteenthDottedEighth: ['ti', 'tim'],
+      triplet: ['tri', 'o', 'la'],
+      quintuplet: ['ti', 'ti', 'ti', 'ti', 'ti'],
+      restEighth: ['ti', 'ti'],
+    });
+    expectCounts('kodaly', COMPOUND, {
+      dottedQuarter: ['ta-i'],
+      eighths: ['ti', 'ti', 'ti'],
+      quarterEighth: ['ta', 'ti'],
+      sixteenths: ['ti', 'ri', 'ti', 'ri', 'ti', 'ri'],
+    });
+  },
+
+  'numbered systems count the beat on the beat, in their own numerals': () => {
+    assert.deepEqual(counts('numbers', SIMPLE.eighths, 1), ['1', '&']);
+    assert.deepEqual(counts('chinese', SIMPLE.sixteenths, 1), ['一', '哒', '哒', '哒']);
+    assert.deepEqual(counts('chinese', COMPOUND.eighths, 2), ['二', '哒', '哒']);
+    assert.deepEqual(counts('takadimi', SIMPLE.quarter, 1), ['ta'], 'unnumbered system said the beat');
+  },
+
+  'rests are counted and marked, and the count sounding is lit': () => {
+    const rest = noteCounts(SIMPLE.restEighth, COUNT_SYSTEMS.numbers, 2);
+    assert.deepEqual(rest.map(count => count.rest), [true, false]);
+    const lit = (countAt) => noteCounts(SIMPLE.sixteenths, COUNT_SYSTEMS.numbers, 1, countAt).findIndex(count => count.lit);
+    assert.equal(lit(null), -1);
+    assert.equal(lit(0), 0);
+    assert.equal(lit(0.5), 2);
+    assert.equal(lit(0.6), 2);
+    assert.equal(lit(0.75), 3);
+  },
+
+  'a recorded voice covers every count a system can show, count-in included': () => {
+    Object.entries(COUNT_SYSTEMS).forEach(([id, system]) => {
+      const inventory = countInventory(system);
+      assert.deepEqual(inventory.slice(0, 5), [1, 2, 3, 4, 5].map(system.beat), `${id} count-in`);
+      ALL.forEach(pattern => [1, 2, 3, 4, 5].forEach(beat => {
+        noteCounts(pattern, system, beat).forEach(({ text }) => assert.ok(inventory.includes(text), `${id} has no "${text}"`));
+      }));
+    });
+  },
+};
+
+await runCases(cases);
@@ -0,0 +1,65 @@
+// Marks dictation answers beat by beat: the right card, a different card that sounds the same through a
+// tie, missed and extra attacks, rests, and a tie on the last beat that must not wrap round to the first.
+// Usage: npm run test:dictation
+import assert from 'node:assert/strict';
+import { runCases } from './run-cases.js';
+import { METERS } from '../src/rhythm.js';
+import { barAttacks, dictationMarks } from '../src/dictation.js';
+
+const CARDS = {
+  quarter: { timings: [0] },
+  eighthPair: { timings: [0, 0.5] },
+  sixteenthQuad: { timings: [0, 0.25, 0.5, 0.75] },
+  triplet: { timings: [0, 1 / 3, 2 / 3] },
+  quarterRest: { timings: [], notes: [{ at: 0, dur: 1, rest: true }] },
+  eighthRestEighth: { timings: [0.5], notes: [{ at: 0, dur: 0.5, rest: true }, { at: 0.5, dur: 0.5 }] },
+  eighthEighthRest: { timings: [0], notes: [{ at: 0, dur: 0.5 }, { at: 0.5, dur: 0.5, rest: true }] },
+  tiedQuarter: { timings: [0], tieOut: true },
+};
+
+const beats = METERS['4/4'].beats;
+const bar = (ids) => ids.map(id => CARDS[id]);
+const marks = (answers, hidden) => dictationMarks(bar(answers), bar(hidden), beats);
+
+const cases = {
+  'the right cards are right on every beat': () => {
+    const hidden = ['quarter', 'eighthPair', 'triplet', 'sixteenthQuad'];
+    assert.deepEqual(marks(hidden, hidden), [true, true, true, true]);
+    assert.deepEqual(barAttacks(bar(hidden), beats), ['0.000', '0.000,0.500', '0.000,0.333,0.667', '0.000,0.250,0.500,0.750']);
+  },
+
+  'a missed attack marks only its beat wrong': () => {
+    assert.deepEqual(
+      marks(['quarter', 'quarter', 'eighthRestEighth', 'quarter'], ['quarter', 'eighthPair', 'eighthPair', 'quarter']),
+      [true, false, false, true],
+    );
+  },
+
+  'an extra attack is as wrong as a missing one': () => {
+    assert.deepEqual(
+      marks(['sixteenthQuad', 'eighthPair', 'quarter', 'quarter'], ['eighthPair', 'eighthPair', 'quarterRest', 'quarter']),
+      [false, true, false, true],
+    );
+  },
+
+  'a different card that sounds the same counts': () => {
+    // Tied over, the next downbeat isn't heard: an eighth and a rest sound like the tied quarter's end
+    assert.deepEqual(
+      marks(['tiedQuarter', 'eighthEighthRest', 'quarter', 'quarter'], ['tiedQuarter', 'quarter', 'quarter', 'quarter']),
+      [true, true, true, true],
+    );
+    // ...but not without the tie
+    assert.deepEqual(
+      marks(['quarter', 'eighthEighthRest', 'quarter', 'quarter'], ['tiedQuarter', 'quarter', 'quarter', 'quarter']),
+      [true, false, true, true],
+    );
+  },
+
+  'a tie on the last beat does not silence the first': () => {
+    const hidden = ['quarter', 'quarter', 'quarter', 'tiedQuarter'];
+    assert.equal(barAttacks(bar(hidden), beats)[0], '0.000');
+    assert.deepEqual(marks(['quarter', 'quarter', 'quarter', 'quarter'], hidden), [true, true, true, true]);
+  },
+};
+
+await runCases(cases);
@@ -0,0 +1,156 @@
+// Reads back the MIDI and MusicXML files written for a two-bar 4/4 exercise (eighths, a triplet, a rest
+// and a tie into the next beat) and a 6/8 bar: chunk and track lengths, tempo and time signature, every
+// note on and off at its tick, and measures whose notes add up to the bar. Usage: npm run test:export
+import assert from 'node:assert/strict';
+import { runCases } from './run-cases.js';
+import { METERS } from '../src/rhythm.js';
+import { writeMidi, writeMusicXml } from '../src/exporters.js';
+
+// Cards as the pattern library defines them, without the glyphs
+const CARDS = {
+  quarter: { id: 'quarter', timings: [0] },
+  eighthPair: { id: 'eighthPair', timings: [0, 0.5] },
+  triplet: { id: 'triplet', timings: [0, 1 / 3, 2 / 3] },
+  quarterRest: { id: 'quarterRest', timings: [], notes: [{ at: 0, dur: 1, rest: true }] },
+  tiedQuarter: { id: 'tiedQuarter', timings: [0], tieOut: true },
+  dottedQuarter: { id: 'dottedQuarter', kind: 'compound', timings: [0] },
+  eighthTrio: { id: 'eighthTrio', kind: 'compound', timings: [0, 1 / 3, 2 / 3] },
+};
+const bars = (...rows) => rows.map(row => row.map(id => CARDS[id]));
+const FOUR_FOUR = bars(['quarter', 'eighthPair', 'triplet', 'quarterRest'], ['tiedQuarter', 'quarter', 'eighthPair', 'quarter']);
+const SIX_EIGHT = bars(['dottedQuarter', 'eighthTrio']);
+
+const fileBytes = async (blob) => [...new Uint8Array(await blob.arrayBuffer())];
+
+// Splits a Standard MIDI File into its header fields and tracks of { tick, data } events
+const readMidi = (bytes) => {
+  const text = (at) => String.fromCharCode(...bytes.slice(at, at + 4));
+  const u32 = (at) => ((bytes[at] << 24) | (bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3]) >>> 0;
+  const u16 = (at) => (bytes[at] << 8) | bytes[at + 1];
+  assert.equal(text(0), 'MThd');
+  assert.equal(u32(4), 6, 'header length');
+  const header = { format: u16(8), tracks: u16(10), ppq: u16(12) };
+  const tracks = [];
+  let at = 14;
+  while (at < bytes.length) {
+    assert.equal(text(at), 'MTrk', `no track chunk at byte ${at}`);
+    const end = at + 8 + u32(at + 4);
+    const events = [];
+    let tick = 0;
+    let i = at + 8;
+    while (i < end) {
+      let delta = 0;
+      do delta = (delta << 7) | (bytes[i] & 0x7f); while (bytes[i++] & 0x80);
+      tick += delta;
+      const size = bytes[i] === 0xff ? 3 + bytes[i + 2] : 3;
+      events.push({ tick, data: bytes.slice(i, i + size) });
+      i += size;
+    }
+    assert.equal(i, end, 'track length off');
+    assert.deepEqual(events[events.length - 1].data, [0xff, 0x2f, 0], 'no end of track');
+    tracks.push(events.slice(0, -1));
+    at = end;
+  }
+  assert.equal(tracks.length, header.tracks, 'track count');
+  return { header, tracks };
+};
+
+const noteEvents = (track) => track.map(({ tick, data: [status, note, velocity] }) => [tick, status, note, velocity]);
+
+const measures = (xml) => [...xml.matchAll(/<measure number="(\d+)">([\s\S]*?)<\/measure>/g)].map(([, number, body]) => ({
+  number: Number(number),
+  body,
+  notes: [...body.matchAll(/<note>([\s\S]*?)<\/note>/g)].map(([, note]) => ({
+    rest: note.includes('<rest/>'),
+    duration: Number(/<duration>(\d+)<\/duration>/.exec(note)[1]),
+    type: /<type>(\w+)<\/type>/.exec(note)[1],
+    dot: note.includes('<dot/>'),
+    tuplet: /<actual-notes>(\d+)<\/actual-notes><normal-notes>(\d+)<\/normal-notes>/.exec(note)?.slice(1).map(Number) || null,
+    ties: [...note.matchAll(/<tie type="(\w+)"\/>/g)].map(([, type]) => type),
+    bracket: /<tuplet type="(\w+)"/.exec(note)?.[1] || null,
+  })),
+}));
+
+const cases = {
+  'MIDI: format 1 with a conductor, rhythm and click track at 480 per quarter': async () => {
+    const bytes = await fileBytes(writeMidi(FOUR_FOUR, METERS['4/4'], 90));
+    assert.deepEqual(bytes.slice(0, 14), [0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 1, 0, 3, 0x01, 0xe0]);
+    const { header, tracks: [conductor] } = readMidi(bytes);
+    assert.deepEqual(header, { format: 1, tracks: 3, ppq: 480 });
+    assert.deepEqual(conductor.map(event => event.tick), [0, 0, 0]);
+    assert.equal(String.fromCharCode(...conductor[0].data.slice(3)), 'Rhythm.OS Exercise');
+    // 90 BPM: 666667 us per quarter; 4/4 with a click every 24 clocks
+    assert.deepEqual(conductor[1].data, [0xff, 0x51, 0x03, 0x0a, 0x2c, 0x2b]);
+    assert.deepEqual(conductor[2].data, [0xff, 0x58, 0x04, 4, 2, 24, 8]);
+  },
+
+  'MIDI: every note on and off at its tick, the tie held into the next beat': async () => {
+    const { tracks: [, rhythm] } = readMidi(await fileBytes(writeMidi(FOUR_FOUR, METERS['4/4'], 90)));
+    const on = (tick) => [tick, 0x90, 60, 100];
+    const off = (tick) => [tick, 0x80, 60, 0];
+    assert.deepEqual(noteEvents(rhythm), [
+      on(0), off(480), on(480), off(720), on(720), off(960),
+      on(960), off(1120), on(1120), off(1280), on(1280), off(1440),
+      // The rest is silent; the tied quarter sounds for two beats and isn't struck again on the second
+      on(1920), off(2880), on(2880), off(3120), on(3120), off(3360), on(3360), off(3840),
+    ]);
+  },
+
+  'MIDI: the click marks every beat on channel 10, the downbeat accented': async () => {
+    const { tracks: [, , click] } = readMidi(await fileBytes(writeMidi(FOUR_FOUR, METERS['4/4'], 90)));
+    const beats = Array.from({ length: 8 }, (_, i) => i * 480);
+    assert.deepEqual(noteEvents(click), beats.flatMap((tick, i) => {
+      const note = i % 4 === 0 ? 76 : 77;
+      return [[tick, 0x99, note, i % 4 === 0 ? 110 : 80], [tick + 60, 0x89, note, 0]];
+    }));
+  },
+
+  'MIDI: 6/8 counts dotted quarters': async () => {
+    const { tracks: [conductor, rhythm, click] } = readMidi(await fileBytes(writeMidi(SIX_EIGHT, METERS['6/8'], 60)));
+    assert.deepEqual(conductor[1].data, [0xff, 0x51, 0x03, 0x0a, 0x2c, 0x2b]);
+    assert.deepEqual(conductor[2].data, [0xff, 0x58, 0x04, 6, 3, 36, 8]);
+    assert.deepEqual(noteEvents(rhythm).filter(event => event[1] === 0x90).map(event => event[0]), [0, 720, 960, 1200]);
+    assert.deepEqual(noteEvents(click).filter(event => event[1] === 0x99).map(event => event[0]), [0, 720]);
+  },
+
+  'MusicXML: one measure per bar, each adding up to the bar': async () => {
+    const xml = await writeMusicXml(FOUR_FOUR, METERS['4/4'], 90).text();
+    assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n<!DOCTYPE score-partwise'));
+    assert.equal(xml.match(/<note>/g).length, xml.match(/<\/note>/g).length);
+    const [first, second, ...rest] = measures(xml);
+    assert.equal(rest.length, 0, 'extra measures');
+    assert.deepEqual([first.number, second.number], [1, 2]);
+    [first, second].forEach(measure => {
+      assert.equal(measure.notes.reduce((total, note) => total + note.duration, 0), 480, `measure ${measure.number} length`);
+    });
+    assert.ok(first.body.includes('<divisions>120</divisions>'));
+    assert.ok(first.body.includes('<time><beats>4</beats><beat-type>4</beat-type></time>'));
+    assert.ok(first.body.includes('<beat-unit>quarter</beat-unit><per-minute>90</per-minute>'));
+    assert.ok(first.body.includes('<sound tempo="90"/>'));
+    assert.ok(!second.body.includes('<attributes>'), 'attributes repeated');
+  },
+
+  'MusicXML: note values, the triplet bracket, the rest and the tie': async () => {
+    const [first, second] = measures(await writeMusicXml(FOUR_FOUR, METERS['4/4'], 90).text());
+    assert.deepEqual(first.notes.map(note => [note.type, note.duration, note.rest]), [
+      ['quarter', 120, false], ['eighth', 60, false], ['eighth', 60, false],
+      ['eighth', 40, false], ['eighth', 40, false], ['eighth', 40, false], ['quarter', 120, true],
+    ]);
+    assert.deepEqual(first.notes.slice(3, 6).map(note => [note.tuplet, note.bracket]), [[[3, 2], 'start'], [[3, 2], null], [[3, 2], 'stop']]);
+    assert.ok(first.notes.slice(0, 3).every(note => note.tuplet === null));
+    assert.deepEqual(second.notes.map(note => note.ties), [['start'], ['stop'], [], [], []]);
+    assert.equal(second.notes[1].rest, false);
+  },
+
+  'MusicXML: 6/8 in dotted quarters': async () => {
+    const [measure] = measures(await writeMusicXml(SIX_EIGHT, METERS['6/8'], 60).text());
+    assert.ok(measure.body.includes('<time><beats>6</beats><beat-type>8</beat-type></time>'));
+    assert.ok(measure.body.includes('<beat-unit>quarter</beat-unit><beat-unit-dot/><per-minute>60</per-minute>'));
+    assert.ok(measure.body.includes('<sound tempo="90"/>'));
+    assert.deepEqual(measure.notes.map(note => [note.type, note.dot, note.duration]), [
+      ['quarter', true, 180], ['eighth', false, 60], ['eighth', false, 60], ['eighth', false, 60],
+    ]);
+  },
+};
+
+await runCases(cases);
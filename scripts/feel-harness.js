@@ -0,0 +1,69 @@
+// Runs note positions through the playback feel: eighth and sixteenth swing (finer notes stretched along),
+// triplets, quintuplets and compound beats left where they are, and the settings that must play straight.
+// Usage: npm run test:feel
+import assert from 'node:assert/strict';
+import { runCases } from './run-cases.js';
+import { feelAt, engineFeel, DYNAMICS } from '../src/feel.js';
+
+const NEUTRAL = { swing: 50, unit: 8, humanize: 0, velocity: 0, dynamics: 'flat' };
+const TRIPLET_SWING = 2 / 3;
+
+// Positions of `ats` (beat fractions) in a beat of `kind` under `feel`, rounded to compare
+const played = (ats, feel, kind = 'simple') => ats.map(at => Math.round(feelAt(at, kind, feel) * 1e6) / 1e6);
+const round = (ats) => ats.map(at => Math.round(at * 1e6) / 1e6);
+
+const cases = {
+  'eighth swing moves the off-beat eighth and stretches the sixteenths around it': () => {
+    const feel = { swing: TRIPLET_SWING, unit: 0.5 };
+    assert.deepEqual(played([0, 0.5], feel), round([0, 2 / 3]));
+    // First half of the pair stretched to 2/3, the second squeezed into 1/3
+    assert.deepEqual(played([0, 0.25, 0.5, 0.75], feel), round([0, 1 / 3, 2 / 3, 5 / 6]));
+    assert.deepEqual(played([0.5], { swing: 0.6, unit: 0.5 }), [0.6]);
+  },
+
+  'sixteenth swing works in pairs of sixteenths, each half of the beat alike': () => {
+    const feel = { swing: TRIPLET_SWING, unit: 0.25 };
+    assert.deepEqual(played([0, 0.25, 0.5, 0.75], feel), round([0, 1 / 3, 0.5, 0.5 + 1 / 3]));
+    // Thirty-seconds inside the pair follow their sixteenth
+    assert.deepEqual(played([0.125, 0.375], feel), round([1 / 6, 5 / 12]));
+    // Eighths sit on pair boundaries and stay put
+    assert.deepEqual(played([0, 0.5], feel), [0, 0.5]);
+  },
+
+  'tuplets in a simple beat are left alone': () => {
+    const feel = { swing: TRIPLET_SWING, unit: 0.5 };
+    assert.deepEqual(played([0, 1 / 3, 2 / 3], feel), round([0, 1 / 3, 2 / 3]));
+    assert.deepEqual(played([0.2, 0.4, 0.6, 0.8], feel), [0.2, 0.4, 0.6, 0.8]);
+    assert.deepEqual(played([1 / 6, 5 / 6], { swing: TRIPLET_SWING, unit: 0.25 }), round([1 / 6, 5 / 6]));
+  },
+
+  'compound beats are left alone': () => {
+    const feel = { swing: 0.75, unit: 0.5 };
+    assert.deepEqual(played([0, 1 / 3, 2 / 3], feel, 'compound'), round([0, 1 / 3, 2 / 3]));
+    assert.deepEqual(played([0, 0.5], feel, 'compound'), [0, 0.5]);
+  },
+
+  'straight swing or no feel plays where written': () => {
+    assert.deepEqual(played([0, 0.25, 0.5, 0.75], { swing: 0.5, unit: 0.5 }), [0, 0.25, 0.5, 0.75]);
+    assert.deepEqual(played([0, 0.25, 0.5, 0.75], null), [0, 0.25, 0.5, 0.75]);
+  },
+
+  'a neutral feel gives the engine no feel; anything else comes out in engine units': () => {
+    assert.equal(engineFeel(NEUTRAL), null);
+    assert.deepEqual(engineFeel({ ...NEUTRAL, swing: 66, unit: 16 }), { swing: 0.66, unit: 0.25, humanize: 0, velocity: 0, dynamics: 'flat' });
+    assert.deepEqual(engineFeel({ ...NEUTRAL, humanize: 15 }), { swing: 0.5, unit: 0.5, humanize: 0.015, velocity: 0, dynamics: 'flat' });
+    assert.notEqual(engineFeel({ ...NEUTRAL, velocity: 20 }), null);
+    assert.notEqual(engineFeel({ ...NEUTRAL, dynamics: 'backbeat' }), null);
+  },
+
+  'dynamics shapes lift the notes they name and keep the rest below': () => {
+    assert.equal(DYNAMICS.flat.level(3, 0.5), 1);
+    assert.equal(DYNAMICS.downbeat.level(0, 0), 1);
+    assert.ok(DYNAMICS.downbeat.level(1, 0) < 1);
+    assert.equal(DYNAMICS.backbeat.level(1, 0), 1);
+    assert.ok(DYNAMICS.backbeat.level(2, 0) < 1);
+    assert.ok(DYNAMICS.pulse.level(2, 0.5) < DYNAMICS.pulse.level(2, 0));
+  },
+};
+
+await runCases(cases);
@@ -0,0 +1,80 @@
+// Builds two-voice lines: off or empty, polyrhythm tuplets, a left hand dealt from its own seed (built-in
+// exercises without custom patterns), a level with nothing to deal, and both hands merged into the
+// engine's beats. Usage: npm run test:hands
+import assert from 'node:assert/strict';
+import { runCases } from './run-cases.js';
+import { POLYRHYTHMS, leftHandSeed, mergeHands, twoHandLines } from '../src/hands.js';
+
+const TUPLETS = { 1: 'tuplet1', 2: 'tuplet2', 3: 'tuplet3', 4: 'tuplet4', 5: 'tuplet5' };
+const POOLS = { basic: ['quarter', 'eighthPair'], expert: ['triplet', 'syncopation16'] };
+const CARDS = ['quarter', 'quarter', 'eighthPair', 'quarter'];
+const ON = { enabled: true, source: 'cards' };
+
+// A deal like App.jsx's, in 4/4: one card per beat from the level's pool, recording every call
+const deal = (difficulty) => {
+  const calls = [];
+  return {
+    calls,
+    beatsPerBar: 4,
+    tuplets: TUPLETS,
+    cards: (seed, bars, withCustom) => {
+      calls.push({ seed, bars, withCustom });
+      const pool = POOLS[difficulty] || [];
+      return pool.length === 0 ? [] : Array.from({ length: bars * 4 }, (_, i) => pool[(seed + i) % pool.length]);
+    },
+  };
+};
+
+const cases = {
+  'no lines with two voices off or no cards dealt': () => {
+    assert.equal(twoHandLines(CARDS, { enabled: false, source: 'cards' }, null, deal('basic')), null);
+    assert.equal(twoHandLines([], ON, null, deal('basic')), null);
+  },
+
+  'a polyrhythm puts its tuplets on every beat of both hands': () => {
+    const lines = twoHandLines(CARDS, { enabled: true, source: '3:2' }, null, deal('basic'));
+    assert.deepEqual(lines, { right: Array(4).fill('tuplet3'), left: Array(4).fill('tuplet2') });
+    Object.values(POLYRHYTHMS).forEach(({ right, left }) => {
+      assert.ok(TUPLETS[right] && TUPLETS[left], `no tuplet card for ${right}:${left}`);
+    });
+  },
+
+  'the left hand is dealt from its own seed, bar for bar with the cards': () => {
+    const expert = deal('expert');
+    const exercise = { seed: 1234, builtIn: false };
+    const lines = twoHandLines([...CARDS, ...CARDS], ON, exercise, expert);
+    assert.deepEqual(lines.right, [...CARDS, ...CARDS]);
+    assert.equal(lines.left.length, 8);
+    assert.deepEqual(expert.calls, [{ seed: leftHandSeed(1234), bars: 2, withCustom: true }]);
+    assert.notEqual(leftHandSeed(1234), 1234);
+    assert.ok(Number.isInteger(leftHandSeed(0xffffffff)) && leftHandSeed(0xffffffff) >= 0, 'seed not an unsigned 32-bit integer');
+    // Built-in exercises (and cards dealt before any exercise) keep to the built-in pool
+    twoHandLines(CARDS, ON, { seed: 1234, builtIn: true }, expert);
+    twoHandLines(CARDS, ON, null, expert);
+    assert.deepEqual(expert.calls.slice(1), [
+      { seed: leftHandSeed(1234), bars: 1, withCustom: false },
+      { seed: leftHandSeed(0), bars: 1, withCustom: true },
+    ]);
+  },
+
+  'a level with nothing to deal gives no left hand instead of failing': () => {
+    assert.equal(twoHandLines(CARDS, ON, { seed: 1, builtIn: true }, deal('virtuoso')), null);
+    // Cards the library no longer has
+    const missing = { ...deal('basic'), cards: () => ['quarter', undefined, 'quarter', 'quarter'] };
+    assert.equal(twoHandLines(CARDS, ON, null, missing), null);
+  },
+
+  'merged beats carry both hands, right first, each note tagged': () => {
+    const right = [[{ at: 0, length: 1 }], [{ at: 0, length: 0.5 }, { at: 0.5, length: 0.5 }]];
+    const left = [[{ at: 0, length: 0.5, rest: true }, { at: 0.5, length: 0.5 }], [{ at: 0, length: 1 }]];
+    assert.deepEqual(mergeHands(right, left), [
+      [{ at: 0, length: 1, hand: 'R' }, { at: 0, length: 0.5, rest: true, hand: 'L' }, { at: 0.5, length: 0.5, hand: 'L' }],
+      [{ at: 0, length: 0.5, hand: 'R' }, { at: 0.5, length: 0.5, hand: 'R' }, { at: 0, length: 1, hand: 'L' }],
+    ]);
+    assert.equal(right[0][0].hand, undefined, 'notes changed in place');
+    // A left line that stops short leaves the right hand alone
+    assert.deepEqual(mergeHands(right, left.slice(0, 1))[1].map(note => note.hand), ['R', 'R']);
+  },
+};
+
+await runCases(cases);
@@ -0,0 +1,115 @@
+// Runs practice sessions through the history file formats: closed sessions exported as CSV and JSON and
+// read back, awkward text and empty fields included, junk rows skipped, merges of overlapping logs
+// that must keep one copy of each session, and a session stored on page hide with or without a saved
+// snapshot. Usage: npm run test:history
+import assert from 'node:assert/strict';
+import { runCases } from './run-cases.js';
+import { openSession, closeSession, sanitizeSession, mergeSessions, addSession, historyCsv, parseHistory } from '../src/history.js';
+import { SCHEMA_VERSION, updateSnapshot } from '../src/snapshot.js';
+
+const START = Date.UTC(2026, 9, 19, 18, 30, 0, 250);
+
+const session = (start, fields = {}) => sanitizeSession({
+  start, seconds: 300, screen: 'training', difficulty: 'advanced', meterId: '6/8', bpmStart: 60, bpmEnd: 84, bpmMax: 84,
+  patterns: ['dottedQuarter', 'eighthTrio'], bars: 12, accuracy: 0.917, cards: { dottedQuarter: [5.5, 6], eighthTrio: [4.25, 6] },
+  ...fields,
+});
+
+const SESSIONS = [
+  session(START),
+  // Nothing scored or picked: empty fields on the way out, nulls on the way back
+  session(START + 3600000, { difficulty: null, meterId: null, bpmStart: null, bpmEnd: null, bpmMax: null, patterns: [], bars: 0, accuracy: null, cards: {} }),
+  // Text that needs quoting in CSV
+  session(START + 7200000, { screen: 'plan, "warm-up"', patterns: ['custom-lq3x0'], cards: { 'custom-lq3x0': [1, 1] } }),
+];
+
+// In-memory stand-in for localStorage
+const memoryStorage = (items = {}) => ({
+  items,
+  getItem: (key) => (key in items ? items[key] : null),
+  setItem: (key, value) => { items[key] = String(value); },
+});
+
+// What storeSession does on page hide
+const storeSession = (storage, entry) => updateSnapshot(storage, 'rhythm-os', (data) => addSession(data, entry));
+
+const cases = {
+  'a session is rounded on close, a false start dropped': () => {
+    const open = openSession(START);
+    open.patterns.add('quarter');
+    open.patterns.add('quarter');
+    Object.assign(open, { bars: 3, accuracy: 2.5, cards: { quarter: [2.12345, 3] } });
+    assert.equal(closeSession(open, START + 9000), null, 'false start kept');
+    const closed = closeSession(open, START + 61400);
+    assert.equal(closed.seconds, 61);
+    assert.equal(closed.accuracy, 0.833);
+    assert.deepEqual(closed.patterns, ['quarter']);
+    assert.deepEqual(closed.cards, { quarter: [2.123, 3] });
+  },
+
+  'CSV reads back as the same sessions': () => {
+    const csv = historyCsv(SESSIONS);
+    assert.equal(csv.split('\n')[0], 'start,seconds,screen,difficulty,meter,bpm_start,bpm_end,bpm_max,bars,accuracy,patterns,cards');
+    assert.deepEqual(parseHistory(csv), SESSIONS);
+    assert.deepEqual(parseHistory(csv.replace(/\n/g, '\r\n')), SESSIONS, 'Windows line endings');
+  },
+
+  'JSON reads back as the same sessions, as an export or a bare list': () => {
+    assert.deepEqual(parseHistory(JSON.stringify({ app: 'rhythm-os', sessions: SESSIONS }, null, 2)), SESSIONS);
+    assert.deepEqual(parseHistory(JSON.stringify(SESSIONS)), SESSIONS);
+  },
+
+  'rows without a start are skipped and out-of-range values clamped': () => {
+    const [imported] = parseHistory(JSON.stringify([
+      { seconds: 60 },
+      { start: START, seconds: -5, accuracy: 1.4, bpmMax: 96.6, patterns: ['quarter', 3], cards: { quarter: [1, 0], triplet: [2, 2], bad: 'x' } },
+    ]));
+    assert.equal(imported.seconds, 0);
+    assert.equal(imported.accuracy, 1);
+    assert.equal(imported.bpmMax, 97);
+    assert.equal(imported.screen, 'training');
+    assert.deepEqual(imported.patterns, ['quarter']);
+    assert.deepEqual(imported.cards, { triplet: [2, 2] });
+  },
+
+  'a file with no sessions is refused': () => {
+    assert.throws(() => parseHistory('start,seconds\n'), /No practice sessions/);
+    assert.throws(() => parseHistory('{"sessions": []}'), /No practice sessions/);
+    assert.throws(() => parseHistory('[{ "not": "a session" }]'), /No practice sessions/);
+  },
+
+  'merging keeps one session per start, the incoming copy, oldest first': () => {
+    const edited = { ...SESSIONS[0], seconds: 600 };
+    const merged = mergeSessions([SESSIONS[2], SESSIONS[0]], [SESSIONS[1], edited]);
+    assert.deepEqual(merged, [edited, SESSIONS[1], SESSIONS[2]]);
+    assert.deepEqual(mergeSessions(merged, parseHistory(historyCsv(merged))), merged, 'a re-import duplicated sessions');
+  },
+
+  'merging keeps the newest 2000 sessions': () => {
+    const many = Array.from({ length: 2100 }, (_, i) => session(START + i * 1000));
+    const merged = mergeSessions(many.slice(0, 1500), many.slice(1000));
+    assert.equal(merged.length, 2000);
+    assert.equal(merged[0].start, many[100].start);
+    assert.equal(merged[merged.length - 1].start, many[2099].start);
+  },
+
+  'a session stored on page hide joins the saved ones, or starts the snapshot when none is saved yet': () => {
+    const saved = memoryStorage({ 'rhythm-os': JSON.stringify({ version: SCHEMA_VERSION, settings: { bpm: 90 }, history: { sessions: [SESSIONS[0]] } }) });
+    assert.equal(storeSession(saved, SESSIONS[1]), true);
+    const stored = JSON.parse(saved.items['rhythm-os']);
+    assert.deepEqual(stored.history.sessions, SESSIONS.slice(0, 2));
+    assert.equal(stored.settings.bpm, 90, 'rest of the snapshot lost');
+    const empty = memoryStorage();
+    assert.equal(storeSession(empty, SESSIONS[0]), true, 'session before the first save dropped');
+    assert.deepEqual(JSON.parse(empty.items['rhythm-os']), { version: SCHEMA_VERSION, history: { sessions: [SESSIONS[0]] } });
+  },
+
+  'a session is not stored over a snapshot this build cannot read': () => {
+    const raw = JSON.stringify({ version: SCHEMA_VERSION + 1, history: { sessions: [] } });
+    const storage = memoryStorage({ 'rhythm-os': raw });
+    assert.equal(storeSession(storage, SESSIONS[0]), false);
+    assert.equal(storage.items['rhythm-os'], raw);
+  },
+};
+
+await runCases(cases);
@@ -0,0 +1,106 @@
+// Runs the adaptive scheduling through exercises: growing intervals for patterns answered well, lapses
+// that bring one back next time, the ease floor, draw weights, and the run of accurate exercises that
+// levels up (or speeds up) the drill. Usage: npm run test:mastery
+import assert from 'node:assert/strict';
+import { runCases } from './run-cases.js';
+import {
+  MASTERY_PASS, LEVEL_UP_ACCURACY, LEVEL_UP_STREAK, NEW_PATTERN_STAT, reviewPattern, masteryWeight, recordExercise, poolMastered, levelUp,
+} from '../src/mastery.js';
+
+const EMPTY = { clock: 0, streak: 0, patterns: {} };
+
+// `stat` after each quality in turn, one exercise apart from `clock`
+const reviews = (qualities, stat = NEW_PATTERN_STAT, clock = 0) => (
+  qualities.reduce((stats, quality, i) => [...stats, reviewPattern(stats[stats.length - 1], quality, clock + i)], [stat]).slice(1)
+);
+
+// Mastery after `count` exercises rating every id in `ids` at `quality`
+const practise = (mastery, ids, quality, count) => Array.from({ length: count }).reduce(
+  (stats) => recordExercise(stats, ids.map(id => ({ id, quality }))).mastery, mastery,
+);
+
+const near = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} for ${expected}`);
+
+const cases = {
+  'a pattern answered well comes back after 1, 3, then ease-times-longer exercises': () => {
+    const stats = reviews([1, 1, 1, 1]);
+    assert.deepEqual(stats.map(s => s.interval), [1, 3, 8, 22]);
+    assert.deepEqual(stats.map(s => s.due), [1, 4, 10, 25]);
+    assert.deepEqual(stats.map(s => s.reps), [1, 2, 3, 4]);
+    near(stats[3].ease, 2.9, 'ease after four perfect answers');
+  },
+
+  'a weaker pass grows the interval more slowly': () => {
+    const good = reviews([0.7, 0.7, 0.7]);
+    near(good[0].ease, 2.5 + 0.1 - 1.5 * (0.08 + 1.5 * 0.02), 'ease after a 70% pass');
+    assert.ok(good[2].interval < reviews([1, 1, 1])[2].interval);
+  },
+
+  'a lapse brings the pattern back next time and starts its run over': () => {
+    const [, , third, lapse, after] = reviews([1, 1, 1, MASTERY_PASS - 0.01, 1], NEW_PATTERN_STAT, 10);
+    assert.equal(third.interval, 8);
+    assert.equal(lapse.interval, 1);
+    assert.equal(lapse.due, 14);
+    assert.equal(lapse.reps, 0);
+    assert.equal(lapse.lapses, 1);
+    assert.ok(lapse.ease < third.ease);
+    assert.equal(after.interval, 1, 'run not started over');
+    assert.equal(after.lapses, 1);
+  },
+
+  'ease never drops below the floor however often a pattern lapses': () => {
+    const stats = reviews(Array(20).fill(0));
+    assert.equal(stats[stats.length - 1].ease, 1.3);
+    assert.equal(stats[stats.length - 1].lapses, 20);
+    assert.ok(stats.every(s => s.ease >= 1.3 && s.interval === 1));
+  },
+
+  'the score follows recent answers and the weights favour weak and overdue patterns': () => {
+    const [first, second] = reviews([0.4, 1]);
+    near(first.score, 0.4, 'first score');
+    near(second.score, 0.4 * 0.7 + 0.3, 'second score');
+    assert.equal(masteryWeight(undefined, 0), 2, 'unseen weight');
+    const strong = reviews([1, 1, 1])[2];
+    const weak = { ...strong, score: 0.3 };
+    assert.ok(masteryWeight(weak, strong.due) > masteryWeight(strong, strong.due), 'weak not favoured');
+    assert.ok(masteryWeight(strong, strong.due + 4) > masteryWeight(strong, strong.due), 'overdue not favoured');
+    assert.equal(masteryWeight(strong, strong.due + 100), masteryWeight(strong, strong.due + 8), 'overdue boost not capped');
+    assert.ok(masteryWeight(strong, strong.due - 1) < masteryWeight(undefined, 0), 'pattern not due drawn as often');
+  },
+
+  'an exercise advances the clock, and an accurate one the streak': () => {
+    const { mastery, mean } = recordExercise(EMPTY, [{ id: 'quarter', quality: 1 }, { id: 'triplet', quality: 0.8 }]);
+    near(mean, 0.9, 'mean');
+    assert.equal(mastery.clock, 1);
+    assert.equal(mastery.streak, 1);
+    assert.deepEqual(Object.keys(mastery.patterns).sort(), ['quarter', 'triplet']);
+    assert.equal(EMPTY.patterns.quarter, undefined, 'mastery changed in place');
+    assert.equal(recordExercise(mastery, [{ id: 'quarter', quality: LEVEL_UP_ACCURACY - 0.01 }]).mastery.streak, 0);
+  },
+
+  'an exercise with nothing rated changes nothing': () => {
+    const mastery = practise(EMPTY, ['quarter'], 1, 2);
+    const recorded = recordExercise(mastery, []);
+    assert.equal(recorded.mastery, mastery);
+    assert.equal(recorded.mean, null);
+  },
+
+  'a run of accurate exercises levels up once the pool is mastered, else steps the tempo': () => {
+    const pool = ['quarter', 'eighthPair'];
+    assert.equal(levelUp(practise(EMPTY, pool, 1, LEVEL_UP_STREAK - 1), 'advanced', pool), null);
+    const mastered = practise(EMPTY, pool, 1, LEVEL_UP_STREAK);
+    assert.ok(poolMastered(mastered, pool));
+    assert.deepEqual(levelUp(mastered, 'advanced', pool), { mastery: { ...mastered, streak: 0 }, difficulty: 'advanced' });
+    // One pattern of the pool never played: a tempo step
+    assert.equal(poolMastered(mastered, [...pool, 'triplet']), false);
+    assert.equal(levelUp(mastered, 'advanced', [...pool, 'triplet']).difficulty, null);
+    // Already at the top level: a tempo step
+    assert.equal(levelUp(mastered, undefined, pool).difficulty, null);
+    // A weak exercise in the middle starts the run over
+    const broken = practise(practise(practise(EMPTY, pool, 1, 2), pool, 0.5, 1), pool, 1, 2);
+    assert.equal(broken.streak, 2);
+    assert.equal(levelUp(broken, 'advanced', pool), null);
+  },
+};
+
+await runCases(cases);
@@ -0,0 +1,65 @@
+// Reads MIDI messages as the input would: note-ons on the chosen channel (or any) are hits, while
+// note-ons at velocity 0, note-offs and every other status byte are not; plus note names and ports.
+// Usage: npm run test:midi
+import assert from 'node:assert/strict';
+import { runCases } from './run-cases.js';
+import { midiNoteName, midiPorts, midiNoteOn } from '../src/midi.js';
+
+const cases = {
+  'a note-on gives its note on any channel when none is chosen': () => {
+    assert.equal(midiNoteOn([0x90, 38, 100], 0), 38);
+    assert.equal(midiNoteOn([0x99, 36, 1], 0), 36, 'channel 10, softest hit');
+    assert.equal(midiNoteOn(new Uint8Array([0x9f, 42, 127]), 0), 42, 'as Web MIDI hands it over');
+  },
+
+  'a chosen channel takes only its own note-ons': () => {
+    assert.equal(midiNoteOn([0x99, 36, 90], 10), 36);
+    assert.equal(midiNoteOn([0x90, 36, 90], 10), null);
+    assert.equal(midiNoteOn([0x90, 36, 90], 1), 36);
+    assert.equal(midiNoteOn([0x9f, 36, 90], 16), 36);
+  },
+
+  'a note-on at velocity 0 is a note-off': () => {
+    assert.equal(midiNoteOn([0x90, 38, 0], 0), null);
+    assert.equal(midiNoteOn([0x99, 36, 0], 10), null);
+  },
+
+  'note-offs and other status bytes are not hits': () => {
+    const others = [
+      [0x80, 38, 64], // note-off
+      [0x8f, 38, 0],
+      [0xa0, 38, 50], // aftertouch
+      [0xb0, 64, 127], // sustain pedal
+      [0xc9, 5], // program change
+      [0xd0, 90], // channel pressure
+      [0xe0, 0, 64], // pitch bend
+      [0xf8], // clock
+      [0xfe], // active sensing
+      [0xf0, 0x7e, 0x7f, 0x06, 0x01, 0xf7], // sysex
+      [38, 100], // a data byte without its status
+      [],
+    ];
+    others.forEach(data => assert.equal(midiNoteOn(data, 0), null, data.join()));
+  },
+
+  'note names count octaves from C-1': () => {
+    assert.equal(midiNoteName(60), 'C4');
+    assert.equal(midiNoteName(0), 'C-1');
+    assert.equal(midiNoteName(37), 'C#2');
+    assert.equal(midiNoteName(127), 'G9');
+  },
+
+  'ports are listed by id and name': () => {
+    const port = (id, name) => ({ id, name, state: 'connected', send() {} });
+    const access = {
+      inputs: new Map([['in-1', port('in-1', 'Pads')]]),
+      outputs: new Map([['out-1', port('out-1', 'Synth')], ['out-2', port('out-2', 'Drums')]]),
+    };
+    assert.deepEqual(midiPorts(access), {
+      inputs: [{ id: 'in-1', name: 'Pads' }],
+      outputs: [{ id: 'out-1', name: 'Synth' }, { id: 'out-2', name: 'Drums' }],
+    });
+  },
+};
+
+await runCases(cases);
@@ -0,0 +1,77 @@
+// Lays out custom-pattern beats from editor cells: rests split into glyphs, notes too long for one glyph
+// tied, dotted values, flags, full and partial beams, and tuplet numbers over non-power-of-two grids.
+// Usage: npm run test:notation
+import assert from 'node:assert/strict';
+import { runCases } from './run-cases.js';
+import { cellsToNotes, notationLayout } from '../src/notation.js';
+
+// Editor cells from a string: x attacked, . empty
+const cells = (text) => [...text].map(cell => cell === 'x');
+const layout = (text) => notationLayout(cellsToNotes(cells(text)), text.length);
+const glyphs = (text) => layout(text).elements.map(el => `${el.rest ? 'r' : 'n'}${el.value}${el.dotted ? '.' : ''}${el.tieTo !== null ? '~' : ''}`);
+
+const cases = {
+  'cells become notes lasting to the next attack, with a rest before the first': () => {
+    assert.deepEqual(cellsToNotes(cells('.x.x')), [
+      { at: 0, dur: 0.25, rest: true }, { at: 0.25, dur: 0.5 }, { at: 0.75, dur: 0.25 },
+    ]);
+    assert.deepEqual(cellsToNotes(cells('..xx')).map(note => note.dur), [0.5, 0.25, 0.25]);
+    assert.deepEqual(cellsToNotes(cells('....')), [{ at: 0, dur: 1, rest: true }]);
+  },
+
+  'a rest is split into rest glyphs and never tied': () => {
+    assert.deepEqual(glyphs('...x'), ['r0.5', 'r0.25', 'n0.25']);
+    assert.deepEqual(glyphs('....'), ['r1']);
+    assert.deepEqual(glyphs('.x'), ['r0.5', 'n0.5']);
+    const { elements, flags, beams } = layout('...x');
+    assert.deepEqual(flags, [{ stem: elements[2].stem, count: 2 }], 'lone 16th after rests not flagged');
+    assert.deepEqual(beams, []);
+  },
+
+  'a note no single glyph can show is tied across glyphs; dotted values take one': () => {
+    assert.deepEqual(glyphs('x....x..'), ['n0.5~', 'n0.125', 'n0.375.']);
+    const { elements } = layout('x....x..');
+    assert.equal(elements[0].tieTo, elements[1].x);
+    assert.equal(elements[1].tieTo, null);
+    assert.deepEqual(glyphs('x..x'), ['n0.75.', 'n0.25']);
+    assert.deepEqual(glyphs('x...'), ['n1']);
+  },
+
+  'beams join runs of short notes, with partial beams where a 16th stands next to an eighth': () => {
+    const { elements, beams } = layout('xx.x');
+    const [a, , c] = elements.map(el => el.stem);
+    assert.deepEqual(beams, [
+      { x1: a, x2: c, level: 0 },
+      { x1: a, x2: a + 11, level: 1 },
+      { x1: c, x2: c - 11, level: 1 },
+    ]);
+    const quad = layout('xxxx');
+    assert.deepEqual(quad.beams.map(beam => beam.level), [0, 1, 1, 1]);
+    // A rest (from a stored card's notes; cells only rest before the first attack) breaks the group
+    const broken = notationLayout([{ at: 0, dur: 0.25 }, { at: 0.25, dur: 0.25, rest: true }, { at: 0.5, dur: 0.5 }], 4);
+    assert.deepEqual(broken.flags.map(flag => flag.count), [2, 1]);
+    assert.deepEqual(broken.beams, []);
+  },
+
+  'grids of 3, 5 and 6 are tuplets of the power of two below them': () => {
+    const triplet = layout('xxx');
+    assert.deepEqual(glyphs('xxx'), ['n0.5', 'n0.5', 'n0.5']);
+    assert.equal(triplet.tuplet.count, 3);
+    assert.equal(triplet.tuplet.x, (triplet.elements[0].x + triplet.elements[2].stem) / 2);
+    assert.deepEqual(glyphs('xxxxx'), Array(5).fill('n0.25'));
+    assert.equal(layout('xxxxx').tuplet.count, 5);
+    assert.deepEqual(glyphs('x.xxxx'), ['n0.5', 'n0.25', 'n0.25', 'n0.25', 'n0.25']);
+    assert.equal(layout('x.xxxx').tuplet.count, 6);
+    assert.deepEqual(glyphs('.xx'), ['r0.5', 'n0.5', 'n0.5']);
+    assert.equal(layout('.xx').tuplet.count, 3);
+  },
+
+  'a beat held whole or on a power-of-two grid has no tuplet number': () => {
+    assert.equal(layout('x..').tuplet, null);
+    assert.deepEqual(glyphs('x..'), ['n1']);
+    assert.equal(layout('xxxx').tuplet, null);
+    assert.equal(layout('x.x.x.x.').tuplet, null);
+  },
+};
+
+await runCases(cases);
@@ -0,0 +1,123 @@
+// Feeds synthetic recordings through the onset detector the way a dropped-in file goes: clicks over a
+// noise floor, a flam, a held tone, stereo files and odd block sizes; then scores one against an
+// exercise and checks each note comes out hit, early, late or missed. Usage: npm run test:onsets
+import assert from 'node:assert/strict';
+import { runCases } from './run-cases.js';
+import { OnsetDetector, ONSET_FRAME, detectRecordingOnsets, compensateLatency, calibratedLatency, scoreRecording } from '../src/onsets.js';
+import { timingMark } from '../src/scoring.js';
+
+const RATE = 44100;
+// Onsets are reported at the start of the frame they rise in
+const FRAME = ONSET_FRAME / RATE;
+
+// Seeded, so the noise floor is the same on every run
+let seed = 1;
+const random = () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+// `seconds` of low noise with a 2 kHz click (decaying over ~10 ms) at each of `clicks`
+const clickTrack = (seconds, clicks, { level = 0.5, noise = 0.001 } = {}) => {
+  const samples = new Float32Array(Math.round(seconds * RATE));
+  samples.forEach((_, i) => { samples[i] = (random() * 2 - 1) * noise; });
+  clicks.forEach(time => {
+    const start = Math.round(time * RATE);
+    for (let i = 0; i < RATE * 0.03 && start + i < samples.length; i++) {
+      samples[start + i] += level * Math.sin(2 * Math.PI * 2000 * i / RATE) * Math.exp(-i / (RATE * 0.01));
+    }
+  });
+  return samples;
+};
+
+// The parts of an AudioBuffer the detector reads
+const audioBuffer = (...channels) => ({
+  length: channels[0].length, numberOfChannels: channels.length, sampleRate: RATE, getChannelData: (c) => channels[c],
+});
+
+const assertNear = (actual, expected, tolerance, message) => {
+  assert.equal(actual.length, expected.length, `${message}: found ${actual.map(t => t.toFixed(3)).join(', ')}`);
+  actual.forEach((time, i) => assert.ok(Math.abs(time - expected[i]) <= tolerance, `${message}: ${time.toFixed(4)} for ${expected[i]}`));
+};
+
+// Beat entries of one 4/4 bar of quarters at 60 BPM, scheduled from 0 (as exerciseOnsets gives them)
+const QUARTER_BAR = [0, 1, 2, 3].map(beat => ({ bar: 0, beat, step: beat, start: beat, end: beat + 1, onsets: [beat] }));
+
+const cases = {
+  'clicks over a noise floor are found within a frame of where they start': () => {
+    const clicks = [0.5, 1, 1.25, 2.1];
+    assertNear(detectRecordingOnsets(audioBuffer(clickTrack(3, clicks)), new OnsetDetector()), clicks, FRAME, 'clicks');
+  },
+
+  'noise, silence and a held tone give no onsets': () => {
+    assert.deepEqual(detectRecordingOnsets(audioBuffer(clickTrack(2, [])), new OnsetDetector()), []);
+    assert.deepEqual(detectRecordingOnsets(audioBuffer(new Float32Array(RATE)), new OnsetDetector()), []);
+    const tone = Float32Array.from({ length: 2 * RATE }, (_, i) => 0.3 * Math.sin(2 * Math.PI * 220 * i / RATE));
+    assert.deepEqual(detectRecordingOnsets(audioBuffer(tone), new OnsetDetector()), []);
+  },
+
+  'a flam inside the refractory time counts once': () => {
+    const onsets = detectRecordingOnsets(audioBuffer(clickTrack(1.5, [0.5, 0.53, 1])), new OnsetDetector());
+    assertNear(onsets, [0.5, 1], FRAME, 'flam');
+  },
+
+  'quiet clicks need a higher sensitivity': () => {
+    const quiet = audioBuffer(clickTrack(2, [0.5, 1.5], { level: 0.02, noise: 0.0002 }));
+    assert.deepEqual(detectRecordingOnsets(quiet, new OnsetDetector({ sensitivity: 0.1 })), []);
+    assertNear(detectRecordingOnsets(quiet, new OnsetDetector({ sensitivity: 1 })), [0.5, 1.5], FRAME, 'sensitive');
+  },
+
+  'a stereo file is mixed down, and the detector is reset between files': () => {
+    const detector = new OnsetDetector();
+    const left = clickTrack(2, [0.5]);
+    const right = clickTrack(2, [1.5]);
+    assertNear(detectRecordingOnsets(audioBuffer(left, right), detector), [0.5, 1.5], FRAME, 'stereo');
+    assertNear(detectRecordingOnsets(audioBuffer(left), detector), [0.5], FRAME, 'second file');
+  },
+
+  'live blocks of any frame-multiple size find what the file path finds': () => {
+    const samples = clickTrack(3, [0.4, 1.1, 1.7, 2.5]);
+    const fromFile = detectRecordingOnsets(audioBuffer(samples), new OnsetDetector());
+    [ONSET_FRAME, 512, 2048, 4096].forEach(block => {
+      const detector = new OnsetDetector();
+      const live = [];
+      for (let i = 0; i < samples.length; i += block) live.push(...detector.process(samples.subarray(i, i + block), 10 + i / RATE, RATE));
+      assert.deepEqual(live.map(time => time - 10).map(time => time.toFixed(6)), fromFile.map(time => time.toFixed(6)), `block ${block}`);
+    });
+  },
+
+  'a recording is lined up on its first hit and each note marked hit, late, early or missed': () => {
+    // Played from 0.7 s into the file: on time, 40 ms late, 60 ms early, then nothing
+    const onsets = detectRecordingOnsets(audioBuffer(clickTrack(5, [0.7, 1.74, 2.64])), new OnsetDetector());
+    const result = scoreRecording(onsets, QUARTER_BAR);
+    const offsets = result.cards.flatMap(card => card.offsets);
+    assert.deepEqual(offsets.map(timingMark), ['hit', 'late', 'early', 'miss']);
+    assert.ok(Math.abs(offsets[1] - 40) <= FRAME * 1000, `late by ${offsets[1]} ms`);
+    assert.ok(Math.abs(offsets[2] + 60) <= FRAME * 1000, `early by ${offsets[2]} ms`);
+    assert.equal(result.missed, 1);
+    assert.equal(result.extra, 0);
+    assert.equal(result.cards.length, 4);
+  },
+
+  'a stray hit between notes is charged as an extra': () => {
+    const result = scoreRecording([0.7, 1.2, 1.7, 2.7, 3.7], QUARTER_BAR);
+    assert.deepEqual(result.cards.flatMap(card => card.offsets).map(timingMark), ['hit', 'hit', 'hit', 'hit']);
+    assert.equal(result.extra, 1);
+    assert.equal(result.cards[0].extra, 1);
+  },
+
+  'nothing to line up gives no result': () => {
+    assert.equal(scoreRecording([], QUARTER_BAR), null);
+    assert.equal(scoreRecording([0.5], []), null);
+  },
+
+  'live onsets are shifted back by both latencies, and calibration stays in range': () => {
+    assert.ok(Math.abs(compensateLatency(10, 30, 0.02) - 9.95) < 1e-9);
+    assert.ok(Math.abs(compensateLatency(10, -20, 0) - 10.02) < 1e-9);
+    assert.equal(calibratedLatency(30, 25), 55);
+    assert.equal(calibratedLatency(280, 60), 300);
+    assert.equal(calibratedLatency(-80, -40), -100);
+  },
+};
+
+await runCases(cases);
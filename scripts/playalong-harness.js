@@ -0,0 +1,123 @@
+// Runs the play-along maths on synthetic tracks and hand-placed taps: beat and downbeat found in a click
+// track (and nothing in silence), tempo and offset fitted through skipped, bounced and doubled taps, loop
+// points in the stretched copy's seconds, and WSOLA copies of the right length that keep their pitch.
+// Usage: npm run test:playalong
+import assert from 'node:assert/strict';
+import { runCases } from './run-cases.js';
+import { METERS } from '../src/rhythm.js';
+import { ONSET_FRAME } from '../src/onsets.js';
+import { estimateBeat, addTrackTap, fitTaps, stretchTrack, trackConfig, trackBars } from '../src/playalong.js';
+
+const RATE = 44100;
+const FRAME = ONSET_FRAME / RATE;
+
+// The parts of an AudioBuffer (and the context making them) the play-along code uses
+const audioBuffer = (...channels) => ({
+  length: channels[0].length, numberOfChannels: channels.length, sampleRate: RATE, duration: channels[0].length / RATE,
+  getChannelData: (c) => channels[c],
+});
+const fakeContext = {
+  createBuffer: (channels, length) => audioBuffer(...Array.from({ length: channels }, () => new Float32Array(length))),
+};
+
+// `seconds` of clicks on every beat from `offset`, the downbeat of each bar of `beats` beats louder
+const clickTrack = (seconds, bpm, offset, beats) => {
+  const samples = new Float32Array(Math.round(seconds * RATE));
+  for (let beat = 0; offset + beat * 60 / bpm < seconds; beat++) {
+    const start = Math.round((offset + beat * 60 / bpm) * RATE);
+    const level = beat % beats === 0 ? 0.8 : 0.3;
+    for (let i = 0; i < RATE * 0.05 && start + i < samples.length; i++) {
+      samples[start + i] += level * Math.sin(2 * Math.PI * 1000 * i / RATE) * Math.exp(-i / (RATE * 0.01));
+    }
+  }
+  return samples;
+};
+
+// Taps on every beat at `bpm` from `first` (track seconds), leaving out the beats in `skip`
+const beatTaps = (bpm, first, count, skip = []) => (
+  Array.from({ length: count }, (_, i) => i).filter(i => !skip.includes(i)).map(i => first + i * 60 / bpm)
+);
+
+// Frequency of a sine from its upward zero crossings between `from` and `to` (s)
+const frequency = (samples, from, to) => {
+  let crossings = 0;
+  for (let i = Math.round(from * RATE) + 1; i < Math.round(to * RATE); i++) if (samples[i - 1] < 0 && samples[i] >= 0) crossings++;
+  return crossings / (to - from);
+};
+
+const SETTINGS = { bpm: 120, offset: 0.5, speed: 1, looping: true, loop: [1, 2] };
+
+const cases = {
+  'a click track gives its tempo and first downbeat': () => {
+    const estimate = estimateBeat(audioBuffer(clickTrack(12, 120, 0.244, 4)), METERS['4/4']);
+    assert.ok(Math.abs(estimate.bpm - 120) <= 0.5, `bpm ${estimate.bpm}`);
+    assert.ok(Math.abs(estimate.offset - 0.244) <= FRAME * 1.5, `offset ${estimate.offset}`);
+    const waltz = estimateBeat(audioBuffer(clickTrack(12, 90, 1.1, 3)), METERS['3/4']);
+    assert.ok(Math.abs(waltz.bpm - 90) <= 0.5, `3/4 bpm ${waltz.bpm}`);
+    // A bar of 3/4 at 90 is 2 s, so the first downbeat is at 1.1
+    assert.ok(Math.abs(waltz.offset - 1.1) <= FRAME * 1.5, `3/4 offset ${waltz.offset}`);
+  },
+
+  'silence or a track too short to hold a pulse gives no estimate': () => {
+    assert.equal(estimateBeat(audioBuffer(new Float32Array(10 * RATE)), METERS['4/4']), null);
+    assert.equal(estimateBeat(audioBuffer(clickTrack(1, 120, 0, 4)), METERS['4/4']), null);
+  },
+
+  'taps on the beat give the tempo and the offset within the first bar': () => {
+    assert.deepEqual(fitTaps(beatTaps(100, 7.5, 8), METERS['4/4']), { bpm: 100, offset: 0.3 });
+    // 6/8 counts dotted quarters: the taps are a dotted quarter apart
+    assert.deepEqual(fitTaps(beatTaps(60, 0.25, 6), METERS['6/8']), { bpm: 60, offset: 0.25 });
+  },
+
+  'a skipped beat, a doubled tap and a little jitter leave the fit in place': () => {
+    assert.deepEqual(fitTaps(beatTaps(100, 7.5, 9, [3, 6]), METERS['4/4']), { bpm: 100, offset: 0.3 });
+    const doubled = beatTaps(100, 7.5, 8);
+    doubled.splice(4, 0, doubled[4]);
+    assert.deepEqual(fitTaps(doubled, METERS['4/4']), { bpm: 100, offset: 0.3 });
+    const jittered = beatTaps(100, 0.3, 8).map((time, i) => time + [0.01, -0.012, 0.004, -0.006][i % 4]);
+    const fit = fitTaps(jittered, METERS['4/4']);
+    assert.ok(Math.abs(fit.bpm - 100) <= 0.5, `bpm ${fit.bpm}`);
+    assert.ok(Math.abs(fit.offset - 0.3) <= 0.01, `offset ${fit.offset}`);
+  },
+
+  'a bounced tap is dropped and a pause starts a new run': () => {
+    let taps = [];
+    [1, 1.6, 1.65, 2.2, 2.8].forEach(time => { taps = addTrackTap(taps, time); });
+    assert.deepEqual(taps, [1, 1.6, 2.2, 2.8]);
+    assert.equal(addTrackTap(taps, 2.9), taps, 'bounce not returned as the same run');
+    assert.deepEqual(addTrackTap(taps, 5), [5]);
+  },
+
+  'loop points are whole bars after the downbeat, in the stretched copy\'s seconds': () => {
+    const buffer = { duration: 20 };
+    // Bars of 2 s from 0.5: bars 1-2 run from 2.5 to 6.5, twice that at half speed
+    assert.deepEqual(trackConfig(buffer, SETTINGS, METERS['4/4']), { buffer, offset: 0.5, loop: [2.5, 6.5], tempo: 120 });
+    assert.deepEqual(trackConfig(buffer, { ...SETTINGS, speed: 0.5 }, METERS['4/4']), { buffer, offset: 1, loop: [5, 13], tempo: 60 });
+    assert.equal(trackConfig({ duration: 12 }, { ...SETTINGS, speed: 0.5 }, METERS['4/4']).loop, null, 'loop past the end kept');
+    assert.equal(trackConfig(buffer, { ...SETTINGS, looping: false }, METERS['4/4']).loop, null);
+    assert.equal(trackBars(10, SETTINGS, METERS['4/4']), 4);
+    assert.equal(trackBars(1, SETTINGS, METERS['4/4']), 1);
+  },
+
+  'a stretched copy lasts 1/speed as long and keeps its pitch': async () => {
+    const sine = Float32Array.from({ length: 3 * RATE }, (_, i) => 0.5 * Math.sin(2 * Math.PI * 440 * i / RATE));
+    const buffer = audioBuffer(sine, sine.slice());
+    assert.equal(await stretchTrack(fakeContext, buffer, 1, () => {}), buffer);
+    for (const speed of [0.5, 0.8, 1.25]) {
+      const out = await stretchTrack(fakeContext, buffer, speed, () => {});
+      assert.equal(out.length, Math.ceil(buffer.length / speed), `length at ${speed}`);
+      assert.equal(out.numberOfChannels, 2);
+      const pitch = frequency(out.getChannelData(0), 0.5, out.duration - 0.5);
+      assert.ok(Math.abs(pitch - 440) <= 5, `${pitch.toFixed(1)} Hz at ${speed}`);
+    }
+  },
+
+  'giving up from the progress callback resolves to null': async () => {
+    const buffer = audioBuffer(new Float32Array(4 * RATE));
+    let calls = 0;
+    assert.equal(await stretchTrack(fakeContext, buffer, 0.5, () => { calls++; return false; }), null);
+    assert.equal(calls, 1);
+  },
+};
+
+await runCases(cases);
@@ -0,0 +1,70 @@
+// Turns cards into note events with buildSequence: ties across beats, across bar lines and around the
+// loop merged into the note that starts them, chains of ties, ties that can't land, and beat lengths
+// of compound and additive meters. Usage: npm run test:rhythm
+import assert from 'node:assert/strict';
+import { runCases } from './run-cases.js';
+import { METERS, buildSequence } from '../src/rhythm.js';
+
+const QUARTER = { timings: [0] };
+const TIED_QUARTER = { timings: [0], tieOut: true };
+const EIGHTHS = { timings: [0, 0.5] };
+const TIED_EIGHTHS = { timings: [0, 0.5], tieOut: true };
+const REST = { notes: [{ at: 0, dur: 1, rest: true }] };
+const OFFBEAT = { notes: [{ at: 0, dur: 0.5, rest: true }, { at: 0.5, dur: 0.5 }] };
+
+const beats44 = METERS['4/4'].beats;
+
+// [length, tied] of every note, beat by beat
+const shape = (sequence) => sequence.map(notes => notes.map(note => [note.length, !!note.tied]));
+
+const cases = {
+  'a tie into the next beat lengthens the note and silences the one it lands on': () => {
+    const sequence = buildSequence([TIED_QUARTER, QUARTER, EIGHTHS, QUARTER], beats44);
+    assert.deepEqual(shape(sequence), [[[2, false]], [[1, true]], [[0.5, false], [0.5, false]], [[1, false]]]);
+  },
+
+  'a tie from the second eighth carries only that eighth on': () => {
+    const sequence = buildSequence([TIED_EIGHTHS, QUARTER, QUARTER, QUARTER], beats44);
+    assert.deepEqual(shape(sequence)[0], [[0.5, false], [1.5, false]]);
+    assert.equal(sequence[1][0].tied, true);
+  },
+
+  'ties chain across several beats and over the bar line': () => {
+    const bars = [QUARTER, QUARTER, TIED_QUARTER, TIED_QUARTER, TIED_QUARTER, EIGHTHS, QUARTER, QUARTER];
+    const sequence = buildSequence(bars, beats44);
+    assert.deepEqual(shape(sequence).slice(2, 6), [[[3.5, false]], [[1, true]], [[1, true]], [[0.5, true], [0.5, false]]]);
+  },
+
+  'the last beat ties round to the first while looping, not when played once': () => {
+    const cards = [QUARTER, QUARTER, QUARTER, TIED_QUARTER];
+    const looped = buildSequence(cards, beats44);
+    assert.equal(looped[3][0].length, 2);
+    assert.equal(looped[0][0].tied, true);
+    const once = buildSequence(cards, beats44, { loop: false });
+    assert.equal(once[3][0].length, 1);
+    assert.equal(once[0][0].tied, undefined);
+  },
+
+  'a loop tied all the way round keeps its downbeat attacked': () => {
+    const sequence = buildSequence([TIED_QUARTER, TIED_QUARTER, TIED_QUARTER, TIED_QUARTER], beats44);
+    assert.deepEqual(shape(sequence), [[[4, false]], [[1, true]], [[1, true]], [[1, true]]]);
+  },
+
+  'a tie into a rest or an offbeat note changes nothing': () => {
+    const sequence = buildSequence([TIED_QUARTER, REST, TIED_QUARTER, OFFBEAT], beats44);
+    assert.equal(sequence[0][0].length, 1);
+    assert.equal(sequence[1][0].tied, undefined);
+    assert.equal(sequence[2][0].length, 1);
+    assert.deepEqual(sequence[3].map(note => note.tied), [undefined, undefined]);
+  },
+
+  'lengths follow each beat of compound and additive meters': () => {
+    const compound = buildSequence([{ timings: [0, 1 / 3, 2 / 3], tieOut: true }, { timings: [0] }], METERS['6/8'].beats);
+    assert.ok(Math.abs(compound[0][2].length - (1 / 3 + 1)) < 1e-9, `tied last eighth ${compound[0][2].length}`);
+    // 7/8: the tie lands on the dotted-quarter beat
+    const additive = buildSequence([QUARTER, TIED_QUARTER, QUARTER], METERS['7/8'].beats);
+    assert.deepEqual(shape(additive), [[[1, false]], [[2.5, false]], [[1.5, true]]]);
+  },
+};
+
+await runCases(cases);
@@ -0,0 +1,71 @@
+// Keeps saved and shared routines in shape: steps out of range clamped, unknown modes, levels and cards
+// given the defaults, malformed and extra steps dropped, long names cut, and links that carry no routine
+// (or a broken one) refused. Usage: npm run test:routines
+import assert from 'node:assert/strict';
+import { runCases } from './run-cases.js';
+import {
+  ROUTINE_STEP, ROUTINE_MAX_STEPS, ROUTINE_NAME_LENGTH, EXAMPLE_ROUTINE, sanitizeRoutine, routineHash, parseRoutineHash,
+} from '../src/routines.js';
+
+const KNOWN = { difficulties: ['basic', 'advanced', 'expert'], patternIds: ['quarter', 'triplet', 'eighthPair'] };
+const keep = (routine) => sanitizeRoutine(routine, KNOWN);
+const hashOf = (raw) => `#${new URLSearchParams({ routine: raw })}`;
+
+const cases = {
+  'a routine in range is kept as it is': () => {
+    assert.deepEqual(keep(EXAMPLE_ROUTINE), EXAMPLE_ROUTINE);
+  },
+
+  'out-of-range minutes and tempos are clamped and rounded': () => {
+    const [low, high, fractional] = keep({ id: 'r', name: 'R', steps: [
+      { ...ROUTINE_STEP, minutes: 0, bpm: 10 },
+      { ...ROUTINE_STEP, minutes: 500, bpm: 400 },
+      { ...ROUTINE_STEP, minutes: 2.6, bpm: 72.4 },
+    ] }).steps;
+    assert.deepEqual([low.minutes, low.bpm], [1, 40]);
+    assert.deepEqual([high.minutes, high.bpm], [60, 180]);
+    assert.deepEqual([fractional.minutes, fractional.bpm], [3, 72]);
+  },
+
+  'unknown or missing fields take the default step': () => {
+    const [step] = keep({ id: 'r', steps: [
+      { mode: 'toString', minutes: '5', difficulty: 'legendary', bpm: null, gap: 'yes', patternId: 'constructor' },
+    ] }).steps;
+    assert.deepEqual(step, { ...ROUTINE_STEP, gap: true });
+    assert.deepEqual(keep({ id: 'r', steps: [{}] }).steps, [ROUTINE_STEP]);
+  },
+
+  'malformed steps are dropped and a routine without a list has none': () => {
+    const routine = keep({ id: 'r', steps: [null, 3, 'cards', [], { ...ROUTINE_STEP, bpm: 90 }] });
+    assert.deepEqual(routine.steps.map(step => step.bpm), [90]);
+    assert.deepEqual(keep({ id: 'r', steps: { 0: ROUTINE_STEP } }).steps, []);
+    assert.deepEqual(keep({ id: 'r' }).steps, []);
+  },
+
+  'oversized routines lose the extra steps and the end of the name': () => {
+    const routine = keep({ id: 7, name: 'a very long routine name', steps: Array(ROUTINE_MAX_STEPS + 5).fill(ROUTINE_STEP) });
+    assert.equal(routine.steps.length, ROUTINE_MAX_STEPS);
+    assert.equal(routine.name, 'A VERY LONG ROUT');
+    assert.equal(routine.name.length, ROUTINE_NAME_LENGTH);
+    assert.equal(routine.id, '7');
+    assert.equal(keep({ id: 'r', name: '', steps: [] }).name, 'ROUTINE');
+  },
+
+  'a link round-trips under a fresh id': () => {
+    const routine = parseRoutineHash(routineHash(EXAMPLE_ROUTINE), KNOWN, 36 ** 3);
+    assert.deepEqual(routine, { ...EXAMPLE_ROUTINE, id: 'routine-1000' });
+  },
+
+  'a link is kept to range like a saved routine': () => {
+    const routine = parseRoutineHash(hashOf(JSON.stringify({ name: 'shared', steps: [{ mode: 'stream', bpm: 999, difficulty: 'expert' }] })), KNOWN, 1);
+    assert.deepEqual(routine.steps, [{ ...ROUTINE_STEP, mode: 'stream', bpm: 180, difficulty: 'expert' }]);
+  },
+
+  'links without a usable routine give nothing': () => {
+    const refused = ['', '#', '#code=B44-60-1A', hashOf('{not json'), hashOf('null'), hashOf('5'), hashOf('[1,2]'),
+      hashOf(JSON.stringify({ name: 'empty', steps: [] })), hashOf(JSON.stringify({ name: 'junk', steps: [null, 'x'] }))];
+    refused.forEach(hash => assert.equal(parseRoutineHash(hash, KNOWN, 1), null, hash));
+  },
+};
+
+await runCases(cases);
@@ -0,0 +1,18 @@
+// Shared runner for the harnesses in scripts/: runs each named case (sync or async) in order, prints one
+// ok/FAIL line per case and a tally, and exits non-zero when any case failed. `note` is appended to the
+// tally (e.g. the seed of a randomized run, so a failure can be replayed).
+export const runCases = async (cases, { note } = {}) => {
+  let failed = 0;
+  for (const [name, run] of Object.entries(cases)) {
+    try {
+      await run();
+      console.log(`ok   ${name}`);
+    } catch (err) {
+      failed++;
+      console.log(`FAIL ${name}: ${err.message}`);
+    }
+  }
+  const total = Object.keys(cases).length;
+  console.log(`${total - failed}/${total} passed${note ? ` (${note})` : ''}`);
+  process.exit(failed > 0 ? 1 : 0);
+};
@@ -0,0 +1,437 @@
+// Runs BeatScheduler against a fake clock and timer: jittery and stalled ticks, tempo changes at random
+// moments, the speed trainer, gap click cycles (random ones from a seeded source), background timing,
+// ending on a bar line, undrained queues, beats answered a tick late, and the worker's script on its own
+// and by URL. Every beat must be scheduled once, in order, spaced by the tempo it was scheduled
+// at, and ahead of time unless a stall outlasted the lookahead.
+// Usage: npm run test:scheduler (SEED=n to vary the random run)
+import assert from 'node:assert/strict';
+import { runCases } from './run-cases.js';
+import {
+  BeatScheduler, BeatClock, createSchedulerTimer, loopbackTimer, timerWorker, FOREGROUND_TIMING, BACKGROUND_TIMING, QUEUE_LIMIT,
+} from '../src/scheduler.js';
+
+// Seeded, so a failure can be replayed
+const seeded = (start) => {
+  let seed = start;
+  return () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+  };
+};
+const random = seeded(Number(process.env.SEED) || 1);
+
+const SIMPLE = [1, 1, 1, 1].map(length => ({ kind: 'simple', length }));
+const COMPOUND = [1.5, 1.5].map(length => ({ kind: 'compound', length }));
+const ADDITIVE = [1, 1, 1.5].map(length => ({ kind: 'simple', length }));
+
+// setInterval/clearInterval for the worker, ticking only when told to
+const fakeTicks = () => {
+  const ticks = { interval: null, onTick: null };
+  ticks.setInterval = (onTick, interval) => {
+    Object.assign(ticks, { onTick, interval });
+    return 1;
+  };
+  ticks.clearInterval = () => { ticks.onTick = null; };
+  return ticks;
+};
+
+// Runs `body` with Worker and the object URL functions swapped for `fakes`
+const withFakeWorker = async (fakes, body) => {
+  const saved = { Worker: globalThis.Worker, createObjectURL: URL.createObjectURL, revokeObjectURL: URL.revokeObjectURL };
+  globalThis.Worker = fakes.Worker;
+  URL.createObjectURL = fakes.createObjectURL || (() => 'blob:timer');
+  URL.revokeObjectURL = fakes.revokeObjectURL || (() => {});
+  try {
+    await body();
+  } finally {
+    globalThis.Worker = saved.Worker;
+    URL.createObjectURL = saved.createObjectURL;
+    URL.revokeObjectURL = saved.revokeObjectURL;
+  }
+};
+
+// A worker whose messages, both ways, arrive only on step(), one hop per step like a real one's
+// between ticks; drain() delivers everything
+const queuedWorker = (ticks) => {
+  let queue = [];
+  class QueuedWorker {
+    constructor() {
+      this.scope = { ...ticks, onmessage: null, postMessage: (data) => queue.push(() => this.onmessage({ data })) };
+      timerWorker(this.scope, BeatClock);
+    }
+    postMessage(data) { queue.push(() => this.scope.onmessage({ data })); }
+  }
+  const step = () => {
+    const due = queue;
+    queue = [];
+    due.forEach(deliver => deliver());
+  };
+  const drain = () => {
+    while (queue.length > 0) step();
+  };
+  return { Worker: QueuedWorker, step, drain };
+};
+
+class RecordingScheduler extends BeatScheduler {
+  constructor(beats, ticks = fakeTicks(), timer = loopbackTimer(ticks), gapRandom = random) {
+    super(beats, timer, gapRandom);
+    this.ticks = ticks;
+    this.now = 0;
+    this.log = [];
+  }
+
+  currentTime() {
+    return this.now;
+  }
+
+  scheduleBeat() {
+    this.log.push({ time: this.nextNoteTime, bar: this.barCount, beat: this.beatCount, tempo: this.tempo, length: this.beats[this.beatCount].length, at: this.now, muted: this.barMuted });
+    this.enqueue(this.visualQueue, { noteTime: this.nextNoteTime });
+    if (this.countInBeats > 0) this.countInBeats--;
+    this.nextNote();
+  }
+
+  start() {
+    this.isPlaying = true;
+    this.nextNoteTime = this.now + 0.1;
+    this.gapBar = -1;
+    this.mutedRun = 0;
+    this.advanceGap();
+    this.startClock();
+  }
+
+  // Moves the clock on by `seconds` in ticks of the timer's interval, each late by up to `jitter` of it
+  run(seconds, { jitter = 0.5, during = null } = {}) {
+    const end = this.now + seconds;
+    while (this.now < end) {
+      this.now = Math.min(end, this.now + this.ticks.interval / 1000 * (1 + random() * jitter));
+      if (during) during(this);
+      if (this.ticks.onTick) this.ticks.onTick();
+    }
+  }
+
+  // No tick at all for `seconds` (a throttled timer or a long render), then one
+  stall(seconds) {
+    this.now += seconds;
+    if (this.ticks.onTick) this.ticks.onTick();
+  }
+}
+
+// Beats follow on one from the next with nothing skipped or repeated, each `tempo` and `length` after the
+// one before, and the schedule reaches the lookahead
+const checkLog = (scheduler) => {
+  const { log } = scheduler;
+  const perBar = scheduler.beats.length;
+  assert.ok(log.length > 0, 'nothing scheduled');
+  for (let i = 1; i < log.length; i++) {
+    const previous = log[i - 1];
+    const beat = log[i];
+    assert.equal(beat.bar * perBar + beat.beat, previous.bar * perBar + previous.beat + 1, `beat ${i} not the one after beat ${i - 1}`);
+    const expected = previous.time + 60 / previous.tempo * previous.length;
+    assert.ok(Math.abs(beat.time - expected) < 1e-9, `beat ${i} at ${beat.time}, expected ${expected}`);
+  }
+  const last = log[log.length - 1];
+  assert.ok(Math.abs(scheduler.nextNoteTime - (last.time + 60 / last.tempo * last.length)) < 1e-9, 'next beat out of step with the last one');
+  if (scheduler.ticks.onTick) assert.ok(scheduler.nextNoteTime >= scheduler.now + scheduler.timing.ahead, 'schedule short of the lookahead');
+};
+
+// Whether each bar was muted, first bar first
+const mutedBars = (scheduler) => scheduler.log.filter(beat => beat.beat === 0).map(beat => beat.muted);
+
+const lateBeats = (scheduler) => scheduler.log.filter(beat => beat.at > beat.time);
+
+const cases = {
+  'steady tempo, jittery ticks': () => {
+    const scheduler = new RecordingScheduler(SIMPLE);
+    scheduler.setTempo(120);
+    scheduler.start();
+    scheduler.run(120);
+    checkLog(scheduler);
+    assert.equal(lateBeats(scheduler).length, 0, 'beats scheduled late');
+    assert.equal(scheduler.log.length, Math.ceil((scheduler.now + FOREGROUND_TIMING.ahead - 0.1) * 2), 'beat count off');
+  },
+
+  'tempo changes at random moments': () => {
+    [SIMPLE, COMPOUND, ADDITIVE].forEach(beats => {
+      const scheduler = new RecordingScheduler(beats);
+      scheduler.start();
+      let changes = 0;
+      scheduler.run(300, {
+        during: (s) => {
+          if (random() < 0.01) {
+            s.setTempo(40 + Math.round(random() * 200));
+            changes++;
+          }
+        },
+      });
+      checkLog(scheduler);
+      assert.ok(changes > 50, 'too few tempo changes to mean anything');
+      assert.equal(lateBeats(scheduler).length, 0, 'beats scheduled late');
+    });
+  },
+
+  'ending on a bar line schedules nothing after it and stops once it is heard': () => {
+    [false, true].forEach(hidden => {
+      const scheduler = new RecordingScheduler(SIMPLE);
+      const scheduleBeat = scheduler.scheduleBeat.bind(scheduler);
+      // Runs out at the third downbeat, like a bar provider with two bars
+      scheduler.scheduleBeat = () => (scheduler.barCount === 2 ? scheduler.end() : scheduleBeat());
+      let ended = null;
+      scheduler.onEnd = () => { ended = scheduler.now; };
+      scheduler.setTempo(120);
+      scheduler.setBackground(hidden);
+      scheduler.start();
+      scheduler.run(10);
+      checkLog(scheduler);
+      assert.equal(scheduler.log.length, 8, 'beats past the end scheduled');
+      assert.ok(Math.abs(scheduler.endTime - 4.1) < 1e-9, `ended at ${scheduler.endTime}`);
+      assert.ok(ended >= scheduler.endTime && ended <= scheduler.endTime + scheduler.ticks.interval / 1000 * 1.5, `onEnd at ${ended}`);
+      assert.equal(scheduler.ticks.onTick, null, 'still ticking');
+    });
+  },
+
+  'stalls longer than the lookahead catch up without drops': () => {
+    const scheduler = new RecordingScheduler(SIMPLE);
+    scheduler.setTempo(180);
+    scheduler.start();
+    scheduler.run(5);
+    scheduler.stall(3);
+    scheduler.setTempo(90);
+    scheduler.run(5);
+    scheduler.stall(1.2);
+    scheduler.run(5);
+    checkLog(scheduler);
+    assert.ok(lateBeats(scheduler).length > 0, 'stall produced no late beats');
+    assert.ok(lateBeats(scheduler).every(beat => beat.at - beat.time <= 3), 'beat later than the stall');
+  },
+
+  'background timing rides out throttled ticks': () => {
+    const scheduler = new RecordingScheduler(SIMPLE);
+    scheduler.setTempo(200);
+    scheduler.start();
+    scheduler.run(2);
+    scheduler.setBackground(true);
+    assert.equal(scheduler.ticks.interval, BACKGROUND_TIMING.interval, 'timer not slowed down');
+    scheduler.run(1);
+    for (let i = 0; i < 50; i++) scheduler.stall(BACKGROUND_TIMING.ahead * 0.9 * random());
+    scheduler.setBackground(false);
+    assert.equal(scheduler.ticks.interval, FOREGROUND_TIMING.interval, 'timer not sped up again');
+    scheduler.run(2);
+    checkLog(scheduler);
+    assert.equal(lateBeats(scheduler).length, 0, 'beats scheduled late');
+  },
+
+  'speed trainer steps only on bar lines': () => {
+    const scheduler = new RecordingScheduler(SIMPLE);
+    scheduler.setTempoRamp({ start: 60, target: 100, step: 5, every: 2, unit: 'bars' });
+    scheduler.start();
+    scheduler.run(120);
+    checkLog(scheduler);
+    const { log } = scheduler;
+    for (let i = 1; i < log.length; i++) {
+      if (log[i].tempo !== log[i - 1].tempo) assert.equal(log[i].beat, 0, `tempo changed mid-bar at beat ${i}`);
+    }
+    assert.equal(log[0].tempo, 60);
+    assert.equal(log[log.length - 1].tempo, 100, 'ramp never reached its target');
+  },
+
+  'the speed trainer waits out a count-in, also one begun while running': () => {
+    const scheduler = new RecordingScheduler(SIMPLE);
+    scheduler.setTempoRamp({ start: 60, target: 200, step: 5, every: 1, unit: 'bars' });
+    scheduler.countInBeats = 8;
+    scheduler.start();
+    scheduler.run(30);
+    const { log } = scheduler;
+    assert.ok(log.slice(0, 8).every(beat => beat.tempo === 60), 'stepped during the count-in');
+    assert.equal(log[8].tempo, 65);
+    const from = log.length;
+    const beats = 4 + (4 - scheduler.beatCount) % 4;
+    scheduler.setCountIn(beats);
+    scheduler.run(30);
+    checkLog(scheduler);
+    const held = log.slice(from + 1, from + beats);
+    assert.ok(held.every(beat => beat.tempo === held[0].tempo), 'stepped during the second count-in');
+    assert.equal(log[from + beats].tempo, held[0].tempo + 5);
+  },
+
+  'editing a running ramp keeps the tempo reached': () => {
+    const scheduler = new RecordingScheduler(SIMPLE);
+    scheduler.setTempoRamp({ start: 60, target: 100, step: 5, every: 2, unit: 'bars' });
+    scheduler.start();
+    scheduler.run(30);
+    const reached = scheduler.tempo;
+    assert.ok(reached > 60, 'ramp never stepped');
+    scheduler.updateTempoRamp({ start: 60, target: 140, step: 10, every: 1, unit: 'bars' });
+    assert.equal(scheduler.tempo, reached, 'tempo went back to the start');
+    scheduler.run(60);
+    checkLog(scheduler);
+    assert.equal(scheduler.log[scheduler.log.length - 1].tempo, 140, 'new target never reached');
+  },
+
+  'the gap cycle mutes `off` bars after every `on`, counted from the end of the count-in': () => {
+    const scheduler = new RecordingScheduler(SIMPLE);
+    scheduler.setTempo(240);
+    scheduler.setGapClick({ on: 2, off: 1, random: false });
+    scheduler.countInBeats = 4;
+    scheduler.start();
+    scheduler.run(10);
+    const bars = mutedBars(scheduler);
+    assert.deepEqual(bars.slice(0, 10), [false, false, false, true, false, false, true, false, false, true]);
+    // Turned off mid-run: every bar clicks again
+    scheduler.setGapClick(null);
+    const from = bars.length;
+    scheduler.run(5);
+    assert.ok(mutedBars(scheduler).slice(from).every(muted => !muted), 'bars muted with the gap off');
+  },
+
+  'random gaps sound the first bar, mute at most `off` in a row, and replay from the same seed': () => {
+    const play = (seed) => {
+      const ticks = fakeTicks();
+      const scheduler = new RecordingScheduler(SIMPLE, ticks, loopbackTimer(ticks), seeded(seed));
+      scheduler.setTempo(240);
+      scheduler.setGapClick({ on: 3, off: 2, random: true });
+      scheduler.start();
+      scheduler.run(600, { jitter: 0 });
+      return mutedBars(scheduler);
+    };
+    const bars = play(7);
+    assert.equal(bars[0], false, 'first bar muted');
+    const runs = bars.join('').split('false').map(run => run.length / 'true'.length);
+    assert.ok(Math.max(...runs) <= 2, 'more than `off` bars muted in a row');
+    // 2 in 5 bars, less the runs cut short at `off`: (p + p^2) / (1 + p + p^2) with p = 0.4
+    const share = bars.filter(Boolean).length / bars.length;
+    assert.ok(Math.abs(share - 0.56 / 1.56) < 0.05, `muted share ${share}`);
+    assert.deepEqual(play(7), bars, 'same seed, different gaps');
+    assert.notDeepEqual(play(8), bars, 'gaps ignore the seed');
+  },
+
+  'undrained visual queue stays bounded': () => {
+    const scheduler = new RecordingScheduler(SIMPLE);
+    scheduler.setTempo(240);
+    scheduler.start();
+    scheduler.run(60);
+    assert.equal(scheduler.visualQueue.length, QUEUE_LIMIT);
+    const newest = scheduler.log[scheduler.log.length - 1].time;
+    assert.equal(scheduler.visualQueue[QUEUE_LIMIT - 1].noteTime, newest, 'newest event dropped instead of oldest');
+  },
+
+  'stop ends the ticks, start begins afresh': () => {
+    const scheduler = new RecordingScheduler(SIMPLE);
+    scheduler.start();
+    scheduler.run(5);
+    scheduler.isPlaying = false;
+    scheduler.stopClock();
+    const scheduled = scheduler.log.length;
+    scheduler.run(5);
+    assert.equal(scheduler.log.length, scheduled, 'scheduled beats after stop');
+    scheduler.log = [];
+    scheduler.beatCount = 0;
+    scheduler.barCount = 0;
+    scheduler.start();
+    scheduler.run(5);
+    checkLog(scheduler);
+    assert.equal(scheduler.log[0].time, 10.1);
+  },
+
+  'beats answered a tick late are each scheduled once, and a stopped run\'s are dropped': async () => {
+    const ticks = fakeTicks();
+    const queued = queuedWorker(ticks);
+    await withFakeWorker({ Worker: queued.Worker }, () => {
+      const scheduler = new RecordingScheduler(ADDITIVE, ticks, createSchedulerTimer());
+      scheduler.setTempoRamp({ start: 80, target: 160, step: 10, every: 1, unit: 'bars' });
+      scheduler.start();
+      scheduler.run(20, { during: queued.step });
+      scheduler.setTempoRamp(null);
+      scheduler.run(40, {
+        during: (s) => {
+          queued.step();
+          if (random() < 0.02) s.setTempo(40 + Math.round(random() * 200));
+        },
+      });
+      queued.drain();
+      checkLog(scheduler);
+      assert.ok(scheduler.log.some(beat => beat.tempo === 160), 'ramp never reached its target');
+      // A late tick's request still on its way when playback stops and starts again
+      scheduler.stall(0.5);
+      queued.step();
+      scheduler.isPlaying = false;
+      scheduler.stopClock();
+      scheduler.log = [];
+      scheduler.beatCount = 0;
+      scheduler.barCount = 0;
+      const restarted = scheduler.now;
+      scheduler.start();
+      queued.drain();
+      scheduler.run(5, { during: queued.step });
+      queued.drain();
+      checkLog(scheduler);
+      assert.ok(Math.abs(scheduler.log[0].time - (restarted + 0.1)) < 1e-9, 'beats of the stopped run scheduled');
+    });
+  },
+
+  'the worker script times beats on its own, with tempo changes from the page': async () => {
+    let script = null;
+    await withFakeWorker({
+      Worker: class { postMessage() {} },
+      createObjectURL: (blob) => {
+        script = blob;
+        return 'blob:timer';
+      },
+    }, () => createSchedulerTimer());
+    // Run as a worker would run it: nothing from this module in scope
+    const ticks = fakeTicks();
+    const posted = [];
+    const self = { setInterval: ticks.setInterval, clearInterval: ticks.clearInterval, onmessage: null, postMessage: (data) => posted.push(data) };
+    new Function('self', await script.text())(self);
+    const send = (data) => self.onmessage({ data });
+    send({ type: 'until', time: 5 });
+    assert.deepEqual(posted, [], 'answered with no clock started');
+    send({ type: 'start', run: 3, interval: 25, clock: { time: 0.1, lengths: [1, 1, 1], tempo: 120 } });
+    assert.equal(ticks.interval, 25);
+    ticks.onTick();
+    send({ type: 'until', time: 1.2 });
+    send({ type: 'tempo', bpm: 60 });
+    send({ type: 'until', time: 3.2 });
+    send({ type: 'stop' });
+    assert.equal(ticks.onTick, null, 'still ticking after stop');
+    const [tick, first, second] = posted;
+    assert.deepEqual(tick, { type: 'tick', run: 3 });
+    assert.equal(first.run, 3);
+    assert.deepEqual(first.beats.map(beat => [beat.time, beat.tempo]), [[0.1, 120], [0.6, 120], [1.1, 120]]);
+    assert.deepEqual(second.beats.map(beat => [beat.time, beat.beat, beat.tempo]), [[1.6, 0, 60], [2.6, 1, 60]]);
+  },
+
+  'the worker timer gives back its script URL once the worker is built': async () => {
+    const live = new Set();
+    const messages = [];
+    const fakes = {
+      createObjectURL: () => {
+        const url = `blob:timer-${live.size}`;
+        live.add(url);
+        return url;
+      },
+      revokeObjectURL: (url) => live.delete(url),
+    };
+    await withFakeWorker({
+      ...fakes,
+      Worker: class {
+        constructor(url) { assert.ok(live.has(url), 'URL revoked before the worker was built'); }
+        postMessage(message) { messages.push(message); }
+      },
+    }, () => {
+      const timer = createSchedulerTimer();
+      assert.equal(live.size, 0, 'worker URL left alive');
+      timer.start(25, { time: 0, lengths: [1], tempo: 60 }, { onTick() {}, onBeats() {} });
+      assert.deepEqual(messages, [{ type: 'start', run: 1, interval: 25, clock: { time: 0, lengths: [1], tempo: 60 } }]);
+    });
+    await withFakeWorker({
+      ...fakes,
+      Worker: class {
+        constructor() { throw new Error('blocked'); }
+      },
+    }, () => createSchedulerTimer().stop());
+    assert.equal(live.size, 0, 'URL of a refused worker left alive');
+  },
+};
+
+await runCases(cases, { note: `seed ${Number(process.env.SEED) || 1}` });
@@ -0,0 +1,69 @@
+// Runs PerformanceScorer on hand-placed taps: on time, early across a bar line, stray, doubled and cut
+// short by a stop. Bars are fed beat by beat as the engine schedules them, so a bar can be scored while
+// only the start of the next one is known. Usage: npm run test:scoring
+import assert from 'node:assert/strict';
+import { runCases } from './run-cases.js';
+import { PerformanceScorer } from '../src/scoring.js';
+
+// Beat entries of `bars` bars of quarters at 60 BPM in 4/4 (one beat a second), from `firstBar`
+const quarterBars = (firstBar, bars) => Array.from({ length: bars * 4 }, (_, i) => {
+  const step = firstBar * 4 + i;
+  return { bar: Math.floor(step / 4), beat: step % 4, step, start: step, end: step + 1, onsets: [step] };
+});
+
+const scorerWith = (beats, taps) => {
+  const scorer = new PerformanceScorer();
+  beats.forEach(beat => scorer.addBeat(beat));
+  taps.forEach(time => scorer.addHit(time));
+  return scorer;
+};
+
+const cases = {
+  'on-time taps score full marks': () => {
+    const [result] = scorerWith(quarterBars(0, 1), [0, 1, 2, 3]).collect(Infinity);
+    assert.equal(result.accuracy, 1);
+    assert.equal(result.extra, 0);
+    assert.equal(result.missed, 0);
+  },
+
+  'a tap just early for the next downbeat counts there, not as an extra': () => {
+    const [first, ...rest] = quarterBars(0, 2);
+    // Live order: bar 1's downbeat is scheduled, the rest of it not yet, when bar 0 is scored
+    const scorer = scorerWith([first, ...rest.slice(0, 4)], [0, 1, 2, 3, 3.97]);
+    const [bar0] = scorer.collect(4.16);
+    assert.equal(bar0.bar, 0);
+    assert.equal(bar0.extra, 0, 'early tap charged to bar 0');
+    assert.equal(bar0.accuracy, 1);
+    rest.slice(4).forEach(beat => scorer.addBeat(beat));
+    [5, 6, 7].forEach(time => scorer.addHit(time));
+    const [bar1] = scorer.collect(Infinity);
+    assert.equal(bar1.missed, 0, 'downbeat of bar 1 missed');
+    assert.equal(bar1.offsets[0], -30);
+  },
+
+  'early for a downbeat that never comes is an extra': () => {
+    const [result] = scorerWith(quarterBars(0, 1), [0, 1, 2, 3, 3.97]).collect(Infinity);
+    assert.equal(result.extra, 1);
+    assert.equal(result.cards[3].extra, 1);
+  },
+
+  'stopping scores the bars still open, the one cut short as far as it got': () => {
+    // Stopped at 6.5 s: bar 0 is done but inside its window, bar 1 was scheduled ahead to its end
+    const scorer = scorerWith(quarterBars(0, 2), [0, 1, 2, 3, 4, 5, 6]);
+    assert.equal(scorer.collect(4.1).length, 0);
+    const [bar0, bar1] = scorer.finish(6.5);
+    assert.equal(bar0.accuracy, 1);
+    assert.deepEqual(bar1.offsets, [0, 0, 0], 'unheard beat scored');
+    assert.equal(bar1.missed, 0);
+    assert.equal(scorer.finish(10).length, 0, 'scorer not emptied');
+  },
+
+  'stray and doubled taps inside a bar are extras': () => {
+    const [result] = scorerWith(quarterBars(0, 1), [0, 1, 1.02, 1.5, 2, 3]).collect(Infinity);
+    assert.equal(result.missed, 0);
+    assert.equal(result.extra, 2);
+    assert.equal(result.cards[1].extra, 2);
+  },
+};
+
+await runCases(cases);
@@ -0,0 +1,86 @@
+// Runs the seeded PRNG and the share codes and links through round trips: every difficulty, meter and
+// phrase length, seeds at both ends of their range, custom cards, and codes that must be refused. A code
+// or link handed out by an older build has to deal the same cards here. Usage: npm run test:sharing
+import assert from 'node:assert/strict';
+import { runCases } from './run-cases.js';
+import { METERS, PHRASE_BARS } from '../src/rhythm.js';
+import { mulberry32, dailySeed, shareCode, parseShareCode, shareHash, parseShareHash } from '../src/sharing.js';
+
+const DIFFICULTIES = ['basic', 'advanced', 'expert'];
+const SEEDS = [0, 1, 36, 0x7fffffff, 0xffffffff];
+
+const cases = {
+  'a seed deals the same numbers it always has': () => {
+    const random = mulberry32(1);
+    assert.deepEqual([random(), random(), random()], [0.6270739405881613, 0.002735721180215478, 0.5274470399599522]);
+    assert.equal(mulberry32(0xdeadbeef)(), 0.9413696140982211);
+  },
+
+  'numbers stay in [0, 1) and differ between seeds': () => {
+    SEEDS.forEach(seed => {
+      const random = mulberry32(seed);
+      for (let i = 0; i < 1000; i++) {
+        const value = random();
+        assert.ok(value >= 0 && value < 1, `seed ${seed} gave ${value}`);
+      }
+    });
+    assert.notEqual(mulberry32(1)(), mulberry32(2)());
+  },
+
+  'the daily seed holds all day and changes at midnight': () => {
+    assert.equal(dailySeed(new Date(2026, 9, 19, 0, 0, 1)), dailySeed(new Date(2026, 9, 19, 23, 59)));
+    assert.notEqual(dailySeed(new Date(2026, 9, 19, 23, 59)), dailySeed(new Date(2026, 9, 20, 0, 0)));
+  },
+
+  'share codes round-trip every difficulty, meter, phrase length and seed': () => {
+    DIFFICULTIES.forEach(difficulty => Object.keys(METERS).forEach(meterId => PHRASE_BARS.forEach(bars => SEEDS.forEach(seed => {
+      const code = shareCode({ seed, builtIn: true, daily: false }, difficulty, meterId, bars, 96);
+      assert.deepEqual(parseShareCode(code), { difficulty, meterId, bars, bpm: 96, seed }, code);
+    }))));
+  },
+
+  'codes are read whatever the case and spacing, tempo clamped': () => {
+    assert.deepEqual(parseShareCode('  a68x4-300-zz '), { difficulty: 'advanced', meterId: '6/8', bars: 4, bpm: 180, seed: 1295 });
+    assert.equal(parseShareCode('B44-10-1').bpm, 40);
+  },
+
+  'codes that name no exercise are refused': () => {
+    ['', 'B44-60', 'Q44-60-1', 'B98-60-1', 'B44X3-60-1', 'B44-60-1Z141Z4', 'B44-60-1-2'].forEach(code => {
+      assert.equal(parseShareCode(code), null, code);
+    });
+  },
+
+  'only exercises dealt from the built-in pool get a code': () => {
+    assert.equal(shareCode({ seed: 1, builtIn: false, daily: false }, 'basic', '4/4', 1, 60), null);
+    assert.equal(shareCode(null, 'basic', '4/4', 1, 60), null);
+  },
+
+  'links round-trip the cards, custom ones by definition': () => {
+    const cards = [
+      { id: 'quarter' },
+      { id: 'custom-1', custom: true, division: 4, cells: [true, false, true, true] },
+      { id: 'triplet' },
+      { id: 'quarterRest' },
+    ];
+    const shared = parseShareHash(shareHash({ seed: 0xffffffff, builtIn: true, daily: true }, cards, 'expert', '4/4', 132));
+    assert.deepEqual(shared, {
+      difficulty: 'expert',
+      meterId: '4/4',
+      bpm: 132,
+      tokens: ['quarter', '~4.1011', 'triplet', 'quarterRest'],
+      exercise: { seed: 0xffffffff, builtIn: true, daily: false },
+    });
+    const unseeded = parseShareHash(shareHash(null, cards.slice(0, 1), 'basic', '7/8', 60));
+    assert.equal(unseeded.exercise, null);
+    assert.equal(unseeded.meterId, '7/8');
+  },
+
+  'links with an unknown difficulty or meter, or no cards, are refused': () => {
+    assert.equal(parseShareHash('#d=insane&m=4%2F4&t=60&c=quarter'), null);
+    assert.equal(parseShareHash('#d=basic&m=9%2F8&t=60&c=quarter'), null);
+    assert.equal(parseShareHash('#d=basic&m=4%2F4&t=60'), null);
+    assert.equal(parseShareHash(''), null);
+  },
+};
+
+await runCases(cases);
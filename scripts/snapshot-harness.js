@@ -0,0 +1,163 @@
+// Restores saved snapshots the way loadSnapshot does at startup: current, missing fields, written by a
+// newer build, unversioned and older ones, through a migration table or without one; what can't be
+// restored has to be set aside before the next save writes over it. Fields with values the app doesn't
+// allow fall back to their defaults one by one.
+// Usage: npm run test:snapshot
+import assert from 'node:assert/strict';
+import { runCases } from './run-cases.js';
+import { SCHEMA_VERSION, migrateSnapshot, restoreSnapshot, readSnapshot, snapshotRules } from '../src/snapshot.js';
+
+const DEFAULTS = {
+  version: SCHEMA_VERSION,
+  settings: { bpm: 60, volume: 75, meterId: '4/4' },
+  custom: { patterns: [] },
+  session: { screen: 'training', cards: [] },
+};
+
+// Sections the rules below cover, at their defaults
+const CHECKED_DEFAULTS = {
+  version: SCHEMA_VERSION,
+  settings: {
+    bpm: 60,
+    trainer: { enabled: false, start: 60, target: 120, step: 5, every: 4, unit: 'bars' },
+    gap: { enabled: false, on: 2, off: 2, random: false, mutePattern: false, darkLeds: false },
+    sound: { kit: 'beep', clickLevel: 100, voiceLevel: 100, subdivision: 1, accents: {}, samples: { click: null, accent: null, voice: null } },
+    counting: { system: 'off', voice: 'off', speak: 'all', level: 100, recorded: [] },
+  },
+  session: { screen: 'training', cards: [] },
+  custom: { patterns: [], routines: [] },
+};
+
+const RULES = snapshotRules({
+  screens: ['training', 'setup', 'stats', 'routine'],
+  kits: ['beep', 'woodblock'],
+  systems: ['numbers', 'takadimi'],
+  meters: ['4/4', '6/8'],
+  accentStates: ['accent', 'normal', 'silent'],
+});
+
+const restoreChecked = (fields) => restoreSnapshot({ version: SCHEMA_VERSION, ...fields }, CHECKED_DEFAULTS, RULES);
+
+const KEY = 'rhythm-os';
+
+// In-memory stand-in for localStorage
+const memoryStorage = (items = {}) => ({
+  items,
+  getItem: (key) => (key in items ? items[key] : null),
+  setItem: (key, value) => { items[key] = String(value); },
+});
+
+const cases = {
+  'a current snapshot keeps its values and gains the fields added since': () => {
+    const restored = restoreSnapshot({ version: SCHEMA_VERSION, settings: { bpm: 90 }, custom: { patterns: [{ id: 'c1' }] } }, DEFAULTS);
+    assert.equal(restored.settings.bpm, 90);
+    assert.equal(restored.settings.volume, 75, 'missing setting not defaulted');
+    assert.deepEqual(restored.custom.patterns, [{ id: 'c1' }]);
+    assert.deepEqual(restored.session, { screen: 'training', cards: [] }, 'missing section not defaulted');
+  },
+
+  'a snapshot from a newer build or without a version is ignored': () => {
+    assert.equal(restoreSnapshot({ version: SCHEMA_VERSION + 1, settings: { bpm: 90 } }, DEFAULTS), DEFAULTS);
+    assert.equal(restoreSnapshot({ settings: { bpm: 90 } }, DEFAULTS), DEFAULTS);
+    assert.equal(restoreSnapshot(null, DEFAULTS), DEFAULTS);
+  },
+
+  'a v0 snapshot with no migration to v1 is refused': () => {
+    assert.throws(() => migrateSnapshot({ version: 0, settings: { bpm: 90 } }), /No migration from schema v0/);
+    assert.throws(() => restoreSnapshot({ version: 0, settings: { bpm: 90 } }, DEFAULTS), /schema v0/);
+  },
+
+  'an older snapshot runs every migration in order up to the target version': () => {
+    const migrations = {
+      0: (snapshot) => ({ ...snapshot, settings: { ...snapshot.settings, bpm: snapshot.settings.tempo } }),
+      1: (snapshot) => ({ ...snapshot, settings: { ...snapshot.settings, volume: snapshot.settings.volume * 100 } }),
+    };
+    const migrated = migrateSnapshot({ version: 0, settings: { tempo: 80, volume: 0.5 } }, migrations, 2);
+    assert.equal(migrated.version, 2);
+    assert.equal(migrated.settings.bpm, 80);
+    assert.equal(migrated.settings.volume, 50);
+    assert.deepEqual(migrateSnapshot({ version: 1, settings: { volume: 0.5 } }, migrations, 2).settings, { volume: 50 });
+  },
+
+  'a current snapshot passes through the migrations untouched': () => {
+    const data = { version: SCHEMA_VERSION, settings: { bpm: 90 } };
+    assert.equal(migrateSnapshot(data), data);
+  },
+
+  'a stored snapshot is read back and nothing is set aside': () => {
+    const storage = memoryStorage({ [KEY]: JSON.stringify({ version: SCHEMA_VERSION, settings: { bpm: 90 } }) });
+    assert.equal(readSnapshot(storage, KEY, DEFAULTS).settings.bpm, 90);
+    assert.equal(readSnapshot(memoryStorage(), KEY, DEFAULTS), DEFAULTS);
+    assert.equal(`${KEY}:rejected` in storage.items, false);
+  },
+
+  'a snapshot that cannot be restored is kept aside before defaults are saved over it': () => {
+    const rejected = [
+      { settings: { bpm: 90 }, custom: { patterns: [{ id: 'c1' }] } },
+      { version: SCHEMA_VERSION + 1, settings: { bpm: 90 } },
+      { version: 0, settings: { bpm: 90 } },
+    ].map(data => JSON.stringify(data)).concat('{not json');
+    rejected.forEach(raw => {
+      const storage = memoryStorage({ [KEY]: raw });
+      assert.equal(readSnapshot(storage, KEY, DEFAULTS), DEFAULTS);
+      // What the first (debounced) save does with the defaults
+      storage.setItem(KEY, JSON.stringify(DEFAULTS));
+      assert.equal(storage.items[`${KEY}:rejected`], raw, `lost ${raw}`);
+    });
+  },
+
+  'allowed settings and session values are kept as stored': () => {
+    const stored = {
+      settings: {
+        bpm: 90,
+        trainer: { enabled: true, start: 80, target: 160, step: 10, every: 120, unit: 'seconds' },
+        gap: { enabled: true, on: 3, off: 1, random: true, mutePattern: true, darkLeds: false },
+        sound: { kit: 'woodblock', clickLevel: 40, voiceLevel: 0, subdivision: 3, accents: { '6/8': ['accent', 'silent'] }, samples: { click: 'tick.wav', accent: null, voice: null } },
+        counting: { system: 'takadimi', voice: 'recorded', speak: 'countIn', level: 55, recorded: ['ta', 'di'] },
+      },
+      session: { screen: 'stats', cards: ['quarter'] },
+      custom: { patterns: [], routines: [{ id: 'r1', name: 'WARM', steps: [] }] },
+    };
+    assert.deepEqual(restoreChecked(stored), { version: SCHEMA_VERSION, ...stored });
+  },
+
+  'a field with a value the app does not allow falls back to its default alone': () => {
+    const restored = restoreChecked({
+      settings: {
+        trainer: { enabled: 'yes', start: 400, target: -5, step: 'fast', every: 90, unit: 'beats' },
+        gap: { enabled: true, on: 0, off: 12, random: 1, mutePattern: null },
+        sound: {
+          kit: 'cowbell', clickLevel: 250, voiceLevel: NaN, subdivision: 5,
+          accents: { '4/4': ['accent', 'loud'], '6/8': ['normal', 'normal'], '9/8': ['accent'], '3/4': 'accent' },
+          samples: { click: 42, accent: 'hit.wav' },
+        },
+        counting: { system: 'solfege', voice: 'robot', speak: 'never', level: -1, recorded: ['ta', 7, null] },
+      },
+      session: { screen: 'arcade', cards: ['quarter'] },
+      custom: { routines: [{ id: 'r1', steps: [] }, null, 'DAILY', { id: 'r2', steps: 'all' }] },
+    });
+    const { trainer, gap, sound, counting } = restored.settings;
+    // Out of range: clamped; 90 bars is past the most a bar-counted trainer allows
+    assert.deepEqual(trainer, { enabled: false, start: 180, target: 40, step: 5, every: 32, unit: 'bars' });
+    assert.deepEqual(gap, { enabled: true, on: 1, off: 8, random: false, mutePattern: false, darkLeds: false });
+    assert.deepEqual(sound, {
+      kit: 'beep', clickLevel: 100, voiceLevel: 100, subdivision: 1,
+      accents: { '6/8': ['normal', 'normal'] }, samples: { click: null, accent: 'hit.wav', voice: null },
+    });
+    assert.deepEqual(counting, { system: 'off', voice: 'off', speak: 'all', level: 0, recorded: ['ta'] });
+    assert.equal(restored.session.screen, 'training');
+    assert.deepEqual(restored.session.cards, ['quarter'], 'unchecked field lost');
+    assert.deepEqual(restored.custom.routines, [{ id: 'r1', steps: [] }]);
+  },
+
+  'a section stored as something other than an object restores as its defaults': () => {
+    const restored = restoreChecked({ settings: { trainer: 'fast', gap: [2, 2], sound: null }, session: 'stats', custom: 3 });
+    assert.deepEqual(restored.settings.trainer, CHECKED_DEFAULTS.settings.trainer);
+    assert.deepEqual(restored.settings.gap, CHECKED_DEFAULTS.settings.gap);
+    assert.deepEqual(restored.settings.sound, CHECKED_DEFAULTS.settings.sound);
+    assert.deepEqual(restored.session, CHECKED_DEFAULTS.session);
+    assert.deepEqual(restored.custom, CHECKED_DEFAULTS.custom);
+  },
+};
+
+await runCases(cases);
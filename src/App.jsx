@@ -1,5 +1,23 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { Play, Pause, RefreshCw, Volume2, Power, Minus, Plus, Settings, BookOpen, X, PlayCircle } from 'lucide-react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { Play, Pause, RefreshCw, Volume2, Power, Minus, Plus, Settings, BookOpen, X, PlayCircle, Hand, Pencil, Save, Trash2, Download, ScrollText, Mic, Piano, Ear, Check, SkipForward, ListChecks, Timer, ArrowUp, Square, BarChart3, FileUp } from 'lucide-react';
+import { BeatScheduler } from './scheduler.js';
+import { PerformanceScorer, timingMark } from './scoring.js';
+import { OnsetDetector, MIC_BLOCK, LATENCY_MIN, LATENCY_MAX, monoMix, detectRecordingOnsets, compensateLatency, calibratedLatency, scoreRecording } from './onsets.js';
+import { SCHEMA_VERSION, readSnapshot, updateSnapshot, snapshotRules } from './snapshot.js';
+import { METERS, PHRASE_BARS, simpleBeat, barUnits, patternKind, buildSequence } from './rhythm.js';
+import { COUNT_SYSTEMS, countSyllable, countInventory, noteCounts } from './counting.js';
+import { feelAt, engineFeel, DYNAMICS } from './feel.js';
+import { TRACK_MIN_TAPS, estimateBeat, addTrackTap, fitTaps, stretchTrack, trackConfig, trackBars } from './playalong.js';
+import { writeMidi, writeMusicXml } from './exporters.js';
+import { cellsToNotes, notationLayout } from './notation.js';
+import { HANDS, POLYRHYTHMS, mergeHands, twoHandLines } from './hands.js';
+import { dictationMarks } from './dictation.js';
+import { midiNoteName, midiPorts, midiNoteOn } from './midi.js';
+import { ROUTINE_MODES, ROUTINE_STEP, EXAMPLE_ROUTINE, sanitizeRoutine, routineHash, parseRoutineHash } from './routines.js';
+import { MASTERED_SCORE, LEVEL_UP_STREAK, masteryWeight, recordExercise, levelUp } from './mastery.js';
+import { clockSample, bestClockSample, cueTempo, classJoin, cueUsable } from './classroom.js';
+import { mulberry32, dailySeed, shareCode, parseShareCode, cardToken, shareHash, parseShareHash } from './sharing.js';
+import { openSession, closeSession, sanitizeSession, mergeSessions, addSession, dayKey, historyCsv, parseHistory, historyStats } from './history.js';
 
 /**
  * Rhythm Cards Trainer - Field Ops Edition v3.2 (Mobile 1x4 Fixed Layout)
@@ -9,125 +27,695 @@ import { Play, Pause, RefreshCw, Volume2, Power, Minus, Plus, Settings, BookOpen
  * - Adjusted Padding: Optimized for narrow cards to maximize symbol size.
  */
 
-// --- Audio Engine (Unchanged) ---
-class MetronomeEngine {
-  constructor() {
-    this.ctx = new (window.AudioContext || window.webkitAudioContext)();
-    this.nextNoteTime = 0.0;
-    this.timerID = null;
-    this.isPlaying = false;
-    this.tempo = 60;
-    this.lookahead = 25.0; 
-    this.scheduleAheadTime = 0.1;
+// --- Sound Kits ---
+// click(engine, time, type) with type 'accent' | 'normal' | 'sub'; voice(engine, time, duration, bus) for the
+// pattern. Kits connect to engine.clickBus / the voice bus given (engine.voiceBus, or a hand's panner in
+// two-voice mode), where mix levels and master volume apply.
+const percussive = (engine, source, bus, time, peak, decay) => {
+  const gain = engine.ctx.createGain();
+  gain.gain.setValueAtTime(0, time);
+  gain.gain.linearRampToValueAtTime(peak, time + 0.002);
+  gain.gain.exponentialRampToValueAtTime(0.001, time + decay);
+  source.connect(gain);
+  gain.connect(bus);
+};
+
+const tone = (engine, bus, time, { type = 'sine', freq, sweepTo = null, peak, decay }) => {
+  const osc = engine.ctx.createOscillator();
+  osc.type = type;
+  osc.frequency.setValueAtTime(freq, time);
+  if (sweepTo) osc.frequency.exponentialRampToValueAtTime(sweepTo, time + decay);
+  percussive(engine, osc, bus, time, peak, decay);
+  osc.start(time);
+  osc.stop(time + decay + 0.01);
+};
+
+const noise = (engine, bus, time, { filter, freq, q = 1, peak, decay }) => {
+  const src = engine.ctx.createBufferSource();
+  src.buffer = engine.noiseBuffer();
+  const biquad = engine.ctx.createBiquadFilter();
+  biquad.type = filter;
+  biquad.frequency.value = freq;
+  biquad.Q.value = q;
+  src.connect(biquad);
+  percussive(engine, biquad, bus, time, peak, decay);
+  src.start(time);
+  src.stop(time + decay + 0.01);
+};
+
+const playSample = (engine, bus, time, buffer, peak) => {
+  const src = engine.ctx.createBufferSource();
+  const gain = engine.ctx.createGain();
+  src.buffer = buffer;
+  gain.gain.value = peak;
+  src.connect(gain);
+  gain.connect(bus);
+  src.start(time);
+};
+
+const CLICK_PEAK = { accent: 1, normal: 0.7, sub: 0.35 };
+
+const SOUND_KITS = {
+  beep: {
+    label: 'BEEP',
+    click: (engine, time, type) => {
+      const osc = engine.ctx.createOscillator();
+      const gain = engine.ctx.createGain();
+      osc.type = 'square';
+      osc.frequency.value = type === 'accent' ? 1200 : 800;
+      const vol = type === 'sub' ? 0.25 : 0.6;
+      gain.gain.setValueAtTime(0, time);
+      gain.gain.linearRampToValueAtTime(vol, time + 0.005);
+      gain.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+      osc.connect(gain);
+      gain.connect(engine.clickBus);
+      osc.start(time);
+      osc.stop(time + 0.05);
+    },
+    // The only tonal voice: `duration` (s) sustains it at a lower level for the written note length
+    voice: (engine, time, duration, bus = engine.voiceBus) => {
+      const osc = engine.ctx.createOscillator();
+      const gain = engine.ctx.createGain();
+      osc.type = 'triangle';
+      osc.frequency.value = 600;
+      const end = time + Math.max(0.1, duration - 0.02);
+      gain.gain.setValueAtTime(0, time);
+      gain.gain.linearRampToValueAtTime(1, time + 0.005);
+      if (end > time + 0.15) {
+          gain.gain.exponentialRampToValueAtTime(0.3, time + 0.08);
+          gain.gain.setValueAtTime(0.3, end - 0.03);
+      }
+      gain.gain.exponentialRampToValueAtTime(0.001, end);
+      osc.connect(gain);
+      gain.connect(bus);
+      osc.start(time);
+      osc.stop(end);
+    },
+  },
+  woodblock: {
+    label: 'WOOD',
+    click: (engine, time, type) => {
+      tone(engine, engine.clickBus, time, { type: 'triangle', freq: type === 'accent' ? 1400 : 1000, peak: CLICK_PEAK[type], decay: 0.06 });
+      noise(engine, engine.clickBus, time, { filter: 'bandpass', freq: 2500, q: 2, peak: CLICK_PEAK[type] * 0.4, decay: 0.01 });
+    },
+    voice: (engine, time, duration, bus = engine.voiceBus) => {
+      tone(engine, bus, time, { type: 'triangle', freq: 650, peak: 1, decay: 0.09 });
+      noise(engine, bus, time, { filter: 'bandpass', freq: 1800, q: 2, peak: 0.3, decay: 0.01 });
+    },
+  },
+  cowbell: {
+    label: 'BELL',
+    click: (engine, time, type) => {
+      const decay = type === 'accent' ? 0.3 : 0.15;
+      tone(engine, engine.clickBus, time, { type: 'square', freq: 800, peak: CLICK_PEAK[type] * 0.3, decay });
+      tone(engine, engine.clickBus, time, { type: 'square', freq: 540, peak: CLICK_PEAK[type] * 0.3, decay });
+    },
+    voice: (engine, time, duration, bus = engine.voiceBus) => {
+      tone(engine, bus, time, { type: 'square', freq: 587, peak: 0.3, decay: 0.12 });
+      tone(engine, bus, time, { type: 'square', freq: 845, peak: 0.3, decay: 0.12 });
+    },
+  },
+  rimshot: {
+    label: 'RIM',
+    click: (engine, time, type) => {
+      noise(engine, engine.clickBus, time, { filter: 'highpass', freq: 2000, peak: CLICK_PEAK[type] * 0.6, decay: 0.03 });
+      tone(engine, engine.clickBus, time, { type: 'triangle', freq: type === 'accent' ? 1900 : 1700, peak: CLICK_PEAK[type], decay: 0.02 });
+    },
+    voice: (engine, time, duration, bus = engine.voiceBus) => {
+      noise(engine, bus, time, { filter: 'bandpass', freq: 1200, q: 1.5, peak: 0.7, decay: 0.06 });
+      tone(engine, bus, time, { type: 'triangle', freq: 400, peak: 0.6, decay: 0.04 });
+    },
+  },
+  drums: {
+    label: 'DRUMS',
+    // Kick on accents, closed hi-hat otherwise; the pattern plays on the snare
+    click: (engine, time, type) => {
+      if (type === 'accent') tone(engine, engine.clickBus, time, { freq: 150, sweepTo: 45, peak: 1, decay: 0.25 });
+      else noise(engine, engine.clickBus, time, { filter: 'highpass', freq: 7000, peak: CLICK_PEAK[type] * 0.6, decay: 0.05 });
+    },
+    voice: (engine, time, duration, bus = engine.voiceBus) => {
+      noise(engine, bus, time, { filter: 'bandpass', freq: 1800, q: 0.7, peak: 0.8, decay: 0.15 });
+      tone(engine, bus, time, { type: 'triangle', freq: 190, peak: 0.5, decay: 0.08 });
+    },
+  },
+  samples: {
+    label: 'SAMPLES',
+    // User-loaded buffers; missing slots fall back to the click sample, then to the beep kit
+    click: (engine, time, type) => {
+      const buffer = (type === 'accent' && engine.samples.accent) || engine.samples.click;
+      if (buffer) playSample(engine, engine.clickBus, time, buffer, CLICK_PEAK[type]);
+      else SOUND_KITS.beep.click(engine, time, type);
+    },
+    voice: (engine, time, duration, bus = engine.voiceBus) => {
+      const buffer = engine.samples.voice || engine.samples.click;
+      if (buffer) playSample(engine, bus, time, buffer, 1);
+      else SOUND_KITS.beep.voice(engine, time, duration, bus);
+    },
+  },
+};
+
+const SAMPLE_SLOTS = ['click', 'accent', 'voice'];
+
+// --- Web MIDI ---
+// Optional: the click and voice can also go out as notes, and note-ons can come in as hits (messages read
+// in midi.js). Everything checks MIDI_SUPPORTED so browsers without Web MIDI just don't offer it.
+const MIDI_SUPPORTED = typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+const MIDI_VELOCITY = { accent: 127, normal: 100, sub: 64, voice: 110 };
+
+const defaultAccents = (meter) => meter.beats.map((_, i) => (i === 0 ? 'accent' : 'normal'));
+
+// --- Counting Voice ---
+// Syllables for each note come from counting.js; this speaks them or records a voice saying them.
+const SPEECH_SUPPORTED = typeof window !== 'undefined' && 'speechSynthesis' in window && typeof SpeechSynthesisUtterance !== 'undefined';
+const SPEECH_RATE = 1.6;
+const COUNT_RECORD_MS = 1200;
+const COUNT_GATE = 0.1; // of the peak: where a recorded syllable starts and ends
+
+// A recorded syllable cut to start where the voice does (so it lands on the note) and end as it fades,
+// evened out to one level; null when nothing was said
+const trimCount = (ctx, buffer) => {
+  const mono = monoMix(buffer);
+  const peak = mono.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+  if (peak < 0.01) return null;
+  const gate = peak * COUNT_GATE;
+  const first = mono.findIndex(v => Math.abs(v) >= gate);
+  let last = mono.length - 1;
+  while (Math.abs(mono[last]) < gate) last--;
+  const rate = buffer.sampleRate;
+  const start = Math.max(0, first - Math.round(0.01 * rate));
+  const end = Math.min(mono.length, last + Math.round(0.05 * rate));
+  const fade = Math.round(0.01 * rate);
+  const trimmed = ctx.createBuffer(1, end - start, rate);
+  const data = trimmed.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = mono[start + i] * (0.9 / peak) * Math.min(1, (data.length - i) / fade);
+  return trimmed;
+};
+
+// Speech can't be scheduled on the audio clock, so a count is spoken when its time comes; one still
+// going when the next is due is cut off rather than queued behind it
+const speakCount = ({ text, lang, volume }) => {
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = lang;
+  utterance.rate = SPEECH_RATE;
+  utterance.volume = volume;
+  window.speechSynthesis.cancel();
+  window.speechSynthesis.speak(utterance);
+};
+
+// --- Audio Engine ---
+// Pass an OfflineAudioContext to render with the same voices instead of playing live. Beat timing and
+// the speed trainer run in the scheduler's clock, gap bars in BeatScheduler (scheduler.js); this adds what
+// sounds on each beat.
+class MetronomeEngine extends BeatScheduler {
+  constructor(ctx = null) {
+    super(METERS['4/4'].beats);
+    this.ctx = ctx || new (window.AudioContext || window.webkitAudioContext)();
     this.volume = 0.5; 
-    this.beatCount = 0; 
-    this.visualQueue = [];
+    // master <- click bus / voice bus, so volume and mix levels change instantly
+    this.master = this.ctx.createGain();
+    this.master.gain.value = this.volume;
+    this.master.connect(this.ctx.destination);
+    this.clickBus = this.ctx.createGain();
+    this.clickBus.connect(this.master);
+    this.voiceBus = this.ctx.createGain();
+    this.voiceBus.connect(this.master);
+    this.trackBus = this.ctx.createGain();
+    this.trackBus.connect(this.master);
+    this.countBus = this.ctx.createGain();
+    this.countBus.connect(this.master);
+    this.kit = SOUND_KITS.beep;
+    this.samples = { click: null, accent: null, voice: null };
+    this.accents = null;
+    this.subdivision = 1;
+    this.noise = null;
+    this.midiOut = null;
+    // { swing, unit, humanize (s), velocity (0-1 spread), dynamics } or null for straight, even playback
+    this.feel = null;
+    // Two-voice mode: { R: { kit }, L: { kit } } for notes tagged with a `hand`, each through its own panner
+    this.hands = null;
+    this.handBuses = null;
+    // Attack times of pattern notes as played (swing and humanize included), for note flashes
+    this.noteQueue = [];
+    // Where each note or rest begins ({ time, at }; at null for count-in beats), with the count to speak
+    // (`say`, for speakCount()) when the voice is speech
+    this.countQueue = [];
+    // Counting voice: { system (COUNT_SYSTEMS id), voice: 'speech' | 'recorded', notes (false: count-in
+    // only) } or null; recorded syllables by text
+    this.counter = null;
+    this.countSamples = {};
+    // Tap scoring: called from the scheduler tick with each beat's expected onsets while trackPerformance
+    // is on, rather than queued for the frames a hidden tab doesn't get
+    this.trackPerformance = false;
+    this.onPerformanceBeat = null;
     
-    this.activePatternTimings = null;
+    this.activePatternNotes = null;
+    this.activePatternKind = null;
     this.activeSequence = null;
+    // Sequence beats played so far; the current one is activeSequence[sequenceCount % length]
+    this.sequenceCount = 0;
+    // Endless stream: barProvider(index) returns the per-beat notes of stream bar `index`, asked for just
+    // before the bar is scheduled
+    this.barProvider = null;
+    this.streamBar = -1;
+    this.streamNotes = null;
+    // Classroom: extra delay before the first beat of a start (s), so followers hear the cue in time, and
+    // when that beat is heard (wall-clock ms, output latency included) with the count-in it opened with
+    this.startLead = 0;
+    this.startedAt = null;
+    this.startCountIn = 0;
+    // Play-along: { buffer, offset, loop, tempo } (see trackConfig), started with the clock; where and when
+    // the playing source started ({ time, position } in context / buffer seconds); called when it runs out
+    this.track = null;
+    this.trackSource = null;
+    this.trackStart = null;
+    this.onTrackEnd = null;
+    // Last tempo asked for through setTempo(), back in force once the track goes
+    this.ownTempo = null;
   }
 
-  nextNote() {
-    const secondsPerBeat = 60.0 / this.tempo;
-    this.nextNoteTime += secondsPerBeat;
-    this.beatCount = (this.beatCount + 1) % 4;
+  currentTime() {
+    return this.ctx.currentTime;
   }
 
-  scheduleMetronomeClick(time) {
-    const osc = this.ctx.createOscillator();
-    const gain = this.ctx.createGain();
-    osc.type = 'square'; 
-    if (this.beatCount === 0) {
-        osc.frequency.value = 1200; 
-    } else {
-        osc.frequency.value = 800;  
+  // One second of white noise, shared by the noise-based kit voices
+  noiseBuffer() {
+    if (!this.noise) {
+        this.noise = this.ctx.createBuffer(1, this.ctx.sampleRate, this.ctx.sampleRate);
+        const data = this.noise.getChannelData(0);
+        for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
     }
-    const vol = Math.max(0.001, this.volume * 0.6);
-    gain.gain.setValueAtTime(0, time);
-    gain.gain.linearRampToValueAtTime(vol, time + 0.005); 
-    gain.gain.exponentialRampToValueAtTime(0.001, time + 0.05); 
-    osc.connect(gain);
-    gain.connect(this.ctx.destination);
-    osc.start(time);
-    osc.stop(time + 0.05);
-  }
-
-  schedulePatternSound(time) {
-    const osc = this.ctx.createOscillator();
-    const gain = this.ctx.createGain();
-    osc.type = 'triangle'; 
-    osc.frequency.value = 600; 
-    const vol = Math.max(0.001, this.volume);
-    gain.gain.setValueAtTime(0, time);
-    gain.gain.linearRampToValueAtTime(vol, time + 0.005); 
-    gain.gain.exponentialRampToValueAtTime(0.001, time + 0.1); 
-    osc.connect(gain);
-    gain.connect(this.ctx.destination);
-    osc.start(time);
-    osc.stop(time + 0.1);
-  }
-
-  scheduler() {
-    while (this.nextNoteTime < this.ctx.currentTime + this.scheduleAheadTime) {
-      const secondsPerBeat = 60.0 / this.tempo;
-      this.scheduleMetronomeClick(this.nextNoteTime);
-      
-      if (this.activeSequence && this.activeSequence.length === 4) {
-          const currentPatternTimings = this.activeSequence[this.beatCount];
-          if (currentPatternTimings) {
-              currentPatternTimings.forEach(offset => {
-                  const noteTime = this.nextNoteTime + (offset * secondsPerBeat);
-                  this.schedulePatternSound(noteTime);
-              });
-          }
-      } 
-      else if (this.activePatternTimings && this.activePatternTimings.length > 0) {
-          this.activePatternTimings.forEach(offset => {
-              const noteTime = this.nextNoteTime + (offset * secondsPerBeat);
-              this.schedulePatternSound(noteTime);
-          });
-      }
+    return this.noise;
+  }
+
+  // Web MIDI timestamps are on the performance.now() clock; aim for when the audio would be heard
+  sendMidiNote(time, note, velocity, duration) {
+    const { port, channel } = this.midiOut;
+    const latency = (this.ctx.outputLatency || 0) + (this.ctx.baseLatency || 0);
+    const at = performance.now() + (time - this.ctx.currentTime + latency) * 1000;
+    port.send([0x90 | (channel - 1), note, velocity], at);
+    port.send([0x80 | (channel - 1), note, 0], at + duration * 1000);
+  }
+
+  scheduleMetronomeClick(time, type = 'normal') {
+    if (this.midiOut) this.sendMidiNote(time, this.midiOut.notes[type], MIDI_VELOCITY[type], 0.05);
+    if (!this.midiOut || this.midiOut.audio) this.kit.click(this, time, type);
+  }
+
+  schedulePatternSound(time, duration = 0, hand = null, velocity = 1) {
+    if (this.midiOut) {
+        const midiVelocity = Math.min(127, Math.max(1, Math.round(MIDI_VELOCITY.voice * velocity)));
+        this.sendMidiNote(time, this.midiOut.notes.voice, midiVelocity, Math.max(0.05, duration - 0.02));
+    }
+    if (this.midiOut && !this.midiOut.audio) return;
+    const handVoice = hand && this.hands;
+    const kit = handVoice ? SOUND_KITS[this.hands[hand].kit] || this.kit : this.kit;
+    let bus = handVoice ? this.handBuses[hand] : this.voiceBus;
+    if (velocity !== 1) {
+        const gain = this.ctx.createGain();
+        gain.gain.value = velocity;
+        gain.connect(bus);
+        bus = gain;
+    }
+    kit.voice(this, time, duration, bus);
+  }
+
+  // Level of a note at `at` in the current beat: the dynamics shape plus random velocity spread
+  noteVelocity(at) {
+    const feel = this.feel;
+    if (!feel) return 1;
+    const level = (DYNAMICS[feel.dynamics] || DYNAMICS.flat).level(this.beatCount, at);
+    return Math.min(1, Math.max(0.1, level * (1 + (Math.random() * 2 - 1) * feel.velocity)));
+  }
+
+  // Click for the current beat per the accent pattern, plus optional subdivision clicks
+  scheduleBeatClicks(time, secondsPerBeat, countingIn) {
+    const accent = (this.accents && this.accents[this.beatCount]) || (this.beatCount === 0 ? 'accent' : 'normal');
+    // The count-in always clicks every beat, whatever the accent pattern says
+    if (countingIn) {
+        this.scheduleMetronomeClick(time, this.beatCount === 0 ? 'accent' : 'normal');
+        return;
+    }
+    if (accent === 'silent') return;
+    this.scheduleMetronomeClick(time, accent);
+    for (let i = 1; i < this.subdivision; i++) {
+        this.scheduleMetronomeClick(time + (i * secondsPerBeat) / this.subdivision, 'sub');
+    }
+  }
+
+  // Plays one beat of note events; rests and tied continuations stay silent. Returns the attack times
+  // (also when `silent`, so a muted bar can still be scored); both hands striking together is one onset.
+  // Onsets follow the swing but not the humanize jitter, which is the player's to ignore.
+  scheduleBeatNotes(notes, time, silent = false) {
+    const beat = this.beats[this.beatCount];
+    const secondsPerBeat = this.beatSeconds;
+    const secondsPerUnit = 60.0 / this.tempo;
+    const onsets = [];
+    // In time order (two hands arrive one after the other), so the queues stay sorted
+    [...notes].sort((a, b) => a.at - b.at).forEach(note => {
+        const at = feelAt(note.at, beat.kind, this.feel);
+        const noteTime = time + (at * secondsPerBeat);
+        const count = { time: noteTime, at: note.at, say: null };
+        if (note.rest || note.tied) {
+            this.enqueue(this.countQueue, count);
+            return;
+        }
+        if (!silent) {
+            const played = this.feel ? noteTime + (Math.random() * 2 - 1) * this.feel.humanize : noteTime;
+            this.schedulePatternSound(played, (note.length - (at - note.at) * beat.length) * secondsPerUnit, note.hand, this.noteVelocity(note.at));
+            this.enqueue(this.noteQueue, played);
+        }
+        if (!onsets.some(onset => Math.abs(onset - noteTime) < 0.001)) {
+            onsets.push(noteTime);
+            if (!silent && this.counter && this.counter.notes) {
+                const system = COUNT_SYSTEMS[this.counter.system];
+                count.say = this.countVoice(countSyllable(system, this.beatCount + 1, note, notes, beat.kind), noteTime);
+            }
+        }
+        this.enqueue(this.countQueue, count);
+    });
+    return onsets.sort((a, b) => a - b);
+  }
+
+  // Counting voice: a recording is scheduled at `time` like any sample; speech is returned for the count
+  // queue, to be spoken when the time comes
+  countVoice(text, time) {
+    if (this.counter.voice === 'speech') {
+        const system = COUNT_SYSTEMS[this.counter.system];
+        return { text: system.spoken[text] || text, lang: system.lang, volume: this.volume * this.countBus.gain.value };
+    }
+    const buffer = this.countSamples[text];
+    if (buffer) playSample(this, this.countBus, time, buffer, 1);
+    return null;
+  }
 
-      this.visualQueue.push({ noteTime: this.nextNoteTime, beat: this.beatCount });
-      this.nextNote();
+  // Schedules everything sounding on the beat at `nextNoteTime`, then advances to the next beat
+  scheduleBeat() {
+    // A stream joins at the next downbeat, and ends on the first one its provider has no bar for, before
+    // that beat's click
+    if (this.barProvider && this.countInBeats === 0 && this.beatCount === 0) {
+        this.streamBar++;
+        this.streamNotes = this.barProvider(this.streamBar);
+        if (!this.streamNotes) {
+            this.end();
+            return;
+        }
+    }
+    const secondsPerBeat = this.beatSeconds;
+    const countingIn = this.countInBeats > 0;
+    const voiceMuted = this.barMuted && this.gapClick && this.gapClick.mutePattern;
+    if (!this.barMuted) this.scheduleBeatClicks(this.nextNoteTime, secondsPerBeat, countingIn);
+    
+    let sequenceStep = null;
+    let streamBar = null;
+    if (countingIn) {
+        // Count-in: click (and the beat number, with a counting voice); the sequence/pattern waits for the
+        // downbeat after it
+        if (this.counter) {
+            const say = this.countVoice(COUNT_SYSTEMS[this.counter.system].beat(this.beatCount + 1), this.nextNoteTime);
+            this.enqueue(this.countQueue, { time: this.nextNoteTime, at: null, say });
+        }
+    }
+    else if (this.barProvider) {
+        if (this.streamNotes) {
+            streamBar = this.streamBar;
+            this.scheduleBeatNotes(this.streamNotes[this.beatCount], this.nextNoteTime, voiceMuted);
+        }
     }
-    this.timerID = window.setTimeout(this.scheduler.bind(this), this.lookahead);
+    else if (this.activeSequence && this.activeSequence.length > 0 && this.activeSequence.length % this.beats.length === 0) {
+        // A sequence spans one or more whole bars and loops; count-in beats don't advance it
+        sequenceStep = this.sequenceCount;
+        const currentNotes = this.activeSequence[sequenceStep % this.activeSequence.length];
+        const onsets = currentNotes ? this.scheduleBeatNotes(currentNotes, this.nextNoteTime, voiceMuted) : [];
+        // Expected onsets for tap scoring
+        if (this.trackPerformance && this.onPerformanceBeat) {
+            this.onPerformanceBeat({ bar: this.barCount, beat: this.beatCount, step: sequenceStep % this.activeSequence.length, start: this.nextNoteTime, end: this.nextNoteTime + secondsPerBeat, onsets });
+        }
+        this.sequenceCount++;
+    } 
+    else if (this.activePatternNotes && this.activePatternNotes.length > 0
+             && (!this.activePatternKind || this.activePatternKind === this.beats[this.beatCount].kind)) {
+        this.scheduleBeatNotes(this.activePatternNotes, this.nextNoteTime, voiceMuted);
+    }
+
+    this.enqueue(this.visualQueue, {
+        noteTime: this.nextNoteTime, duration: secondsPerBeat, beat: this.beatCount, step: sequenceStep, streamBar,
+        tempo: this.tempo, countIn: countingIn, muted: this.barMuted,
+    });
+    if (countingIn) this.countInBeats--;
+    this.nextNote();
+  }
+
+  // Offline rendering: schedules one pass of `sequence` (whole bars) from `time`
+  scheduleBars(sequence, time) {
+    this.beatCount = 0;
+    this.barCount = 0;
+    this.nextNoteTime = time;
+    this.gapBar = -1;
+    this.advanceGap();
+    this.setActiveSequence(sequence);
+    this.scheduleNow(sequence.length);
   }
 
-  async start() {
+  // `at`: wall-clock ms the first beat should be heard (a classroom follower joining the teacher's
+  // clock), `bar`: the bar of the sequence or stream to start from when joining late
+  async start({ countInBars = 0, at = null, bar = 0 } = {}) {
     if (this.isPlaying) return;
     if (this.ctx.state === 'suspended') await this.ctx.resume();
     this.isPlaying = true;
     this.beatCount = 0; 
+    this.barCount = 0;
+    this.sequenceCount = bar * this.beats.length;
+    if (this.barProvider) {
+        this.streamBar = bar - 1;
+        this.streamNotes = null;
+    }
     this.visualQueue = []; 
-    this.nextNoteTime = this.ctx.currentTime + 0.1;
-    this.scheduler();
+    this.noteQueue = [];
+    this.countQueue = [];
+    const latency = (this.ctx.outputLatency || 0) + (this.ctx.baseLatency || 0);
+    const now = this.ctx.currentTime;
+    this.nextNoteTime = at === null ? now + 0.1 + this.startLead : now + Math.max(0.05, (at - Date.now()) / 1000 - latency);
+    if (this.track) this.startTrack();
+    this.startedAt = Date.now() + (this.nextNoteTime - now + latency) * 1000;
+    this.startCountIn = countInBars;
+    this.countInBeats = countInBars * this.beats.length;
+    this.gapBar = -1;
+    this.mutedRun = 0;
+    this.advanceGap();
+    if (this.tempoRamp) this.setTempoRamp(this.tempoRamp);
+    this.startClock();
   }
 
   stop() {
     this.isPlaying = false;
     this.visualQueue = []; 
-    if (this.timerID) {
-        window.clearTimeout(this.timerID);
-        this.timerID = null;
+    this.noteQueue = [];
+    this.countQueue = [];
+    this.stopClock();
+    this.stopTrack();
+  }
+
+  // Starts the track so its first downbeat falls on the first beat: from the top with the beats moved
+  // back by the intro, or from the loop start (a downbeat) when looping
+  startTrack() {
+    const { buffer, offset, loop } = this.track;
+    const source = this.ctx.createBufferSource();
+    source.buffer = buffer;
+    source.connect(this.trackBus);
+    const position = loop ? loop[0] : 0;
+    if (loop) {
+        source.loop = true;
+        source.loopStart = loop[0];
+        source.loopEnd = loop[1];
     }
+    source.start(this.nextNoteTime, position);
+    source.onended = () => {
+        if (this.trackSource !== source) return;
+        this.trackSource = null;
+        if (this.onTrackEnd) this.onTrackEnd();
+    };
+    this.trackSource = source;
+    this.trackStart = { time: this.nextNoteTime, position };
+    if (!loop) this.nextNoteTime += offset;
+  }
+
+  stopTrack() {
+    const source = this.trackSource;
+    if (!source) return;
+    this.trackSource = null;
+    source.stop();
+    source.disconnect();
+  }
+
+  // Buffer seconds of the playing track heard at context `time`, or null when none is playing
+  trackPosition(time) {
+    if (!this.trackSource) return null;
+    const position = this.trackStart.position + time - this.trackStart.time;
+    const loop = this.track && this.track.loop;
+    return loop && position >= loop[1] ? loop[0] + (position - loop[0]) % (loop[1] - loop[0]) : position;
   }
 
-  setTempo(bpm) { this.tempo = bpm; }
-  setVolume(vol) { this.volume = vol; }
-  setActivePattern(timings) { 
-      this.activePatternTimings = timings; 
+  setVolume(vol) {
+      this.volume = vol;
+      this.master.gain.value = vol;
+  }
+  setLevels(click, voice) {
+      this.clickBus.gain.value = click;
+      this.voiceBus.gain.value = voice;
+  }
+  // out: { port (MIDIOutput), channel 1-16, notes: { accent, normal, sub, voice }, audio } or null.
+  // `audio: false` leaves the sound to the MIDI device.
+  setMidiOutput(out) { this.midiOut = out; }
+  setKit(kitId) { this.kit = SOUND_KITS[kitId] || SOUND_KITS.beep; }
+  // feel: { swing 0.5-0.75, unit 0.5 | 0.25, humanize (s), velocity 0-1, dynamics (DYNAMICS id) } or null
+  setFeel(feel) { this.feel = feel; }
+  // hands: { R: { kit, pan }, L: { kit, pan } } (pan -1..1), or null for the single pattern voice
+  setHands(hands) {
+      if (hands && !this.handBuses) {
+          this.handBuses = {};
+          HANDS.forEach(hand => {
+              this.handBuses[hand] = this.ctx.createStereoPanner();
+              this.handBuses[hand].connect(this.voiceBus);
+          });
+      }
+      if (hands) HANDS.forEach(hand => { this.handBuses[hand].pan.value = hands[hand].pan; });
+      this.hands = hands;
+  }
+  setSample(slot, buffer) { this.samples[slot] = buffer; }
+  // counter: { system, voice, notes } (see the constructor) or null for no counting voice
+  setCounter(counter) { this.counter = counter; }
+  setCountSample(text, buffer) { this.countSamples[text] = buffer; }
+  setCountLevel(level) { this.countBus.gain.value = level; }
+  // accents: 'accent' | 'normal' | 'silent' per beat; null accents the downbeat only
+  setAccents(accents) { this.accents = accents; }
+  setSubdivision(n) { this.subdivision = n; }
+  setStartLead(seconds) { this.startLead = seconds; }
+  // track: as from trackConfig(), or null. It sets the tempo while loaded and is heard from the next start.
+  setTrack(track) {
+      this.track = track;
+      if (track) {
+          super.setTempo(track.tempo);
+          return;
+      }
+      this.stopTrack();
+      if (this.ownTempo !== null) super.setTempo(this.ownTempo);
+  }
+  setTrackLevel(level) { this.trackBus.gain.value = level; }
+  setTempo(bpm) {
+      this.ownTempo = bpm;
+      super.setTempo(this.track ? this.track.tempo : bpm);
+  }
+  // `notes` / `sequence` entries are note events built by buildSequence()
+  setActivePattern(notes, kind = null) { 
+      this.activePatternNotes = notes; 
+      this.activePatternKind = kind;
       this.activeSequence = null; 
   }
+  // Count-in while already running: finish the current bar, then `bars` full bars of clicks
+  beginCountIn(bars) {
+      const beats = this.beats.length;
+      this.setCountIn(bars > 0 ? bars * beats + (beats - this.beatCount) % beats : 0);
+      if (this.countInBeats > 0) {
+          this.gapBar = -1;
+          this.sequenceCount = 0;
+      }
+  }
+  // provider: (index) => per-beat notes, or null to end playback there (see onEnd). Bars count from 0 at
+  // the next downbeat unless `restart` is false, which swaps the provider for the bars still to come.
+  setBarProvider(provider, restart = true) {
+      this.barProvider = provider;
+      if (!restart) return;
+      this.streamBar = -1;
+      this.streamNotes = null;
+  }
+  // Starts `sequence` from its first bar, lined up with the current beat of the bar
   setActiveSequence(sequence) {
       this.activeSequence = sequence;
-      this.activePatternTimings = null; 
+      this.activePatternNotes = null; 
+      this.sequenceCount = this.beatCount;
+  }
+  setTrackPerformance(enabled) {
+      this.trackPerformance = enabled;
   }
 }
 
+// --- Performance Scoring ---
+// PerformanceScorer (scoring.js) grades the taps; this feeds it a whole exercise at once.
+
+// Expected onsets of an exercise played once from `start` (with the engine's `feel`), as the per-beat
+// entries PerformanceScorer takes
+const exerciseOnsets = (cards, meter, tempo, start, feel = null) => {
+  const sequence = buildSequence(cards, meter.beats, { loop: false });
+  let time = start;
+  return sequence.map((notes, step) => {
+    const beat = step % meter.beats.length;
+    const seconds = meter.beats[beat].length * 60 / tempo;
+    const entry = {
+      bar: Math.floor(step / meter.beats.length), beat, step, start: time, end: time + seconds,
+      onsets: notes.filter(note => !note.rest && !note.tied).map(note => time + feelAt(note.at, meter.beats[beat].kind, feel) * seconds),
+    };
+    time += seconds;
+    return entry;
+  });
+};
+
+// --- Microphone Input ---
+// Detection itself (OnsetDetector) lives in onsets.js; this is the browser side: live capture and recording.
+// Streams the microphone through `detector`; onset times are on the context clock, before latency
+// compensation. Resolves to a stop function.
+const startMicCapture = async (ctx, detector, onOnsets) => {
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false } });
+  const source = ctx.createMediaStreamSource(stream);
+  const processor = ctx.createScriptProcessor(MIC_BLOCK, 1, 1);
+  const silent = ctx.createGain();
+  silent.gain.value = 0;
+  detector.reset();
+  processor.onaudioprocess = (e) => {
+    const onsets = detector.process(e.inputBuffer.getChannelData(0), ctx.currentTime - e.inputBuffer.duration, ctx.sampleRate);
+    if (onsets.length > 0) onOnsets(onsets);
+  };
+  source.connect(processor);
+  // A ScriptProcessor only runs while connected to the output
+  processor.connect(silent);
+  silent.connect(ctx.destination);
+  return () => {
+    processor.onaudioprocess = null;
+    source.disconnect();
+    processor.disconnect();
+    silent.disconnect();
+    stream.getTracks().forEach(track => track.stop());
+  };
+};
+
+// Records `ms` of the microphone; resolves to the bytes in whatever format the browser records
+const recordMic = async (ms) => {
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  try {
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    recorder.ondataavailable = (e) => chunks.push(e.data);
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+    recorder.start();
+    await new Promise(resolve => setTimeout(resolve, ms));
+    recorder.stop();
+    await stopped;
+    return new Blob(chunks, { type: recorder.mimeType }).arrayBuffer();
+  } finally {
+    stream.getTracks().forEach(track => track.stop());
+  }
+};
+
+// --- Play-Along Track ---
+// A local recording plays in the engine's context, started on the audio clock so its first downbeat lands
+// on a beat; the engine keeps time at the track's tempo and the cards and LEDs follow it as usual. Beat
+// finding, tap fitting and time-stretching live in playalong.js.
+const TRACK_SPEEDS = [0.5, 0.6, 0.7, 0.75, 0.8, 0.9, 1, 1.1, 1.25];
+// Screens the track plays along on (those with something to read, and setup for aligning it)
+const TRACK_SCREENS = ['training', 'library', 'stream', 'setup'];
+
 // --- Visual Components ---
 
-const RetroWaveform = ({ isPlaying, beat, activePattern, isSequencePlaying }) => {
+const RetroWaveform = ({ isPlaying, beat, activePattern, isSequencePlaying, sections = 4 }) => {
   const [points, setPoints] = useState('');
   useEffect(() => {
     let animationFrameId;
@@ -140,15 +728,16 @@ const RetroWaveform = ({ isPlaying, beat, activePattern, isSequencePlaying }) =>
             let noise = (Math.random() - 0.5) * 3;
             if (isPlaying) {
                 const excitement = (activePattern || isSequencePlaying) ? 2 : 1; 
-                const sectionSize = totalPoints / 4;
+                const sectionSize = totalPoints / sections;
+                const spikeWidth = Math.min(8, sectionSize / 2);
                 const activeStart = beat * sectionSize;
                 const activeEnd = (beat + 1) * sectionSize;
                 if (i >= activeStart && i <= activeEnd) {
                     const center = activeStart + (sectionSize / 2);
                     const distance = Math.abs(i - center);
-                    if (distance < 8) {
+                    if (distance < spikeWidth) {
                         const multiplier = (beat === 0 ? 30 : 15) * excitement;
-                        const spike = (Math.random() * multiplier) * (1 - distance/8);
+                        const spike = (Math.random() * multiplier) * (1 - distance/spikeWidth);
                         y += Math.random() > 0.5 ? spike : -spike;
                     }
                 }
@@ -161,7 +750,7 @@ const RetroWaveform = ({ isPlaying, beat, activePattern, isSequencePlaying }) =>
     };
     renderWave();
     return () => cancelAnimationFrame(animationFrameId);
-  }, [isPlaying, beat, activePattern, isSequencePlaying]);
+  }, [isPlaying, beat, activePattern, isSequencePlaying, sections]);
 
   return (
     <div className="absolute bottom-0 left-0 w-full h-12 pointer-events-none z-0 overflow-hidden rounded-b-lg">
@@ -172,7 +761,25 @@ const RetroWaveform = ({ isPlaying, beat, activePattern, isSequencePlaying }) =>
   );
 };
 
-// --- Patterns (Unchanged) ---
+// --- Notation Glyphs (rests, ties) ---
+const QuarterRest = ({ x }) => (
+  <path d={`M${x - 4} 26 L${x + 6} 40 L${x - 3} 52 L${x + 6} 64 Q${x - 8} 62 ${x} 80`} fill="none" strokeWidth="5" strokeLinejoin="round" strokeLinecap="round" />
+);
+const EighthRest = ({ x }) => (
+  <g><circle cx={x - 5} cy="42" r="5" stroke="none" /><path d={`M${x - 5} 46 Q${x + 2} 48 ${x + 8} 38 L${x - 2} 78`} fill="none" strokeWidth="4" strokeLinecap="round" /></g>
+);
+const SixteenthRest = ({ x }) => (
+  <g><circle cx={x - 3} cy="36" r="4.5" stroke="none" /><circle cx={x - 7} cy="52" r="4.5" stroke="none" /><path d={`M${x - 3} 39 Q${x + 4} 41 ${x + 9} 32 M${x - 7} 55 Q${x} 57 ${x + 5} 48 M${x + 9} 32 L${x - 3} 82`} fill="none" strokeWidth="3.5" strokeLinecap="round" /></g>
+);
+// Tie leaving the card to the right, into the next beat's first note
+const TieOut = ({ x }) => (
+  <path d={`M${x} 82 Q${(x + 108) / 2} 98 108 82`} fill="none" strokeWidth="3" strokeLinecap="round" />
+);
+
+// --- Patterns ---
+// Simple-beat cards (quarter-note beat). Compound-beat cards follow, with `kind: 'compound'`.
+// `timings` are the attacked onsets (fraction of the beat). Cards containing rests also carry `notes`
+// ({ at, dur, rest }); `tieOut` ties the last note into the next card's downbeat.
 const PATTERNS = {
   quarter: { id: 'quarter', name: 'Quarter', timings: [0], render: () => (<g stroke="currentColor" fill="currentColor" strokeWidth="3"><ellipse cx="50" cy="70" rx="10" ry="8" transform="rotate(-15 50 70)" /><line x1="60" y1="70" x2="60" y2="20" strokeWidth="4" /></g>) },
   eighthPair: { id: 'eighthPair', name: 'Eighths', timings: [0, 0.5], render: () => (<g stroke="currentColor" fill="currentColor" strokeWidth="4"><ellipse cx="30" cy="70" rx="10" ry="8" transform="rotate(-15 30 70)" /><line x1="40" y1="70" x2="40" y2="20" /><ellipse cx="70" cy="70" rx="10" ry="8" transform="rotate(-15 70 70)" /><line x1="80" y1="70" x2="80" y2="20" /><line x1="40" y1="20" x2="80" y2="20" strokeWidth="8" /></g>) },
@@ -182,10 +789,533 @@ const PATTERNS = {
   triplet: { id: 'triplet', name: 'Triplet', timings: [0, 1/3, 2/3], render: () => (<g stroke="currentColor" fill="currentColor" strokeWidth="3"><ellipse cx="25" cy="70" rx="9" ry="7" transform="rotate(-15 25 70)" /><line x1="34" y1="70" x2="34" y2="20" strokeWidth="3"/><ellipse cx="50" cy="70" rx="9" ry="7" transform="rotate(-15 50 70)" /><line x1="59" y1="70" x2="59" y2="20" strokeWidth="3"/><ellipse cx="75" cy="70" rx="9" ry="7" transform="rotate(-15 75 70)" /><line x1="84" y1="70" x2="84" y2="20" strokeWidth="3"/><line x1="34" y1="20" x2="84" y2="20" strokeWidth="7" /><text x="59" y="15" textAnchor="middle" fontSize="18" fontWeight="bold" fill="currentColor">3</text></g>) },
   dotted8Sixteenth: { id: 'dotted8Sixteenth', name: 'Dot-16', timings: [0, 0.75], render: () => (<g stroke="currentColor" fill="currentColor" strokeWidth="3"><ellipse cx="30" cy="70" rx="10" ry="8" transform="rotate(-15 30 70)" /><line x1="40" y1="70" x2="40" y2="20" strokeWidth="3"/><circle cx="50" cy="65" r="5" /><ellipse cx="70" cy="70" rx="10" ry="8" transform="rotate(-15 70 70)" /><line x1="80" y1="70" x2="80" y2="20" strokeWidth="3"/><line x1="40" y1="20" x2="80" y2="20" strokeWidth="7" /><line x1="70" y1="32" x2="80" y2="32" strokeWidth="6" /></g>) },
   sixteenthDotted8: { id: 'sixteenthDotted8', name: '16-Dot', timings: [0, 0.25], render: () => (<g stroke="currentColor" fill="currentColor" strokeWidth="3"><ellipse cx="30" cy="70" rx="10" ry="8" transform="rotate(-15 30 70)" /><line x1="40" y1="70" x2="40" y2="20" strokeWidth="3"/><ellipse cx="70" cy="70" rx="10" ry="8" transform="rotate(-15 70 70)" /><line x1="80" y1="70" x2="80" y2="20" strokeWidth="3"/><circle cx="90" cy="65" r="5" /><line x1="40" y1="20" x2="80" y2="20" strokeWidth="7" /><line x1="40" y1="32" x2="55" y2="32" strokeWidth="6" /></g>) },
-  syncopation16: { id: 'syncopation16', name: 'Sync', timings: [0, 0.25, 0.75], render: () => (<g stroke="currentColor" fill="currentColor" strokeWidth="3"><ellipse cx="20" cy="70" rx="8" ry="6" transform="rotate(-15 20 70)" /><line x1="28" y1="70" x2="28" y2="20" strokeWidth="3"/><ellipse cx="50" cy="70" rx="8" ry="6" transform="rotate(-15 50 70)" /><line x1="58" y1="70" x2="58" y2="20" strokeWidth="3"/><ellipse cx="80" cy="70" rx="8" ry="6" transform="rotate(-15 80 70)" /><line x1="88" y1="70" x2="88" y2="20" strokeWidth="3"/><line x1="28" y1="20" x2="88" y2="20" strokeWidth="7" /><line x1="28" y1="32" x2="38" y2="32" strokeWidth="6" /><line x1="78" y1="32" x2="88" y2="32" strokeWidth="6" /></g>) }
+  syncopation16: { id: 'syncopation16', name: 'Sync', timings: [0, 0.25, 0.75], render: () => (<g stroke="currentColor" fill="currentColor" strokeWidth="3"><ellipse cx="20" cy="70" rx="8" ry="6" transform="rotate(-15 20 70)" /><line x1="28" y1="70" x2="28" y2="20" strokeWidth="3"/><ellipse cx="50" cy="70" rx="8" ry="6" transform="rotate(-15 50 70)" /><line x1="58" y1="70" x2="58" y2="20" strokeWidth="3"/><ellipse cx="80" cy="70" rx="8" ry="6" transform="rotate(-15 80 70)" /><line x1="88" y1="70" x2="88" y2="20" strokeWidth="3"/><line x1="28" y1="20" x2="88" y2="20" strokeWidth="7" /><line x1="28" y1="32" x2="38" y2="32" strokeWidth="6" /><line x1="78" y1="32" x2="88" y2="32" strokeWidth="6" /></g>) },
+  quarterRest: { id: 'quarterRest', name: 'Qtr-Rest', timings: [], notes: [{ at: 0, dur: 1, rest: true }], render: () => (<g stroke="currentColor" fill="currentColor"><QuarterRest x={50} /></g>) },
+  eighthRestEighth: { id: 'eighthRestEighth', name: 'Rest-8th', timings: [0.5], notes: [{ at: 0, dur: 0.5, rest: true }, { at: 0.5, dur: 0.5 }], render: () => (<g stroke="currentColor" fill="currentColor" strokeWidth="3"><EighthRest x={30} /><ellipse cx="65" cy="70" rx="10" ry="8" transform="rotate(-15 65 70)" /><line x1="75" y1="70" x2="75" y2="20" strokeWidth="4" /><path d="M75 20 Q91 32 85 52" fill="none" strokeWidth="5" /></g>) },
+  eighthEighthRest: { id: 'eighthEighthRest', name: '8th-Rest', timings: [0], notes: [{ at: 0, dur: 0.5 }, { at: 0.5, dur: 0.5, rest: true }], render: () => (<g stroke="currentColor" fill="currentColor" strokeWidth="3"><ellipse cx="28" cy="70" rx="10" ry="8" transform="rotate(-15 28 70)" /><line x1="38" y1="70" x2="38" y2="20" strokeWidth="4" /><path d="M38 20 Q54 32 48 52" fill="none" strokeWidth="5" /><EighthRest x={75} /></g>) },
+  sixteenthRest: { id: 'sixteenthRest', name: 'Rest-16s', timings: [0.25, 0.5, 0.75], notes: [{ at: 0, dur: 0.25, rest: true }, { at: 0.25, dur: 0.25 }, { at: 0.5, dur: 0.25 }, { at: 0.75, dur: 0.25 }], render: () => (<g stroke="currentColor" fill="currentColor" strokeWidth="3"><SixteenthRest x={18} />{[42, 62, 82].map(x => (<React.Fragment key={x}><ellipse cx={x} cy="70" rx="8" ry="6" transform={`rotate(-15 ${x} 70)`} /><line x1={x + 8} y1="70" x2={x + 8} y2="20" strokeWidth="3"/></React.Fragment>))}<line x1="50" y1="20" x2="90" y2="20" strokeWidth="6" /><line x1="50" y1="34" x2="90" y2="34" strokeWidth="6" /></g>) },
+  eighthRest16s: { id: 'eighthRest16s', name: 'Rest-2x16', timings: [0.5, 0.75], notes: [{ at: 0, dur: 0.5, rest: true }, { at: 0.5, dur: 0.25 }, { at: 0.75, dur: 0.25 }], render: () => (<g stroke="currentColor" fill="currentColor" strokeWidth="3"><EighthRest x={28} />{[56, 80].map(x => (<React.Fragment key={x}><ellipse cx={x} cy="70" rx="9" ry="7" transform={`rotate(-15 ${x} 70)`} /><line x1={x + 9} y1="70" x2={x + 9} y2="20" strokeWidth="3"/></React.Fragment>))}<line x1="65" y1="20" x2="89" y2="20" strokeWidth="7" /><line x1="65" y1="33" x2="89" y2="33" strokeWidth="6" /></g>) },
+  tiedQuarter: { id: 'tiedQuarter', name: 'Qtr-Tie', timings: [0], tieOut: true, render: () => (<g stroke="currentColor" fill="currentColor" strokeWidth="3"><ellipse cx="45" cy="70" rx="10" ry="8" transform="rotate(-15 45 70)" /><line x1="55" y1="70" x2="55" y2="20" strokeWidth="4" /><TieOut x={52} /></g>) },
+  tiedEighths: { id: 'tiedEighths', name: '8ths-Tie', timings: [0, 0.5], tieOut: true, render: () => (<g stroke="currentColor" fill="currentColor" strokeWidth="4"><ellipse cx="30" cy="70" rx="10" ry="8" transform="rotate(-15 30 70)" /><line x1="40" y1="70" x2="40" y2="20" /><ellipse cx="70" cy="70" rx="10" ry="8" transform="rotate(-15 70 70)" /><line x1="80" y1="70" x2="80" y2="20" /><line x1="40" y1="20" x2="80" y2="20" strokeWidth="8" /><TieOut x={76} /></g>) },
+  // Compound beat (dotted quarter): timings are fractions of the dotted-quarter beat
+  dottedQuarter: { id: 'dottedQuarter', kind: 'compound', name: 'Dot-Qtr', timings: [0], render: () => (<g stroke="currentColor" fill="currentColor" strokeWidth="3"><ellipse cx="45" cy="70" rx="10" ry="8" transform="rotate(-15 45 70)" /><line x1="55" y1="70" x2="55" y2="20" strokeWidth="4" /><circle cx="68" cy="66" r="5" /></g>) },
+  eighthTrio: { id: 'eighthTrio', kind: 'compound', name: '3-Eighths', timings: [0, 1/3, 2/3], render: () => (<g stroke="currentColor" fill="currentColor" strokeWidth="3"><ellipse cx="25" cy="70" rx="9" ry="7" transform="rotate(-15 25 70)" /><line x1="34" y1="70" x2="34" y2="20" strokeWidth="3"/><ellipse cx="50" cy="70" rx="9" ry="7" transform="rotate(-15 50 70)" /><line x1="59" y1="70" x2="59" y2="20" strokeWidth="3"/><ellipse cx="75" cy="70" rx="9" ry="7" transform="rotate(-15 75 70)" /><line x1="84" y1="70" x2="84" y2="20" strokeWidth="3"/><line x1="34" y1="20" x2="84" y2="20" strokeWidth="7" /></g>) },
+  quarterEighth: { id: 'quarterEighth', kind: 'compound', name: 'Qtr-8th', timings: [0, 2/3], render: () => (<g stroke="currentColor" fill="currentColor" strokeWidth="3"><ellipse cx="30" cy="70" rx="10" ry="8" transform="rotate(-15 30 70)" /><line x1="40" y1="70" x2="40" y2="20" strokeWidth="4" /><ellipse cx="70" cy="70" rx="10" ry="8" transform="rotate(-15 70 70)" /><line x1="80" y1="70" x2="80" y2="20" strokeWidth="4" /><path d="M80 20 Q96 32 90 52" fill="none" strokeWidth="5" /></g>) },
+  eighthQuarter: { id: 'eighthQuarter', kind: 'compound', name: '8th-Qtr', timings: [0, 1/3], render: () => (<g stroke="currentColor" fill="currentColor" strokeWidth="3"><ellipse cx="25" cy="70" rx="10" ry="8" transform="rotate(-15 25 70)" /><line x1="35" y1="70" x2="35" y2="20" strokeWidth="4" /><path d="M35 20 Q51 32 45 52" fill="none" strokeWidth="5" /><ellipse cx="70" cy="70" rx="10" ry="8" transform="rotate(-15 70 70)" /><line x1="80" y1="70" x2="80" y2="20" strokeWidth="4" /></g>) },
+  sixSixteenths: { id: 'sixSixteenths', kind: 'compound', name: '6x16', timings: [0, 1/6, 1/3, 1/2, 2/3, 5/6], render: () => (<g stroke="currentColor" fill="currentColor" strokeWidth="3">{[12, 27, 42, 57, 72, 87].map(x => (<React.Fragment key={x}><ellipse cx={x} cy="70" rx="6" ry="5" transform={`rotate(-15 ${x} 70)`} /><line x1={x + 6} y1="70" x2={x + 6} y2="20" strokeWidth="3"/></React.Fragment>))}<line x1="18" y1="20" x2="93" y2="20" strokeWidth="6" /><line x1="18" y1="32" x2="93" y2="32" strokeWidth="6" /></g>) },
+  siciliano: { id: 'siciliano', kind: 'compound', name: 'Siciliano', timings: [0, 1/2, 2/3], render: () => (<g stroke="currentColor" fill="currentColor" strokeWidth="3"><ellipse cx="20" cy="70" rx="9" ry="7" transform="rotate(-15 20 70)" /><line x1="29" y1="70" x2="29" y2="20" strokeWidth="3"/><circle cx="37" cy="65" r="4" /><ellipse cx="55" cy="70" rx="9" ry="7" transform="rotate(-15 55 70)" /><line x1="64" y1="70" x2="64" y2="20" strokeWidth="3"/><ellipse cx="80" cy="70" rx="9" ry="7" transform="rotate(-15 80 70)" /><line x1="89" y1="70" x2="89" y2="20" strokeWidth="3"/><line x1="29" y1="20" x2="89" y2="20" strokeWidth="7" /><line x1="52" y1="32" x2="64" y2="32" strokeWidth="6" /></g>) },
+  eighth16s8: { id: 'eighth16s8', kind: 'compound', name: '8-16-16-8', timings: [0, 1/3, 1/2, 2/3], render: () => (<g stroke="currentColor" fill="currentColor" strokeWidth="3">{[16, 40, 60, 84].map(x => (<React.Fragment key={x}><ellipse cx={x} cy="70" rx="8" ry="6" transform={`rotate(-15 ${x} 70)`} /><line x1={x + 8} y1="70" x2={x + 8} y2="20" strokeWidth="3"/></React.Fragment>))}<line x1="24" y1="20" x2="92" y2="20" strokeWidth="7" /><line x1="48" y1="32" x2="68" y2="32" strokeWidth="6" /></g>) },
+  dottedQuarterRest: { id: 'dottedQuarterRest', kind: 'compound', name: 'Dot-Rest', timings: [], notes: [{ at: 0, dur: 1, rest: true }], render: () => (<g stroke="currentColor" fill="currentColor"><QuarterRest x={46} /><circle cx="64" cy="58" r="5" /></g>) },
+  eighthRestTwo: { id: 'eighthRestTwo', kind: 'compound', name: 'Rest-8-8', timings: [1/3, 2/3], notes: [{ at: 0, dur: 1/3, rest: true }, { at: 1/3, dur: 1/3 }, { at: 2/3, dur: 1/3 }], render: () => (<g stroke="currentColor" fill="currentColor" strokeWidth="3"><EighthRest x={24} /><ellipse cx="52" cy="70" rx="9" ry="7" transform="rotate(-15 52 70)" /><line x1="61" y1="70" x2="61" y2="20" strokeWidth="3"/><ellipse cx="80" cy="70" rx="9" ry="7" transform="rotate(-15 80 70)" /><line x1="89" y1="70" x2="89" y2="20" strokeWidth="3"/><line x1="61" y1="20" x2="89" y2="20" strokeWidth="7" /></g>) }
+};
+
+// Card pools per beat kind and difficulty
+const POOLS = (() => {
+  const basic = ['quarter', 'eighthPair', 'sixteenthQuad', 'quarterRest', 'eighthRestEighth'];
+  const advanced = [...basic, 'front8Back16', 'front16Back8', 'triplet', 'eighthEighthRest', 'tiedQuarter'];
+  const expert = [...advanced, 'dotted8Sixteenth', 'sixteenthDotted8', 'syncopation16', 'sixteenthRest', 'eighthRest16s', 'tiedEighths'];
+  const compoundBasic = ['dottedQuarter', 'eighthTrio', 'quarterEighth', 'dottedQuarterRest'];
+  const compoundAdvanced = [...compoundBasic, 'eighthQuarter', 'sixSixteenths', 'eighthRestTwo'];
+  const compoundExpert = [...compoundAdvanced, 'siciliano', 'eighth16s8'];
+  return {
+    simple: { basic, advanced, expert },
+    compound: { basic: compoundBasic, advanced: compoundAdvanced, expert: compoundExpert },
+  };
+})();
+
+// --- Generated Notation ---
+// Draws one beat of custom-pattern notes as laid out by notationLayout() (notation.js)
+const renderNotation = (notes, division) => {
+  const { elements, rx, flags, beams, tuplet } = notationLayout(notes, division);
+  const parts = [];
+  elements.forEach((el, i) => {
+    if (el.rest) {
+      const Rest = el.value >= 1 ? QuarterRest : el.value >= 1/2 ? EighthRest : SixteenthRest;
+      parts.push(<Rest key={`r${i}`} x={el.x} />);
+      return;
+    }
+    parts.push(<ellipse key={`h${i}`} cx={el.x} cy="70" rx={rx} ry={rx - 2} transform={`rotate(-15 ${el.x} 70)`} />);
+    parts.push(<line key={`s${i}`} x1={el.stem} y1="70" x2={el.stem} y2="20" strokeWidth="3" />);
+    if (el.dotted) parts.push(<circle key={`d${i}`} cx={el.x + rx + 6} cy="65" r="4" />);
+    if (el.tieTo !== null) {
+      parts.push(<path key={`t${i}`} d={`M${el.x + 3} 82 Q${(el.x + el.tieTo) / 2} 94 ${el.tieTo - 3} 82`} fill="none" strokeWidth="3" />);
+    }
+  });
+  flags.forEach(({ stem, count }, f) => {
+    for (let k = 0; k < count; k++) {
+      parts.push(<path key={`f${f}-${k}`} d={`M${stem} ${20 + 12 * k} Q${stem + 16} ${32 + 12 * k} ${stem + 10} ${52 + 12 * k}`} fill="none" strokeWidth="5" />);
+    }
+  });
+  beams.forEach(({ x1, x2, level }, b) => {
+    const y = 20 + 12 * level;
+    parts.push(<line key={`b${b}`} x1={x1} y1={y} x2={x2} y2={y} strokeWidth={level === 0 ? 7 : 6} />);
+  });
+  if (tuplet) {
+    parts.push(<text key="tuplet" x={tuplet.x} y="12" textAnchor="middle" fontSize="16" fontWeight="bold" stroke="none">{tuplet.count}</text>);
+  }
+  return <g stroke="currentColor" fill="currentColor" strokeWidth="3">{parts}</g>;
+};
+
+// --- Custom Patterns ---
+// Stored as plain data ({ id, name, division, cells, inPool }); the card (notes, timings, render) is derived.
+const makeCustomPattern = (def) => {
+  const notes = cellsToNotes(def.cells);
+  return {
+    ...def,
+    custom: true,
+    notes,
+    timings: notes.filter(note => !note.rest).map(note => note.at),
+    render: () => renderNotation(notes, def.division),
+  };
+};
+
+// --- Routines ---
+// Steps and links in routines.js; a step may name any built-in card and level
+const routineKnown = () => ({ difficulties: DIFFICULTIES, patternIds: Object.keys(PATTERNS) });
+
+const routineLabel = (step) => (
+  `${step.minutes}M ${step.mode === 'pattern' ? PATTERNS[step.patternId].name.toUpperCase() : ROUTINE_MODES[step.mode]}${step.mode === 'cards' || step.mode === 'stream' ? ` ${step.difficulty.slice(0, 3).toUpperCase()}` : ''} ${step.bpm}${step.gap ? ' GAP' : ''}`
+);
+
+const applySharedRoutine = (snapshot, routine) => (
+  routine ? { ...snapshot, session: { ...snapshot.session, screen: 'routine' }, custom: { ...snapshot.custom, routines: [...snapshot.custom.routines, routine] } } : snapshot
+);
+
+// Routine steps and practice sessions last minutes, so they run on the wall clock rather than the
+// audio clock (which only exists once sound has started)
+const wallClock = () => Date.now();
+
+const formatClock = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// --- Persistence ---
+// Everything the app remembers lives in one versioned localStorage snapshot, so an updated PWA can
+// migrate what an older build wrote instead of discarding it (schema versions: snapshot.js). What no
+// migration can read is set aside under `<STORAGE_KEY>:rejected` rather than saved over.
+const STORAGE_KEY = 'rhythm-os';
+const DEFAULT_SNAPSHOT = {
+  version: SCHEMA_VERSION,
+  settings: {
+    bpm: 60, volume: 75, difficulty: 'basic', meterId: '4/4', bars: 1, countInBars: 0,
+    trainer: { enabled: false, start: 60, target: 120, step: 5, every: 4, unit: 'bars' },
+    gap: { enabled: false, on: 2, off: 2, random: false, mutePattern: false, darkLeds: false },
+    adaptive: { enabled: false, autoLevel: true },
+    // Two-voice mode; source: 'cards' (left hand drawn like the cards) or a POLYRHYTHMS id; pan -100..100
+    hands: { enabled: false, source: 'cards', right: { kit: 'woodblock', pan: 40 }, left: { kit: 'drums', pan: -40 } },
+    // swing: % of the pair (50 straight - 75 hard shuffle) on 8th or 16th `unit`s; humanize: ms of timing
+    // spread; velocity: % of level spread; dynamics: DYNAMICS id
+    feel: { swing: 50, unit: 8, humanize: 0, velocity: 0, dynamics: 'flat' },
+    // replays: plays allowed per dictation bar (0 = no limit)
+    quiz: { replays: 3 },
+    // source: 'touch' (screen / spacebar), 'mic' or 'midi'; latency (mic) in ms; sensitivity 0-100
+    input: { source: 'touch', latency: 0, sensitivity: 60 },
+    // enabled: reconnect on start; outputId/inputId null = off / every input; inChannel 0 = any; inNote null = any
+    midi: {
+      enabled: false, outputId: null, outChannel: 10, notes: { accent: 76, normal: 77, sub: 42, voice: 38 }, audio: true,
+      inputId: null, inChannel: 0, inNote: null,
+    },
+    // accents: per-beat 'accent' | 'normal' | 'silent' lists keyed by meter id; samples: file names (data lives in IndexedDB)
+    sound: { kit: 'beep', clickLevel: 100, voiceLevel: 100, subdivision: 1, accents: {}, samples: { click: null, accent: null, voice: null } },
+    // Play-along: the file itself lives in IndexedDB (`track`); bpm and offset (s to the first downbeat)
+    // are at full speed; loop: [firstBar, lastBar] after the downbeat; level 0-100
+    track: { enabled: false, name: null, bpm: 120, offset: 0, speed: 1, looping: false, loop: [0, 3], level: 80 },
+    // system: COUNT_SYSTEMS id shown under the cards or 'off'; voice: 'off' | 'speech' | 'recorded';
+    // speak: 'all' counts or 'countIn' only; recorded: syllables with a recording (data in IndexedDB)
+    counting: { system: 'off', voice: 'off', speak: 'all', level: 100, recorded: [] },
+    // relay: WebSocket relay base URL, '' for tabs of this browser only. The role isn't kept: a follower's
+    // sound can only start after a tap on each visit anyway.
+    classroom: { room: 'CLASS', relay: '' },
+  },
+  // exercise: { seed, builtIn, daily } for the current cards (builtIn: drawn without custom patterns)
+  // cards: pattern ids, bar after bar; loop: [firstBar, lastBar] of the phrase or null for all of it
+  session: { screen: 'training', cards: [], exercise: null, loop: null },
+  custom: { patterns: [], routines: [EXAMPLE_ROUTINE] },
+  // Adaptive practice: per-pattern review stats, the exercise counter they are scheduled on, and the
+  // run of accurate exercises counting towards the next level-up
+  mastery: { clock: 0, streak: 0, patterns: {} },
+  // Ear-training totals: best run of fully correct bars, beats answered and beats right
+  dictation: { best: 0, beats: 0, correct: 0 },
+  // Practice log, oldest first (see Practice History)
+  history: { sessions: [] },
+};
+
+// session.screen values
+const SCREENS = ['training', 'setup', 'library', 'stats', 'editor', 'stream', 'quiz', 'routine'];
+
+const loadSnapshot = () => {
+  const rules = snapshotRules({
+    screens: SCREENS, kits: Object.keys(SOUND_KITS), systems: Object.keys(COUNT_SYSTEMS), meters: Object.keys(METERS), accentStates: ACCENT_STATES,
+  });
+  try {
+    return readSnapshot(window.localStorage, STORAGE_KEY, DEFAULT_SNAPSHOT, rules);
+  } catch {
+    return DEFAULT_SNAPSHOT;
+  }
+};
+
+// A stored number clamped to its range, or `fallback` when it isn't a number
+const storedNumber = (value, min, max, fallback) => (Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback);
+
+const saveSnapshot = (snapshot) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...snapshot, version: SCHEMA_VERSION }));
+  } catch {
+    // Storage full or blocked: the app keeps running on what is in memory
+  }
+};
+
+// Writes one finished session into the stored snapshot right away: a tab closed mid-session never
+// reaches the debounced save
+const storeSession = (entry) => {
+  if (!entry) return;
+  try {
+    updateSnapshot(window.localStorage, STORAGE_KEY, (data) => addSession(data, entry));
+  } catch {
+    // Storage blocked or unreadable: the session only misses the history
+  }
+};
+
+// Audio samples are too large for localStorage; they go to IndexedDB keyed by `sample:<slot>`
+const BLOB_DB = 'rhythm-os-blobs';
+
+const openBlobStore = () => new Promise((resolve, reject) => {
+  const request = window.indexedDB.open(BLOB_DB, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore('blobs');
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const blobStore = async (mode, run) => {
+  const db = await openBlobStore();
+  return new Promise((resolve, reject) => {
+    const request = run(db.transaction('blobs', mode).objectStore('blobs'));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).finally(() => db.close());
+};
+
+const loadBlob = (key) => blobStore('readonly', store => store.get(key));
+const saveBlob = (key, data) => blobStore('readwrite', store => store.put(data, key));
+const deleteBlob = (key) => blobStore('readwrite', store => store.delete(key));
+
+// Identifies the pool a card set was drawn from; cards are only redrawn when it changes
+const cardPoolKey = (difficulty, meterId, bars, customPatterns) => (
+  [difficulty, meterId, bars, ...customPatterns.filter(p => p.inPool).map(p => p.id)].join('|')
+);
+
+// Restores saved cards by pattern id; any mismatch with the saved meter or phrase length means a fresh draw
+const restoreCards = (ids, meterId, bars, library) => {
+  const beats = METERS[meterId].beats;
+  if (ids.length !== beats.length * bars || ids.some((id, i) => !library[id] || patternKind(library[id]) !== beats[i % beats.length].kind)) return [];
+  return ids.map(id => ({ ...library[id], uid: Math.random() }));
+};
+
+// --- Phrases ---
+// An exercise is a phrase of whole bars (PHRASE_BARS); `cards` holds them bar after bar, one card per beat.
+const phraseBars = (cards, meter) => (
+  Array.from({ length: Math.ceil(cards.length / meter.beats.length) }, (_, b) => cards.slice(b * meter.beats.length, (b + 1) * meter.beats.length))
+);
+
+// --- Two Voices ---
+// Tuplet cards for the polyrhythms and the left hand's deal (see hands.js)
+const TUPLET_NAMES = { 1: 'Quarter', 2: 'Eighths', 3: 'Triplet', 4: '16ths', 5: 'Quintuplet' };
+
+// A beat of `division` evenly spaced notes, drawn with the generated notation (tuplet bracket included)
+const tupletCard = (division) => {
+  const notes = cellsToNotes(Array(division).fill(true));
+  return {
+    id: `tuplet${division}`,
+    name: TUPLET_NAMES[division],
+    notes,
+    timings: notes.map(note => note.at),
+    render: () => renderNotation(notes, division),
+  };
+};
+
+const TUPLET_CARDS = Object.fromEntries(Object.keys(TUPLET_NAMES).map(division => [division, tupletCard(Number(division))]));
+
+// The deal twoHandLines() draws the left hand from: cards at `difficulty` in `meterId`, custom ones from
+// `pooledCustom`
+const handDeal = (difficulty, meterId, pooledCustom, library) => ({
+  beatsPerBar: METERS[meterId].beats.length,
+  tuplets: TUPLET_CARDS,
+  cards: (seed, bars, withCustom) => drawCardIds(seed, difficulty, meterId, bars, withCustom ? pooledCustom : []).map(id => library[id]),
+});
+
+// Engine sequence of a stretch of cards, with the left-hand line merged in when there is one
+const phraseSequence = (right, left, beats) => (
+  left ? mergeHands(buildSequence(right, beats), buildSequence(left, beats)) : buildSequence(right, beats)
+);
+
+// Engine sequence of bars `range` ([first, last], null for all) of `cards`, or of their two-voice `lines`
+const rangeSequence = (cards, lines, range, beats) => {
+  const [first, last] = range || [0, Math.max(1, Math.round(cards.length / beats.length)) - 1];
+  const slice = (line) => line.slice(first * beats.length, (last + 1) * beats.length);
+  return lines ? phraseSequence(slice(lines.right), slice(lines.left), beats) : phraseSequence(slice(cards), null, beats);
+};
+
+// --- Seeded Exercises ---
+// Cards are dealt from a seeded PRNG so a seed (plus difficulty and meter) reproduces the exact exercise.
+// Links carry the card list itself; short codes carry only the seed and so require a built-in pool
+// (PRNG, codes and links: sharing.js).
+const randomSeed = () => Math.floor(Math.random() * 4294967296);
+
+// `weightOf(id)` biases the draw (adaptive mode); without it every pattern in the pool is equally likely
+const drawCardIds = (seed, difficulty, meterId, bars = 1, pooledCustom = [], weightOf = null) => {
+  // Nothing to draw from at a level that doesn't exist
+  if (!DIFFICULTIES.includes(difficulty)) return [];
+  const random = mulberry32(seed);
+  const beats = METERS[meterId].beats;
+  return Array.from({ length: bars * beats.length }, (_, i) => beats[i % beats.length]).map((beat) => {
+    const pool = beat.kind === 'simple' ? [...POOLS.simple[difficulty], ...pooledCustom] : POOLS[beat.kind][difficulty];
+    if (!weightOf) return pool[Math.floor(random() * pool.length)];
+    const weights = pool.map(weightOf);
+    let pick = random() * weights.reduce((total, w) => total + w, 0);
+    return pool.find((_, i) => (pick -= weights[i]) < 0) || pool[pool.length - 1];
+  });
+};
+
+// Pattern id of one card token, reusing a matching custom pattern in `defs` or adding one to it (out of the
+// pool, id ending in `suffix`); null for an unknown card
+const tokenPatternId = (token, defs, suffix) => {
+  const custom = /^~(\d+)\.([01]+)$/.exec(token);
+  if (!custom) return PATTERNS[token] ? token : null;
+  const division = Number(custom[1]);
+  const cells = [...custom[2]].map(bit => bit === '1');
+  if (!Object.values(EDITOR_GRIDS).some(grid => grid.division === division) || cells.length !== division) return null;
+  const match = defs.find(def => def.division === division && def.cells.join() === cells.join());
+  if (match) return match.id;
+  const def = { id: `custom-${Date.now().toString(36)}${suffix}`, name: 'SHARED', division, cells, inPool: false };
+  defs.push(def);
+  return def.id;
+};
+
+// Maps card tokens to pattern ids for `meterId`, reusing matching custom patterns and adding unknown ones
+// (out of the pool); null when any card is unknown or doesn't fit its beat
+const resolveCardTokens = (tokens, meterId, customDefs) => {
+  const beats = METERS[meterId].beats;
+  if (!PHRASE_BARS.includes(tokens.length / beats.length)) return null;
+  const defs = [...customDefs];
+  const ids = tokens.map((token, i) => {
+    const beat = beats[i % beats.length];
+    // Custom cards are single simple beats
+    if (token.startsWith('~') && beat.kind !== 'simple') return null;
+    const id = tokenPatternId(token, defs, i);
+    return id && (token.startsWith('~') || patternKind(PATTERNS[id]) === beat.kind) ? id : null;
+  });
+  return ids.includes(null) ? null : { ids, bars: ids.length / beats.length, customDefs: defs };
+};
+
+// A shared link opened at startup wins over the saved session
+const applySharedExercise = (snapshot, shared) => {
+  const resolved = shared && resolveCardTokens(shared.tokens, shared.meterId, snapshot.custom.patterns);
+  if (!resolved) return snapshot;
+  return {
+    ...snapshot,
+    settings: { ...snapshot.settings, difficulty: shared.difficulty, meterId: shared.meterId, bars: resolved.bars, bpm: shared.bpm },
+    session: { ...snapshot.session, screen: 'training', cards: resolved.ids, exercise: shared.exercise, loop: null },
+    custom: { ...snapshot.custom, patterns: resolved.customDefs },
+  };
+};
+
+// --- Mastery (spaced repetition; the scheduling itself is in mastery.js) ---
+// Self-ratings mapped onto the tap accuracy scale
+const SELF_RATINGS = { hard: 0.3, good: 0.9 };
+const DIFFICULTIES = ['basic', 'advanced', 'expert'];
+
+const poolIds = (difficulty, meterId) => (
+  [...new Set(METERS[meterId].beats.flatMap(beat => POOLS[beat.kind][difficulty]))]
+);
+
+// --- Sight-Reading Stream ---
+// Stream bars are a pure function of (seed, bar index), so the scheduler and the view derive the same
+// cards independently and the view only ever renders the few bars around the playhead.
+const streamBarIds = (seed, index, difficulty, meterId, pooledCustom) => (
+  drawCardIds((seed + Math.imul(index + 1, 0x9e3779b9)) >>> 0, difficulty, meterId, 1, pooledCustom)
+);
+
+// Per-beat notes of bar `index`, built with its neighbours so ties across bar lines sound right
+const streamBarNotes = (barCards, index, meter) => {
+  const beats = meter.beats;
+  const previous = index > 0 ? [barCards(index - 1)[beats.length - 1]] : [];
+  const patterns = [...previous, ...barCards(index), ...barCards(index + 1)];
+  const windowBeats = [...(previous.length ? [beats[beats.length - 1]] : []), ...beats, ...beats];
+  return buildSequence(patterns, windowBeats, { loop: false }).slice(previous.length, previous.length + beats.length);
+};
+
+// Stream layout: the playhead sits this far into the view; one bar spans this much of its width
+const STREAM_PLAYHEAD = 0.15;
+const STREAM_BAR_WIDTH = 0.6;
+
+// Level of stream bar `index`: `levels` are { from (bar), level } changes in bar order, `fallback` before the first
+const streamLevelAt = (levels, index, fallback) => levels.reduce((level, change) => (index >= change.from ? change.level : level), fallback);
+
+// --- Dictation ---
+// Ear training: a hidden bar is played and each beat is answered with a card (judged in dictation.js)
+const QUIZ_REPLAYS = [1, 2, 3, 5, 0]; // plays allowed per bar; 0 = no limit
+
+// --- Practice History ---
+// One session per stretch of playback (logging, stats and CSV/JSON files: history.js)
+const HISTORY_SCREENS = { training: 'TRAIN', library: 'LIB', editor: 'EDIT', stream: 'READ', quiz: 'EAR', routine: 'PLAN', stats: 'STATS', setup: 'SETUP' };
+
+const formatMinutes = (minutes) => {
+  const rounded = Math.round(minutes);
+  return rounded >= 60 ? `${Math.floor(rounded / 60)}H${String(rounded % 60).padStart(2, '0')}` : `${rounded}M`;
+};
+
+// --- Classroom ---
+// A teacher's device sends cues (what plays, at which tempo, and the wall-clock time its first beat was
+// heard) to every follower in the same room: through a BroadcastChannel for tabs of one browser, and
+// through a WebSocket relay (scripts/class-relay.js) for other devices. Followers map that time onto
+// their own clock, measured against the teacher's with ping/pong, so every engine clicks together (the
+// clock maths: classroom.js).
+const CLASS_ROLES = { off: 'OFF', teacher: 'TEACH', student: 'FOLLOW' };
+// Screen a follower is taken to for each cue mode (the same modes as routine steps)
+const CLASS_SCREENS = { cards: 'training', stream: 'stream', pattern: 'library' };
+const CLASS_CHANNEL = 'rhythm-os-class';
+// ms: teacher starts are delayed this much so cues arrive before the first beat; changes settle this
+// long before they go out; cues are resent and clocks pinged this often; a lost relay is retried this often
+const CLASS_LEAD = 1000;
+const CLASS_SETTLE = 250;
+const CLASS_TICK = 2000;
+const CLASS_RETRY = 3000;
+// Clock samples kept; the one with the shortest round trip is the most trustworthy
+const CLASS_SAMPLES = 8;
+
+const classRoom = (room) => String(room).toUpperCase().replace(/[^A-Z0-9-]/g, '').slice(0, 16);
+
+// Opens both transports for `room` (relay: ws:// or wss:// base URL, or '' for tabs only). Every message
+// carries its sender and a sequence number, so one arriving by both paths is handled once.
+const openClassLink = ({ room, relay, onMessage, onRelay }) => {
+  const id = Math.random().toString(36).slice(2, 10);
+  const seen = new Map();
+  let seq = 0;
+  let socket = null;
+  let retry = null;
+  let closed = false;
+  const receive = (data) => {
+    if (!data || data.room !== room || data.from === id || (seen.get(data.from) || 0) >= data.seq) return;
+    seen.set(data.from, data.seq);
+    onMessage(data);
+  };
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(`${CLASS_CHANNEL}:${room}`) : null;
+  if (channel) channel.onmessage = (e) => receive(e.data);
+  const connect = () => {
+    try {
+      socket = new WebSocket(`${relay.replace(/\/+$/, '')}/${encodeURIComponent(room)}`);
+    } catch {
+      onRelay('BAD URL');
+      return;
+    }
+    socket.onopen = () => onRelay('ON');
+    socket.onmessage = (e) => {
+      try {
+        receive(JSON.parse(e.data));
+      } catch {
+        // Unreadable message: dropped
+      }
+    };
+    socket.onclose = () => {
+      if (closed) return;
+      onRelay('RETRYING');
+      retry = setTimeout(connect, CLASS_RETRY);
+    };
+  };
+  if (relay) connect();
+  return {
+    id,
+    send(message) {
+      const data = { ...message, from: id, room, seq: ++seq };
+      if (channel) channel.postMessage(data);
+      if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(data));
+    },
+    close() {
+      closed = true;
+      clearTimeout(retry);
+      if (channel) channel.close();
+      if (socket) socket.close();
+    },
+  };
+};
+
+// --- Export (WAV; MIDI and MusicXML: exporters.js) ---
+// renderWav takes `bars` like the other exporters: one row of cards (one card per beat) per bar.
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const encodeWav = (buffer) => {
+  const channels = buffer.numberOfChannels;
+  const frames = buffer.length;
+  const view = new DataView(new ArrayBuffer(44 + frames * channels * 2));
+  const writeText = (offset, text) => [...text].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+  writeText(0, 'RIFF');
+  view.setUint32(4, 36 + frames * channels * 2, true);
+  writeText(8, 'WAVE');
+  writeText(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * channels * 2, true);
+  view.setUint16(32, channels * 2, true);
+  view.setUint16(34, 16, true);
+  writeText(36, 'data');
+  view.setUint32(40, frames * channels * 2, true);
+  const data = [...Array(channels)].map((_, c) => buffer.getChannelData(c));
+  for (let i = 0, offset = 44; i < frames; i++) {
+    for (let c = 0; c < channels; c++, offset += 2) {
+      const sample = Math.max(-1, Math.min(1, data[c][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+    }
+  }
+  return new Blob([view], { type: 'audio/wav' });
+};
+
+// Renders the exercise through a MetronomeEngine on an OfflineAudioContext, so it sounds like playback
+// `sound` mirrors the live engine's kit, accents, subdivision, levels and loaded samples
+const renderWav = async (bars, meter, tempo, volume, sound = null) => {
+  const sequence = buildSequence(bars.flat(), meter.beats, { loop: false });
+  const barSeconds = meter.beats.reduce((total, beat) => total + beat.length, 0) * 60 / tempo;
+  const sampleRate = 44100;
+  const lead = 0.05;
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const offline = new OfflineContext(2, Math.ceil((lead + barSeconds * bars.length + 1) * sampleRate), sampleRate);
+  const engine = new MetronomeEngine(offline);
+  engine.setTempo(tempo);
+  engine.setVolume(volume);
+  engine.setMeter(meter);
+  if (sound) {
+    engine.setKit(sound.kit);
+    engine.setAccents(sound.accents);
+    engine.setSubdivision(sound.subdivision);
+    engine.setLevels(sound.click, sound.voice);
+    SAMPLE_SLOTS.forEach(slot => engine.setSample(slot, sound.samples[slot]));
+    engine.setFeel(sound.feel || null);
+  }
+  engine.scheduleBars(sequence, lead);
+  return encodeWav(await offline.startRendering());
+};
+
+const EDITOR_GRIDS = {
+  sixteenth: { label: '16TH', division: 4, counts: ['1', 'e', '&', 'a'] },
+  triplet: { label: 'TRIP', division: 3, counts: ['1', 'trip', 'let'] },
 };
 
-const PhosphorCard = ({ pattern, isNew, index, onClick, isActive, minimal = false, isPlayingSeq = false }) => (
+const INPUT_LABELS = { touch: 'TAP', mic: 'MIC', midi: 'MIDI' };
+
+const NOTE_FLASH = 0.08; // s the playing card brightens for each note heard
+
+const formatOffset = (ms) => `${ms > 0 ? '+' : ''}${ms}ms`;
+
+const PhosphorCard = ({ pattern, isNew, index, onClick, isActive, minimal = false, isPlayingSeq = false, result = null, rating = null, sticking = null, flash = false, counts = null }) => (
   <div 
     onClick={onClick}
     className={`
@@ -197,9 +1327,23 @@ const PhosphorCard = ({ pattern, isNew, index, onClick, isActive, minimal = fals
         : 'border-[#33ff00]/20 hover:border-[#33ff00]/60 hover:bg-[#33ff00]/10 opacity-80'}
     ${!isActive && !isPlayingSeq && !minimal && !isNew ? 'opacity-40 grayscale' : ''}
     ${isPlayingSeq ? 'scale-105' : ''}
+    ${isPlayingSeq && flash ? 'brightness-150' : ''}
   `}>
     <div className="absolute inset-0 opacity-10 pointer-events-none" 
         style={{ backgroundImage: 'linear-gradient(rgba(0,0,0,0) 50%, rgba(0,0,0,0.5) 50%)', backgroundSize: '100% 4px' }}></div>
+
+    {/* Adaptive self-rating */}
+    {rating && (
+      <div className={`absolute top-0.5 left-0.5 z-10 px-1 rounded-sm font-mono text-[9px] md:text-[11px] font-black ${rating === 'good' ? 'bg-[#33ff00] text-black' : 'bg-[#e06c28] text-black'}`}>
+        {rating === 'good' ? 'OK' : 'HARD'}
+      </div>
+    )}
+    {/* Tap-along result: grade badge + timing summary for the last scored loop */}
+    {result && (
+      <div className={`absolute top-0.5 right-0.5 z-10 px-1 rounded-sm font-mono text-[9px] md:text-[11px] font-black ${result.grade === 'S' || result.grade === 'A' ? 'bg-[#33ff00] text-black' : result.grade === 'B' ? 'bg-[#33ff00]/40 text-[#33ff00]' : 'bg-[#e06c28] text-black'}`}>
+        {result.grade}
+      </div>
+    )}
     
     {/* Optimized Padding for 1x4 mobile layout: p-2 ensures SVG has space but isn't crushed */}
     <div className={`flex-1 flex items-center justify-center text-[#33ff00] w-full min-h-0 ${minimal ? 'p-2' : 'p-2 md:p-4'}`}
@@ -209,16 +1353,57 @@ const PhosphorCard = ({ pattern, isNew, index, onClick, isActive, minimal = fals
         </svg>
     </div>
 
+    {/* Sticking: the hand for each attack */}
+    {sticking && pattern.timings.length > 0 && (
+      <div className="shrink-0 w-full flex justify-around px-2 font-mono text-[8px] md:text-[10px] font-black leading-none text-[#e06c28]">
+        {pattern.timings.map((_, i) => <span key={i}>{sticking}</span>)}
+      </div>
+    )}
+
+    {/* Counts: one per note or rest (rests bracketed), the one sounding lit */}
+    {counts && (
+      <div className={`shrink-0 w-full flex justify-around px-1 font-mono text-[8px] md:text-[10px] font-bold leading-none ${minimal ? 'pb-1' : ''}`}>
+        {counts.map((count, i) => (
+          <span key={i} className={`px-0.5 rounded-sm ${count.lit ? 'bg-[#33ff00] text-black' : count.rest ? 'text-[#33ff00]/40' : 'text-[#33ff00]'}`}>
+            {count.rest ? `(${count.text})` : count.text}
+          </span>
+        ))}
+      </div>
+    )}
+
     {!minimal && (
       <div className="h-auto shrink-0 w-full text-center pb-1.5 md:pb-2 px-1">
         <div className={`text-[8px] md:text-[10px] font-mono font-bold tracking-widest py-0.5 md:py-1 rounded-sm truncate transition-colors ${isPlayingSeq ? 'bg-[#33ff00] text-black' : 'bg-[#33ff00]/10 text-[#33ff00]'}`}>
             {pattern.name}
         </div>
+        {result && (
+          <div className="mt-0.5 font-mono text-[7px] md:text-[9px] text-[#33ff00]/80 truncate">
+            {result.meanOffset !== null ? formatOffset(result.meanOffset) : '--'}
+            {result.missed > 0 && <span className="text-[#e06c28]"> M{result.missed}</span>}
+            {result.extra > 0 && <span className="text-[#e06c28]"> X{result.extra}</span>}
+          </div>
+        )}
+        {/* Per note: on time, early, late or missed */}
+        {result && result.offsets.length > 0 && (
+          <div className="flex justify-center gap-0.5 font-mono text-[7px] md:text-[9px] font-bold leading-none">
+            {result.offsets.map((offset, i) => (
+              <span key={i} className={TIMING_MARKS[timingMark(offset)].className}>{TIMING_MARKS[timingMark(offset)].glyph}</span>
+            ))}
+          </div>
+        )}
       </div>
     )}
   </div>
 );
 
+// Glyph and colour per timingMark
+const TIMING_MARKS = {
+  miss: { glyph: 'X', className: 'text-[#e06c28]' },
+  hit: { glyph: '=', className: 'text-[#33ff00]' },
+  early: { glyph: '<', className: 'text-[#33ff00]/60' },
+  late: { glyph: '>', className: 'text-[#33ff00]/60' },
+};
+
 // --- Styled Components ---
 const TactileButton = ({ onClick, children, className, active, color = 'grey' }) => (
   <button 
@@ -248,6 +1433,52 @@ const Screw = () => (
   </div>
 );
 
+// Header tab: icon always, label only while active so more tabs fit the narrow header
+const ScreenTab = ({ active, onClick, icon, label }) => (
+  <button onClick={onClick} className={`flex items-center gap-2 px-3 py-1.5 rounded transition-all font-mono text-[10px] font-bold uppercase tracking-wider ${active ? 'bg-[#e06c28] text-white shadow-[0_1px_4px_rgba(224,108,40,0.4)]' : 'text-[#666] hover:text-[#999] hover:bg-[#252525]'}`}>
+    {icon}{active && <span>{label}</span>}
+  </button>
+);
+
+// Setup screen widgets (phosphor style, shown inside the CRT)
+const SetupSection = ({ title, children }) => (
+  <div className="mb-3">
+    <div className="text-[9px] md:text-[10px] font-mono font-bold tracking-[0.3em] text-[#33ff00] border-b border-[#33ff00]/30 pb-1 mb-1">{title}</div>
+    {children}
+  </div>
+);
+
+const SetupRow = ({ label, children }) => (
+  <div className="flex items-center justify-between gap-2 py-1.5 border-b border-[#33ff00]/10">
+    <span className="text-[9px] md:text-[10px] font-mono font-bold tracking-widest text-[#33ff00]/70 uppercase shrink-0">{label}</span>
+    <div className="flex flex-wrap justify-end gap-1">{children}</div>
+  </div>
+);
+
+const SetupChip = ({ active, onClick, children }) => (
+  <button onClick={onClick} className={`px-1.5 py-0.5 rounded-sm font-mono text-[9px] md:text-[10px] font-bold tracking-wider transition-colors ${active ? 'bg-[#33ff00] text-black' : 'bg-[#33ff00]/10 text-[#33ff00] hover:bg-[#33ff00]/20'}`}>
+    {children}
+  </button>
+);
+
+const SetupStepper = ({ value, onChange, min, max, step = 1, unit = '', format = null }) => (
+  <div className="flex items-center gap-1">
+    <SetupChip onClick={() => onChange(Math.max(min, value - step))}><Minus size={10} /></SetupChip>
+    <span className="w-12 text-center font-mono text-[9px] md:text-[10px] font-bold text-[#33ff00]">{format ? format(value) : `${value}${unit}`}</span>
+    <SetupChip onClick={() => onChange(Math.min(max, value + step))}><Plus size={10} /></SetupChip>
+  </div>
+);
+
+const SetupSlider = ({ value, onChange, min = 0, max = 100, unit = '' }) => (
+  <div className="flex items-center gap-2">
+    <input type="range" min={min} max={max} value={value} onChange={(e) => onChange(Number(e.target.value))} className="w-24 md:w-32 h-1 accent-[#33ff00] cursor-pointer" />
+    <span className="w-10 text-right font-mono text-[9px] md:text-[10px] font-bold text-[#33ff00]">{value}{unit}</span>
+  </div>
+);
+
+const ACCENT_STATES = ['accent', 'normal', 'silent'];
+const ACCENT_LABELS = { accent: '>', normal: '•', silent: '-' };
+
 const Fader = ({ label, value, min, max, onChange, onIncrement, onDecrement, unit = '' }) => (
   <div className="flex flex-col gap-1 w-full bg-[#1a1a1a] p-2 md:p-3 rounded-lg border border-white/5 shadow-inner h-full justify-center">
     <div className="flex justify-between items-end mb-1">
@@ -266,46 +1497,242 @@ const Fader = ({ label, value, min, max, onChange, onIncrement, onDecrement, uni
   </div>
 );
 
+// Phosphor charts: plain SVG on a 100 x 40 viewBox stretched over the panel, labels in HTML below it
+const PHOSPHOR_GLOW = { filter: 'drop-shadow(0 0 2px rgba(51,255,0,0.7))' };
+
+const PhosphorBars = ({ values, labels }) => {
+  const max = Math.max(1, ...values);
+  const width = 100 / values.length;
+  return (
+    <div className="py-1">
+      <svg viewBox="0 0 100 40" preserveAspectRatio="none" className="w-full h-20 md:h-24" style={PHOSPHOR_GLOW}>
+        {[10, 20, 30].map(y => <line key={y} x1="0" x2="100" y1={y} y2={y} stroke="#33ff00" strokeOpacity="0.1" strokeWidth="0.3" />)}
+        {values.map((value, i) => (
+          <rect key={i} x={i * width + width * 0.2} width={width * 0.6} y={40 - value / max * 38} height={value / max * 38} fill="#33ff00" fillOpacity={i === values.length - 1 ? 0.9 : 0.5} />
+        ))}
+      </svg>
+      <div className="flex font-mono text-[7px] md:text-[8px] text-[#33ff00]/60">
+        {labels.map((label, i) => <span key={i} className="flex-1 text-center truncate">{label}</span>)}
+      </div>
+    </div>
+  );
+};
+
+const PhosphorLine = ({ values, first, last }) => {
+  const low = Math.min(...values) - 5;
+  const high = Math.max(...values) + 5;
+  const x = (i) => (values.length === 1 ? 50 : i / (values.length - 1) * 100);
+  const y = (value) => 38 - (value - low) / (high - low) * 36;
+  return (
+    <div className="py-1">
+      <div className="flex justify-between font-mono text-[7px] md:text-[8px] text-[#33ff00]/60"><span>{high - 5} BPM</span><span>{low + 5} BPM</span></div>
+      <svg viewBox="0 0 100 40" preserveAspectRatio="none" className="w-full h-20 md:h-24" style={PHOSPHOR_GLOW}>
+        {[10, 20, 30].map(level => <line key={level} x1="0" x2="100" y1={level} y2={level} stroke="#33ff00" strokeOpacity="0.1" strokeWidth="0.3" />)}
+        <polyline points={values.map((value, i) => `${x(i)},${y(value)}`).join(' ')} fill="none" stroke="#33ff00" strokeWidth="0.8" vectorEffect="non-scaling-stroke" />
+      </svg>
+      <div className="flex justify-between font-mono text-[7px] md:text-[8px] text-[#33ff00]/60"><span>{first}</span><span>{last}</span></div>
+    </div>
+  );
+};
+
 // --- Main App ---
 export default function RhythmCardsApp() {
-  const [screen, setScreen] = useState('training'); 
-  const [difficulty, setDifficulty] = useState('basic');
-  const [cards, setCards] = useState([]);
-  const [bpm, setBpm] = useState(60);
-  const [volume, setVolume] = useState(75);
+  const [saved] = useState(() => applySharedRoutine(
+    applySharedExercise(loadSnapshot(), parseShareHash(window.location.hash)),
+    parseRoutineHash(window.location.hash, routineKnown()),
+  ));
+  const [screen, setScreen] = useState(saved.session.screen); 
+  const [difficulty, setDifficulty] = useState(DIFFICULTIES.includes(saved.settings.difficulty) ? saved.settings.difficulty : 'basic');
+  const [meterId, setMeterId] = useState(METERS[saved.settings.meterId] ? saved.settings.meterId : '4/4');
+  const [customPatterns, setCustomPatterns] = useState(() => saved.custom.patterns.map(makeCustomPattern));
+  const [bars, setBars] = useState(PHRASE_BARS.includes(saved.settings.bars) ? saved.settings.bars : 1);
+  const [cards, setCards] = useState(() => restoreCards(saved.session.cards, meterId, bars, { ...PATTERNS, ...Object.fromEntries(customPatterns.map(p => [p.id, p])) }));
+  const [loop, setLoop] = useState(() => (cards.length > 0 && saved.session.loop && saved.session.loop[1] < bars ? saved.session.loop : null));
+  const [viewBar, setViewBar] = useState(loop ? loop[0] : 0);
+  const [sequenceCount, setSequenceCount] = useState(null);
+  const [streamSeed, setStreamSeed] = useState(null);
+  // Level changes during the stream (see streamLevelAt), so bars drawn before a change keep their cards
+  const [streamLevels, setStreamLevels] = useState([]);
+  const [streamBar, setStreamBar] = useState(null);
+  const [streamWidth, setStreamWidth] = useState(0);
+  const [bpm, setBpm] = useState(storedNumber(saved.settings.bpm, 40, 180, DEFAULT_SNAPSHOT.settings.bpm));
+  const [volume, setVolume] = useState(storedNumber(saved.settings.volume, 0, 100, DEFAULT_SNAPSHOT.settings.volume));
+  const [trainer, setTrainer] = useState(saved.settings.trainer);
+  const [countInBars, setCountInBars] = useState(storedNumber(saved.settings.countInBars, 0, 2, DEFAULT_SNAPSHOT.settings.countInBars));
+  const [liveTempo, setLiveTempo] = useState(null);
+  const [countingIn, setCountingIn] = useState(false);
+  const [gap, setGap] = useState(saved.settings.gap);
+  const [sound, setSound] = useState(saved.settings.sound);
+  const [sampleStatus, setSampleStatus] = useState(null);
+  const [track, setTrack] = useState({ ...DEFAULT_SNAPSHOT.settings.track, ...saved.settings.track });
+  // Decoded track: { original, stretched, speed } (stretched: the copy for `speed`), null until loaded
+  const [trackAudio, setTrackAudio] = useState(null);
+  const [trackStatus, setTrackStatus] = useState(null);
+  const [trackTaps, setTrackTaps] = useState([]);
+  const [counting, setCounting] = useState(saved.settings.counting);
+  // Where in the beat the last note or rest began (null before the first), for the lit count
+  const [countAt, setCountAt] = useState(null);
+  const [countRecording, setCountRecording] = useState(null);
+  const [countStatus, setCountStatus] = useState(null);
+  const [exercise, setExercise] = useState(saved.session.exercise);
+  const [adaptive, setAdaptive] = useState({ ...DEFAULT_SNAPSHOT.settings.adaptive, ...saved.settings.adaptive });
+  const [hands, setHands] = useState({ ...DEFAULT_SNAPSHOT.settings.hands, ...saved.settings.hands });
+  const [feel, setFeel] = useState({ ...DEFAULT_SNAPSHOT.settings.feel, ...saved.settings.feel });
+  const [noteFlash, setNoteFlash] = useState(false);
+  const [quizSettings, setQuizSettings] = useState({ ...DEFAULT_SNAPSHOT.settings.quiz, ...saved.settings.quiz });
+  const [dictation, setDictation] = useState(saved.dictation);
+  // Current dictation bar: { key, ids, answers, slot, plays, marks }; marks is null until checked
+  const [quiz, setQuiz] = useState(null);
+  const [quizLog, setQuizLog] = useState([]);
+  const [quizStreak, setQuizStreak] = useState(0);
+  const [quizReview, setQuizReview] = useState(false);
+  const [routines, setRoutines] = useState(() => saved.custom.routines.map(routine => sanitizeRoutine(routine, routineKnown())));
+  const [routineDraft, setRoutineDraft] = useState(null);
+  // Running routine: { routine, step, endsAt, left (ms, while paused), paused, log, done, gapBefore }
+  const [routineRun, setRoutineRun] = useState(null);
+  const [routineNow, setRoutineNow] = useState(0);
+  const [routineStatus, setRoutineStatus] = useState(null);
+  const [history, setHistory] = useState(() => saved.history.sessions.map(sanitizeSession).filter(Boolean));
+  const [historyStatus, setHistoryStatus] = useState(null);
+  // "Today" for streaks and weeks, taken when the stats screen opens
+  const [historyNow, setHistoryNow] = useState(() => wallClock());
+  const [mastery, setMastery] = useState(saved.mastery);
+  const [ratings, setRatings] = useState({});
+  const [levelStatus, setLevelStatus] = useState(null);
+  const [input, setInput] = useState({ ...DEFAULT_SNAPSHOT.settings.input, ...saved.settings.input });
+  const [inputStatus, setInputStatus] = useState(null);
+  const [midi, setMidi] = useState({ ...DEFAULT_SNAPSHOT.settings.midi, ...saved.settings.midi });
+  const [midiDevices, setMidiDevices] = useState(null);
+  const [midiLearn, setMidiLearn] = useState(false);
+  const [midiStatus, setMidiStatus] = useState(MIDI_SUPPORTED ? null : 'NOT SUPPORTED HERE');
+  const [shareStatus, setShareStatus] = useState(null);
+  const [classroom, setClassroom] = useState({ ...DEFAULT_SNAPSHOT.settings.classroom, ...saved.settings.classroom });
+  const [classRole, setClassRole] = useState('off');
+  const [classStatus, setClassStatus] = useState(null);
+  const [classRelay, setClassRelay] = useState(null);
+  // Followers draw stream bars from the teacher's pooled custom patterns, so the bars come out the same
+  const [classPool, setClassPool] = useState(null);
+  const [codeInput, setCodeInput] = useState('');
+  const [barMuted, setBarMuted] = useState(false);
+  const [exportStatus, setExportStatus] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [isSequencePlaying, setIsSequencePlaying] = useState(false); // New State for Sequence
   const [animateCards, setAnimateCards] = useState(false);
   const [beatIndicator, setBeatIndicator] = useState(0); 
   const [activeLibraryPattern, setActiveLibraryPattern] = useState(null);
+  const [tapMode, setTapMode] = useState(false);
+  const [barResult, setBarResult] = useState(null);
+  const [editorGrid, setEditorGrid] = useState('sixteenth');
+  const [editorCells, setEditorCells] = useState([true, false, false, false]);
+  const [editorName, setEditorName] = useState('');
+  const [editingId, setEditingId] = useState(null);
 
   const metronomeRef = useRef(null);
+  const scorerRef = useRef(new PerformanceScorer());
+  // Tap accuracy per card index of the current exercise ({ sum, count }), for adaptive ratings
+  const tapScoresRef = useRef(new Map());
+  // Records scored bars (see Adaptive practice); set from the latest render
+  const recordScoresRef = useRef(() => {});
+  // Live mic capture reads the latest latency/sensitivity without restarting
+  const inputRef = useRef(input);
+  const detectorRef = useRef(null);
+  const midiAccessRef = useRef(null);
+  // A dictation bar is playing; the engine ends it (onEnd) on the downbeat after the bar
+  const quizPlayingRef = useRef(false);
+  // Audio time the current note flash ends (0 when none is showing)
+  const noteFlashRef = useRef(0);
+  // Latest routine countdown handler, for the interval that drives it
+  const routineTickRef = useRef(null);
+  // Session being logged while playback runs (see openSession), null when stopped
+  const sessionRef = useRef(null);
+  const historyFileRef = useRef(null);
+  // Classroom link state: the open link, the last cue sent or followed ({ content, cue }), clock samples
+  // and when the teacher was last heard (follower), when each follower last pinged (teacher)
+  const classRef = useRef({ link: null, cue: null, samples: [], heard: 0, peers: new Map() });
+  // Latest classroom handlers (receive, tick, publish), for the link and timers that call them
+  const classHandlerRef = useRef(null);
+  const streamViewRef = useRef(null);
+  const streamStripRef = useRef(null);
+  // Last stream beat heard ({ bar, beat, noteTime, duration }) and the strip geometry, read every frame
+  const streamClockRef = useRef(null);
+  const streamLayoutRef = useRef(null);
+  const rampStartRef = useRef(null);
+  const cardPoolKeyRef = useRef(cards.length > 0 ? cardPoolKey(difficulty, meterId, bars, customPatterns) : null);
+  const meter = METERS[meterId];
+  const savedAccents = sound.accents[meterId];
+  const accents = useMemo(() => (
+    savedAccents && savedAccents.length === METERS[meterId].beats.length ? savedAccents : defaultAccents(METERS[meterId])
+  ), [savedAccents, meterId]);
+  const patternLibrary = useMemo(() => ({ ...PATTERNS, ...Object.fromEntries(customPatterns.map(p => [p.id, p])) }), [customPatterns]);
+  const pooledCustomIds = useMemo(() => customPatterns.filter(p => p.inPool).map(p => p.id), [customPatterns]);
+  const editorPattern = useMemo(() => makeCustomPattern({ id: 'draft', name: editorName || 'DRAFT', division: EDITOR_GRIDS[editorGrid].division, cells: editorCells }), [editorGrid, editorCells, editorName]);
 
   useEffect(() => {
     if (!metronomeRef.current) metronomeRef.current = new MetronomeEngine();
+    // Bars are also scored here, not only per frame, so a hidden tab's scorer keeps up with the clock
+    const engine = metronomeRef.current;
+    engine.onPerformanceBeat = (beat) => {
+      scorerRef.current.addBeat(beat);
+      const scored = scorerRef.current.collect(engine.ctx.currentTime);
+      if (scored.length > 0) recordScoresRef.current(scored);
+    };
   }, []);
 
-  const generateCards = useCallback(() => {
+  // Hidden tabs (and locked screens) get the longer lookahead, so late ticks don't break up the click
+  useEffect(() => {
+    const onVisibility = () => metronomeRef.current.setBackground(document.hidden);
+    document.addEventListener('visibilitychange', onVisibility);
+    return () => document.removeEventListener('visibilitychange', onVisibility);
+  }, []);
+
+  // Shows `patterns` (one per beat) as the new exercise, with the deal animation
+  const dealCards = useCallback((patterns, nextExercise) => {
     setAnimateCards(false);
     setIsSequencePlaying(false); // Stop sequence on shuffle
+    setBarResult(null);
+    setLoop(null);
+    setViewBar(0);
+    setRatings({});
+    tapScoresRef.current = new Map();
     if (metronomeRef.current) metronomeRef.current.setActiveSequence(null);
 
     setTimeout(() => {
-      const basic = ['quarter', 'eighthPair', 'sixteenthQuad'];
-      const advanced = [...basic, 'front8Back16', 'front16Back8', 'triplet'];
-      const expert = [...advanced, 'dotted8Sixteenth', 'sixteenthDotted8', 'syncopation16'];
-      const pool = difficulty === 'basic' ? basic : difficulty === 'advanced' ? advanced : expert;
-      
-      const newCards = Array(4).fill(null).map(() => {
-        const randomKey = pool[Math.floor(Math.random() * pool.length)];
-        return { ...PATTERNS[randomKey], uid: Math.random() };
-      });
-      setCards(newCards);
+      setCards(patterns.map(pattern => ({ ...pattern, uid: Math.random() })));
+      setExercise(nextExercise);
       setAnimateCards(true);
     }, 100);
-  }, [difficulty]);
+  }, []);
+
+  // `stats` lets a caller that just recorded an exercise draw from the updated mastery
+  const generateCards = useCallback((stats = mastery) => {
+    // One card per beat, drawn from the pool matching that beat's kind (plus pooled custom cards on simple beats)
+    const pooledCustom = customPatterns.filter(p => p.inPool).map(p => p.id);
+    const seed = randomSeed();
+    const weightOf = adaptive.enabled ? (id) => masteryWeight(stats.patterns[id], stats.clock) : null;
+    const ids = drawCardIds(seed, difficulty, meterId, bars, pooledCustom, weightOf);
+    // Adaptive draws depend on local stats, so only a link (not a code) reproduces them
+    dealCards(ids.map(id => patternLibrary[id]), { seed, builtIn: pooledCustom.length === 0 && !adaptive.enabled, daily: false });
+  }, [difficulty, meterId, bars, customPatterns, patternLibrary, dealCards, adaptive.enabled, mastery]);
+
+  const poolKey = cardPoolKey(difficulty, meterId, bars, customPatterns);
+  useEffect(() => {
+    if (cardPoolKeyRef.current === poolKey) return;
+    cardPoolKeyRef.current = poolKey;
+    generateCards();
+  }, [poolKey, generateCards]);
 
-  useEffect(() => { generateCards(); }, [generateCards]);
+  // Persist settings, session and custom content (debounced; cards by pattern id)
+  useEffect(() => {
+    const timer = setTimeout(() => saveSnapshot({
+      settings: { bpm, volume, difficulty, meterId, bars, countInBars, trainer, gap, sound, track, counting, feel, adaptive, hands, quiz: quizSettings, input, midi, classroom },
+      session: { screen, cards: cards.map(card => card.id), exercise, loop },
+      custom: { patterns: customPatterns.map(({ id, name, division, cells, inPool }) => ({ id, name, division, cells, inPool })), routines },
+      mastery,
+      dictation,
+      history: { sessions: history },
+    }), 300);
+    return () => clearTimeout(timer);
+  }, [bpm, volume, difficulty, meterId, bars, countInBars, trainer, gap, sound, track, counting, feel, adaptive, hands, quizSettings, input, midi, classroom, screen, cards, exercise, loop, customPatterns, routines, mastery, dictation, history]);
 
   useEffect(() => {
     let animationFrameId;
@@ -316,23 +1743,349 @@ export default function RhythmCardsApp() {
         while (engine.visualQueue.length > 0 && engine.visualQueue[0].noteTime <= currentTime) {
           const currentNote = engine.visualQueue.shift();
           setBeatIndicator(currentNote.beat);
+          setCountAt(null);
+          if (currentNote.step !== null) setSequenceCount(currentNote.step);
+          if (currentNote.streamBar !== null) {
+            streamClockRef.current = { bar: currentNote.streamBar, beat: currentNote.beat, noteTime: currentNote.noteTime, duration: currentNote.duration };
+            setStreamBar(currentNote.streamBar);
+          }
+          setLiveTempo(currentNote.tempo);
+          setCountingIn(currentNote.countIn);
+          setBarMuted(currentNote.muted);
         }
-      }
-      animationFrameId = requestAnimationFrame(tick);
+        let noteHeard = false;
+        while (engine.noteQueue.length > 0 && engine.noteQueue[0] <= currentTime) {
+          engine.noteQueue.shift();
+          noteHeard = true;
+        }
+        // Of several counts due at once (a late frame) only the newest is spoken
+        let say = null;
+        while (engine.countQueue.length > 0 && engine.countQueue[0].time <= currentTime) {
+          const count = engine.countQueue.shift();
+          setCountAt(count.at);
+          say = count.say || say;
+        }
+        if (say) speakCount(say);
+        if (noteHeard) {
+          noteFlashRef.current = currentTime + NOTE_FLASH;
+          setNoteFlash(true);
+        } else if (noteFlashRef.current && currentTime > noteFlashRef.current) {
+          noteFlashRef.current = 0;
+          setNoteFlash(false);
+        }
+        const scored = scorerRef.current.collect(currentTime);
+        if (scored.length > 0) recordScoresRef.current(scored);
+      }
+      // The stream strip moves straight from the audio clock (no React render per frame), so it can't drift
+      const strip = streamStripRef.current;
+      const layout = streamLayoutRef.current;
+      if (strip && layout) {
+        const clock = streamClockRef.current;
+        let position = 0;
+        if (clock && engine) {
+          const progress = Math.min(1, Math.max(0, (engine.ctx.currentTime - clock.noteTime) / clock.duration));
+          position = clock.bar * layout.barUnits + layout.beatStarts[clock.beat] + layout.beatLengths[clock.beat] * progress;
+        }
+        strip.style.transform = `translateX(${layout.playheadX - position * layout.unitWidth}px)`;
+      }
+      animationFrameId = requestAnimationFrame(tick);
     };
     tick();
     return () => cancelAnimationFrame(animationFrameId);
   }, []);
 
+  // Tap input: spacebar here, pointer/touch on the screen area via onPointerDown
+  const registerTap = useCallback((eventTimeStamp) => {
+    const engine = metronomeRef.current;
+    if (!engine || !engine.isPlaying || !engine.trackPerformance) return;
+    // Undo input dispatch delay, then compare against when the onset was actually heard
+    const inputDelay = eventTimeStamp ? Math.max(0, performance.now() - eventTimeStamp) / 1000 : 0;
+    const outputLatency = (engine.ctx.outputLatency || 0) + (engine.ctx.baseLatency || 0);
+    scorerRef.current.addHit(engine.ctx.currentTime - inputDelay - outputLatency);
+  }, []);
+
+  useEffect(() => {
+    if (!tapMode || input.source !== 'touch') return;
+    const onKeyDown = (e) => {
+      if (e.code !== 'Space' || e.repeat) return;
+      e.preventDefault();
+      registerTap(e.timeStamp);
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [tapMode, input.source, registerTap]);
+
+  // Mic input: detected onsets become hits once shifted back by the input and output latency
+  useEffect(() => {
+    inputRef.current = input;
+    if (detectorRef.current) detectorRef.current.sensitivity = input.sensitivity / 100;
+  }, [input]);
+
+  useEffect(() => {
+    const engine = metronomeRef.current;
+    if (!tapMode || input.source !== 'mic' || !engine) return;
+    let stop = null;
+    let cancelled = false;
+    const detector = new OnsetDetector({ sensitivity: inputRef.current.sensitivity / 100 });
+    detectorRef.current = detector;
+    startMicCapture(engine.ctx, detector, (onsets) => {
+      if (!engine.isPlaying || !engine.trackPerformance) return;
+      const outputLatency = (engine.ctx.outputLatency || 0) + (engine.ctx.baseLatency || 0);
+      onsets.forEach(time => scorerRef.current.addHit(compensateLatency(time, inputRef.current.latency, outputLatency)));
+    }).then((stopCapture) => {
+      if (cancelled) stopCapture();
+      else stop = stopCapture;
+    }).catch(() => {
+      setInputStatus('MIC: NO ACCESS');
+    });
+    return () => {
+      cancelled = true;
+      detectorRef.current = null;
+      if (stop) stop();
+    };
+  }, [tapMode, input.source]);
+
+  useEffect(() => {
+    const engine = metronomeRef.current;
+    const scorer = scorerRef.current;
+    if (engine) engine.setTrackPerformance(tapMode && isSequencePlaying);
+    // Stopping scores the last bars, the one cut short included, before the session closes
+    return () => {
+      if (engine) recordScoresRef.current(scorer.finish(engine.ctx.currentTime));
+    };
+  }, [tapMode, isSequencePlaying]);
+
+  // --- Web MIDI ---
+  const connectMidi = useCallback(() => navigator.requestMIDIAccess().then((access) => {
+    midiAccessRef.current = access;
+    setMidiDevices(midiPorts(access));
+    access.onstatechange = () => setMidiDevices(midiPorts(access));
+    setMidi(current => ({ ...current, enabled: true }));
+    setMidiStatus(null);
+  }).catch(() => {
+    setMidiStatus('ACCESS REFUSED');
+  }), []);
+
+  // Reconnect if MIDI was in use last time
+  useEffect(() => {
+    if (MIDI_SUPPORTED && saved.settings.midi && saved.settings.midi.enabled) connectMidi();
+  }, [saved, connectMidi]);
+
+  useEffect(() => {
+    const engine = metronomeRef.current;
+    const access = midiAccessRef.current;
+    const port = access && midi.outputId ? access.outputs.get(midi.outputId) : null;
+    if (engine) engine.setMidiOutput(port ? { port, channel: midi.outChannel, notes: midi.notes, audio: midi.audio } : null);
+  }, [midiDevices, midi.outputId, midi.outChannel, midi.notes, midi.audio]);
+
+  // Note-ons from the chosen input/channel are hits while MIDI is the tap source; LEARN takes the next note
+  useEffect(() => {
+    const access = midiAccessRef.current;
+    if (!access || !((tapMode && input.source === 'midi') || midiLearn)) return;
+    const ports = [...access.inputs.values()].filter(port => !midi.inputId || port.id === midi.inputId);
+    const onMessage = (e) => {
+      const note = midiNoteOn(e.data, midi.inChannel);
+      if (note === null) return;
+      if (midiLearn) {
+        setMidi(current => ({ ...current, inNote: note }));
+        setMidiLearn(false);
+      } else if (midi.inNote === null || note === midi.inNote) {
+        registerTap(e.timeStamp);
+      }
+    };
+    ports.forEach(port => {
+      port.addEventListener('midimessage', onMessage);
+      port.open();
+    });
+    return () => ports.forEach(port => port.removeEventListener('midimessage', onMessage));
+  }, [midiDevices, tapMode, input.source, midiLearn, midi.inputId, midi.inChannel, midi.inNote, registerTap]);
+
+  const updateMidiNote = (key, note) => setMidi({ ...midi, notes: { ...midi.notes, [key]: note } });
+
+  const toggleTapMode = () => {
+      setTapMode(!tapMode);
+      setBarResult(null);
+      setInputStatus(null);
+  };
+
+  // Input latency from the last scored bar: a consistently late mean offset is the capture delay
+  const calibrateLatency = () => {
+      if (!barResult || barResult.meanOffset === null) {
+          setInputStatus('CAL: PLAY A BAR FIRST');
+          return;
+      }
+      setInput({ ...input, latency: calibratedLatency(input.latency, barResult.meanOffset) });
+      setInputStatus(`CAL: ${formatOffset(barResult.meanOffset)}`);
+  };
+
+  // Scores a recording of the current exercise through the mic detection path (lined up on its first hit)
+  const analyzeRecording = async (file) => {
+      const engine = metronomeRef.current;
+      if (!file || !engine || cards.length === 0) return;
+      try {
+          const buffer = await engine.ctx.decodeAudioData(await file.arrayBuffer());
+          const hits = detectRecordingOnsets(buffer, new OnsetDetector({ sensitivity: input.sensitivity / 100 }));
+          const scored = scoreRecording(hits, exerciseOnsets(cards, meter, bpm, 0, engineFeel(feel)));
+          if (!scored) {
+              setInputStatus('FILE: NO HITS FOUND');
+              return;
+          }
+          const result = { ...scored, file: true };
+          applyLoop(null);
+          recordScoresRef.current([result]);
+          setInputStatus(`FILE: ${result.grade} ${Math.round(result.accuracy * 100)}% (${hits.length} HITS)`);
+      } catch {
+          setInputStatus('FILE: UNREADABLE');
+      }
+  };
+
   useEffect(() => { if (metronomeRef.current) metronomeRef.current.setVolume(volume / 100); }, [volume]);
   useEffect(() => { if (metronomeRef.current) metronomeRef.current.setTempo(bpm); }, [bpm]);
+  useEffect(() => { if (metronomeRef.current) metronomeRef.current.setMeter(METERS[meterId]); }, [meterId]);
+  // A play-along track sets the tempo while it's on (once stretched for its speed)
+  const trackBuffer = trackAudio && trackAudio.speed === track.speed ? trackAudio.stretched : null;
+  const trackOn = track.enabled && !!trackBuffer && TRACK_SCREENS.includes(screen);
+  const trackTempo = trackOn ? track.bpm * track.speed : null;
+  // In class everyone's tempo has to stay the same, and a track keeps its own, so the speed trainer sits out
+  const trainerActive = trainer.enabled && classRole === 'off' && !trackOn;
+  // Switching the trainer on or off, or a new start tempo, starts the ramp over; other edits carry on from the tempo reached
+  useEffect(() => {
+    const engine = metronomeRef.current;
+    if (!engine) return;
+    const key = trainerActive ? trainer.start : null;
+    if (key !== null && key === rampStartRef.current) engine.updateTempoRamp(trainer);
+    else engine.setTempoRamp(trainerActive ? trainer : null);
+    rampStartRef.current = key;
+  }, [trainer, trainerActive]);
+  useEffect(() => { if (metronomeRef.current) metronomeRef.current.setGapClick(gap.enabled ? gap : null); }, [gap]);
+  useEffect(() => { if (metronomeRef.current) metronomeRef.current.setKit(sound.kit); }, [sound.kit]);
+  useEffect(() => { if (metronomeRef.current) metronomeRef.current.setLevels(sound.clickLevel / 100, sound.voiceLevel / 100); }, [sound.clickLevel, sound.voiceLevel]);
+  useEffect(() => { if (metronomeRef.current) metronomeRef.current.setSubdivision(sound.subdivision); }, [sound.subdivision]);
+  useEffect(() => { if (metronomeRef.current) metronomeRef.current.setAccents(accents); }, [accents]);
+  useEffect(() => { if (metronomeRef.current) metronomeRef.current.setFeel(engineFeel(feel)); }, [feel]);
+  useEffect(() => { if (metronomeRef.current) metronomeRef.current.setStartLead(classRole === 'teacher' ? CLASS_LEAD / 1000 : 0); }, [classRole]);
+  useEffect(() => { if (metronomeRef.current) metronomeRef.current.setCountLevel(counting.level / 100); }, [counting.level]);
+  // Dictation plays bars to be worked out by ear, so it isn't counted aloud
+  const countSystemId = counting.system === 'off' ? 'numbers' : counting.system;
+  const countVoice = counting.voice === 'speech' && !SPEECH_SUPPORTED ? 'off' : counting.voice;
+  useEffect(() => {
+    if (!metronomeRef.current) return;
+    metronomeRef.current.setCounter(countVoice !== 'off' && screen !== 'quiz' ? { system: countSystemId, voice: countVoice, notes: counting.speak === 'all' } : null);
+  }, [countSystemId, countVoice, counting.speak, screen]);
+  useEffect(() => {
+    if (!metronomeRef.current) return;
+    metronomeRef.current.setHands(hands.enabled ? {
+      R: { kit: hands.right.kit, pan: hands.right.pan / 100 },
+      L: { kit: hands.left.kit, pan: hands.left.pan / 100 },
+    } : null);
+  }, [hands]);
+
+  // Decode samples saved in earlier sessions once the engine exists
+  useEffect(() => {
+    const engine = metronomeRef.current;
+    if (!engine) return;
+    const names = { ...DEFAULT_SNAPSHOT.settings.sound.samples, ...saved.settings.sound.samples };
+    SAMPLE_SLOTS.filter(slot => names[slot]).forEach(slot => {
+      loadBlob(`sample:${slot}`)
+        .then(data => data && engine.ctx.decodeAudioData(data.slice(0)))
+        .then(buffer => { if (buffer) engine.setSample(slot, buffer); })
+        .catch(() => {});
+    });
+    saved.settings.counting.recorded.forEach(text => {
+      loadBlob(`count:${text}`)
+        .then(data => data && engine.ctx.decodeAudioData(data))
+        .then(buffer => { if (buffer) engine.setCountSample(text, trimCount(engine.ctx, buffer)); })
+        .catch(() => {});
+    });
+  }, [saved]);
+
+  // Gap bars with "dark" on hide every beat cue, not just the click
+  const visualsDark = gap.enabled && gap.darkLeds && barMuted;
+
+  const updateTrainer = (patch) => {
+      const next = { ...trainer, ...patch };
+      setTrainer(next);
+      // Leaving the trainer hands the tempo back to the fader
+      if (!next.enabled && metronomeRef.current) metronomeRef.current.setTempo(bpm);
+  };
+
+  const updateSound = (patch) => setSound(current => ({ ...current, ...patch }));
+
+  // Accent editor: each tap cycles the beat accent -> normal -> silent
+  const cycleAccent = (beat) => {
+      const next = accents.map((state, i) => (i === beat ? ACCENT_STATES[(ACCENT_STATES.indexOf(state) + 1) % ACCENT_STATES.length] : state));
+      updateSound({ accents: { ...sound.accents, [meterId]: next } });
+  };
+
+  const loadSample = async (slot, file) => {
+      const engine = metronomeRef.current;
+      if (!file || !engine) return;
+      try {
+          const data = await file.arrayBuffer();
+          // decodeAudioData detaches its input, so keep a copy for storage
+          engine.setSample(slot, await engine.ctx.decodeAudioData(data.slice(0)));
+          await saveBlob(`sample:${slot}`, data);
+          setSound(current => ({ ...current, samples: { ...current.samples, [slot]: file.name } }));
+          setSampleStatus(null);
+      } catch {
+          setSampleStatus(`BAD ${slot.toUpperCase()} FILE`);
+      }
+  };
+
+  const clearSample = (slot) => {
+      if (metronomeRef.current) metronomeRef.current.setSample(slot, null);
+      deleteBlob(`sample:${slot}`).catch(() => {});
+      setSound(current => ({ ...current, samples: { ...current.samples, [slot]: null } }));
+  };
+
+  const updateCounting = (patch) => setCounting(current => ({ ...current, ...patch }));
+
+  // Counts under a card: `beat` is its place in the bar, `playing` lights the count sounding now
+  const cardCounts = (pattern, beat, playing) => (
+    counting.system === 'off' ? null : noteCounts(pattern, COUNT_SYSTEMS[counting.system], beat + 1, playing ? countAt : null)
+  );
+
+  // Records one syllable of the counting voice, said once its chip shows REC
+  const recordCount = async (text) => {
+      const engine = metronomeRef.current;
+      if (!engine || countRecording) return;
+      setCountRecording(text);
+      setCountStatus(`SAY "${text.toUpperCase()}"`);
+      try {
+          const data = await recordMic(COUNT_RECORD_MS);
+          // decodeAudioData detaches its input, so keep a copy for storage
+          const buffer = trimCount(engine.ctx, await engine.ctx.decodeAudioData(data.slice(0)));
+          if (buffer) {
+              engine.setCountSample(text, buffer);
+              await saveBlob(`count:${text}`, data);
+              setCounting(current => ({ ...current, recorded: [...current.recorded.filter(other => other !== text), text] }));
+          }
+          setCountStatus(buffer ? null : 'NOTHING HEARD: TRY AGAIN');
+      } catch {
+          setCountStatus('NO MICROPHONE');
+      }
+      setCountRecording(null);
+  };
+
+  const clearCountRecordings = () => {
+      const texts = countInventory(COUNT_SYSTEMS[countSystemId]);
+      texts.forEach(text => {
+          if (metronomeRef.current) metronomeRef.current.setCountSample(text, null);
+          deleteBlob(`count:${text}`).catch(() => {});
+      });
+      setCounting(current => ({ ...current, recorded: current.recorded.filter(text => !texts.includes(text)) }));
+  };
 
   const toggleMetronome = async () => {
     if (isPlaying) {
       metronomeRef.current.stop();
       setIsPlaying(false);
       setIsSequencePlaying(false); // Reset sequence state on stop
+      stopStream();
+      stopQuizPlayback();
       setBeatIndicator(0);
+      setCountingIn(false);
+      setBarMuted(false);
     } else {
       metronomeRef.current.setTempo(bpm);
       await metronomeRef.current.start();
@@ -345,37 +2098,992 @@ export default function RhythmCardsApp() {
     setBpm(newBpm);
   };
 
+  // --- Phrase playback ---
+  const phraseLength = Math.max(1, Math.round(cards.length / meter.beats.length));
+  const [loopStart, loopEnd] = loop || [0, phraseLength - 1];
+
+  // Two-voice lines: the cards (or the polyrhythm's right hand) over a left-hand line of the same length
+  const polyrhythm = hands.enabled ? POLYRHYTHMS[hands.source] : null;
+  const twoHands = useMemo(() => (
+    twoHandLines(cards, hands, exercise, handDeal(difficulty, meterId, pooledCustomIds, patternLibrary))
+  ), [cards, hands, exercise, difficulty, meterId, pooledCustomIds, patternLibrary]);
+  const handLines = twoHands ? [['R', twoHands.right], ['L', twoHands.left]] : [[null, cards]];
+
+  // The looped bars as one engine sequence (ties wrap from the range's last bar to its first)
+  const loopSequence = (range) => rangeSequence(cards, twoHands, range, meter.beats);
+
+  // Changing the lines under a playing sequence stops it, like dealing new cards does
+  const updateHands = (patch) => {
+      setHands({ ...hands, ...patch });
+      if (isSequencePlaying && (patch.enabled !== undefined || patch.source !== undefined)) {
+          setIsSequencePlaying(false);
+          metronomeRef.current.setActiveSequence(null);
+      }
+  };
+
+  // Tapping a bar loops just that bar; tapping another then extends the loop to the range between them
+  const selectLoopBar = (bar) => {
+      const next = loop && loop[0] === loop[1] && loop[0] !== bar ? [Math.min(loop[0], bar), Math.max(loop[0], bar)] : [bar, bar];
+      applyLoop(next[0] === 0 && next[1] === phraseLength - 1 ? null : next);
+  };
+
+  const applyLoop = (range) => {
+      setLoop(range);
+      setBarResult(null);
+      setViewBar(range ? range[0] : 0);
+      if (isSequencePlaying && metronomeRef.current) {
+          metronomeRef.current.setActiveSequence(loopSequence(range));
+          setSequenceCount(null);
+      }
+  };
+
+  // Page-turn view: two line slots. The playing bar keeps its slot; the other shows the bar before it
+  // until halfway through, then turns to the next one, so the upcoming line is always read ahead.
+  const beatsPerBar = meter.beats.length;
+  let currentBar = null;
+  let currentBeat = null;
+  let lines = [viewBar, viewBar + 1 < phraseLength ? viewBar + 1 : null];
+  if (isSequencePlaying && sequenceCount !== null) {
+      const loopLength = loopEnd - loopStart + 1;
+      const played = Math.floor(sequenceCount / beatsPerBar);
+      currentBar = loopStart + played % loopLength;
+      currentBeat = sequenceCount % beatsPerBar;
+      const next = loopStart + (played + 1) % loopLength;
+      const previous = loopStart + (played + loopLength - 1) % loopLength;
+      const other = loopLength === 1 ? null : played === 0 || currentBeat >= beatsPerBar / 2 ? next : previous;
+      lines = played % 2 === 0 ? [currentBar, other] : [other, currentBar];
+  }
+  if (phraseLength === 1) lines = [0];
+
+  // File results number their steps across the whole exercise; live ones within the looped bars
+  const resultOffset = barResult && barResult.file ? 0 : loopStart * beatsPerBar;
+  const cardResult = (index) => {
+      if (!barResult || (!tapMode && !barResult.file)) return null;
+      return barResult.cards.find(card => resultOffset + card.step === index) || null;
+  };
+
+  // --- Adaptive practice ---
+  // Every scored bar adds to its cards' tap accuracy for this exercise and, when played live, to the
+  // session log (per card not with two hands, where the hits also cover the left-hand line). A late tick
+  // can score several bars at once: all of them count, the last is the one shown.
+  useEffect(() => {
+    recordScoresRef.current = (results) => {
+      results.forEach(result => {
+        const session = result.file ? null : sessionRef.current;
+        if (session) {
+          session.bars += 1;
+          session.accuracy += result.accuracy;
+        }
+        if (hands.enabled) return;
+        const offset = result.file ? 0 : loopStart * beatsPerBar;
+        result.cards.forEach(card => {
+          const index = offset + card.step;
+          const entry = tapScoresRef.current.get(index) || { sum: 0, count: 0 };
+          tapScoresRef.current.set(index, { sum: entry.sum + card.accuracy, count: entry.count + 1 });
+          if (session && cards[index]) {
+            const [sum, count] = session.cards[cards[index].id] || [0, 0];
+            session.cards[cards[index].id] = [sum + card.accuracy, count + 1];
+          }
+        });
+      });
+      if (results.length > 0) setBarResult(results[results.length - 1]);
+    };
+  }, [loopStart, beatsPerBar, hands.enabled, cards]);
+
+  // Self-rating: tapping a card cycles unrated -> hard -> good
+  const cycleRating = (index) => {
+      const next = { ...ratings };
+      if (!next[index]) next[index] = 'hard';
+      else if (next[index] === 'hard') next[index] = 'good';
+      else delete next[index];
+      setRatings(next);
+  };
+
+  // SYNC in adaptive mode: record the finished exercise (self-ratings win over tap accuracy), level up
+  // after a run of accurate exercises, then draw the next one
+  const nextExercise = () => {
+      if (!adaptive.enabled) {
+          generateCards();
+          return;
+      }
+      const rated = cards.map((card, index) => {
+          const tap = tapScoresRef.current.get(index);
+          const quality = ratings[index] ? SELF_RATINGS[ratings[index]] : tap ? tap.sum / tap.count : null;
+          return quality === null ? null : { id: card.id, quality };
+      }).filter(Boolean);
+      if (rated.length === 0) {
+          generateCards();
+          return;
+      }
+      const recorded = recordExercise(mastery, rated);
+      let stats = recorded.mastery;
+      setLevelStatus(`LAST ${Math.round(recorded.mean * 100)}%`);
+      const nextLevel = DIFFICULTIES[DIFFICULTIES.indexOf(difficulty) + 1];
+      const step = adaptive.autoLevel ? levelUp(stats, nextLevel, poolIds(difficulty, meterId)) : null;
+      if (step) {
+          stats = step.mastery;
+          if (step.difficulty) {
+              // The pool change redraws the cards
+              setMastery(stats);
+              chooseDifficulty(step.difficulty);
+              setLevelStatus(`LEVEL UP: ${step.difficulty.toUpperCase()}`);
+              return;
+          }
+          if (bpm < 180) {
+              setBpm(Math.min(180, bpm + 5));
+              setLevelStatus(`TEMPO UP: ${Math.min(180, bpm + 5)}`);
+          }
+      }
+      setMastery(stats);
+      generateCards(stats);
+  };
+
+  const resetMastery = () => {
+      setMastery(DEFAULT_SNAPSHOT.mastery);
+      setLevelStatus(null);
+  };
+
+  // Plays `sequence` after the count-in, starting the clock at `tempo` if it isn't running
+  const startSequence = async (sequence, tempo = bpm) => {
+      const engine = metronomeRef.current;
+      engine.setActiveSequence(sequence);
+      setSequenceCount(null);
+      setIsSequencePlaying(true);
+      if (!engine.isPlaying) {
+          engine.setTempo(tempo);
+          await engine.start({ countInBars });
+          setIsPlaying(true);
+      } else {
+          engine.beginCountIn(countInBars);
+      }
+  };
+
   const toggleSequence = async () => {
       if (isSequencePlaying) {
           setIsSequencePlaying(false);
           metronomeRef.current.setActiveSequence(null);
       } else {
-          const sequenceTimings = cards.map(card => card.timings);
-          metronomeRef.current.setActiveSequence(sequenceTimings);
-          setIsSequencePlaying(true);
-          if (!isPlaying) {
-              metronomeRef.current.setTempo(bpm);
-              await metronomeRef.current.start();
-              setIsPlaying(true);
-          }
+          await startSequence(loopSequence(loop));
       }
   };
 
+  // `library` and `beats` (optional) let a caller switching patterns or meter go ahead of the state catching up
+  const activateLibraryPattern = (patternKey, library, beats) => {
+      setActiveLibraryPattern(patternKey);
+      const pattern = (library || patternLibrary)[patternKey];
+      const meterBeats = beats || meter.beats;
+      const beat = meterBeats.find(b => b.kind === patternKind(pattern)) || meterBeats[0];
+      metronomeRef.current.setActivePattern(buildSequence([pattern], [beat], { loop: false })[0], patternKind(pattern));
+  };
+
   const handlePatternClick = (patternKey) => {
       if (activeLibraryPattern === patternKey) {
           setActiveLibraryPattern(null);
           metronomeRef.current.setActivePattern(null);
       } else {
-          setActiveLibraryPattern(patternKey);
-          metronomeRef.current.setActivePattern(PATTERNS[patternKey].timings);
+          activateLibraryPattern(patternKey);
           if (!isPlaying) toggleMetronome();
       }
   };
 
+  // --- Sight-reading stream ---
+  const streamCards = useCallback((seed, index, levels = streamLevels) => (
+    streamBarIds(seed, index, streamLevelAt(levels, index, difficulty), meterId, classPool || pooledCustomIds).map(id => patternLibrary[id])
+  ), [streamLevels, difficulty, meterId, classPool, pooledCustomIds, patternLibrary]);
+  const streamProvider = useCallback((seed, levels = streamLevels) => (
+    (index) => streamBarNotes(i => streamCards(seed, i, levels), index, METERS[meterId])
+  ), [streamCards, meterId, streamLevels]);
+
+  // Level changes reach the engine without restarting the stream
+  useEffect(() => {
+    if (streamSeed !== null && metronomeRef.current) metronomeRef.current.setBarProvider(streamProvider(streamSeed), false);
+  }, [streamSeed, streamProvider]);
+
+  // A running stream takes a new level from the first bar the engine hasn't drawn: it has the bar playing
+  // and the one after (for ties), and the strip shows those with the cards heard
+  const chooseDifficulty = (level) => {
+      setDifficulty(level);
+      const engine = metronomeRef.current;
+      if (streamSeed === null || !engine) return;
+      const from = Math.max(0, engine.streamBar + 2);
+      setStreamLevels(levels => [...levels.filter(change => change.from < from), { from, level }]);
+  };
+
+  useEffect(() => {
+    const view = streamViewRef.current;
+    if (screen !== 'stream' || !view) return;
+    const observer = new ResizeObserver(() => setStreamWidth(view.clientWidth));
+    observer.observe(view);
+    return () => observer.disconnect();
+  }, [screen]);
+
+  const streamBarPx = streamWidth * STREAM_BAR_WIDTH;
+  useEffect(() => {
+    const units = barUnits(meter);
+    streamLayoutRef.current = {
+      barUnits: units,
+      beatLengths: meter.beats.map(beat => beat.length),
+      beatStarts: meter.beats.map((_, i) => meter.beats.slice(0, i).reduce((total, beat) => total + beat.length, 0)),
+      unitWidth: streamBarPx / units,
+      playheadX: streamWidth * STREAM_PLAYHEAD,
+    };
+  }, [meter, streamWidth, streamBarPx]);
+
+  const stopStream = () => {
+      if (metronomeRef.current) metronomeRef.current.setBarProvider(null);
+      streamClockRef.current = null;
+      setStreamSeed(null);
+      setStreamBar(null);
+  };
+
+  // Starts a fresh stream (like SEQ: with the count-in, starting the clock if needed). A routine passes
+  // the level and tempo it is switching to, ahead of the state catching up.
+  const startStream = async (level = difficulty, tempo = bpm) => {
+      const engine = metronomeRef.current;
+      const seed = randomSeed();
+      const levels = [{ from: 0, level }];
+      setIsSequencePlaying(false);
+      engine.setActiveSequence(null);
+      engine.setBarProvider(streamProvider(seed, levels));
+      streamClockRef.current = null;
+      setStreamSeed(seed);
+      setStreamLevels(levels);
+      setStreamBar(null);
+      if (!engine.isPlaying) {
+          engine.setTempo(tempo);
+          await engine.start({ countInBars });
+          setIsPlaying(true);
+      } else {
+          engine.beginCountIn(countInBars);
+      }
+  };
+
+  const toggleStream = () => (streamSeed !== null ? stopStream() : startStream());
+
+  // --- Dictation ---
+  // A bar drawn for another difficulty, meter or custom pool is stale: PLAY deals a fresh one
+  const quizKey = cardPoolKey(difficulty, meterId, 1, customPatterns);
+  const quizBar = quiz && quiz.key === quizKey ? quiz : null;
+  const quizPool = [...poolIds(difficulty, meterId), ...pooledCustomIds];
+  const quizLimit = quizSettings.replays;
+  const quizScore = quizLog.reduce((total, entry) => ({
+      right: total.right + entry.marks.filter(Boolean).length,
+      beats: total.beats + entry.marks.length,
+  }), { right: 0, beats: 0 });
+
+  const stopQuizPlayback = () => {
+      if (!quizPlayingRef.current) return;
+      quizPlayingRef.current = false;
+      const engine = metronomeRef.current;
+      engine.onEnd = null;
+      engine.stop();
+      engine.setBarProvider(null);
+      engine.setTempoRamp(trainerActive ? trainer : null);
+      engine.setGapClick(gap.enabled ? gap : null);
+      setIsPlaying(false);
+      setBeatIndicator(0);
+      setCountingIn(false);
+  };
+
+  // Plays the bar once after a bar of count-in, at the fader tempo with no speed trainer or gap click
+  const playQuizBar = async (bar) => {
+      const engine = metronomeRef.current;
+      stopQuizPlayback();
+      if (engine.isPlaying) engine.stop();
+      setIsSequencePlaying(false);
+      engine.setActiveSequence(null);
+      engine.setTempoRamp(null);
+      engine.setGapClick(null);
+      const notes = buildSequence(bar.ids.map(id => patternLibrary[id]), meter.beats, { loop: false });
+      // The provider runs out after the bar, so the engine stops on the audio clock at the next downbeat
+      engine.setBarProvider((index) => (index === 0 ? notes : null));
+      engine.onEnd = stopQuizPlayback;
+      quizPlayingRef.current = true;
+      engine.setTempo(bpm);
+      await engine.start({ countInBars: 1 });
+      setIsPlaying(true);
+      setQuiz({ ...bar, plays: bar.plays + 1 });
+  };
+
+  const newQuizBar = () => ({
+      key: quizKey,
+      ids: drawCardIds(randomSeed(), difficulty, meterId, 1, pooledCustomIds),
+      answers: meter.beats.map(() => null),
+      slot: 0,
+      plays: 0,
+      marks: null,
+  });
+
+  // Replays are limited until the bar is checked; afterwards it can be heard again freely
+  const quizPlaysLeft = !quizBar || quizBar.marks || quizLimit === 0 || quizBar.plays < quizLimit;
+  const playQuiz = () => {
+      if (!quizBar) playQuizBar(newQuizBar());
+      else if (quizPlaysLeft) playQuizBar(quizBar);
+  };
+
+  // Fills the selected beat, then moves on to the next unanswered one
+  const answerQuiz = (id) => {
+      if (!quizBar || quizBar.marks) return;
+      const answers = quizBar.answers.map((answer, i) => (i === quizBar.slot ? id : answer));
+      const next = answers.findIndex((answer, i) => answer === null && i > quizBar.slot);
+      const slot = next >= 0 ? next : answers.findIndex(answer => answer === null);
+      setQuiz({ ...quizBar, answers, slot: slot >= 0 ? slot : quizBar.slot });
+  };
+
+  const checkQuiz = () => {
+      if (!quizBar || quizBar.marks) {
+          playQuizBar(newQuizBar());
+          return;
+      }
+      if (quizBar.answers.includes(null)) return;
+      const marks = dictationMarks(quizBar.answers.map(id => patternLibrary[id]), quizBar.ids.map(id => patternLibrary[id]), meter.beats);
+      const right = marks.filter(Boolean).length;
+      const streak = right === marks.length ? quizStreak + 1 : 0;
+      setQuiz({ ...quizBar, marks });
+      setQuizLog([{ meterId, ids: quizBar.ids, answers: quizBar.answers, marks }, ...quizLog]);
+      setQuizStreak(streak);
+      setDictation({ best: Math.max(dictation.best, streak), beats: dictation.beats + marks.length, correct: dictation.correct + right });
+  };
+
+  // --- Pattern editor ---
+  useEffect(() => {
+    if (screen !== 'editor' || !metronomeRef.current) return;
+    metronomeRef.current.setActivePattern(buildSequence([editorPattern], [simpleBeat], { loop: false })[0]);
+  }, [screen, editorPattern]);
+
+  const resetEditor = (gridKey = editorGrid) => {
+      setEditorGrid(gridKey);
+      setEditorCells(EDITOR_GRIDS[gridKey].counts.map((_, i) => i === 0));
+      setEditorName('');
+      setEditingId(null);
+  };
+
+  const toggleEditorCell = (index) => {
+      setEditorCells(editorCells.map((on, i) => i === index ? !on : on));
+  };
+
+  const saveEditorPattern = () => {
+      const existing = customPatterns.find(p => p.id === editingId);
+      const pattern = makeCustomPattern({
+          id: existing ? existing.id : `custom-${Date.now().toString(36)}`,
+          name: (editorName.trim() || `CUSTOM ${customPatterns.length + 1}`).toUpperCase().slice(0, 10),
+          division: EDITOR_GRIDS[editorGrid].division,
+          cells: editorCells,
+          inPool: existing ? existing.inPool : true,
+      });
+      setCustomPatterns(existing ? customPatterns.map(p => p.id === existing.id ? pattern : p) : [...customPatterns, pattern]);
+      resetEditor();
+  };
+
+  const editCustomPattern = (pattern) => {
+      setEditorGrid(Object.keys(EDITOR_GRIDS).find(key => EDITOR_GRIDS[key].division === pattern.division));
+      setEditorCells(pattern.cells);
+      setEditorName(pattern.name);
+      setEditingId(pattern.id);
+  };
+
+  const toggleCustomInPool = (id) => {
+      setCustomPatterns(customPatterns.map(p => p.id === id ? makeCustomPattern({ ...p, inPool: !p.inPool }) : p));
+  };
+
+  const deleteCustomPattern = (id) => {
+      setCustomPatterns(customPatterns.filter(p => p.id !== id));
+      if (editingId === id) resetEditor();
+  };
+
+  // --- Export ---
+  const exportExercise = async (format) => {
+      if (cards.length === 0) return;
+      const bars = phraseBars(cards, meter);
+      const name = `rhythm-${meter.id.replace('/', '-')}-${bpm}bpm`;
+      try {
+          if (format === 'midi') downloadBlob(writeMidi(bars, meter, bpm), `${name}.mid`);
+          if (format === 'xml') downloadBlob(writeMusicXml(bars, meter, bpm), `${name}.musicxml`);
+          if (format === 'wav') {
+              setExportStatus('RENDERING...');
+              const engine = metronomeRef.current;
+              downloadBlob(await renderWav(bars, meter, bpm, volume / 100, {
+                  kit: sound.kit, accents, subdivision: sound.subdivision,
+                  click: sound.clickLevel / 100, voice: sound.voiceLevel / 100,
+                  samples: engine ? engine.samples : {}, feel: engineFeel(feel),
+              }), `${name}.wav`);
+          }
+          setExportStatus(`SAVED ${format.toUpperCase()}`);
+      } catch {
+          setExportStatus('EXPORT FAILED');
+      }
+  };
+
+  // --- Sharing ---
+  // Switches difficulty/meter without the pool-change redraw, then deals the given cards
+  const loadExercise = useCallback(({ difficulty: nextDifficulty, meterId: nextMeterId, bars: nextBars, bpm: nextBpm }, patterns, nextExercise, custom = customPatterns) => {
+      cardPoolKeyRef.current = cardPoolKey(nextDifficulty, nextMeterId, nextBars, custom);
+      setDifficulty(nextDifficulty);
+      setMeterId(nextMeterId);
+      setBars(nextBars);
+      if (nextBpm) setBpm(nextBpm);
+      dealCards(patterns, nextExercise);
+  }, [customPatterns, dealCards]);
+
+  const loadDaily = () => {
+      const seed = dailySeed();
+      loadExercise({ difficulty, meterId, bars }, drawCardIds(seed, difficulty, meterId, bars).map(id => PATTERNS[id]), { seed, builtIn: true, daily: true });
+      setShareStatus('DAILY CHALLENGE');
+  };
+
+  const loadCode = () => {
+      const parsed = parseShareCode(codeInput);
+      if (!parsed) {
+          setShareStatus('BAD CODE');
+          return;
+      }
+      loadExercise(parsed, drawCardIds(parsed.seed, parsed.difficulty, parsed.meterId, parsed.bars).map(id => PATTERNS[id]), { seed: parsed.seed, builtIn: true, daily: false });
+      setCodeInput('');
+      setShareStatus('CODE LOADED');
+      switchScreen('training');
+  };
+
+  const copyShareLink = async () => {
+      const url = `${window.location.origin}${window.location.pathname}${shareHash(exercise, cards, difficulty, meterId, bpm)}`;
+      try {
+          await navigator.clipboard.writeText(url);
+          setShareStatus('LINK COPIED');
+      } catch {
+          window.prompt('Copy this link', url);
+      }
+  };
+
+  // A link opened at startup was applied by the initial snapshot; one opened later (e.g. into the installed
+  // PWA) arrives as a hash change. Either way the hash is dropped so reloads keep later progress.
+  useEffect(() => {
+    const clearHash = () => window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    if (window.location.hash) clearHash();
+    const onHashChange = () => {
+      const routine = parseRoutineHash(window.location.hash, routineKnown());
+      const shared = parseShareHash(window.location.hash);
+      const resolved = shared && resolveCardTokens(shared.tokens, shared.meterId, customPatterns);
+      clearHash();
+      if (routine) {
+        setRoutines(current => [...current, routine]);
+        setScreen('routine');
+        return;
+      }
+      if (!resolved) return;
+      const custom = resolved.customDefs.map(def => customPatterns.find(p => p.id === def.id) || makeCustomPattern(def));
+      const library = { ...PATTERNS, ...Object.fromEntries(custom.map(p => [p.id, p])) };
+      setCustomPatterns(custom);
+      loadExercise({ ...shared, bars: resolved.bars }, resolved.ids.map(id => library[id]), shared.exercise, custom);
+      setScreen('training');
+    };
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, [customPatterns, loadExercise]);
+
+  // --- Routines ---
+  const stopPlayback = () => {
+      const engine = metronomeRef.current;
+      stopQuizPlayback();
+      stopStream();
+      engine.stop();
+      engine.setActivePattern(null);
+      setActiveLibraryPattern(null);
+      setIsPlaying(false);
+      setIsSequencePlaying(false);
+      setBeatIndicator(0);
+      setCountingIn(false);
+      setBarMuted(false);
+  };
+
+  // Sets up and starts one step. `deal` false resumes after a pause with the cards already dealt.
+  const playRoutineStep = async (step, deal = true) => {
+      const engine = metronomeRef.current;
+      stopPlayback();
+      setBpm(step.bpm);
+      setGap(current => ({ ...current, enabled: step.gap }));
+      engine.setGapClick(step.gap ? gap : null);
+      engine.setTempo(step.bpm);
+      if (step.mode === 'cards') {
+          setScreen('training');
+          if (!deal) {
+              await startSequence(loopSequence(loop), step.bpm);
+              return;
+          }
+          const seed = randomSeed();
+          const patterns = drawCardIds(seed, step.difficulty, meterId, bars, pooledCustomIds).map(id => patternLibrary[id]);
+          const nextExercise = { seed, builtIn: pooledCustomIds.length === 0, daily: false };
+          loadExercise({ difficulty: step.difficulty, meterId, bars, bpm: step.bpm }, patterns, nextExercise);
+          const lines = twoHandLines(patterns, hands, nextExercise, handDeal(step.difficulty, meterId, pooledCustomIds, patternLibrary));
+          await startSequence(lines ? phraseSequence(lines.right, lines.left, meter.beats) : phraseSequence(patterns, null, meter.beats), step.bpm);
+      } else if (step.mode === 'stream') {
+          setDifficulty(step.difficulty);
+          setScreen('stream');
+          await startStream(step.difficulty, step.bpm);
+      } else {
+          if (step.mode === 'pattern') {
+              setScreen('library');
+              activateLibraryPattern(step.patternId);
+          }
+          await engine.start();
+          setIsPlaying(true);
+      }
+  };
+
+  const startRoutine = (routine) => {
+      if (routine.steps.length === 0) return;
+      const now = wallClock();
+      setRoutineRun({ routine, step: 0, endsAt: now + routine.steps[0].minutes * 60000, left: 0, paused: false, log: [], done: false, gapBefore: gap.enabled });
+      setRoutineNow(now);
+      setRoutineStatus(null);
+      playRoutineStep(routine.steps[0]);
+  };
+
+  // Logs the current step (time actually practised), then moves to the next one or to the summary
+  const finishRoutineStep = (skipped, end = false) => {
+      const run = routineRun;
+      const now = wallClock();
+      const step = run.routine.steps[run.step];
+      const left = Math.max(0, run.paused ? run.left : run.endsAt - now);
+      const log = [...run.log, { step: run.step, played: step.minutes * 60000 - left, skipped }];
+      const next = run.step + 1;
+      if (end || next >= run.routine.steps.length) {
+          stopPlayback();
+          setGap(current => ({ ...current, enabled: run.gapBefore }));
+          setRoutineRun({ ...run, log, done: true });
+          setScreen('routine');
+          return;
+      }
+      setRoutineRun({ ...run, step: next, endsAt: now + run.routine.steps[next].minutes * 60000, left: 0, paused: false, log });
+      setRoutineNow(now);
+      playRoutineStep(run.routine.steps[next]);
+  };
+
+  const toggleRoutinePause = () => {
+      const run = routineRun;
+      const now = wallClock();
+      if (run.paused) {
+          setRoutineRun({ ...run, paused: false, endsAt: now + run.left });
+          setRoutineNow(now);
+          playRoutineStep(run.routine.steps[run.step], false);
+      } else {
+          setRoutineRun({ ...run, paused: true, left: Math.max(0, run.endsAt - now) });
+          stopPlayback();
+      }
+  };
+
+  useEffect(() => {
+    routineTickRef.current = (now) => {
+      setRoutineNow(now);
+      if (routineRun && !routineRun.paused && !routineRun.done && now >= routineRun.endsAt) finishRoutineStep(false);
+    };
+  });
+
+  const routineCounting = !!routineRun && !routineRun.paused && !routineRun.done;
+  useEffect(() => {
+    if (!routineCounting) return;
+    const timer = setInterval(() => routineTickRef.current(wallClock()), 250);
+    return () => clearInterval(timer);
+  }, [routineCounting]);
+
+  const routineLeft = routineRun && !routineRun.done ? Math.max(0, routineRun.paused ? routineRun.left : routineRun.endsAt - routineNow) : 0;
+  const routineRunning = !!routineRun && !routineRun.done;
+
+  const newRoutine = () => setRoutineDraft({ id: `routine-${Date.now().toString(36)}`, name: `ROUTINE ${routines.length + 1}`, steps: [{ ...ROUTINE_STEP }] });
+
+  const updateRoutineStep = (index, patch) => setRoutineDraft({
+      ...routineDraft,
+      steps: routineDraft.steps.map((step, i) => (i === index ? { ...step, ...patch } : step)),
+  });
+
+  const moveRoutineStep = (index) => {
+      if (index === 0) return;
+      const steps = [...routineDraft.steps];
+      [steps[index - 1], steps[index]] = [steps[index], steps[index - 1]];
+      setRoutineDraft({ ...routineDraft, steps });
+  };
+
+  const saveRoutineDraft = () => {
+      const routine = sanitizeRoutine({ ...routineDraft, name: routineDraft.name.trim() || `ROUTINE ${routines.length + 1}` }, routineKnown());
+      setRoutines(routines.some(r => r.id === routine.id) ? routines.map(r => (r.id === routine.id ? routine : r)) : [...routines, routine]);
+      setRoutineDraft(null);
+  };
+
+  const copyRoutineLink = async (routine) => {
+      const url = `${window.location.origin}${window.location.pathname}${routineHash(routine)}`;
+      try {
+          await navigator.clipboard.writeText(url);
+          setRoutineStatus(`LINK COPIED: ${routine.name}`);
+      } catch {
+          window.prompt('Copy this link', url);
+      }
+  };
+
+  // --- Classroom ---
+  const updateClassroom = (patch) => setClassroom(current => ({ ...current, ...patch }));
+
+  // Picking FOLLOW is the tap that lets this device's sound start when a cue arrives later
+  const chooseClassRole = (role) => {
+      setClassRole(role);
+      if (role === 'student' && metronomeRef.current) metronomeRef.current.ctx.resume().catch(() => {});
+  };
+
+  // What the teacher plays, as followers rebuild it; dictation and the editor stay on this device
+  const classCue = classRole === 'teacher' ? JSON.stringify({
+      mode: isSequencePlaying ? 'cards' : streamSeed !== null ? 'stream' : activeLibraryPattern ? 'pattern' : 'click',
+      playing: isPlaying && screen !== 'quiz' && screen !== 'editor',
+      bpm,
+      meterId,
+      difficulty,
+      cards: cards.map(cardToken),
+      exercise,
+      loop,
+      hands: { enabled: hands.enabled, source: hands.source },
+      pool: customPatterns.filter(p => p.inPool).map(cardToken),
+      streamSeed,
+      pattern: activeLibraryPattern && patternLibrary[activeLibraryPattern] ? cardToken(patternLibrary[activeLibraryPattern]) : null,
+  }) : null;
+
+  // Follower: sets up what the teacher plays (dealing the cards only when they changed) and joins its clock
+  const followCue = async (cue) => {
+      const engine = metronomeRef.current;
+      const resolved = Object.hasOwn(METERS, cue.meterId) && Array.isArray(cue.cards) ? resolveCardTokens(cue.cards, cue.meterId, customPatterns) : null;
+      if (!resolved) {
+          setClassStatus('UNKNOWN CARDS');
+          return;
+      }
+      if (!cueUsable(cue, DIFFICULTIES, resolved.bars)) {
+          setClassStatus('UNKNOWN CUE');
+          return;
+      }
+      const defs = resolved.customDefs;
+      const pool = (cue.pool || []).map((token, i) => tokenPatternId(token, defs, `p${i}`)).filter(Boolean);
+      const patternId = cue.pattern ? tokenPatternId(cue.pattern, defs, 'l') : null;
+      const custom = defs.map(def => customPatterns.find(p => p.id === def.id) || makeCustomPattern(def));
+      const library = { ...PATTERNS, ...Object.fromEntries(custom.map(p => [p.id, p])) };
+      const patterns = resolved.ids.map(id => library[id]);
+      const range = cue.loop;
+      const tempo = cueTempo(cue);
+      const twoHandSettings = { ...hands, ...cue.hands };
+      stopPlayback();
+      if (custom.length !== customPatterns.length) setCustomPatterns(custom);
+      if (meterId !== cue.meterId || difficulty !== cue.difficulty || cards.map(cardToken).join() !== cue.cards.join()) {
+          loadExercise({ difficulty: cue.difficulty, meterId: cue.meterId, bars: resolved.bars }, patterns, cue.exercise, custom);
+      }
+      setBpm(tempo);
+      setLoop(range);
+      setViewBar(range ? range[0] : 0);
+      setHands(twoHandSettings);
+      setClassPool(pool);
+      if (CLASS_SCREENS[cue.mode]) setScreen(CLASS_SCREENS[cue.mode]);
+      if (!cue.playing) return;
+      const meterNow = METERS[cue.meterId];
+      engine.setMeter(meterNow);
+      engine.setTempo(tempo);
+      engine.setTempoRamp(null);
+      if (cue.mode === 'cards') {
+          const lines = twoHandLines(patterns, twoHandSettings, cue.exercise, handDeal(cue.difficulty, cue.meterId, pool, library));
+          engine.setActiveSequence(rangeSequence(patterns, lines, range, meterNow.beats));
+          setSequenceCount(null);
+          setIsSequencePlaying(true);
+      } else if (cue.mode === 'stream') {
+          const barCards = (i) => streamBarIds(cue.streamSeed, i, cue.difficulty, cue.meterId, pool).map(id => library[id]);
+          engine.setBarProvider((index) => streamBarNotes(barCards, index, meterNow));
+          streamClockRef.current = null;
+          setStreamSeed(cue.streamSeed);
+          setStreamLevels([]);
+          setStreamBar(null);
+      } else if (cue.mode === 'pattern' && patternId) {
+          activateLibraryPattern(patternId, library, meterNow.beats);
+      }
+      const sample = bestClockSample(classRef.current.samples);
+      const join = classJoin(cue, wallClock(), sample ? sample.offset : 0);
+      if (!join) {
+          setClassStatus('UNKNOWN CUE');
+          return;
+      }
+      await engine.start(join);
+      setIsPlaying(true);
+  };
+
+  useEffect(() => {
+    classHandlerRef.current = {
+      receive: (message) => {
+        const state = classRef.current;
+        if (!state.link) return;
+        if (classRole === 'teacher' && message.type === 'ping') {
+          const known = state.peers.has(message.from);
+          state.peers.set(message.from, wallClock());
+          state.link.send({ type: 'pong', to: message.from, t0: message.t0, t1: wallClock() });
+          // A new follower gets the current cue now rather than at the next resend
+          if (!known && state.cue) state.link.send({ type: 'cue', cue: state.cue.cue });
+        }
+        if (classRole === 'student' && message.type === 'pong' && message.to === state.link.id) {
+          const sample = clockSample(message.t0, message.t1, wallClock());
+          if (sample) state.samples = [...state.samples, sample].slice(-CLASS_SAMPLES);
+        }
+        if (classRole === 'student' && message.type === 'cue' && message.cue) {
+          state.heard = wallClock();
+          // Resent cues change nothing; a new start time or anything else is followed afresh
+          const content = JSON.stringify(message.cue);
+          if (state.cue && state.cue.content === content) return;
+          state.cue = { content, cue: message.cue };
+          // Sound that won't start (no tap on this device yet) is tried again with the teacher's next resend
+          followCue(message.cue).catch(() => {
+            state.cue = null;
+            setClassStatus('AUDIO BLOCKED: RETRYING');
+          });
+        }
+      },
+      // Teacher: resends the cue and counts the followers heard lately. Follower: pings the teacher's clock.
+      tick: (now) => {
+        const state = classRef.current;
+        if (!state.link) return;
+        if (classRole === 'teacher') {
+          if (state.cue) state.link.send({ type: 'cue', cue: state.cue.cue });
+          state.peers.forEach((seen, id) => { if (now - seen > CLASS_TICK * 3) state.peers.delete(id); });
+          setClassStatus(`${state.peers.size} FOLLOWING`);
+          return;
+        }
+        state.link.send({ type: 'ping', t0: now });
+        const sample = bestClockSample(state.samples);
+        setClassStatus(!state.heard ? 'WAITING FOR TEACHER' : now - state.heard > CLASS_TICK * 3 ? 'TEACHER LOST' : sample ? `SYNC ±${Math.round(sample.rtt / 2)}MS` : 'SYNCING');
+      },
+      // Teacher: sends a changed cue. A change under a running clock restarts it a lead ahead, so the
+      // followers start over in step.
+      publish: async (content) => {
+        const state = classRef.current;
+        const engine = metronomeRef.current;
+        const cue = JSON.parse(content);
+        if (state.cue && state.cue.cue.playing && cue.playing && engine.isPlaying) {
+          engine.stop();
+          streamClockRef.current = null;
+          setStreamBar(null);
+          setSequenceCount(null);
+          await engine.start({ countInBars: cue.mode === 'cards' || cue.mode === 'stream' ? countInBars : 0 });
+        }
+        state.cue = { content, cue: { ...cue, startAt: engine.startedAt, countInBars: engine.startCountIn } };
+        if (state.link) state.link.send({ type: 'cue', cue: state.cue.cue });
+      },
+    };
+  });
+
+  // Typing a room or relay address reconnects once it settles
+  useEffect(() => {
+    if (classRole === 'off') return;
+    const state = classRef.current;
+    const relay = classroom.relay.trim();
+    const timer = setTimeout(() => {
+      setClassRelay(relay ? 'CONNECTING' : null);
+      state.link = openClassLink({
+        room: classRoom(classroom.room) || 'CLASS',
+        relay,
+        onMessage: (message) => classHandlerRef.current.receive(message),
+        onRelay: setClassRelay,
+      });
+      classHandlerRef.current.tick(wallClock());
+    }, CLASS_SETTLE);
+    const interval = setInterval(() => classHandlerRef.current.tick(wallClock()), CLASS_TICK);
+    return () => {
+      clearTimeout(timer);
+      clearInterval(interval);
+      if (state.link) state.link.close();
+      Object.assign(state, { link: null, cue: null, samples: [], heard: 0 });
+      state.peers.clear();
+      setClassStatus(null);
+      setClassRelay(null);
+      setClassPool(null);
+    };
+  }, [classRole, classroom.room, classroom.relay]);
+
+  useEffect(() => {
+    if (!classCue) return;
+    const timer = setTimeout(() => classHandlerRef.current.publish(classCue), CLASS_SETTLE);
+    return () => clearTimeout(timer);
+  }, [classCue]);
+
+  // --- Play-along track ---
+  const updateTrack = (patch) => setTrack(current => ({ ...current, ...patch }));
+  const {
+    bpm: trackBpm, offset: trackOffset, speed: trackSpeed, looping: trackLooping, loop: trackLoop, level: trackLevel,
+  } = track;
+
+  useEffect(() => { if (metronomeRef.current) metronomeRef.current.setTrackLevel(trackLevel / 100); }, [trackLevel]);
+
+  // Changes under a running clock start it over, so the track and the beats line up again: with the
+  // count-in the clock last started with, or back on the teacher's clock when following a class
+  useEffect(() => {
+    const engine = metronomeRef.current;
+    if (!engine) return;
+    const restart = engine.isPlaying && (engine.track || trackOn);
+    const settings = { bpm: trackBpm, offset: trackOffset, speed: trackSpeed, looping: trackLooping, loop: trackLoop };
+    engine.setTrack(trackOn ? trackConfig(trackBuffer, settings, meter) : null);
+    if (!restart) return;
+    const state = classRef.current;
+    const cue = classRole === 'student' && state.link && state.cue ? state.cue.cue : null;
+    const sample = bestClockSample(state.samples);
+    const join = cue && cue.playing ? classJoin(cue, wallClock(), sample ? sample.offset : 0) : null;
+    const options = join || { countInBars: engine.startCountIn };
+    engine.stop();
+    engine.start(options).catch(() => {
+        setIsPlaying(false);
+        setTrackStatus('AUDIO COULD NOT RESTART');
+    });
+  }, [trackOn, trackBuffer, trackBpm, trackOffset, trackSpeed, trackLooping, trackLoop, meter, classRole]);
+
+  // A track ending (not looped) ends playback
+  useEffect(() => {
+    if (metronomeRef.current) metronomeRef.current.onTrackEnd = stopPlayback;
+  });
+
+  // Decode the track saved in an earlier session once the engine exists
+  useEffect(() => {
+    const engine = metronomeRef.current;
+    if (!engine || !saved.settings.track.name) return;
+    loadBlob('track')
+      .then(data => data && engine.ctx.decodeAudioData(data))
+      .then(original => { if (original) setTrackAudio({ original, stretched: original, speed: 1 }); })
+      .catch(() => {});
+  }, [saved]);
+
+  // Each speed but full gets its own stretched copy
+  useEffect(() => {
+    const engine = metronomeRef.current;
+    if (!engine || !trackAudio || trackAudio.speed === trackSpeed) return;
+    let cancelled = false;
+    const { original } = trackAudio;
+    const progress = (done) => {
+      if (cancelled) return false;
+      setTrackStatus(`STRETCHING ${Math.round(done * 100)}%`);
+      return true;
+    };
+    stretchTrack(engine.ctx, original, trackSpeed, progress).then((stretched) => {
+      if (!stretched || cancelled) return;
+      setTrackAudio({ original, stretched, speed: trackSpeed });
+      setTrackStatus(null);
+    }).catch(() => {
+      setTrackStatus('COULD NOT CHANGE SPEED');
+    });
+    return () => { cancelled = true; };
+  }, [trackAudio, trackSpeed]);
+
+  // A new track starts from the beat estimated for it
+  const loadTrack = async (file) => {
+      const engine = metronomeRef.current;
+      if (!file || !engine) return;
+      try {
+          setTrackStatus('DECODING...');
+          const data = await file.arrayBuffer();
+          // decodeAudioData detaches its input, so keep a copy for storage
+          const original = await engine.ctx.decodeAudioData(data.slice(0));
+          await saveBlob('track', data);
+          const estimate = estimateBeat(original, meter);
+          setTrackAudio({ original, stretched: original, speed: 1 });
+          setTrackTaps([]);
+          updateTrack({ enabled: true, name: file.name, looping: false, loop: [0, 3], ...estimate });
+          setTrackStatus(estimate ? `ESTIMATED ${estimate.bpm} BPM: CHECK BY EAR` : 'NO CLEAR BEAT: SET BPM');
+      } catch {
+          setTrackStatus('UNREADABLE FILE');
+      }
+  };
+
+  const clearTrack = () => {
+      deleteBlob('track').catch(() => {});
+      setTrackAudio(null);
+      setTrackTaps([]);
+      setTrackStatus(null);
+      updateTrack({ enabled: false, name: null });
+  };
+
+  const estimateTrack = () => {
+      const estimate = estimateBeat(trackAudio.original, meter);
+      if (estimate) updateTrack(estimate);
+      setTrackStatus(estimate ? `ESTIMATED ${estimate.bpm} BPM: CHECK BY EAR` : 'NO CLEAR BEAT: SET BPM');
+  };
+
+  // Taps along while the track plays, the first on a downbeat; times are track seconds at full speed,
+  // shifted back like tap scoring's
+  const tapTrack = (eventTimeStamp) => {
+      const engine = metronomeRef.current;
+      const inputDelay = eventTimeStamp ? Math.max(0, performance.now() - eventTimeStamp) / 1000 : 0;
+      const outputLatency = (engine.ctx.outputLatency || 0) + (engine.ctx.baseLatency || 0);
+      const position = engine.trackPosition(engine.ctx.currentTime - inputDelay - outputLatency);
+      if (position === null || (engine.track && engine.track.loop)) {
+          setTrackStatus('TAP WHILE IT PLAYS, LOOP OFF');
+          return;
+      }
+      const time = position * track.speed;
+      const taps = addTrackTap(trackTaps, time);
+      if (taps === trackTaps) return;
+      setTrackTaps(taps);
+      setTrackStatus(taps.length >= TRACK_MIN_TAPS ? `TAPPED ${fitTaps(taps, meter).bpm} BPM: USE?` : `TAP ${taps.length}/${TRACK_MIN_TAPS}`);
+  };
+
+  const applyTrackTaps = () => {
+      updateTrack(fitTaps(trackTaps, meter));
+      setTrackTaps([]);
+      setTrackStatus('ALIGNED TO TAPS');
+  };
+
+  const trackBarCount = trackAudio ? trackBars(trackAudio.original.duration, track, meter) : 1;
+
+  // --- Practice history ---
+  // A session runs from playback start to stop; the effect below fills it in while it runs
+  useEffect(() => {
+    if (!isPlaying) return;
+    const session = openSession(wallClock());
+    sessionRef.current = session;
+    const onPageHide = () => storeSession(closeSession(session, wallClock()));
+    window.addEventListener('pagehide', onPageHide);
+    return () => {
+      window.removeEventListener('pagehide', onPageHide);
+      sessionRef.current = null;
+      const entry = closeSession(session, wallClock());
+      if (entry) setHistory(current => mergeSessions(current, [entry]));
+    };
+  }, [isPlaying]);
+
+  useEffect(() => {
+    const session = sessionRef.current;
+    if (!session) return;
+    const tempo = trainerActive && liveTempo ? liveTempo : bpm;
+    if (session.screen === null) Object.assign(session, { screen, difficulty, meterId, bpmStart: tempo });
+    session.bpmEnd = tempo;
+    session.bpmMax = Math.max(session.bpmMax || 0, tempo);
+    if (isSequencePlaying) cards.forEach(card => session.patterns.add(card.id));
+    if (streamSeed !== null && streamBar !== null) streamCards(streamSeed, streamBar).forEach(card => session.patterns.add(card.id));
+    if (activeLibraryPattern) session.patterns.add(activeLibraryPattern);
+  }, [isPlaying, screen, difficulty, meterId, bpm, liveTempo, trainerActive, isSequencePlaying, cards, streamSeed, streamBar, streamCards, activeLibraryPattern]);
+
+  const exportHistory = (format) => {
+      const name = `rhythm-history-${dayKey(wallClock())}`;
+      if (format === 'csv') downloadBlob(new Blob([historyCsv(history)], { type: 'text/csv' }), `${name}.csv`);
+      if (format === 'json') {
+          const data = { app: 'rhythm-os', exported: new Date().toISOString(), sessions: history };
+          downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `${name}.json`);
+      }
+      setHistoryStatus(`SAVED ${format.toUpperCase()} (${history.length} SESSIONS)`);
+  };
+
+  const importHistory = async (file) => {
+      if (!file) return;
+      try {
+          const sessions = parseHistory(await file.text());
+          setHistory(current => mergeSessions(current, sessions));
+          setHistoryStatus(`IMPORTED ${sessions.length} SESSIONS`);
+      } catch {
+          setHistoryStatus('NOT A HISTORY FILE');
+      }
+  };
+
+  const stats = screen === 'stats' ? historyStats(history, historyNow) : null;
+
   const switchScreen = (newScreen) => {
       setScreen(newScreen);
+      if (newScreen === 'stats') setHistoryNow(wallClock());
       setActiveLibraryPattern(null);
       setIsSequencePlaying(false); // Stop sequence when switching
+      if (streamSeed !== null) stopStream();
+      stopQuizPlayback();
+      setQuizReview(false);
       if (metronomeRef.current) {
           metronomeRef.current.setActivePattern(null);
           metronomeRef.current.setActiveSequence(null);
@@ -399,14 +3107,26 @@ export default function RhythmCardsApp() {
             <div className="flex flex-col">
                 <div className="text-[9px] font-bold text-[#666] uppercase tracking-[0.3em] mb-1">Made by Tmx</div>
                 <div className="flex items-center gap-2">
-                    <Settings className="text-[#888]" size={18} />
+                    <button onClick={() => switchScreen(screen === 'setup' ? 'training' : 'setup')} aria-label="Setup" className="transition-colors">
+                        <Settings className={screen === 'setup' ? 'text-[#e06c28]' : 'text-[#888] hover:text-[#bbb]'} size={18} />
+                    </button>
                     <span className="font-black text-xl text-[#ccc] tracking-tighter italic">RHYTHM<span className="text-[#e06c28]">.OS</span></span>
                 </div>
             </div>
             <div className="flex bg-[#1a1a1a] p-1 rounded-lg border border-white/10 shadow-inner">
-                <button onClick={() => switchScreen('training')} className={`flex items-center gap-2 px-3 py-1.5 rounded transition-all font-mono text-[10px] font-bold uppercase tracking-wider ${screen === 'training' ? 'bg-[#e06c28] text-white shadow-[0_1px_4px_rgba(224,108,40,0.4)]' : 'text-[#666] hover:text-[#999] hover:bg-[#252525]'}`}><RefreshCw size={14} /><span>TRAIN</span></button>
+                <ScreenTab active={screen === 'training'} onClick={() => switchScreen('training')} icon={<RefreshCw size={14} />} label="TRAIN" />
+                <div className="w-[1px] bg-white/5 my-1 mx-1"></div>
+                <ScreenTab active={screen === 'library'} onClick={() => switchScreen('library')} icon={<BookOpen size={14} />} label="LIB" />
+                <div className="w-[1px] bg-white/5 my-1 mx-1"></div>
+                <ScreenTab active={screen === 'stats'} onClick={() => switchScreen('stats')} icon={<BarChart3 size={14} />} label="STATS" />
                 <div className="w-[1px] bg-white/5 my-1 mx-1"></div>
-                <button onClick={() => switchScreen('library')} className={`flex items-center gap-2 px-3 py-1.5 rounded transition-all font-mono text-[10px] font-bold uppercase tracking-wider ${screen === 'library' ? 'bg-[#e06c28] text-white shadow-[0_1px_4px_rgba(224,108,40,0.4)]' : 'text-[#666] hover:text-[#999] hover:bg-[#252525]'}`}><BookOpen size={14} /><span>LIB</span></button>
+                <ScreenTab active={screen === 'editor'} onClick={() => switchScreen('editor')} icon={<Pencil size={14} />} label="EDIT" />
+                <div className="w-[1px] bg-white/5 my-1 mx-1"></div>
+                <ScreenTab active={screen === 'stream'} onClick={() => switchScreen('stream')} icon={<ScrollText size={14} />} label="READ" />
+                <div className="w-[1px] bg-white/5 my-1 mx-1"></div>
+                <ScreenTab active={screen === 'quiz'} onClick={() => switchScreen('quiz')} icon={<Ear size={14} />} label="EAR" />
+                <div className="w-[1px] bg-white/5 my-1 mx-1"></div>
+                <ScreenTab active={screen === 'routine'} onClick={() => switchScreen('routine')} icon={<Timer size={14} />} label="PLAN" />
             </div>
         </div>
 
@@ -418,38 +3138,763 @@ export default function RhythmCardsApp() {
                     <div className="absolute inset-0 z-20 pointer-events-none bg-[radial-gradient(circle_at_center,transparent_50%,rgba(0,0,0,0.6)_100%)]"></div>
 
                     <div className="shrink-0 flex justify-between px-3 py-2 text-[#33ff00] font-mono text-[9px] z-30 opacity-70 border-b border-[#33ff00]/20">
-                        <span>{screen === 'training' ? `MODE: ${difficulty.toUpperCase()}` : 'MODE: LIBRARY'}</span>
-                        <span>CLK: {bpm}</span>
+                        <span>{screen === 'training' ? `MODE: ${difficulty.toUpperCase()} ${meter.id}${phraseLength > 1 ? ` x${phraseLength}` : ''}${hands.enabled ? ` R/L${polyrhythm ? ` ${hands.source}` : ''}` : ''}` : screen === 'setup' ? 'MODE: SETUP' : screen === 'editor' ? `MODE: EDIT ${editingId ? editorName : 'NEW'}` : screen === 'stream' ? `MODE: READ ${difficulty.toUpperCase()} ${meter.id}` : screen === 'quiz' ? `MODE: EAR ${difficulty.toUpperCase()} ${meter.id}` : screen === 'routine' ? 'MODE: ROUTINES' : screen === 'stats' ? 'MODE: STATS' : 'MODE: LIBRARY'}</span>
+                        {screen === 'quiz' && (
+                            <span>STREAK {quizStreak} BEST {dictation.best}</span>
+                        )}
+                        {screen === 'stream' && streamSeed !== null && (
+                            <span>{streamBar !== null ? `BAR ${streamBar + 1}` : 'READY'}</span>
+                        )}
+                        {screen === 'training' && adaptive.enabled && !tapMode && (
+                            <span>{levelStatus || 'RATE: TAP CARDS'} {mastery.streak}/{LEVEL_UP_STREAK}</span>
+                        )}
+                        {screen === 'training' && tapMode && (
+                            <span>{barResult ? `BAR ${barResult.grade} ${Math.round(barResult.accuracy * 100)}%` : inputStatus || (isSequencePlaying ? `${INPUT_LABELS[input.source]}: LISTENING` : `${INPUT_LABELS[input.source]}: PRESS SEQ`)}</span>
+                        )}
+                        <span>{classRole !== 'off' ? `${CLASS_ROLES[classRole]} ` : ''}{countingIn ? 'COUNT-IN ' : ''}{gap.enabled && isPlaying && barMuted ? 'GAP ' : ''}CLK: {trackTempo ? Math.round(trackTempo * 10) / 10 : trainerActive && isPlaying && liveTempo ? `${liveTempo}>${trainer.target}` : bpm}</span>
                     </div>
 
-                    <div className="flex-1 relative z-10 p-2 md:p-4 flex items-center justify-center">
+                    {/* Running routine: countdown and transport on every screen but its own */}
+                    {routineRunning && screen !== 'routine' && (
+                        <div className="shrink-0 flex items-center justify-between gap-1 px-3 py-1 font-mono text-[8px] md:text-[9px] text-[#33ff00] z-30 border-b border-[#33ff00]/20">
+                            <span className="truncate">{routineRun.routine.name} {routineRun.step + 1}/{routineRun.routine.steps.length}: {routineLabel(routineRun.routine.steps[routineRun.step])}</span>
+                            <div className="shrink-0 flex items-center gap-1">
+                                <span className="font-bold">{formatClock(routineLeft)}</span>
+                                <SetupChip active={routineRun.paused} onClick={toggleRoutinePause}>{routineRun.paused ? 'GO' : 'PAUSE'}</SetupChip>
+                                <SetupChip onClick={() => finishRoutineStep(true)}>SKIP</SetupChip>
+                                <SetupChip onClick={() => finishRoutineStep(true, true)}>END</SetupChip>
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="flex-1 relative z-10 p-2 md:p-4 flex items-center justify-center touch-manipulation"
+                         onPointerDown={screen === 'training' && tapMode && input.source === 'touch' ? (e) => registerTap(e.timeStamp) : undefined}>
                         {screen === 'training' && (
-                            // FIXED: 1x4 grid for mobile and desktop. Fixed padding and gap for tight fit.
-                            <div className="w-full grid grid-cols-4 gap-1 md:gap-4 px-1 md:px-0">
-                                {cards.map((card, index) => (
-                                    <PhosphorCard 
-                                        key={card.uid || index} 
-                                        pattern={card} 
-                                        isNew={animateCards} 
-                                        index={index}
-                                        isPlayingSeq={isSequencePlaying && beatIndicator === index}
-                                    />
+                            <div className="w-full h-full flex flex-col gap-1 md:gap-2">
+                                {phraseLength > 1 && (
+                                    // Bar strip: loop selection, with the playing bar underlined
+                                    <div className="shrink-0 flex flex-wrap justify-center gap-1" onPointerDown={(e) => e.stopPropagation()}>
+                                        <SetupChip active={!loop} onClick={() => applyLoop(null)}>ALL</SetupChip>
+                                        {Array.from({ length: phraseLength }, (_, bar) => (
+                                            <SetupChip key={bar} active={loop && bar >= loopStart && bar <= loopEnd} onClick={() => selectLoopBar(bar)}>
+                                                <span className={bar === currentBar ? 'underline' : ''}>{bar + 1}</span>
+                                            </SetupChip>
+                                        ))}
+                                    </div>
+                                )}
+                                {lines.map((bar, slot) => (
+                                    // One line of N cards, each column sized by its beat length (e.g. 2+2+3 in 7/8)
+                                    <div key={slot} className={`flex-1 min-h-0 flex flex-col justify-center transition-opacity ${currentBar !== null && bar !== currentBar ? 'opacity-60' : ''}`}>
+                                        {phraseLength > 1 && bar !== null && (
+                                            <div className="shrink-0 text-left font-mono text-[8px] md:text-[9px] text-[#33ff00]/50">BAR {bar + 1}/{phraseLength}</div>
+                                        )}
+                                        {/* Two voices: right hand over left; results and ratings sit on the top line */}
+                                        {bar !== null && handLines.map(([hand, line]) => (
+                                            <div key={hand || 'line'} className={`w-full grid gap-1 md:gap-4 px-1 md:px-0 ${phraseLength > 1 || hand ? 'flex-1 min-h-0' : ''} ${hand === 'L' ? 'mt-1' : ''}`}
+                                                 style={{ gridTemplateColumns: meter.beats.map(beat => `${beat.length}fr`).join(' ') }}>
+                                                {line.slice(bar * beatsPerBar, (bar + 1) * beatsPerBar).map((card, i) => (
+                                                    <PhosphorCard 
+                                                        key={hand === 'L' ? `L${i}` : card.uid || i} 
+                                                        pattern={card} 
+                                                        isNew={animateCards} 
+                                                        index={bar * beatsPerBar + i}
+                                                        isPlayingSeq={isSequencePlaying && !countingIn && !visualsDark && bar === currentBar && currentBeat === i}
+                                                        result={hand === 'L' ? null : cardResult(bar * beatsPerBar + i)}
+                                                        rating={adaptive.enabled && !hand ? ratings[bar * beatsPerBar + i] : null}
+                                                        onClick={adaptive.enabled && !tapMode && !hand ? () => cycleRating(bar * beatsPerBar + i) : undefined}
+                                                        sticking={hand}
+                                                        flash={noteFlash}
+                                                        counts={cardCounts(card, i, isSequencePlaying && !countingIn && !visualsDark && bar === currentBar && currentBeat === i)}
+                                                    />
+                                                ))}
+                                            </div>
+                                        ))}
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                        {screen === 'stream' && (
+                            // Bars sit side by side on a strip that the animation loop slides under the playhead
+                            <div ref={streamViewRef} className="relative w-full h-full overflow-hidden">
+                                <div ref={streamStripRef} className="absolute inset-y-0 left-0 will-change-transform">
+                                    {(streamBar === null ? [0, 1, 2] : [streamBar - 1, streamBar, streamBar + 1, streamBar + 2]).filter(bar => bar >= 0).map(bar => (
+                                        <div key={bar} className="absolute inset-y-0 flex flex-col justify-center px-0.5 md:px-2 border-l border-[#33ff00]/30"
+                                             style={{ left: bar * streamBarPx, width: streamBarPx }}>
+                                            <div className="shrink-0 text-left font-mono text-[8px] md:text-[9px] text-[#33ff00]/50">{bar + 1}</div>
+                                            <div className="w-full grid gap-1 md:gap-2" style={{ gridTemplateColumns: meter.beats.map(beat => `${beat.length}fr`).join(' ') }}>
+                                                {streamSeed !== null && streamCards(streamSeed, bar).map((card, i) => (
+                                                    <PhosphorCard
+                                                        key={i}
+                                                        pattern={card}
+                                                        isNew={true}
+                                                        index={i}
+                                                        isPlayingSeq={!countingIn && !visualsDark && bar === streamBar && beatIndicator === i}
+                                                        flash={noteFlash}
+                                                        counts={cardCounts(card, i, !countingIn && !visualsDark && bar === streamBar && beatIndicator === i)}
+                                                    />
+                                                ))}
+                                            </div>
+                                        </div>
+                                    ))}
+                                </div>
+                                <div className="absolute inset-y-0 w-[2px] bg-[#e06c28]/70 shadow-[0_0_6px_rgba(224,108,40,0.8)] pointer-events-none" style={{ left: streamWidth * STREAM_PLAYHEAD }}></div>
+                                {streamSeed === null && (
+                                    <div className="absolute inset-0 flex items-center justify-center font-mono text-[10px] md:text-xs font-bold tracking-widest text-[#33ff00]/70">PRESS READ TO START</div>
+                                )}
+                            </div>
+                        )}
+                        {screen === 'quiz' && !quizReview && (
+                            <div className="w-full h-full flex flex-col gap-1 md:gap-2">
+                                <div className="shrink-0 flex justify-between font-mono text-[8px] md:text-[9px] text-[#33ff00]/70">
+                                    <span>{!quizBar ? 'PRESS PLAY TO HEAR A BAR' : quizBar.marks ? `${quizBar.marks.filter(Boolean).length}/${quizBar.marks.length} RIGHT` : `PLAYS ${quizBar.plays}/${quizLimit || '-'}`}</span>
+                                    <span>SCORE {quizScore.right}/{quizScore.beats}</span>
+                                </div>
+                                {/* Answer slots; once checked, the played cards are shown under them */}
+                                {[['YOU', quizBar ? quizBar.answers : meter.beats.map(() => null)], ...(quizBar && quizBar.marks ? [['PLAYED', quizBar.ids]] : [])].map(([label, ids]) => (
+                                    <div key={label} className="shrink-0">
+                                        <div className="text-left font-mono text-[8px] md:text-[9px] text-[#33ff00]/50">{label}</div>
+                                        <div className="h-20 md:h-24 grid gap-1 md:gap-2" style={{ gridTemplateColumns: meter.beats.map(beat => `${beat.length}fr`).join(' ') }}>
+                                            {ids.map((id, i) => (
+                                                <div key={i} className="relative h-full">
+                                                    {id && patternLibrary[id] ? (
+                                                        <PhosphorCard pattern={patternLibrary[id]} minimal={true}
+                                                            isActive={label === 'YOU' && quizBar && !quizBar.marks && quizBar.slot === i}
+                                                            onClick={label === 'YOU' && quizBar && !quizBar.marks ? () => setQuiz({ ...quizBar, slot: i }) : undefined} />
+                                                    ) : (
+                                                        <button onClick={quizBar && !quizBar.marks ? () => setQuiz({ ...quizBar, slot: i }) : undefined}
+                                                            className={`w-full h-full rounded border border-dashed font-mono text-lg font-black ${quizBar && quizBar.slot === i ? 'border-[#33ff00] text-[#33ff00]' : 'border-[#33ff00]/30 text-[#33ff00]/40'}`}>?</button>
+                                                    )}
+                                                    {label === 'YOU' && quizBar && quizBar.marks && (
+                                                        <div className={`absolute top-0.5 right-0.5 z-20 px-1 rounded-sm font-mono text-[9px] md:text-[11px] font-black ${quizBar.marks[i] ? 'bg-[#33ff00] text-black' : 'bg-[#e06c28] text-black'}`}>
+                                                            {quizBar.marks[i] ? 'OK' : 'X'}
+                                                        </div>
+                                                    )}
+                                                </div>
+                                            ))}
+                                        </div>
+                                    </div>
+                                ))}
+                                {/* Card choices for the selected beat */}
+                                {quizBar && !quizBar.marks && (
+                                    <div className="flex-1 min-h-0 overflow-y-auto custom-scrollbar">
+                                        <div className="grid grid-cols-4 gap-1 md:gap-2 pb-2">
+                                            {quizPool.filter(id => patternLibrary[id] && patternKind(patternLibrary[id]) === meter.beats[quizBar.slot].kind).map(id => (
+                                                <div key={id} className="h-14 md:h-16">
+                                                    <PhosphorCard pattern={patternLibrary[id]} minimal={true} isActive={quizBar.answers[quizBar.slot] === id} onClick={() => answerQuiz(id)} />
+                                                </div>
+                                            ))}
+                                        </div>
+                                    </div>
+                                )}
+                            </div>
+                        )}
+                        {screen === 'quiz' && quizReview && (
+                            // Review: every checked bar this session, played cards over the answers given
+                            <div className="w-full h-full overflow-y-auto custom-scrollbar pb-4">
+                                {quizLog.length === 0 && (
+                                    <div className="py-8 text-center font-mono text-[10px] md:text-xs font-bold tracking-widest text-[#33ff00]/70">NO ANSWERS YET</div>
+                                )}
+                                {quizLog.map((entry, n) => (
+                                    <div key={quizLog.length - n} className="mb-2 pb-2 border-b border-[#33ff00]/20">
+                                        <div className="flex justify-between font-mono text-[8px] md:text-[9px] text-[#33ff00]/70">
+                                            <span>BAR {quizLog.length - n} ({entry.meterId})</span>
+                                            <span>{entry.marks.filter(Boolean).length}/{entry.marks.length}</span>
+                                        </div>
+                                        {[['PLAYED', entry.ids], ['YOU', entry.answers]].map(([label, ids]) => (
+                                            <div key={label} className="flex items-center gap-1 mt-1">
+                                                <span className="w-10 shrink-0 text-left font-mono text-[7px] md:text-[8px] text-[#33ff00]/50">{label}</span>
+                                                <div className="flex-1 h-12 md:h-14 grid gap-1" style={{ gridTemplateColumns: METERS[entry.meterId].beats.map(beat => `${beat.length}fr`).join(' ') }}>
+                                                    {ids.map((id, i) => (
+                                                        <div key={i} className={`h-full rounded ${label === 'YOU' && !entry.marks[i] ? 'ring-1 ring-[#e06c28]' : ''}`}>
+                                                            {patternLibrary[id] && <PhosphorCard pattern={patternLibrary[id]} minimal={true} isActive={label === 'YOU' && entry.marks[i]} />}
+                                                        </div>
+                                                    ))}
+                                                </div>
+                                            </div>
+                                        ))}
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                        {screen === 'routine' && routineRunning && (
+                            <div className="w-full h-full flex flex-col items-center justify-center gap-2 font-mono text-[#33ff00]">
+                                <div className="text-[9px] md:text-[10px] tracking-widest text-[#33ff00]/70">{routineRun.routine.name} STEP {routineRun.step + 1}/{routineRun.routine.steps.length}</div>
+                                <div className={`text-5xl md:text-6xl font-black tracking-wider ${routineRun.paused ? 'opacity-50' : ''}`} style={{ textShadow: '0 0 8px rgba(51,255,0,0.6)' }}>{formatClock(routineLeft)}</div>
+                                <div className="text-[10px] md:text-xs font-bold tracking-widest">{routineRun.paused ? 'PAUSED' : routineLabel(routineRun.routine.steps[routineRun.step])}</div>
+                                <div className="w-full max-w-xs mt-2">
+                                    {routineRun.routine.steps.map((step, i) => (
+                                        <div key={i} className={`flex justify-between py-0.5 text-[8px] md:text-[9px] ${i === routineRun.step ? 'text-[#33ff00] font-bold' : i < routineRun.step ? 'text-[#33ff00]/30 line-through' : 'text-[#33ff00]/60'}`}>
+                                            <span>{i + 1}. {routineLabel(step)}</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+                        {screen === 'routine' && routineRun && routineRun.done && (
+                            // Summary: planned against practised time per step
+                            <div className="w-full h-full overflow-y-auto custom-scrollbar px-2 pt-1 pb-4 font-mono text-[#33ff00]">
+                                <SetupSection title={`${routineRun.routine.name} ${routineRun.log.length === routineRun.routine.steps.length && !routineRun.log.some(entry => entry.skipped) ? 'COMPLETE' : 'ENDED'}`}>
+                                    {routineRun.routine.steps.map((step, i) => {
+                                        const entry = routineRun.log.find(e => e.step === i);
+                                        return (
+                                            <SetupRow key={i} label={`${i + 1}. ${routineLabel(step)}`}>
+                                                <span className={`text-[9px] md:text-[10px] font-bold ${!entry || entry.skipped ? 'text-[#e06c28]' : ''}`}>
+                                                    {entry ? `${formatClock(entry.played)}${entry.skipped ? ' SKIP' : ''}` : 'NOT REACHED'}
+                                                </span>
+                                            </SetupRow>
+                                        );
+                                    })}
+                                    <SetupRow label="Total">
+                                        <span className="text-[9px] md:text-[10px] font-bold">
+                                            {formatClock(routineRun.log.reduce((total, entry) => total + entry.played, 0))} / {formatClock(routineRun.routine.steps.reduce((total, step) => total + step.minutes * 60000, 0))}
+                                        </span>
+                                    </SetupRow>
+                                </SetupSection>
+                            </div>
+                        )}
+                        {screen === 'routine' && !routineRun && routineDraft && (
+                            <div className="w-full h-full overflow-y-auto custom-scrollbar px-2 pt-1 pb-4">
+                                <div className="flex items-center gap-2 mb-2">
+                                    <input value={routineDraft.name} onChange={(e) => setRoutineDraft({ ...routineDraft, name: e.target.value.toUpperCase() })} maxLength={16} placeholder="NAME"
+                                        className="flex-1 bg-transparent border-b border-[#33ff00]/40 font-mono text-[10px] md:text-xs font-bold tracking-widest text-[#33ff00] placeholder-[#33ff00]/30 outline-none" />
+                                    <SetupChip onClick={() => setRoutineDraft({ ...routineDraft, steps: [...routineDraft.steps, { ...routineDraft.steps[routineDraft.steps.length - 1] || ROUTINE_STEP }] })}>+ STEP</SetupChip>
+                                </div>
+                                {routineDraft.steps.map((step, i) => (
+                                    <SetupSection key={i} title={`STEP ${i + 1}`}>
+                                        <SetupRow label="Mode">
+                                            {Object.entries(ROUTINE_MODES).map(([mode, label]) => (
+                                                <SetupChip key={mode} active={step.mode === mode} onClick={() => updateRoutineStep(i, { mode })}>{label}</SetupChip>
+                                            ))}
+                                            {i > 0 && <SetupChip onClick={() => moveRoutineStep(i)}><ArrowUp size={10} /></SetupChip>}
+                                            {routineDraft.steps.length > 1 && <SetupChip onClick={() => setRoutineDraft({ ...routineDraft, steps: routineDraft.steps.filter((_, j) => j !== i) })}><X size={10} /></SetupChip>}
+                                        </SetupRow>
+                                        {(step.mode === 'cards' || step.mode === 'stream') && (
+                                            <SetupRow label="Level">
+                                                {DIFFICULTIES.map(level => (
+                                                    <SetupChip key={level} active={step.difficulty === level} onClick={() => updateRoutineStep(i, { difficulty: level })}>{level.slice(0, 3).toUpperCase()}</SetupChip>
+                                                ))}
+                                            </SetupRow>
+                                        )}
+                                        {step.mode === 'pattern' && (
+                                            <SetupRow label="Card">
+                                                <select value={step.patternId} onChange={(e) => updateRoutineStep(i, { patternId: e.target.value })}
+                                                    className="bg-[#0d120d] border border-[#33ff00]/40 rounded-sm font-mono text-[9px] md:text-[10px] font-bold text-[#33ff00] outline-none">
+                                                    {Object.values(PATTERNS).map(pattern => <option key={pattern.id} value={pattern.id}>{pattern.name.toUpperCase()}</option>)}
+                                                </select>
+                                            </SetupRow>
+                                        )}
+                                        <SetupRow label="Time"><SetupStepper value={step.minutes} min={1} max={60} onChange={(v) => updateRoutineStep(i, { minutes: v })} unit=" MIN" /></SetupRow>
+                                        <SetupRow label="Tempo"><SetupStepper value={step.bpm} min={40} max={180} step={5} onChange={(v) => updateRoutineStep(i, { bpm: v })} /></SetupRow>
+                                        <SetupRow label="Gap Click">
+                                            <SetupChip active={step.gap} onClick={() => updateRoutineStep(i, { gap: !step.gap })}>{step.gap ? 'ON' : 'OFF'}</SetupChip>
+                                        </SetupRow>
+                                    </SetupSection>
                                 ))}
                             </div>
                         )}
+                        {screen === 'routine' && !routineRun && !routineDraft && (
+                            <div className="w-full h-full overflow-y-auto custom-scrollbar px-2 pt-1 pb-4">
+                                <SetupSection title={`ROUTINES (${routines.length})`}>
+                                    {routines.length === 0 && <div className="py-2 text-[8px] md:text-[9px] font-mono text-[#33ff00]/50 text-left">PRESS NEW TO PLAN A SESSION</div>}
+                                    {routines.map(routine => (
+                                        <div key={routine.id} className="py-1.5 border-b border-[#33ff00]/10">
+                                            <div className="flex items-center justify-between gap-2">
+                                                <span className="text-[9px] md:text-[10px] font-mono font-bold tracking-widest text-[#33ff00] truncate">
+                                                    {routine.name} <span className="text-[#33ff00]/50">{routine.steps.reduce((total, step) => total + step.minutes, 0)} MIN</span>
+                                                </span>
+                                                <div className="flex shrink-0 gap-1">
+                                                    <SetupChip onClick={() => startRoutine(routine)}><Play size={10} /></SetupChip>
+                                                    <SetupChip onClick={() => setRoutineDraft(routine)}><Pencil size={10} /></SetupChip>
+                                                    <SetupChip onClick={() => copyRoutineLink(routine)}>LINK</SetupChip>
+                                                    <SetupChip onClick={() => setRoutines(routines.filter(r => r.id !== routine.id))}><Trash2 size={10} /></SetupChip>
+                                                </div>
+                                            </div>
+                                            <div className="font-mono text-[7px] md:text-[8px] text-[#33ff00]/50 text-left truncate">{routine.steps.map(routineLabel).join(' > ')}</div>
+                                        </div>
+                                    ))}
+                                    {routineStatus && <div className="py-1 text-[8px] md:text-[9px] font-mono text-[#33ff00]/60 text-left">{routineStatus}</div>}
+                                </SetupSection>
+                            </div>
+                        )}
+                        {screen === 'stats' && (
+                            <div className="w-full h-full overflow-y-auto custom-scrollbar px-2 pt-1 pb-4 font-mono text-[#33ff00]">
+                                <div className="grid grid-cols-4 gap-1 mb-3">
+                                    {[
+                                        ['TOTAL', formatMinutes(stats.minutes)],
+                                        ['WEEK', formatMinutes(stats.weeks[stats.weeks.length - 1].minutes)],
+                                        ['STREAK', `${stats.streaks.current}D`],
+                                        ['BEST', `${stats.streaks.best}D`],
+                                    ].map(([label, value]) => (
+                                        <div key={label} className="border border-[#33ff00]/20 rounded-sm py-1 text-center">
+                                            <div className="text-base md:text-lg font-black" style={{ textShadow: '0 0 6px rgba(51,255,0,0.6)' }}>{value}</div>
+                                            <div className="text-[7px] md:text-[8px] tracking-widest text-[#33ff00]/60">{label}</div>
+                                        </div>
+                                    ))}
+                                </div>
+                                {history.length === 0 && <div className="py-2 text-[8px] md:text-[9px] text-[#33ff00]/50 text-left">NO SESSIONS YET: PRACTICE ON ANY SCREEN AND IT IS LOGGED HERE</div>}
+                                <SetupSection title="MINUTES PER WEEK">
+                                    <PhosphorBars
+                                        values={stats.weeks.map(week => week.minutes)}
+                                        labels={stats.weeks.map((week, i) => (i === stats.weeks.length - 1 ? 'NOW' : dayKey(week.start).slice(5).replace('-', '/')))} />
+                                </SetupSection>
+                                {stats.tempo.length > 0 && (
+                                    <SetupSection title="TOP TEMPO PER DAY">
+                                        <PhosphorLine
+                                            values={stats.tempo.map(day => day.bpm)}
+                                            first={stats.tempo[0].day.slice(5).replace('-', '/')}
+                                            last={stats.tempo[stats.tempo.length - 1].day.slice(5).replace('-', '/')} />
+                                    </SetupSection>
+                                )}
+                                {stats.patterns.length > 0 && (
+                                    <SetupSection title={`PATTERN ACCURACY${stats.accuracy !== null ? ` (ALL ${Math.round(stats.accuracy * 100)}%)` : ''}`}>
+                                        {stats.patterns.slice(0, 12).map(entry => (
+                                            <div key={entry.id} className="flex items-center gap-2 py-0.5 text-[8px] md:text-[9px]">
+                                                <span className="w-20 md:w-28 shrink-0 truncate text-left text-[#33ff00]/70">{patternLibrary[entry.id] ? patternLibrary[entry.id].name.toUpperCase() : entry.id}</span>
+                                                <div className="flex-1 h-1.5 bg-[#33ff00]/10 rounded-sm overflow-hidden">
+                                                    <div className="h-full bg-[#33ff00] shadow-[0_0_4px_rgba(51,255,0,0.7)]" style={{ width: `${Math.round(entry.accuracy * 100)}%` }}></div>
+                                                </div>
+                                                <span className="w-14 shrink-0 text-right font-bold">{Math.round(entry.accuracy * 100)}% <span className="text-[#33ff00]/50">x{entry.count}</span></span>
+                                            </div>
+                                        ))}
+                                    </SetupSection>
+                                )}
+                                {history.length > 0 && (
+                                    <SetupSection title={`SESSIONS (${history.length})`}>
+                                        {history.slice(-10).reverse().map(session => (
+                                            <div key={session.start} className="flex justify-between gap-2 py-0.5 border-b border-[#33ff00]/10 text-[8px] md:text-[9px]">
+                                                <span className="text-[#33ff00]/70">{dayKey(session.start).slice(5).replace('-', '/')} {HISTORY_SCREENS[session.screen] || session.screen}</span>
+                                                <span className="font-bold">
+                                                    {formatMinutes(session.seconds / 60)}
+                                                    {session.bpmMax !== null ? ` ${session.bpmStart === session.bpmMax ? '' : `${session.bpmStart}>`}${session.bpmMax}BPM` : ''}
+                                                    {session.accuracy !== null ? ` ${Math.round(session.accuracy * 100)}%` : ''}
+                                                </span>
+                                            </div>
+                                        ))}
+                                    </SetupSection>
+                                )}
+                                {historyStatus && <div className="py-1 text-[8px] md:text-[9px] text-[#33ff00]/60 text-left">{historyStatus}</div>}
+                            </div>
+                        )}
                         {screen === 'library' && (
                             <div className="w-full h-full overflow-y-auto custom-scrollbar pb-48"> 
                                 <div className="grid grid-cols-3 gap-2 px-2 pt-2">
-                                    {Object.keys(PATTERNS).map((key) => (
-                                        <PhosphorCard key={key} pattern={PATTERNS[key]} isActive={activeLibraryPattern === key} onClick={() => handlePatternClick(key)} minimal={true} />
+                                    {Object.keys(patternLibrary).filter(key => meter.beats.some(b => b.kind === patternKind(patternLibrary[key]))).map((key) => (
+                                        <PhosphorCard key={key} pattern={patternLibrary[key]} isActive={activeLibraryPattern === key} onClick={() => handlePatternClick(key)} minimal={true}
+                                            counts={cardCounts(patternLibrary[key], isPlaying && activeLibraryPattern === key ? beatIndicator : 0, isPlaying && activeLibraryPattern === key && !countingIn && !visualsDark)} />
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+                        {screen === 'setup' && (
+                            <div className="w-full h-full overflow-y-auto custom-scrollbar px-2 pt-1 pb-4">
+                                <SetupSection title="METER">
+                                    <SetupRow label="Time Sig">
+                                        {Object.keys(METERS).map(id => (
+                                            <SetupChip key={id} active={meterId === id} onClick={() => setMeterId(id)}>{id}</SetupChip>
+                                        ))}
+                                    </SetupRow>
+                                    <SetupRow label="Bars">
+                                        {PHRASE_BARS.map(n => (
+                                            <SetupChip key={n} active={bars === n} onClick={() => setBars(n)}>{n}</SetupChip>
+                                        ))}
+                                    </SetupRow>
+                                    <div className="py-1 text-[8px] md:text-[9px] font-mono text-[#33ff00]/50 text-left">
+                                        {meter.beats.some(b => b.kind === 'compound') ? 'COMPOUND BEATS: BPM COUNTS THE DOTTED QUARTER' : 'SIMPLE BEATS: BPM COUNTS THE QUARTER'}
+                                    </div>
+                                </SetupSection>
+                                <SetupSection title="SOUND">
+                                    <SetupRow label="Kit">
+                                        {Object.entries(SOUND_KITS).map(([id, kit]) => (
+                                            <SetupChip key={id} active={sound.kit === id} onClick={() => updateSound({ kit: id })}>{kit.label}</SetupChip>
+                                        ))}
+                                    </SetupRow>
+                                    {sound.kit === 'samples' && SAMPLE_SLOTS.map(slot => (
+                                        <SetupRow key={slot} label={`${slot} Sample`}>
+                                            <span className="max-w-[8rem] truncate font-mono text-[9px] md:text-[10px] text-[#33ff00]/60">{sound.samples[slot] || 'BEEP'}</span>
+                                            <label className="px-1.5 py-0.5 rounded-sm font-mono text-[9px] md:text-[10px] font-bold tracking-wider bg-[#33ff00]/10 text-[#33ff00] hover:bg-[#33ff00]/20 cursor-pointer">
+                                                LOAD
+                                                <input type="file" accept="audio/*" className="hidden" onChange={(e) => { loadSample(slot, e.target.files[0]); e.target.value = ''; }} />
+                                            </label>
+                                            {sound.samples[slot] && <SetupChip onClick={() => clearSample(slot)}><X size={10} /></SetupChip>}
+                                        </SetupRow>
+                                    ))}
+                                    {sampleStatus && <div className="py-1 text-[8px] md:text-[9px] font-mono text-[#ff3333] text-left">{sampleStatus}</div>}
+                                    <SetupRow label="Accents">
+                                        {accents.map((state, i) => (
+                                            <SetupChip key={i} active={state === 'accent'} onClick={() => cycleAccent(i)}>{i + 1}{ACCENT_LABELS[state]}</SetupChip>
+                                        ))}
+                                    </SetupRow>
+                                    <SetupRow label="Subdivide">
+                                        {[1, 2, 3, 4].map(n => (
+                                            <SetupChip key={n} active={sound.subdivision === n} onClick={() => updateSound({ subdivision: n })}>{n === 1 ? 'OFF' : n}</SetupChip>
+                                        ))}
+                                    </SetupRow>
+                                    <SetupRow label="Click Lvl"><SetupSlider value={sound.clickLevel} onChange={(v) => updateSound({ clickLevel: v })} unit="%" /></SetupRow>
+                                    <SetupRow label="Voice Lvl"><SetupSlider value={sound.voiceLevel} onChange={(v) => updateSound({ voiceLevel: v })} unit="%" /></SetupRow>
+                                </SetupSection>
+                                <SetupSection title="COUNTING">
+                                    <SetupRow label="Counts">
+                                        <SetupChip active={counting.system === 'off'} onClick={() => updateCounting({ system: 'off' })}>OFF</SetupChip>
+                                        {Object.entries(COUNT_SYSTEMS).map(([id, system]) => (
+                                            <SetupChip key={id} active={counting.system === id} onClick={() => updateCounting({ system: id })}>{system.label}</SetupChip>
+                                        ))}
+                                    </SetupRow>
+                                    <SetupRow label="Voice">
+                                        <SetupChip active={countVoice === 'off'} onClick={() => updateCounting({ voice: 'off' })}>OFF</SetupChip>
+                                        {SPEECH_SUPPORTED && <SetupChip active={countVoice === 'speech'} onClick={() => updateCounting({ voice: 'speech' })}>SPEECH</SetupChip>}
+                                        <SetupChip active={countVoice === 'recorded'} onClick={() => updateCounting({ voice: 'recorded' })}>RECORDED</SetupChip>
+                                    </SetupRow>
+                                    {countVoice !== 'off' && (
+                                        <>
+                                            <SetupRow label="Speak">
+                                                <SetupChip active={counting.speak === 'all'} onClick={() => updateCounting({ speak: 'all' })}>ALL</SetupChip>
+                                                <SetupChip active={counting.speak === 'countIn'} onClick={() => updateCounting({ speak: 'countIn' })}>COUNT-IN</SetupChip>
+                                            </SetupRow>
+                                            <SetupRow label="Count Lvl"><SetupSlider value={counting.level} onChange={(v) => updateCounting({ level: v })} unit="%" /></SetupRow>
+                                        </>
+                                    )}
+                                    {countVoice === 'recorded' && (
+                                        <SetupRow label="Record">
+                                            {countInventory(COUNT_SYSTEMS[countSystemId]).map(text => (
+                                                <SetupChip key={text} active={counting.recorded.includes(text)} onClick={() => recordCount(text)}>
+                                                    {countRecording === text ? 'REC' : text.toUpperCase()}
+                                                </SetupChip>
+                                            ))}
+                                            {countInventory(COUNT_SYSTEMS[countSystemId]).some(text => counting.recorded.includes(text)) && (
+                                                <SetupChip onClick={clearCountRecordings}><X size={10} /></SetupChip>
+                                            )}
+                                        </SetupRow>
+                                    )}
+                                    {countStatus && <div className="py-1 text-[8px] md:text-[9px] font-mono text-[#33ff00] text-left">{countStatus}</div>}
+                                    <div className="py-1 text-[8px] md:text-[9px] font-mono text-[#33ff00]/50 text-left">
+                                        {countVoice === 'recorded'
+                                            ? 'TAP A SYLLABLE, THEN SAY IT. RECORDINGS LAND EXACTLY ON THE NOTE; UNRECORDED ONES STAY SILENT'
+                                            : 'COUNTS SHOW UNDER THE CARDS AND LIGHT UP AS THEY PLAY. SPEECH RUNS A LITTLE LATE; A RECORDED VOICE DOES NOT'}
+                                    </div>
+                                </SetupSection>
+                                <SetupSection title="PLAY-ALONG">
+                                    <SetupRow label="Track">
+                                        <span className="max-w-[8rem] truncate font-mono text-[9px] md:text-[10px] text-[#33ff00]/60">{trackAudio ? track.name : 'NONE'}</span>
+                                        <label className="px-1.5 py-0.5 rounded-sm font-mono text-[9px] md:text-[10px] font-bold tracking-wider bg-[#33ff00]/10 text-[#33ff00] hover:bg-[#33ff00]/20 cursor-pointer">
+                                            LOAD
+                                            <input type="file" accept="audio/*" className="hidden" onChange={(e) => { loadTrack(e.target.files[0]); e.target.value = ''; }} />
+                                        </label>
+                                        {track.name && <SetupChip onClick={clearTrack}><X size={10} /></SetupChip>}
+                                    </SetupRow>
+                                    {trackAudio && (
+                                        <>
+                                            <SetupRow label="Play Along">
+                                                <SetupChip active={!track.enabled} onClick={() => updateTrack({ enabled: false })}>OFF</SetupChip>
+                                                <SetupChip active={track.enabled} onClick={() => updateTrack({ enabled: true })}>ON</SetupChip>
+                                            </SetupRow>
+                                            <SetupRow label="Track BPM">
+                                                <SetupChip onClick={() => updateTrack({ bpm: Math.max(40, Math.round((track.bpm - 0.1) * 100) / 100) })}>-.1</SetupChip>
+                                                <SetupStepper value={track.bpm} min={40} max={240} onChange={(v) => updateTrack({ bpm: Math.round(v * 100) / 100 })} format={(v) => v.toFixed(2)} />
+                                                <SetupChip onClick={() => updateTrack({ bpm: Math.min(240, Math.round((track.bpm + 0.1) * 100) / 100) })}>+.1</SetupChip>
+                                            </SetupRow>
+                                            <SetupRow label="Downbeat">
+                                                <SetupChip onClick={() => updateTrack({ offset: Math.max(0, Math.round((track.offset - 0.1) * 1000) / 1000) })}>-.1</SetupChip>
+                                                <SetupStepper value={track.offset} min={0} max={trackAudio.original.duration} step={0.01} onChange={(v) => updateTrack({ offset: Math.round(v * 1000) / 1000 })} format={(v) => `${v.toFixed(2)}S`} />
+                                                <SetupChip onClick={() => updateTrack({ offset: Math.min(trackAudio.original.duration, Math.round((track.offset + 0.1) * 1000) / 1000) })}>+.1</SetupChip>
+                                            </SetupRow>
+                                            <SetupRow label="Align">
+                                                <SetupChip onClick={estimateTrack}>ESTIMATE</SetupChip>
+                                                <SetupChip onClick={(e) => tapTrack(e.timeStamp)}>TAP</SetupChip>
+                                                {trackTaps.length >= TRACK_MIN_TAPS && <SetupChip onClick={applyTrackTaps}>USE</SetupChip>}
+                                            </SetupRow>
+                                            <SetupRow label="Speed">
+                                                {TRACK_SPEEDS.map(speed => (
+                                                    <SetupChip key={speed} active={track.speed === speed} onClick={() => updateTrack({ speed })}>{Math.round(speed * 100)}%</SetupChip>
+                                                ))}
+                                            </SetupRow>
+                                            <SetupRow label="Loop">
+                                                <SetupChip active={!track.looping} onClick={() => updateTrack({ looping: false })}>OFF</SetupChip>
+                                                <SetupChip active={track.looping} onClick={() => updateTrack({ looping: true })}>ON</SetupChip>
+                                            </SetupRow>
+                                            {track.looping && (
+                                                <SetupRow label="Loop Bars">
+                                                    <SetupStepper value={track.loop[0] + 1} min={1} max={track.loop[1] + 1} onChange={(v) => updateTrack({ loop: [v - 1, track.loop[1]] })} />
+                                                    <SetupStepper value={track.loop[1] + 1} min={track.loop[0] + 1} max={trackBarCount} onChange={(v) => updateTrack({ loop: [track.loop[0], v - 1] })} format={(v) => `TO ${v}`} />
+                                                </SetupRow>
+                                            )}
+                                            <SetupRow label="Track Lvl"><SetupSlider value={track.level} onChange={(v) => updateTrack({ level: v })} unit="%" /></SetupRow>
+                                        </>
+                                    )}
+                                    {trackStatus && <div className="py-1 text-[8px] md:text-[9px] font-mono text-[#33ff00] text-left">{trackStatus}</div>}
+                                    <div className="py-1 text-[8px] md:text-[9px] font-mono text-[#33ff00]/50 text-left">
+                                        PLAYS WITH THE CLICK ON TRAIN, LIB, READ AND SETUP AT ITS OWN TEMPO (NO SPEED TRAINER). TAP FROM A DOWNBEAT
+                                    </div>
+                                </SetupSection>
+                                <SetupSection title="FEEL">
+                                    <SetupRow label="Swing"><SetupSlider value={feel.swing} min={50} max={75} onChange={(v) => setFeel({ ...feel, swing: v })} unit="%" /></SetupRow>
+                                    <SetupRow label="Swing On">
+                                        <SetupChip active={feel.swing === 50} onClick={() => setFeel({ ...feel, swing: 50 })}>STRAIGHT</SetupChip>
+                                        <SetupChip active={feel.swing === 67} onClick={() => setFeel({ ...feel, swing: 67 })}>SHUFFLE</SetupChip>
+                                        {[8, 16].map(unit => (
+                                            <SetupChip key={unit} active={feel.unit === unit} onClick={() => setFeel({ ...feel, unit })}>{unit}THS</SetupChip>
+                                        ))}
+                                    </SetupRow>
+                                    <SetupRow label="Humanize"><SetupSlider value={feel.humanize} min={0} max={30} onChange={(v) => setFeel({ ...feel, humanize: v })} unit="ms" /></SetupRow>
+                                    <SetupRow label="Velocity"><SetupSlider value={feel.velocity} min={0} max={50} onChange={(v) => setFeel({ ...feel, velocity: v })} unit="%" /></SetupRow>
+                                    <SetupRow label="Dynamics">
+                                        {Object.entries(DYNAMICS).map(([id, shape]) => (
+                                            <SetupChip key={id} active={feel.dynamics === id} onClick={() => setFeel({ ...feel, dynamics: id })}>{shape.label}</SetupChip>
+                                        ))}
+                                    </SetupRow>
+                                </SetupSection>
+                                <SetupSection title="TWO VOICES">
+                                    <SetupRow label="Hands">
+                                        <SetupChip active={!hands.enabled} onClick={() => updateHands({ enabled: false })}>ONE</SetupChip>
+                                        <SetupChip active={hands.enabled} onClick={() => updateHands({ enabled: true })}>R + L</SetupChip>
+                                    </SetupRow>
+                                    {hands.enabled && (
+                                        <>
+                                            <SetupRow label="Lines">
+                                                <SetupChip active={hands.source === 'cards'} onClick={() => updateHands({ source: 'cards' })}>CARDS</SetupChip>
+                                                {Object.keys(POLYRHYTHMS).map(id => (
+                                                    <SetupChip key={id} active={hands.source === id} onClick={() => updateHands({ source: id })}>{id}</SetupChip>
+                                                ))}
+                                            </SetupRow>
+                                            {[['right', 'R'], ['left', 'L']].map(([side, hand]) => (
+                                                <React.Fragment key={side}>
+                                                    <SetupRow label={`${hand} Kit`}>
+                                                        {Object.entries(SOUND_KITS).map(([id, kit]) => (
+                                                            <SetupChip key={id} active={hands[side].kit === id} onClick={() => updateHands({ [side]: { ...hands[side], kit: id } })}>{kit.label}</SetupChip>
+                                                        ))}
+                                                    </SetupRow>
+                                                    <SetupRow label={`${hand} Pan`}>
+                                                        <SetupSlider value={hands[side].pan} min={-100} max={100} onChange={(v) => updateHands({ [side]: { ...hands[side], pan: v } })} />
+                                                    </SetupRow>
+                                                </React.Fragment>
+                                            ))}
+                                        </>
+                                    )}
+                                </SetupSection>
+                                <SetupSection title="DICTATION">
+                                    <SetupRow label="Plays / Bar">
+                                        {QUIZ_REPLAYS.map(n => (
+                                            <SetupChip key={n} active={quizSettings.replays === n} onClick={() => setQuizSettings({ ...quizSettings, replays: n })}>{n === 0 ? 'ANY' : n}</SetupChip>
+                                        ))}
+                                    </SetupRow>
+                                    <SetupRow label="Totals">
+                                        <span className="font-mono text-[9px] md:text-[10px] text-[#33ff00]/60">
+                                            {dictation.beats > 0 ? `${Math.round(dictation.correct / dictation.beats * 100)}% OF ${dictation.beats} BEATS, BEST ${dictation.best}` : 'NONE YET'}
+                                        </span>
+                                        <SetupChip onClick={() => setDictation(DEFAULT_SNAPSHOT.dictation)}>RESET</SetupChip>
+                                    </SetupRow>
+                                </SetupSection>
+                                <SetupSection title="ADAPTIVE">
+                                    <SetupRow label="Drill Weak">
+                                        <SetupChip active={!adaptive.enabled} onClick={() => setAdaptive({ ...adaptive, enabled: false })}>OFF</SetupChip>
+                                        <SetupChip active={adaptive.enabled} onClick={() => setAdaptive({ ...adaptive, enabled: true })}>ON</SetupChip>
+                                    </SetupRow>
+                                    <SetupRow label="Auto Level">
+                                        <SetupChip active={adaptive.autoLevel} onClick={() => setAdaptive({ ...adaptive, autoLevel: !adaptive.autoLevel })}>{adaptive.autoLevel ? 'ON' : 'OFF'}</SetupChip>
+                                    </SetupRow>
+                                    <SetupRow label={`Stats (${mastery.clock} ex)`}>
+                                        <SetupChip onClick={resetMastery}>RESET</SetupChip>
+                                    </SetupRow>
+                                    {poolIds(difficulty, meterId).map(id => {
+                                        const stat = mastery.patterns[id];
+                                        return (
+                                            <SetupRow key={id} label={PATTERNS[id].name}>
+                                                <span className={`font-mono text-[9px] md:text-[10px] font-bold ${stat && stat.score >= MASTERED_SCORE ? 'text-[#33ff00]' : 'text-[#e06c28]'}`}>
+                                                    {stat ? `${Math.round(stat.score * 100)}% ${stat.due <= mastery.clock ? 'DUE' : `IN ${stat.due - mastery.clock}`}` : 'NEW'}
+                                                </span>
+                                            </SetupRow>
+                                        );
+                                    })}
+                                    <div className="py-1 text-[8px] md:text-[9px] font-mono text-[#33ff00]/50 text-left">
+                                        RATE CARDS BY TAPPING THEM (OR USE TAP SCORING), THEN SYNC
+                                    </div>
+                                </SetupSection>
+                                <SetupSection title="INPUT">
+                                    <SetupRow label="Source">
+                                        <SetupChip active={input.source === 'touch'} onClick={() => setInput({ ...input, source: 'touch' })}>TOUCH</SetupChip>
+                                        <SetupChip active={input.source === 'mic'} onClick={() => setInput({ ...input, source: 'mic' })}>MIC</SetupChip>
+                                        {MIDI_SUPPORTED && <SetupChip active={input.source === 'midi'} onClick={() => setInput({ ...input, source: 'midi' })}>MIDI</SetupChip>}
+                                    </SetupRow>
+                                    <SetupRow label="Mic Latency">
+                                        <SetupStepper value={input.latency} min={LATENCY_MIN} max={LATENCY_MAX} step={5} onChange={(v) => setInput({ ...input, latency: v })} unit="ms" />
+                                        <SetupChip onClick={calibrateLatency}>CAL</SetupChip>
+                                    </SetupRow>
+                                    <SetupRow label="Sensitivity"><SetupSlider value={input.sensitivity} onChange={(v) => setInput({ ...input, sensitivity: v })} unit="%" /></SetupRow>
+                                    <SetupRow label={inputStatus || 'Score File'}>
+                                        <label className="px-1.5 py-0.5 rounded-sm font-mono text-[9px] md:text-[10px] font-bold tracking-wider bg-[#33ff00]/10 text-[#33ff00] hover:bg-[#33ff00]/20 cursor-pointer">
+                                            LOAD
+                                            <input type="file" accept="audio/*" className="hidden" onChange={(e) => { analyzeRecording(e.target.files[0]); e.target.value = ''; }} />
+                                        </label>
+                                    </SetupRow>
+                                    <div className="py-1 text-[8px] md:text-[9px] font-mono text-[#33ff00]/50 text-left">
+                                        CAL: PLAY A BAR WITH THE MIC ON, THEN TAP CAL. FILES MUST START ON THE FIRST NOTE
+                                    </div>
+                                </SetupSection>
+                                <SetupSection title="MIDI">
+                                    {!midiDevices ? (
+                                        <SetupRow label={midiStatus || 'Devices'}>
+                                            {MIDI_SUPPORTED && <SetupChip onClick={connectMidi}>CONNECT</SetupChip>}
+                                        </SetupRow>
+                                    ) : (
+                                        <>
+                                            <SetupRow label="Output">
+                                                <SetupChip active={!midi.outputId} onClick={() => setMidi({ ...midi, outputId: null })}>OFF</SetupChip>
+                                                {midiDevices.outputs.map(port => (
+                                                    <SetupChip key={port.id} active={midi.outputId === port.id} onClick={() => setMidi({ ...midi, outputId: port.id })}>
+                                                        <span className="inline-block max-w-[7rem] truncate align-bottom">{port.name}</span>
+                                                    </SetupChip>
+                                                ))}
+                                            </SetupRow>
+                                            {midi.outputId && (
+                                                <>
+                                                    <SetupRow label="Out Channel"><SetupStepper value={midi.outChannel} min={1} max={16} onChange={(v) => setMidi({ ...midi, outChannel: v })} /></SetupRow>
+                                                    {['accent', 'normal', 'sub', 'voice'].map(key => (
+                                                        <SetupRow key={key} label={`${key === 'normal' ? 'click' : key} Note`}>
+                                                            <SetupStepper value={midi.notes[key]} min={0} max={127} onChange={(v) => updateMidiNote(key, v)} format={(v) => `${v} ${midiNoteName(v)}`} />
+                                                        </SetupRow>
+                                                    ))}
+                                                    <SetupRow label="App Sound">
+                                                        <SetupChip active={midi.audio} onClick={() => setMidi({ ...midi, audio: !midi.audio })}>{midi.audio ? 'ON' : 'OFF'}</SetupChip>
+                                                    </SetupRow>
+                                                </>
+                                            )}
+                                            <SetupRow label="Input">
+                                                <SetupChip active={!midi.inputId} onClick={() => setMidi({ ...midi, inputId: null })}>ALL</SetupChip>
+                                                {midiDevices.inputs.map(port => (
+                                                    <SetupChip key={port.id} active={midi.inputId === port.id} onClick={() => setMidi({ ...midi, inputId: port.id })}>
+                                                        <span className="inline-block max-w-[7rem] truncate align-bottom">{port.name}</span>
+                                                    </SetupChip>
+                                                ))}
+                                            </SetupRow>
+                                            <SetupRow label="In Channel">
+                                                <SetupStepper value={midi.inChannel} min={0} max={16} onChange={(v) => setMidi({ ...midi, inChannel: v })} format={(v) => (v === 0 ? 'ANY' : v)} />
+                                            </SetupRow>
+                                            <SetupRow label="Hit Note">
+                                                <SetupChip active={midi.inNote === null} onClick={() => setMidi({ ...midi, inNote: null })}>ANY</SetupChip>
+                                                <SetupChip active={midiLearn || midi.inNote !== null} onClick={() => setMidiLearn(!midiLearn)}>
+                                                    {midiLearn ? 'HIT A PAD...' : midi.inNote !== null ? `${midi.inNote} ${midiNoteName(midi.inNote)}` : 'LEARN'}
+                                                </SetupChip>
+                                            </SetupRow>
+                                        </>
+                                    )}
+                                </SetupSection>
+                                <SetupSection title="SPEED TRAINER">
+                                    <SetupRow label="Ramp">
+                                        <SetupChip active={!trainer.enabled} onClick={() => updateTrainer({ enabled: false })}>OFF</SetupChip>
+                                        <SetupChip active={trainer.enabled} onClick={() => updateTrainer({ enabled: true })}>ON</SetupChip>
+                                    </SetupRow>
+                                    <SetupRow label="Start"><SetupStepper value={trainer.start} min={40} max={180} step={5} onChange={(v) => updateTrainer({ start: v })} /></SetupRow>
+                                    <SetupRow label="Target"><SetupStepper value={trainer.target} min={40} max={180} step={5} onChange={(v) => updateTrainer({ target: v })} /></SetupRow>
+                                    <SetupRow label="Step"><SetupStepper value={trainer.step} min={1} max={20} onChange={(v) => updateTrainer({ step: v })} unit=" BPM" /></SetupRow>
+                                    <SetupRow label="Every">
+                                        <SetupStepper value={trainer.every} min={1} max={trainer.unit === 'bars' ? 32 : 300} step={trainer.unit === 'bars' ? 1 : 5} onChange={(v) => updateTrainer({ every: v })} />
+                                        <SetupChip active={trainer.unit === 'bars'} onClick={() => updateTrainer({ unit: 'bars', every: 4 })}>BARS</SetupChip>
+                                        <SetupChip active={trainer.unit === 'seconds'} onClick={() => updateTrainer({ unit: 'seconds', every: 30 })}>SEC</SetupChip>
+                                    </SetupRow>
+                                    <SetupRow label="Count-In">
+                                        {[0, 1, 2].map(n => (
+                                            <SetupChip key={n} active={countInBars === n} onClick={() => setCountInBars(n)}>{n === 0 ? 'OFF' : `${n} BAR`}</SetupChip>
+                                        ))}
+                                    </SetupRow>
+                                </SetupSection>
+                                <SetupSection title="GAP CLICK">
+                                    <SetupRow label="Gaps">
+                                        <SetupChip active={!gap.enabled} onClick={() => setGap({ ...gap, enabled: false })}>OFF</SetupChip>
+                                        <SetupChip active={gap.enabled && !gap.random} onClick={() => setGap({ ...gap, enabled: true, random: false })}>CYCLE</SetupChip>
+                                        <SetupChip active={gap.enabled && gap.random} onClick={() => setGap({ ...gap, enabled: true, random: true })}>RANDOM</SetupChip>
+                                    </SetupRow>
+                                    <SetupRow label="Bars On"><SetupStepper value={gap.on} min={1} max={8} onChange={(v) => setGap({ ...gap, on: v })} /></SetupRow>
+                                    <SetupRow label="Bars Off"><SetupStepper value={gap.off} min={1} max={8} onChange={(v) => setGap({ ...gap, off: v })} /></SetupRow>
+                                    <SetupRow label="Mute Voice">
+                                        <SetupChip active={gap.mutePattern} onClick={() => setGap({ ...gap, mutePattern: !gap.mutePattern })}>{gap.mutePattern ? 'ON' : 'OFF'}</SetupChip>
+                                    </SetupRow>
+                                    <SetupRow label="Dark LEDs">
+                                        <SetupChip active={gap.darkLeds} onClick={() => setGap({ ...gap, darkLeds: !gap.darkLeds })}>{gap.darkLeds ? 'ON' : 'OFF'}</SetupChip>
+                                    </SetupRow>
+                                </SetupSection>
+                                <SetupSection title="EXPORT">
+                                    <SetupRow label={exportStatus || 'Current Cards'}>
+                                        <SetupChip onClick={() => exportExercise('midi')}><Download size={10} className="inline" /> MIDI</SetupChip>
+                                        <SetupChip onClick={() => exportExercise('xml')}><Download size={10} className="inline" /> XML</SetupChip>
+                                        <SetupChip onClick={() => exportExercise('wav')}><Download size={10} className="inline" /> WAV</SetupChip>
+                                    </SetupRow>
+                                </SetupSection>
+                                <SetupSection title="SHARE">
+                                    <SetupRow label={shareStatus || (exercise && exercise.daily ? 'Daily Code' : 'Code')}>
+                                        <span className="font-mono text-[9px] md:text-[10px] font-bold text-[#33ff00]">{shareCode(exercise, difficulty, meterId, bars, bpm) || 'LINK ONLY'}</span>
+                                        <SetupChip onClick={copyShareLink}>COPY LINK</SetupChip>
+                                    </SetupRow>
+                                    <SetupRow label="Enter Code">
+                                        <input value={codeInput} onChange={(e) => setCodeInput(e.target.value)} onKeyDown={(e) => { if (e.key === 'Enter') loadCode(); }} placeholder="B44-60-XXXX" className="w-28 bg-transparent border-b border-[#33ff00]/40 font-mono text-[9px] md:text-[10px] font-bold text-[#33ff00] placeholder-[#33ff00]/30 uppercase outline-none" />
+                                        <SetupChip onClick={loadCode}>LOAD</SetupChip>
+                                    </SetupRow>
+                                    <SetupRow label="Daily">
+                                        <SetupChip active={exercise && exercise.daily} onClick={loadDaily}>TODAY</SetupChip>
+                                    </SetupRow>
+                                    <div className="py-1 text-[8px] md:text-[9px] font-mono text-[#33ff00]/50 text-left">
+                                        LINKS CARRY THE EXACT CARDS; CODES NEED A DRAW WITHOUT CUSTOM CARDS
+                                    </div>
+                                </SetupSection>
+                                <SetupSection title="CLASSROOM">
+                                    <SetupRow label={classStatus || 'Role'}>
+                                        {Object.keys(CLASS_ROLES).map(role => (
+                                            <SetupChip key={role} active={classRole === role} onClick={() => chooseClassRole(role)}>{CLASS_ROLES[role]}</SetupChip>
+                                        ))}
+                                    </SetupRow>
+                                    <SetupRow label="Room">
+                                        <input value={classroom.room} onChange={(e) => updateClassroom({ room: classRoom(e.target.value) })} placeholder="CLASS" className="w-28 bg-transparent border-b border-[#33ff00]/40 font-mono text-[9px] md:text-[10px] font-bold text-[#33ff00] placeholder-[#33ff00]/30 uppercase outline-none" />
+                                    </SetupRow>
+                                    <SetupRow label={classRelay ? `Relay ${classRelay}` : 'Relay'}>
+                                        <input value={classroom.relay} onChange={(e) => updateClassroom({ relay: e.target.value })} placeholder="ws://host:8787" className="w-36 bg-transparent border-b border-[#33ff00]/40 font-mono text-[9px] md:text-[10px] font-bold text-[#33ff00] placeholder-[#33ff00]/30 outline-none" />
+                                    </SetupRow>
+                                    <div className="py-1 text-[8px] md:text-[9px] font-mono text-[#33ff00]/50 text-left">
+                                        FOLLOWERS PLAY THE TEACHER'S CARDS, TEMPO AND STARTS; OTHER DEVICES NEED A RELAY (NPM RUN RELAY). NO SPEED TRAINER IN CLASS
+                                    </div>
+                                </SetupSection>
+                            </div>
+                        )}
+                        {screen === 'editor' && (
+                            <div className="w-full h-full overflow-y-auto custom-scrollbar px-2 pt-1 pb-4 flex flex-col gap-2">
+                                <SetupRow label="Grid">
+                                    {Object.keys(EDITOR_GRIDS).map(key => (
+                                        <SetupChip key={key} active={editorGrid === key} onClick={() => resetEditor(key)}>{EDITOR_GRIDS[key].label}</SetupChip>
                                     ))}
+                                </SetupRow>
+                                <div className="flex gap-2 items-stretch h-28 md:h-32 shrink-0">
+                                    <div className="w-24 md:w-28 shrink-0">
+                                        <PhosphorCard pattern={editorPattern} isActive={isPlaying} minimal={true} />
+                                    </div>
+                                    {/* One cell per grid slot: on = a note starts here, off = rest or hold */}
+                                    <div className="flex-1 grid gap-1" style={{ gridTemplateColumns: `repeat(${editorCells.length}, minmax(0, 1fr))` }}>
+                                        {editorCells.map((on, i) => (
+                                            <button key={i} onClick={() => toggleEditorCell(i)} className={`rounded-sm border font-mono text-[10px] font-bold transition-colors ${on ? 'bg-[#33ff00] text-black border-[#33ff00] shadow-[0_0_8px_rgba(51,255,0,0.6)]' : 'bg-[#0d120d] text-[#33ff00]/60 border-[#33ff00]/30 hover:bg-[#33ff00]/10'}`}>
+                                                {EDITOR_GRIDS[editorGrid].counts[i]}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+                                <div className="flex gap-1">
+                                    <input value={editorName} onChange={(e) => setEditorName(e.target.value)} maxLength={10} placeholder="NAME"
+                                           className="flex-1 min-w-0 bg-[#0d120d] border border-[#33ff00]/30 rounded-sm px-2 py-1 font-mono text-[10px] text-[#33ff00] uppercase placeholder-[#33ff00]/30 outline-none focus:border-[#33ff00]" />
+                                    {editingId && <SetupChip onClick={() => resetEditor()}>NEW</SetupChip>}
                                 </div>
+                                <SetupSection title={`SAVED (${customPatterns.length})`}>
+                                    {customPatterns.length === 0 && (
+                                        <div className="py-1 text-[8px] md:text-[9px] font-mono text-[#33ff00]/50 text-left">NO CUSTOM PATTERNS YET</div>
+                                    )}
+                                    {customPatterns.map(p => (
+                                        <SetupRow key={p.id} label={p.name}>
+                                            <SetupChip active={p.inPool} onClick={() => toggleCustomInPool(p.id)}>POOL</SetupChip>
+                                            <SetupChip active={editingId === p.id} onClick={() => editCustomPattern(p)}><Pencil size={10} /></SetupChip>
+                                            <SetupChip onClick={() => deleteCustomPattern(p.id)}><Trash2 size={10} /></SetupChip>
+                                        </SetupRow>
+                                    ))}
+                                </SetupSection>
                             </div>
                         )}
                     </div>
 
                     <div className="h-12 shrink-0 relative z-0">
-                         <RetroWaveform isPlaying={isPlaying} beat={beatIndicator} activePattern={activeLibraryPattern} isSequencePlaying={isSequencePlaying} />
+                         <RetroWaveform isPlaying={isPlaying && !visualsDark} beat={beatIndicator} activePattern={activeLibraryPattern} isSequencePlaying={isSequencePlaying} sections={meter.beats.length} />
                     </div>
                 </div>
             </div>
@@ -459,15 +3904,15 @@ export default function RhythmCardsApp() {
         <div className="shrink-0 bg-[#222] px-6 py-6 border-t border-black shadow-[inset_0_2px_4px_rgba(0,0,0,0.5)] z-20">
             <div className="flex justify-between items-center mb-4">
                <div className="flex gap-1">
-                 {[0, 1, 2, 3].map(i => (
-                    <div key={i} className={`w-6 h-1.5 rounded-sm transition-all duration-75 border border-black/30 ${isPlaying && beatIndicator === i ? (i === 0 ? 'bg-red-500 shadow-[0_0_10px_#ef4444]' : 'bg-[#33ff00] shadow-[0_0_10px_#33ff00]') : 'bg-[#1a1a1a]'}`}></div>
+                 {meter.beats.map((_, i) => (
+                    <div key={i} className={`${meter.beats.length > 5 ? 'w-4' : 'w-6'} h-1.5 rounded-sm transition-all duration-75 border border-black/30 ${isPlaying && !visualsDark && beatIndicator === i ? (i === 0 ? 'bg-red-500 shadow-[0_0_10px_#ef4444]' : 'bg-[#33ff00] shadow-[0_0_10px_#33ff00]') : 'bg-[#1a1a1a]'}`}></div>
                 ))}
                </div>
                
-               {screen === 'training' && (
+               {(screen === 'training' || screen === 'stream' || screen === 'quiz') && (
                 <div className="flex gap-1 bg-[#181818] p-1 rounded shadow-inner">
                     {['basic', 'advanced', 'expert'].map((lvl) => (
-                        <button key={lvl} onClick={() => setDifficulty(lvl)} className={`px-2 py-1 rounded text-[8px] md:text-[10px] font-bold uppercase transition-all ${difficulty === lvl ? 'bg-[#e06c28] text-white shadow-sm' : 'text-[#666] hover:text-[#999] hover:bg-[#252525]'}`}>
+                        <button key={lvl} onClick={() => chooseDifficulty(lvl)} className={`px-2 py-1 rounded text-[8px] md:text-[10px] font-bold uppercase transition-all ${difficulty === lvl ? 'bg-[#e06c28] text-white shadow-sm' : 'text-[#666] hover:text-[#999] hover:bg-[#252525]'}`}>
                             {lvl === 'basic' ? 'BAS' : lvl === 'advanced' ? 'ADV' : 'EXP'}
                         </button>
                     ))}
@@ -480,9 +3925,9 @@ export default function RhythmCardsApp() {
                  <Fader label="Volume" value={volume} min={0} max={100} onChange={(e) => setVolume(parseInt(e.target.value))} onDecrement={() => setVolume(Math.max(0, volume - 5))} onIncrement={() => setVolume(Math.min(100, volume + 5))} unit="%" />
             </div>
 
-            {/* CONTROL BUTTONS: Grid adjusted for 3 buttons in Train mode */}
+            {/* CONTROL BUTTONS: Grid adjusted for 4 buttons in Train mode */}
             {screen === 'training' ? (
-                <div className="grid grid-cols-3 gap-2 h-14">
+                <div className="grid grid-cols-4 gap-2 h-14">
                     {/* 1. Stop/Run */}
                     <TactileButton onClick={toggleMetronome} active={isPlaying} color={isPlaying ? "orange" : "grey"} className="w-full h-full text-xs md:text-sm">
                         {isPlaying ? <Pause size={18} /> : <Play size={18} />}<span>{isPlaying ? "STOP" : "RUN"}</span>
@@ -494,12 +3939,111 @@ export default function RhythmCardsApp() {
                         <span>SEQ</span>
                     </TactileButton>
 
-                    {/* 3. Shuffle */}
-                    <TactileButton onClick={generateCards} active={!animateCards} color="orange" className="w-full h-full text-xs md:text-sm">
+                    {/* 3. Tap-along scoring */}
+                    <TactileButton onClick={toggleTapMode} active={tapMode} color="grey" className="w-full h-full text-xs md:text-sm">
+                        {input.source === 'mic' ? <Mic size={18} className={tapMode ? "text-[#33ff00]" : ""} />
+                            : input.source === 'midi' ? <Piano size={18} className={tapMode ? "text-[#33ff00]" : ""} />
+                            : <Hand size={18} className={tapMode ? "text-[#33ff00]" : ""} />}
+                        <span>{INPUT_LABELS[input.source]}</span>
+                    </TactileButton>
+
+                    {/* 4. Shuffle */}
+                    <TactileButton onClick={nextExercise} active={!animateCards} color="orange" className="w-full h-full text-xs md:text-sm">
                         <RefreshCw size={18} className={!animateCards ? 'animate-spin' : ''} />
                         <span>SYNC</span>
                     </TactileButton>
                 </div>
+            ) : screen === 'stream' ? (
+                <div className="grid grid-cols-2 gap-4 h-14">
+                    <TactileButton onClick={toggleMetronome} active={isPlaying} color={isPlaying ? "orange" : "grey"} className="w-full h-full text-lg">
+                        {isPlaying ? <Pause /> : <Play />}<span>{isPlaying ? "STOP" : "RUN"}</span>
+                    </TactileButton>
+                    <TactileButton onClick={toggleStream} active={streamSeed !== null} color="orange" className="w-full h-full text-lg">
+                        <ScrollText className={streamSeed !== null ? "text-[#33ff00]" : ""} /><span>{streamSeed !== null ? "END" : "READ"}</span>
+                    </TactileButton>
+                </div>
+            ) : screen === 'quiz' ? (
+                <div className="grid grid-cols-3 gap-2 h-14">
+                    <TactileButton onClick={playQuiz} active={isPlaying} color="grey" className={`w-full h-full text-xs md:text-sm ${quizPlaysLeft ? '' : 'opacity-40'}`}>
+                        <Ear size={18} className={isPlaying ? "text-[#33ff00]" : ""} /><span>{quizBar ? 'PLAY' : 'NEW'}</span>
+                    </TactileButton>
+                    <TactileButton onClick={checkQuiz} active={false} color="orange" className="w-full h-full text-xs md:text-sm">
+                        {quizBar && !quizBar.marks ? <Check size={18} /> : <SkipForward size={18} />}<span>{quizBar && !quizBar.marks ? 'CHECK' : 'NEXT'}</span>
+                    </TactileButton>
+                    <TactileButton onClick={() => setQuizReview(!quizReview)} active={quizReview} color="grey" className="w-full h-full text-xs md:text-sm">
+                        <ListChecks size={18} className={quizReview ? "text-[#33ff00]" : ""} /><span>REVIEW</span>
+                    </TactileButton>
+                </div>
+            ) : screen === 'routine' && routineRunning ? (
+                <div className="grid grid-cols-3 gap-2 h-14">
+                    <TactileButton onClick={toggleRoutinePause} active={routineRun.paused} color="grey" className="w-full h-full text-xs md:text-sm">
+                        {routineRun.paused ? <Play size={18} /> : <Pause size={18} />}<span>{routineRun.paused ? 'GO' : 'PAUSE'}</span>
+                    </TactileButton>
+                    <TactileButton onClick={() => finishRoutineStep(true)} active={false} color="grey" className="w-full h-full text-xs md:text-sm">
+                        <SkipForward size={18} /><span>SKIP</span>
+                    </TactileButton>
+                    <TactileButton onClick={() => finishRoutineStep(true, true)} active={false} color="orange" className="w-full h-full text-xs md:text-sm">
+                        <Square size={18} /><span>END</span>
+                    </TactileButton>
+                </div>
+            ) : screen === 'routine' && routineRun ? (
+                <div className="grid grid-cols-2 gap-4 h-14">
+                    <TactileButton onClick={() => startRoutine(routineRun.routine)} active={false} color="grey" className="w-full h-full text-lg">
+                        <RefreshCw /><span>AGAIN</span>
+                    </TactileButton>
+                    <TactileButton onClick={() => setRoutineRun(null)} active={false} color="orange" className="w-full h-full text-lg">
+                        <Check /><span>DONE</span>
+                    </TactileButton>
+                </div>
+            ) : screen === 'routine' && routineDraft ? (
+                <div className="grid grid-cols-2 gap-4 h-14">
+                    <TactileButton onClick={() => setRoutineDraft(null)} active={false} color="grey" className="w-full h-full text-lg">
+                        <X /><span>CANCEL</span>
+                    </TactileButton>
+                    <TactileButton onClick={saveRoutineDraft} active={false} color="orange" className="w-full h-full text-lg">
+                        <Save /><span>SAVE</span>
+                    </TactileButton>
+                </div>
+            ) : screen === 'routine' ? (
+                <div className="grid grid-cols-2 gap-4 h-14">
+                    <TactileButton onClick={toggleMetronome} active={isPlaying} color={isPlaying ? "orange" : "grey"} className="w-full h-full text-lg">
+                        {isPlaying ? <Pause /> : <Play />}<span>{isPlaying ? "STOP" : "RUN"}</span>
+                    </TactileButton>
+                    <TactileButton onClick={newRoutine} active={false} color="orange" className="w-full h-full text-lg">
+                        <Plus /><span>NEW</span>
+                    </TactileButton>
+                </div>
+            ) : screen === 'stats' ? (
+                <div className="grid grid-cols-3 gap-2 h-14">
+                    <TactileButton onClick={() => exportHistory('csv')} active={false} color="grey" className="w-full h-full text-xs md:text-sm">
+                        <Download size={18} /><span>CSV</span>
+                    </TactileButton>
+                    <TactileButton onClick={() => exportHistory('json')} active={false} color="grey" className="w-full h-full text-xs md:text-sm">
+                        <Download size={18} /><span>JSON</span>
+                    </TactileButton>
+                    <TactileButton onClick={() => historyFileRef.current.click()} active={false} color="orange" className="w-full h-full text-xs md:text-sm">
+                        <FileUp size={18} /><span>IMPORT</span>
+                    </TactileButton>
+                    <input ref={historyFileRef} type="file" accept=".csv,.json,text/csv,application/json" className="hidden" onChange={(e) => { importHistory(e.target.files[0]); e.target.value = ''; }} />
+                </div>
+            ) : screen === 'editor' ? (
+                <div className="grid grid-cols-2 gap-4 h-14">
+                    <TactileButton onClick={toggleMetronome} active={isPlaying} color={isPlaying ? "orange" : "grey"} className="w-full h-full text-lg">
+                        {isPlaying ? <Pause /> : <Play />}<span>{isPlaying ? "STOP" : "HEAR"}</span>
+                    </TactileButton>
+                    <TactileButton onClick={saveEditorPattern} active={false} color="orange" className="w-full h-full text-lg">
+                        <Save /><span>{editingId ? 'UPDATE' : 'SAVE'}</span>
+                    </TactileButton>
+                </div>
+            ) : screen === 'setup' ? (
+                <div className="grid grid-cols-2 gap-4 h-14">
+                    <TactileButton onClick={toggleMetronome} active={isPlaying} color={isPlaying ? "orange" : "grey"} className="w-full h-full text-lg">
+                        {isPlaying ? <Pause /> : <Play />}<span>{isPlaying ? "STOP" : "RUN"}</span>
+                    </TactileButton>
+                    <TactileButton onClick={() => switchScreen('training')} active={false} color="grey" className="w-full h-full text-lg">
+                        <X /><span>DONE</span>
+                    </TactileButton>
+                </div>
             ) : (
                 <div className="grid grid-cols-2 gap-4 h-14">
                     <TactileButton onClick={toggleMetronome} active={isPlaying} color={isPlaying ? "orange" : "grey"} className="w-full h-full text-lg">
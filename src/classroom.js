@@ -0,0 +1,47 @@
+// --- Classroom Clock ---
+// How a follower lines its clock up with the teacher's and where it joins a cue that is already running
+// (the transports and cue handling live in App.jsx). Cues arrive from the network, so anything read
+// from one is checked here.
+import { METERS, barUnits } from './rhythm.js';
+
+// A follower needs this long (ms) to set up its first beat
+export const CLASS_JOIN_MARGIN = 150;
+// Most count-in bars a start can have (as the count-in setting)
+const MAX_COUNT_IN = 2;
+
+// One ping/pong: the teacher's clock read at t1 sits halfway through the round trip t0..t2 (ms). Null
+// for a reply that can't be a real one (a time missing, or back before it was sent).
+export const clockSample = (t0, t1, t2) => (
+  [t0, t1, t2].every(Number.isFinite) && t2 >= t0 ? { rtt: t2 - t0, offset: t1 - (t0 + t2) / 2 } : null
+);
+
+// The sample with the shortest round trip, the most trustworthy; null before the first
+export const bestClockSample = (samples) => (
+  samples.reduce((best, sample) => (!best || sample.rtt < best.rtt ? sample : best), null)
+);
+
+export const cueTempo = (cue) => Math.min(180, Math.max(40, Number(cue.bpm) || 60));
+
+// Start options for a follower, at the cue's tempo. `offset`: the teacher's clock minus ours (ms). The
+// teacher's start time when it's still ahead, else the next bar line, minus the count-in and phrase bars
+// already gone by (the tempo is steady in class, the speed trainer being off). Null when the cue has no
+// meter or start time this build knows.
+export const classJoin = (cue, now, offset) => {
+  const meter = Object.hasOwn(METERS, cue.meterId) ? METERS[cue.meterId] : null;
+  if (!meter || !Number.isFinite(cue.startAt)) return null;
+  const countInBars = Math.min(MAX_COUNT_IN, Math.max(0, Math.round(Number(cue.countInBars) || 0)));
+  const start = cue.startAt - (Number.isFinite(offset) ? offset : 0);
+  const barMs = barUnits(meter) * 60000 / cueTempo(cue);
+  const passed = Math.max(0, Math.ceil((now + CLASS_JOIN_MARGIN - start) / barMs));
+  return { at: start + passed * barMs, countInBars: Math.max(0, countInBars - passed), bar: Math.max(0, passed - countInBars) };
+};
+
+// Whether the rest of what a follower deals from `cue` is usable: a difficulty in `difficulties`, a whole
+// stream seed (null outside stream mode), and a loop of whole bars inside the phrase's `bars` (or null)
+export const cueUsable = (cue, difficulties, bars) => {
+  const loop = cue.loop;
+  const loopFits = loop === null || (Array.isArray(loop) && loop.length === 2 && loop.every(Number.isInteger)
+    && loop[0] >= 0 && loop[0] <= loop[1] && loop[1] < bars);
+  const seedFits = Number.isInteger(cue.streamSeed) || (cue.streamSeed === null && cue.mode !== 'stream');
+  return difficulties.includes(cue.difficulty) && seedFits && loopFits;
+};
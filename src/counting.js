@@ -0,0 +1,91 @@
+// --- Counting ---
+// What to say for each note: its place in the beat (1-e-&-a, Takadimi, Chinese) or its value (Kodály).
+// `numbered` systems say the beat number on the beat, named by beat(n), which also counts in;
+// `syllables` lists the rest (what a recorded voice needs), `spoken` respells them for a speech voice.
+// The voice saying them (speech or a recording) is in App.jsx.
+import { METERS, patternKind, patternNotes } from './rhythm.js';
+
+const COUNT_EPSILON = 1e-6;
+// Beats the longest meter has, so a recorded voice can count in every meter
+const COUNT_BEATS = Math.max(...Object.values(METERS).map(meter => meter.beats.length));
+
+const onGrid = (at, division) => Math.abs(at * division - Math.round(at * division)) < COUNT_EPSILON;
+
+// Syllable from the first [division, syllables] grid `at` sits on
+const gridSyllable = (at, grids, fallback) => {
+  const grid = grids.find(([division]) => onGrid(at, division));
+  return grid ? grid[1][Math.round(at * grid[0]) % grid[0]] : fallback;
+};
+
+// grids: { simple, compound } lists for gridSyllable
+const byPosition = (grids, fallback) => (note, notes, kind) => gridSyllable(note.at, grids[kind], fallback);
+
+// ta (quarter), ti (eighth), ti-ri (sixteenths), tim-ri (dotted eighth, sixteenth), tri-o-la (triplet);
+// in compound beats ta-i is the dotted quarter and ta the quarter
+const kodalySyllable = (note, notes, kind) => {
+  const atLeast = (value) => note.dur > value - COUNT_EPSILON;
+  if (kind === 'compound') {
+    if (atLeast(1)) return 'ta-i';
+    if (atLeast(2 / 3)) return 'ta';
+    if (atLeast(1 / 2)) return 'tim';
+    if (atLeast(1 / 3)) return 'ti';
+    return onGrid(note.at, 3) ? 'ti' : 'ri';
+  }
+  if (notes.some(other => !onGrid(other.at, 4) && onGrid(other.at, 3))) return gridSyllable(note.at, [[3, ['tri', 'o', 'la']]], 'ti');
+  // Other tuplets have no syllables of their own
+  if (!notes.every(other => onGrid(other.at, 4))) return 'ti';
+  if (atLeast(1)) return 'ta';
+  if (atLeast(3 / 4)) return 'tim';
+  if (atLeast(1 / 2)) return 'ti';
+  return onGrid(note.at, 2) ? 'ti' : 'ri';
+};
+
+const CHINESE_NUMBERS = ['一', '二', '三', '四', '五', '六', '七'];
+
+export const COUNT_SYSTEMS = {
+  numbers: {
+    label: '1-E-&-A', lang: 'en-US', numbered: true, beat: (n) => String(n),
+    // Compound beats count 1 & a in eighths, with "ta" on the sixteenths between
+    syllable: byPosition({ simple: [[4, ['', 'e', '&', 'a']], [3, ['', 'trip', 'let']]], compound: [[3, ['', '&', 'a']]] }, 'ta'),
+    syllables: ['e', '&', 'a', 'trip', 'let', 'ta'],
+    spoken: { e: 'ee', '&': 'and', a: 'uh', ta: 'tah' },
+  },
+  takadimi: {
+    label: 'TAKADIMI', lang: 'en-US', numbered: false, beat: (n) => String(n),
+    syllable: byPosition({
+      simple: [[4, ['ta', 'ka', 'di', 'mi']], [3, ['ta', 'ki', 'da']], [6, ['ta', 'va', 'ki', 'di', 'da', 'ma']], [5, ['ta', 'ka', 'di', 'mi', 'ti']]],
+      compound: [[3, ['ta', 'ki', 'da']], [6, ['ta', 'va', 'ki', 'di', 'da', 'ma']]],
+    }, 'ta'),
+    syllables: ['ta', 'ka', 'di', 'mi', 'ki', 'da', 'va', 'ma', 'ti'],
+    spoken: { ta: 'tah', ka: 'kah', di: 'dee', mi: 'mee', ki: 'kee', da: 'dah', va: 'vah', ma: 'mah', ti: 'tee' },
+  },
+  kodaly: {
+    label: 'KODALY', lang: 'en-US', numbered: false, beat: (n) => String(n),
+    syllable: kodalySyllable,
+    syllables: ['ta', 'ti', 'ri', 'tim', 'ta-i', 'tri', 'o', 'la'],
+    spoken: { ta: 'tah', ti: 'tee', ri: 'ree', tim: 'teem', 'ta-i': 'tah ee', tri: 'tree', o: 'oh', la: 'lah' },
+  },
+  chinese: {
+    label: '一哒', lang: 'zh-CN', numbered: true, beat: (n) => CHINESE_NUMBERS[n - 1],
+    syllable: () => '哒',
+    syllables: ['哒'],
+    spoken: {},
+  },
+};
+
+// Count for `note` on beat `beat` (1 = the downbeat) of a beat of `kind` holding `notes`
+export const countSyllable = (system, beat, note, notes, kind) => (
+  system.numbered && note.at < COUNT_EPSILON ? system.beat(beat) : system.syllable(note, notes, kind)
+);
+
+// Everything a system can say, count-in included
+export const countInventory = (system) => [...Array.from({ length: COUNT_BEATS }, (_, i) => system.beat(i + 1)), ...system.syllables];
+
+// One count per note and rest of a card; `lit` marks the one sounding when `countAt` (where in the beat
+// the last note or rest began) is given
+export const noteCounts = (pattern, system, beat, countAt = null) => {
+  const notes = patternNotes(pattern);
+  const kind = patternKind(pattern);
+  const lit = countAt === null ? -1 : notes.reduce((last, note, i) => (note.at < countAt + COUNT_EPSILON ? i : last), -1);
+  return notes.map((note, i) => ({ text: countSyllable(system, beat, note, notes, kind), rest: !!note.rest, lit: i === lit }));
+};
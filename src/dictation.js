@@ -0,0 +1,17 @@
+// --- Dictation ---
+// Judges ear-training answers: each beat of the hidden bar is answered with a card, and an answer is right
+// when it sounds the same. That is judged on the attacks heard (ties included), so cards that sound the
+// same all count; note lengths aren't, as most kits are percussive.
+import { buildSequence } from './rhythm.js';
+
+// Per beat of a bar of `patterns`: where its attacks fall, as a comparable string. A bar is played once,
+// so its last beat ties into nothing.
+export const barAttacks = (patterns, beats) => (
+  buildSequence(patterns, beats, { loop: false }).map(notes => notes.filter(note => !note.rest && !note.tied).map(note => note.at.toFixed(3)).join())
+);
+
+// Per beat: whether the answer sounds like the hidden bar
+export const dictationMarks = (answers, hidden, beats) => {
+  const given = barAttacks(answers, beats);
+  return barAttacks(hidden, beats).map((attacks, i) => attacks === given[i]);
+};
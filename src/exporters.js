@@ -0,0 +1,150 @@
+// --- Export (Standard MIDI File, MusicXML) ---
+// Writes an exercise as a Standard MIDI File (rhythm and click on tracks of their own) or as MusicXML on a
+// one-line percussion staff. Every exporter takes `bars`: one row of cards (one card per beat) per bar.
+import { buildSequence } from './rhythm.js';
+
+const MIDI_PPQ = 480;
+const XML_DIVISIONS = 120; // per quarter: fits 32nds, triplets and quintuplets
+
+// Written notes in quarter notes from the start of the exercise; a tie across beats is marked on both ends
+export const exerciseNotes = (bars, meter) => {
+  const sequence = buildSequence(bars.flat(), meter.beats, { loop: false });
+  const notes = [];
+  let beatStart = 0;
+  sequence.forEach((beatNotes, i) => {
+    const beatQuarters = meter.beats[i % meter.beats.length].length * meter.unitQuarters;
+    beatNotes.forEach((note, n) => {
+      if (note.tied && notes.length > 0) notes[notes.length - 1].tieStart = true;
+      notes.push({
+        bar: Math.floor(i / meter.beats.length),
+        beat: i,
+        first: n === 0,
+        start: beatStart + note.at * beatQuarters,
+        quarters: note.dur * beatQuarters,
+        sounding: note.length * meter.unitQuarters,
+        rest: !!note.rest,
+        tieStop: !!note.tied,
+        tieStart: false,
+      });
+    });
+    beatStart += beatQuarters;
+  });
+  return notes;
+};
+
+const midiVarLength = (value) => {
+  const bytes = [value & 0x7f];
+  for (let v = value >> 7; v > 0; v >>= 7) bytes.unshift((v & 0x7f) | 0x80);
+  return bytes;
+};
+const uint32 = (n) => [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+const asciiBytes = (text) => [...text].map(c => c.charCodeAt(0) & 0x7f);
+
+// events: { tick, data, order } where `order` puts note-offs before note-ons on the same tick
+const midiTrack = (events) => {
+  const bytes = [];
+  let lastTick = 0;
+  [...events].sort((a, b) => a.tick - b.tick || (a.order || 0) - (b.order || 0)).forEach(event => {
+    bytes.push(...midiVarLength(event.tick - lastTick), ...event.data);
+    lastTick = event.tick;
+  });
+  bytes.push(0, 0xff, 0x2f, 0);
+  return [...asciiBytes('MTrk'), ...uint32(bytes.length), ...bytes];
+};
+
+// Format 1: conductor track, rhythm on channel 1 (middle C, written durations), click on channel 10
+export const writeMidi = (bars, meter, tempo) => {
+  const ticks = (quarters) => Math.round(quarters * MIDI_PPQ);
+  const microsPerQuarter = Math.round(60000000 / (tempo * meter.unitQuarters));
+  const title = asciiBytes('Rhythm.OS Exercise');
+  const conductor = [
+    { tick: 0, data: [0xff, 0x03, title.length, ...title] },
+    { tick: 0, data: [0xff, 0x51, 0x03, (microsPerQuarter >> 16) & 0xff, (microsPerQuarter >> 8) & 0xff, microsPerQuarter & 0xff] },
+    { tick: 0, data: [0xff, 0x58, 0x04, meter.signature[0], Math.log2(meter.signature[1]), 24 * meter.unitQuarters, 8] },
+  ];
+  const notes = exerciseNotes(bars, meter);
+  const rhythm = notes.filter(n => !n.rest && !n.tieStop).flatMap(n => [
+    { tick: ticks(n.start), data: [0x90, 60, 100], order: 1 },
+    { tick: ticks(n.start + n.sounding), data: [0x80, 60, 0], order: 0 },
+  ]);
+  const click = [];
+  let beatStart = 0;
+  bars.forEach(() => meter.beats.forEach((beat, i) => {
+    const note = i === 0 ? 76 : 77; // GM hi / low wood block
+    click.push({ tick: ticks(beatStart), data: [0x99, note, i === 0 ? 110 : 80], order: 1 });
+    click.push({ tick: ticks(beatStart + 0.125), data: [0x89, note, 0], order: 0 });
+    beatStart += beat.length * meter.unitQuarters;
+  }));
+  const header = [...asciiBytes('MThd'), ...uint32(6), 0, 1, 0, 3, (MIDI_PPQ >> 8) & 0xff, MIDI_PPQ & 0xff];
+  return new Blob([new Uint8Array([...header, ...midiTrack(conductor), ...midiTrack(rhythm), ...midiTrack(click)])], { type: 'audio/midi' });
+};
+
+// Written value (quarters) -> MusicXML type/dots, trying plain values first and then common tuplets
+const XML_TYPES = [[1.5, 'quarter', 1], [1, 'quarter', 0], [0.75, 'eighth', 1], [0.5, 'eighth', 0], [0.375, '16th', 1], [0.25, '16th', 0], [0.125, '32nd', 0]];
+const XML_TUPLETS = [[1, 1], [3, 2], [5, 4], [6, 4], [7, 4]];
+const xmlNoteType = (quarters) => {
+  for (const [actual, normal] of XML_TUPLETS) {
+    const written = quarters * actual / normal;
+    const match = XML_TYPES.find(([q]) => Math.abs(q - written) < 1e-6);
+    if (match) return { type: match[1], dots: match[2], tuplet: actual === 1 ? null : [actual, normal] };
+  }
+  const closest = XML_TYPES.reduce((best, t) => Math.abs(t[0] - quarters) < Math.abs(best[0] - quarters) ? t : best);
+  return { type: closest[1], dots: closest[2], tuplet: null };
+};
+
+export const writeMusicXml = (bars, meter, tempo) => {
+  const notes = exerciseNotes(bars, meter);
+  const compoundTempo = meter.unitQuarters === 1.5;
+  const measures = bars.map((_, b) => {
+    const barNotes = notes.filter(n => n.bar === b);
+    const body = barNotes.map((n, i) => {
+      const { type, dots, tuplet } = xmlNoteType(n.quarters);
+      const prev = barNotes[i - 1];
+      const next = barNotes[i + 1];
+      const sameTuplet = (other) => other && other.beat === n.beat && xmlNoteType(other.quarters).tuplet;
+      const notations = [];
+      if (n.tieStart) notations.push('<tied type="start"/>');
+      if (n.tieStop) notations.push('<tied type="stop"/>');
+      if (tuplet && !sameTuplet(prev)) notations.push('<tuplet type="start" bracket="yes"/>');
+      if (tuplet && !sameTuplet(next)) notations.push('<tuplet type="stop"/>');
+      return [
+        '      <note>',
+        n.rest ? '        <rest/>' : '        <unpitched><display-step>E</display-step><display-octave>4</display-octave></unpitched>',
+        `        <duration>${Math.round(n.quarters * XML_DIVISIONS)}</duration>`,
+        n.tieStop ? '        <tie type="stop"/>' : '',
+        n.tieStart ? '        <tie type="start"/>' : '',
+        `        <type>${type}</type>`,
+        dots ? '        <dot/>' : '',
+        tuplet ? `        <time-modification><actual-notes>${tuplet[0]}</actual-notes><normal-notes>${tuplet[1]}</normal-notes></time-modification>` : '',
+        notations.length ? `        <notations>${notations.join('')}</notations>` : '',
+        '      </note>',
+      ].filter(Boolean).join('\n');
+    }).join('\n');
+    const head = b > 0 ? '' : [
+      '      <attributes>',
+      `        <divisions>${XML_DIVISIONS}</divisions>`,
+      '        <key><fifths>0</fifths></key>',
+      `        <time><beats>${meter.signature[0]}</beats><beat-type>${meter.signature[1]}</beat-type></time>`,
+      '        <clef><sign>percussion</sign></clef>',
+      '        <staff-details><staff-lines>1</staff-lines></staff-details>',
+      '      </attributes>',
+      '      <direction placement="above"><direction-type><metronome>',
+      `        <beat-unit>quarter</beat-unit>${compoundTempo ? '<beat-unit-dot/>' : ''}<per-minute>${tempo}</per-minute>`,
+      `      </metronome></direction-type><sound tempo="${tempo * meter.unitQuarters}"/></direction>`,
+      '',
+    ].join('\n');
+    return `    <measure number="${b + 1}">\n${head}${body}\n    </measure>`;
+  });
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 3.1 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    '<score-partwise version="3.1">',
+    '  <work><work-title>Rhythm.OS Exercise</work-title></work>',
+    '  <part-list><score-part id="P1"><part-name>Rhythm</part-name></score-part></part-list>',
+    '  <part id="P1">',
+    ...measures,
+    '  </part>',
+    '</score-partwise>',
+  ].join('\n');
+  return new Blob([xml], { type: 'application/vnd.recordare.musicxml+xml' });
+};
@@ -0,0 +1,30 @@
+// --- Feel (swing, humanize, dynamics) ---
+// How patterns are played rather than what: where swing puts each note, and the levels the dynamics
+// shapes give (the engine adds the humanize and velocity spread).
+//
+// Swing moves the second note of each pair of `unit`s (eighths or sixteenths, as beat fractions) to
+// `swing` of the pair: 0.5 is straight, 2/3 a triplet shuffle. Finer binary notes in the pair are
+// stretched along with it; tuplets and compound beats, which already swing by nature, are left alone.
+export const feelAt = (at, kind, feel) => {
+  if (!feel || kind !== 'simple' || feel.swing === 0.5) return at;
+  const pair = feel.unit * 2;
+  const start = Math.floor(at / pair + 1e-9) * pair;
+  const x = (at - start) / pair;
+  if (Math.abs(x * 4 - Math.round(x * 4)) > 1e-6) return at;
+  return start + pair * (x <= 0.5 ? x * 2 * feel.swing : feel.swing + (x - 0.5) * 2 * (1 - feel.swing));
+};
+
+// Feel settings (percent / ms / note value) in engine units; a neutral feel plays straight
+export const engineFeel = (feel) => (
+  feel.swing === 50 && feel.humanize === 0 && feel.velocity === 0 && feel.dynamics === 'flat' ? null : {
+    swing: feel.swing / 100, unit: feel.unit === 16 ? 0.25 : 0.5, humanize: feel.humanize / 1000, velocity: feel.velocity / 100, dynamics: feel.dynamics,
+  }
+);
+
+// Pattern voice level by beat of the bar and position in the beat
+export const DYNAMICS = {
+  flat: { label: 'FLAT', level: () => 1 },
+  downbeat: { label: 'ONE', level: (beat, at) => (beat === 0 && at === 0 ? 1 : 0.75) },
+  backbeat: { label: 'BACK', level: (beat, at) => (beat % 2 === 1 && at === 0 ? 1 : 0.7) },
+  pulse: { label: 'PULSE', level: (beat, at) => (at === 0 ? 1 : 0.65) },
+};
@@ -0,0 +1,38 @@
+// --- Two Voices ---
+// Hand-independence mode: a right-hand line over a left-hand line, each a list of cards like `cards`.
+// The engine gets both merged beat by beat, every note tagged with the hand that plays it.
+export const HANDS = ['R', 'L'];
+
+// Per-beat polyrhythms: the right hand plays `right` even notes against `left` in the left hand
+export const POLYRHYTHMS = {
+  '2:1': { right: 2, left: 1 },
+  '3:2': { right: 3, left: 2 },
+  '2:3': { right: 2, left: 3 },
+  '4:3': { right: 4, left: 3 },
+  '3:4': { right: 3, left: 4 },
+  '5:4': { right: 5, left: 4 },
+  '5:3': { right: 5, left: 3 },
+};
+
+// The left-hand line of a dealt exercise is drawn from its own seed, so links and codes reproduce it too
+export const leftHandSeed = (seed) => (seed ^ 0x5bd1e995) >>> 0;
+
+// Per-beat note events of both hands, each note tagged with its hand; a beat the left line doesn't
+// reach is the right hand's alone
+export const mergeHands = (right, left) => right.map((notes, i) => [
+  ...notes.map(note => ({ ...note, hand: 'R' })),
+  ...(left[i] || []).map(note => ({ ...note, hand: 'L' })),
+]);
+
+// { right, left } lines for `cards` in two-voice mode (null when it's off): the polyrhythm's tuplets, or
+// the cards over a left hand dealt from the exercise seed. `deal`: { beatsPerBar, tuplets (cards by
+// division), cards(seed, bars, withCustom) } (withCustom: custom patterns may be drawn). Null too when
+// the deal comes back short, as it does for a difficulty with no cards to draw from.
+export const twoHandLines = (cards, hands, exercise, deal) => {
+  if (!hands.enabled || cards.length === 0) return null;
+  const poly = POLYRHYTHMS[hands.source];
+  if (poly) return { right: cards.map(() => deal.tuplets[poly.right]), left: cards.map(() => deal.tuplets[poly.left]) };
+  const bars = Math.max(1, Math.round(cards.length / deal.beatsPerBar));
+  const left = deal.cards(leftHandSeed(exercise ? exercise.seed : 0), bars, !(exercise && exercise.builtIn));
+  return left.length === cards.length && left.every(Boolean) ? { right: cards, left } : null;
+};
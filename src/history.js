@@ -0,0 +1,211 @@
+// --- Practice History ---
+// Every stretch of playback becomes one session: start (ms), seconds, screen, difficulty, meter, tempos
+// (start, end and highest, trainer ramps included), patterns on screen, scored bars with their mean
+// accuracy, and per-pattern tap accuracy as { id: [summed accuracy, taps scored] }. Sessions are keyed
+// by start, so importing a file twice or saving one on page hide never duplicates it.
+
+const HISTORY_LIMIT = 2000;
+const HISTORY_MIN_SECONDS = 10; // shorter runs are false starts, not practice
+const HISTORY_COLUMNS = ['start', 'seconds', 'screen', 'difficulty', 'meter', 'bpm_start', 'bpm_end', 'bpm_max', 'bars', 'accuracy', 'patterns', 'cards'];
+
+export const openSession = (start) => ({
+  start, screen: null, difficulty: null, meterId: null, bpmStart: null, bpmEnd: null, bpmMax: null,
+  patterns: new Set(), bars: 0, accuracy: 0, cards: {},
+});
+
+export const closeSession = (session, end) => {
+  const seconds = Math.round((end - session.start) / 1000);
+  if (seconds < HISTORY_MIN_SECONDS) return null;
+  return {
+    start: session.start, seconds, screen: session.screen, difficulty: session.difficulty, meterId: session.meterId,
+    bpmStart: session.bpmStart, bpmEnd: session.bpmEnd, bpmMax: session.bpmMax,
+    patterns: [...session.patterns], bars: session.bars,
+    accuracy: session.bars > 0 ? Math.round(session.accuracy / session.bars * 1000) / 1000 : null,
+    cards: Object.fromEntries(Object.entries(session.cards).map(([id, [sum, count]]) => [id, [Math.round(sum * 1000) / 1000, count]])),
+  };
+};
+
+export const sanitizeSession = (raw) => {
+  if (!raw || !Number.isFinite(raw.start) || !Number.isFinite(raw.seconds)) return null;
+  const text = (value) => (typeof value === 'string' && value ? value : null);
+  const tempo = (value) => (Number.isFinite(value) ? Math.round(value) : null);
+  return {
+    start: raw.start,
+    seconds: Math.max(0, Math.round(raw.seconds)),
+    screen: text(raw.screen) || 'training',
+    difficulty: text(raw.difficulty),
+    meterId: text(raw.meterId),
+    bpmStart: tempo(raw.bpmStart),
+    bpmEnd: tempo(raw.bpmEnd),
+    bpmMax: tempo(raw.bpmMax),
+    patterns: Array.isArray(raw.patterns) ? raw.patterns.filter(id => typeof id === 'string') : [],
+    bars: Number.isFinite(raw.bars) ? Math.max(0, Math.round(raw.bars)) : 0,
+    accuracy: Number.isFinite(raw.accuracy) ? Math.min(1, Math.max(0, raw.accuracy)) : null,
+    cards: Object.fromEntries(Object.entries(raw.cards && typeof raw.cards === 'object' ? raw.cards : {})
+      .filter(([, entry]) => Array.isArray(entry) && entry.length === 2 && entry.every(Number.isFinite) && entry[1] > 0)),
+  };
+};
+
+export const mergeSessions = (sessions, incoming) => {
+  const byStart = new Map(sessions.map(session => [session.start, session]));
+  incoming.forEach(session => byStart.set(session.start, session));
+  return [...byStart.values()].sort((a, b) => a.start - b.start).slice(-HISTORY_LIMIT);
+};
+
+// A stored snapshot with `session` added to its history
+export const addSession = (snapshot, session) => (
+  { ...snapshot, history: { sessions: mergeSessions((snapshot.history && snapshot.history.sessions) || [], [session]) } }
+);
+
+// Calendar days and weeks are local time; weeks start on Monday
+export const dayKey = (ms) => {
+  const date = new Date(ms);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+const shiftDays = (ms, days) => {
+  const date = new Date(ms);
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+};
+
+const weekStart = (ms) => {
+  const date = new Date(ms);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+  return date.getTime();
+};
+
+// Current streak counts back from today, or from yesterday while today has no practice yet
+const practiceStreaks = (sessions, now) => {
+  const days = new Set(sessions.map(session => dayKey(session.start)));
+  let day = days.has(dayKey(now)) ? now : shiftDays(now, -1);
+  let current = 0;
+  while (days.has(dayKey(day))) {
+    current += 1;
+    day = shiftDays(day, -1);
+  }
+  let best = 0;
+  let run = 0;
+  let previous = null;
+  [...days].sort().forEach(key => {
+    const [year, month, date] = key.split('-').map(Number);
+    const noon = new Date(year, month - 1, date, 12).getTime();
+    run = previous !== null && dayKey(shiftDays(previous, 1)) === key ? run + 1 : 1;
+    best = Math.max(best, run);
+    previous = noon;
+  });
+  return { current, best };
+};
+
+const weeklyMinutes = (sessions, now, count) => {
+  const weeks = Array.from({ length: count }, (_, i) => ({ start: weekStart(shiftDays(now, -7 * (count - 1 - i))), minutes: 0 }));
+  sessions.forEach(session => {
+    const week = weeks.find(w => w.start === weekStart(session.start));
+    if (week) week.minutes += session.seconds / 60;
+  });
+  return weeks;
+};
+
+// Highest tempo of each practice day, for the last `count` days practised
+const dailyTempo = (sessions, count) => {
+  const days = new Map();
+  sessions.forEach(session => {
+    if (session.bpmMax === null) return;
+    const key = dayKey(session.start);
+    days.set(key, Math.max(days.get(key) || 0, session.bpmMax));
+  });
+  return [...days.entries()].slice(-count).map(([day, bpm]) => ({ day, bpm }));
+};
+
+// Weakest first
+const patternAccuracy = (sessions) => {
+  const totals = {};
+  sessions.forEach(session => Object.entries(session.cards).forEach(([id, [sum, count]]) => {
+    const total = totals[id] || (totals[id] = { id, sum: 0, count: 0 });
+    total.sum += sum;
+    total.count += count;
+  }));
+  return Object.values(totals).map(total => ({ id: total.id, accuracy: total.sum / total.count, count: total.count }))
+    .sort((a, b) => a.accuracy - b.accuracy);
+};
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const historyCsv = (sessions) => [HISTORY_COLUMNS.join(','), ...sessions.map(session => [
+  new Date(session.start).toISOString(), session.seconds, session.screen, session.difficulty, session.meterId,
+  session.bpmStart, session.bpmEnd, session.bpmMax, session.bars, session.accuracy,
+  session.patterns.join(' '),
+  Object.entries(session.cards).map(([id, [sum, count]]) => `${id}:${sum}:${count}`).join(' '),
+].map(csvField).join(','))].join('\n');
+
+const csvRows = (text) => text.split(/\r?\n/).filter(line => line.trim()).map(line => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted && c === '"' && line[i + 1] === '"') {
+      field += '"';
+      i++;
+    } else if (c === '"') {
+      quoted = !quoted;
+    } else if (c === ',' && !quoted) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  fields.push(field);
+  return fields;
+});
+
+// Reads either export format (JSON or CSV) back into sessions
+export const parseHistory = (text) => {
+  const trimmed = text.trim();
+  let raw;
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    const data = JSON.parse(trimmed);
+    raw = Array.isArray(data) ? data : data.sessions;
+  } else {
+    const [header = [], ...rows] = csvRows(trimmed);
+    raw = rows.map(row => {
+      const field = (name) => {
+        const value = row[header.indexOf(name)];
+        return value === undefined || value === '' ? null : value;
+      };
+      const number = (name) => (field(name) === null ? null : Number(field(name)));
+      return {
+        start: Date.parse(field('start')), seconds: number('seconds'), screen: field('screen'),
+        difficulty: field('difficulty'), meterId: field('meter'),
+        bpmStart: number('bpm_start'), bpmEnd: number('bpm_end'), bpmMax: number('bpm_max'),
+        bars: number('bars'), accuracy: number('accuracy'),
+        patterns: (field('patterns') || '').split(' ').filter(Boolean),
+        cards: Object.fromEntries((field('cards') || '').split(' ').filter(Boolean).map(entry => {
+          const [id, sum, count] = entry.split(':');
+          return [id, [Number(sum), Number(count)]];
+        })),
+      };
+    });
+  }
+  const sessions = (Array.isArray(raw) ? raw : []).map(sanitizeSession).filter(Boolean);
+  if (sessions.length === 0) throw new Error('No practice sessions in file');
+  return sessions;
+};
+
+export const historyStats = (sessions, now) => {
+  const scored = sessions.filter(session => session.accuracy !== null && session.bars > 0);
+  const bars = scored.reduce((total, session) => total + session.bars, 0);
+  return {
+    minutes: sessions.reduce((total, session) => total + session.seconds / 60, 0),
+    accuracy: bars > 0 ? scored.reduce((total, session) => total + session.accuracy * session.bars, 0) / bars : null,
+    streaks: practiceStreaks(sessions, now),
+    weeks: weeklyMinutes(sessions, now, 8),
+    tempo: dailyTempo(sessions, 30),
+    patterns: patternAccuracy(sessions),
+  };
+};
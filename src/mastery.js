@@ -0,0 +1,58 @@
+// --- Mastery (spaced repetition) ---
+// SM-2 style scheduling counted in exercises rather than days: every rated exercise advances the clock,
+// a pattern answered well comes back after a growing interval, a lapse brings it back next time.
+// Qualities are 0..1 (tap accuracy, or a self-rating mapped onto the same scale).
+export const MASTERY_PASS = 0.6;
+export const MASTERED_SCORE = 0.8;
+export const LEVEL_UP_ACCURACY = 0.85;
+export const LEVEL_UP_STREAK = 3;
+// SM-2's floor: below this a pattern would come back every time however often it was answered well
+const MIN_EASE = 1.3;
+
+export const NEW_PATTERN_STAT = { ease: 2.5, interval: 0, reps: 0, lapses: 0, due: 0, score: null, seen: 0 };
+
+export const reviewPattern = (stat = NEW_PATTERN_STAT, quality, clock) => {
+  const grade = quality * 5;
+  const passed = quality >= MASTERY_PASS;
+  const reps = passed ? stat.reps + 1 : 0;
+  const interval = !passed ? 1 : reps === 1 ? 1 : reps === 2 ? 3 : Math.round(stat.interval * stat.ease);
+  return {
+    ease: Math.max(MIN_EASE, stat.ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)),
+    interval,
+    reps,
+    lapses: stat.lapses + (passed ? 0 : 1),
+    due: clock + interval,
+    score: stat.score === null ? quality : stat.score * 0.7 + quality * 0.3,
+    seen: stat.seen + 1,
+  };
+};
+
+// Overdue and weak patterns weigh most; unseen ones get a fair chance; ones not yet due are rare
+export const masteryWeight = (stat, clock) => {
+  if (!stat) return 2;
+  const overdue = clock - stat.due;
+  return (overdue >= 0 ? 2 + Math.min(overdue, 8) * 0.5 : 0.3) * (1.5 - stat.score);
+};
+
+// Applies one exercise's ratings ([{ id, quality }]); returns the new mastery and the mean quality. An
+// exercise with nothing rated changes nothing (mean null): it neither advances the clock nor breaks the streak.
+export const recordExercise = (mastery, ratings) => {
+  if (ratings.length === 0) return { mastery, mean: null };
+  const patterns = { ...mastery.patterns };
+  ratings.forEach(({ id, quality }) => { patterns[id] = reviewPattern(patterns[id], quality, mastery.clock); });
+  const mean = ratings.reduce((total, r) => total + r.quality, 0) / ratings.length;
+  return {
+    mastery: { clock: mastery.clock + 1, streak: mean >= LEVEL_UP_ACCURACY ? mastery.streak + 1 : 0, patterns },
+    mean,
+  };
+};
+
+export const poolMastered = (mastery, ids) => ids.every(id => mastery.patterns[id] && mastery.patterns[id].score >= MASTERED_SCORE);
+
+// After a run of LEVEL_UP_STREAK accurate exercises: the mastery with the run used up, and `nextLevel`
+// when every pattern of the current pool (`ids`) is mastered (difficulty null: a tempo step instead).
+// Null while the run is shorter.
+export const levelUp = (mastery, nextLevel, ids) => {
+  if (mastery.streak < LEVEL_UP_STREAK) return null;
+  return { mastery: { ...mastery, streak: 0 }, difficulty: nextLevel && poolMastered(mastery, ids) ? nextLevel : null };
+};
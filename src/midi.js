@@ -0,0 +1,21 @@
+// --- MIDI Messages ---
+// Reading what Web MIDI hands over: note names for the setup screen, the ports of an access object, and
+// which incoming messages count as hits.
+const MIDI_NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// e.g. 60 is C4
+export const midiNoteName = (note) => `${MIDI_NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`;
+
+export const midiPorts = (access) => ({
+  inputs: [...access.inputs.values()].map(({ id, name }) => ({ id, name })),
+  outputs: [...access.outputs.values()].map(({ id, name }) => ({ id, name })),
+});
+
+// Note-on (with velocity > 0) on `channel` (1-16, 0 = any); returns the note or null. A note-on at
+// velocity 0 is a note-off, and anything else (note-offs, controllers, clock, sysex) isn't a hit.
+export const midiNoteOn = (data, channel) => {
+  const [status, note, velocity] = data;
+  if ((status & 0xf0) !== 0x90 || !velocity) return null;
+  if (channel && (status & 0x0f) !== channel - 1) return null;
+  return note;
+};
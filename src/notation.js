@@ -0,0 +1,99 @@
+// --- Generated Notation ---
+// Custom patterns are stored as grid cells; this turns them into note events and lays out one beat of
+// them as glyphs: note and rest values, dots, ties, flags, beams and the tuplet number. App.jsx draws the
+// layout on the card (x positions on its 0-100 viewBox).
+
+// Values one glyph can show, as fractions of the nominal beat (quarter), largest first
+const NOTE_VALUES = [1, 3/4, 1/2, 3/8, 1/4, 1/8];
+const REST_VALUES = [1, 1/2, 1/4, 1/8];
+
+// Splits a value into glyph-sized parts (tied together for notes, side by side for rests)
+const splitValue = (value, allowed) => {
+  const parts = [];
+  for (let left = value; left > 1e-6;) {
+    const part = allowed.find(v => v <= left + 1e-6) || allowed[allowed.length - 1];
+    parts.push(part);
+    left -= part;
+  }
+  return parts;
+};
+
+// Note events ({ at, dur, rest }) of one beat of cells: an attacked cell starts a note that lasts until the
+// next one; empty cells before the first are a rest
+export const cellsToNotes = (cells) => {
+  const notes = [];
+  cells.forEach((on, i) => {
+    const last = notes[notes.length - 1];
+    if (on) notes.push({ at: i / cells.length, dur: 1 / cells.length });
+    else if (last) last.dur += 1 / cells.length;
+    else notes.push({ at: 0, dur: 1 / cells.length, rest: true });
+  });
+  return notes;
+};
+
+// Lays out one beat of `notes` written on a grid of `division` cells per beat. Non-power-of-two grids are
+// tuplets of the next smaller power of two (3 -> triplet eighths, 5 -> quintuplet 16ths). Returns
+// { elements: [{ value, rest, beams, dotted, tieTo (x of the note tied into, or null), x, stem }], rx
+// (notehead size), flags: [{ stem, count }], beams: [{ x1, x2, level }] (0 the main beam; short ones are
+// partial beams), tuplet: { x, count } or null }.
+export const notationLayout = (notes, division) => {
+  const nominal = 2 ** Math.floor(Math.log2(division));
+  const elements = [];
+  notes.forEach(note => {
+    const cells = Math.round(note.dur * division);
+    // A note or rest filling the whole beat is a plain quarter, whatever the grid
+    const value = cells === division ? 1 : cells / nominal;
+    splitValue(value, note.rest ? REST_VALUES : NOTE_VALUES).forEach((v, i, parts) => {
+      elements.push({
+        value: v,
+        rest: !!note.rest,
+        beams: v >= 1 ? 0 : v >= 1/2 ? 1 : v >= 1/4 ? 2 : 3,
+        dotted: v === 3/4 || v === 3/8,
+        tied: !note.rest && i < parts.length - 1,
+      });
+    });
+  });
+
+  const n = elements.length;
+  const rx = n >= 5 ? 6 : n === 4 ? 8 : 9;
+  elements.forEach((el, i) => {
+    el.x = n === 1 ? 45 : 16 + i * (68 / (n - 1));
+    el.stem = el.x + rx;
+  });
+  elements.forEach((el, i) => {
+    el.tieTo = el.tied ? elements[i + 1].x : null;
+    delete el.tied;
+  });
+
+  // Beam groups: runs of eighths-or-shorter not broken by rests or quarters
+  const groups = [];
+  elements.forEach((el, i) => {
+    const prev = elements[i - 1];
+    if (el.rest || el.beams === 0) return;
+    if (prev && !prev.rest && prev.beams > 0) groups[groups.length - 1].push(el);
+    else groups.push([el]);
+  });
+
+  const flags = [];
+  const beams = [];
+  groups.forEach(group => {
+    if (group.length === 1) {
+      flags.push({ stem: group[0].stem, count: group[0].beams });
+      return;
+    }
+    beams.push({ x1: group[0].stem, x2: group[group.length - 1].stem, level: 0 });
+    for (let level = 1; level < 3; level++) {
+      group.forEach((el, i) => {
+        if (el.beams <= level) return;
+        const next = group[i + 1];
+        const prev = group[i - 1];
+        if (next && next.beams > level) beams.push({ x1: el.stem, x2: next.stem, level });
+        // Partial beam: hooks right on the group's first note, left otherwise
+        else if (!prev || prev.beams <= level) beams.push({ x1: el.stem, x2: el.stem + (i === 0 ? 11 : -11), level });
+      });
+    }
+  });
+
+  const tuplet = nominal !== division && n > 1 ? { x: (elements[0].x + elements[n - 1].stem) / 2, count: division } : null;
+  return { elements, rx, flags, beams, tuplet };
+};
@@ -0,0 +1,103 @@
+// --- Onset Detection ---
+// Finds hits in microphone input and recorded files, and turns them into scored hits: latency
+// compensation for live capture, alignment to the exercise for recordings.
+//
+// Onsets are found from the energy of the signal's first difference (a cheap high-pass that favours
+// attacks over sustained tone), against a slowly adapting background level. Live capture and recorded
+// files go through the same OnsetDetector.process().
+import { PerformanceScorer, combineResults } from './scoring.js';
+
+export const MIC_BLOCK = 1024;
+export const ONSET_FRAME = 256;
+// Range of the input latency setting (ms)
+export const LATENCY_MIN = -100;
+export const LATENCY_MAX = 300;
+
+export class OnsetDetector {
+  // sensitivity: 0..1 (higher finds quieter hits); refractory: seconds to ignore after a hit (ringing, flams)
+  constructor({ sensitivity = 0.6, refractory = 0.06 } = {}) {
+    this.sensitivity = sensitivity;
+    this.refractory = refractory;
+    this.reset();
+  }
+
+  reset() {
+    this.background = null;
+    this.previous = 0;
+    this.lastSample = 0;
+    this.lastOnset = -Infinity;
+  }
+
+  // `samples` (mono) start at `startTime` on the caller's clock; returns the onset times found
+  process(samples, startTime, sampleRate) {
+    const onsets = [];
+    const ratio = 2 + 30 * (1 - this.sensitivity);
+    const floor = 1e-6 * (1 + 100 * (1 - this.sensitivity));
+    for (let offset = 0; offset + ONSET_FRAME <= samples.length; offset += ONSET_FRAME) {
+      let energy = 0;
+      for (let i = offset; i < offset + ONSET_FRAME; i++) {
+        const diff = samples[i] - this.lastSample;
+        energy += diff * diff;
+        this.lastSample = samples[i];
+      }
+      energy /= ONSET_FRAME;
+      const time = startTime + offset / sampleRate;
+      // The first frame only sets the background level
+      if (this.background === null) {
+        this.background = energy;
+        this.previous = energy;
+        continue;
+      }
+      if (energy > floor && energy > this.background * ratio && energy > this.previous * 1.5 && time - this.lastOnset >= this.refractory) {
+        onsets.push(time);
+        this.lastOnset = time;
+      }
+      // Hits are kept out of the background so a fast passage doesn't raise the bar for the next note
+      this.background = this.background * 0.97 + Math.min(energy, Math.max(this.background * ratio, floor)) * 0.03;
+      this.previous = energy;
+    }
+    return onsets;
+  }
+}
+
+// Every channel of a decoded recording mixed down to one
+export const monoMix = (buffer) => {
+  const mono = new Float32Array(buffer.length);
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    buffer.getChannelData(c).forEach((v, i) => { mono[i] += v / buffer.numberOfChannels; });
+  }
+  return mono;
+};
+
+// Runs a decoded recording through the live detection path, block by block; times are from file start
+export const detectRecordingOnsets = (buffer, detector) => {
+  const mono = monoMix(buffer);
+  detector.reset();
+  const onsets = [];
+  for (let i = 0; i < mono.length; i += MIC_BLOCK) {
+    onsets.push(...detector.process(mono.subarray(i, i + MIC_BLOCK), i / buffer.sampleRate, buffer.sampleRate));
+  }
+  return onsets;
+};
+
+// A live onset (context clock) as a hit: shifted back by the input latency setting (ms) and the
+// context's output latency (s), since the player hears each beat that much after it is scheduled
+export const compensateLatency = (time, latency, outputLatency) => time - latency / 1000 - outputLatency;
+
+// The latency setting after a scored bar: a consistently late mean offset (ms) is the capture delay
+export const calibratedLatency = (latency, meanOffset) => Math.min(LATENCY_MAX, Math.max(LATENCY_MIN, latency + meanOffset));
+
+// Scores the hits found in a recording against the exercise's beat entries (scheduled from 0, see
+// exerciseOnsets in App.jsx). The first hit is taken as the first note, so the file should start there.
+// Null when there is nothing to line up.
+export const scoreRecording = (hits, beats) => {
+  const firstExpected = beats.flatMap(beat => beat.onsets)[0];
+  if (hits.length === 0 || firstExpected === undefined) return null;
+  const shift = hits[0] - firstExpected;
+  const scorer = new PerformanceScorer();
+  beats.forEach(beat => scorer.addBeat({
+    ...beat, start: beat.start + shift, end: beat.end + shift, onsets: beat.onsets.map(time => time + shift),
+  }));
+  hits.forEach(time => scorer.addHit(time));
+  return combineResults(scorer.collect(Infinity));
+};
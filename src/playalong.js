@@ -0,0 +1,173 @@
+// --- Play-Along Maths ---
+// Beat finding, tap alignment, loop points and time-stretching for a play-along track. Tempo (BPM) and
+// offset (s to the first downbeat) are the track's own at full speed; other speeds play a time-stretched
+// copy, so the pitch stays put; stretchTrack takes the audio context only to create that copy.
+import { barUnits } from './rhythm.js';
+import { ONSET_FRAME, monoMix } from './onsets.js';
+
+export const TRACK_MIN_TAPS = 4;
+// s: a pause this long starts a new run of taps; closer taps are bounces
+export const TRACK_TAP_RESET = 2;
+export const TRACK_TAP_MIN = 0.15;
+// WSOLA window (samples, overlapping by half) and how far each may slide to line up with the last
+export const STRETCH_WINDOW = 2048;
+const STRETCH_SEEK = 512;
+
+// Onset strength per ONSET_FRAME: the rise in log energy. Full band, unlike the tap detector's, so kick
+// and bass (mostly on the beat) count for more than hi-hats (often between beats).
+export const onsetEnvelope = (mono) => {
+  const envelope = new Float32Array(Math.floor(mono.length / ONSET_FRAME));
+  let previous = 0;
+  for (let f = 0; f < envelope.length; f++) {
+    let energy = 0;
+    for (let i = f * ONSET_FRAME; i < (f + 1) * ONSET_FRAME; i++) energy += mono[i] * mono[i];
+    const level = Math.log(1e-8 + energy / ONSET_FRAME);
+    envelope[f] = f > 0 ? Math.max(0, level - previous) : 0;
+    previous = level;
+  }
+  return envelope;
+};
+
+// Strength of a beat grid: the envelope summed at every `period` frames from `phase`
+const combStrength = (envelope, period, phase) => {
+  let sum = 0;
+  for (let t = phase; t < envelope.length; t += period) sum += envelope[Math.round(t)] || 0;
+  return sum;
+};
+
+// { bpm, offset } guessed from the recording, or null when it has no clear pulse. The pulse comes from
+// the envelope's autocorrelation (weighted towards half a second, against double/half-time picks), is
+// refined over the whole track by the grid that lines up best, and the strongest beat of the bar is
+// taken as the downbeat.
+export const estimateBeat = (buffer, meter) => {
+  const envelope = onsetEnvelope(monoMix(buffer));
+  const rate = buffer.sampleRate / ONSET_FRAME;
+  const beatUnits = barUnits(meter) / meter.beats.length;
+  const minLag = Math.floor(rate * 60 * beatUnits / 180);
+  const maxLag = Math.min(Math.ceil(rate * 60 * beatUnits / 40), Math.floor(envelope.length / 4));
+  if (maxLag <= minLag + 2) return null;
+  const scores = [];
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let i = lag; i < envelope.length; i++) sum += envelope[i] * envelope[i - lag];
+    scores.push(sum / (envelope.length - lag) * Math.exp(-0.5 * (Math.log2(lag / (rate * 0.5)) / 1.4) ** 2));
+  }
+  const best = scores.indexOf(Math.max(...scores));
+  if (!(scores[best] > 0)) return null;
+  // Between lags: the peak of a parabola through the best one and its neighbours
+  const [before, peak, after] = [scores[best - 1], scores[best], scores[best + 1]];
+  const curve = before === undefined || after === undefined ? 0 : before - 2 * peak + after;
+  const rough = minLag + best + (curve < 0 ? (before - after) / (2 * curve) : 0);
+  let grid = { strength: -1, period: rough, phase: 0 };
+  for (let step = -20; step <= 20; step++) {
+    const period = rough * (1 + step * 0.0005);
+    for (let phase = 0; phase < period; phase++) {
+      const strength = combStrength(envelope, period, phase);
+      if (strength > grid.strength) grid = { strength, period, phase };
+    }
+  }
+  const barFrames = grid.period * meter.beats.length;
+  const downbeat = meter.beats.map((_, beat) => grid.phase + beat * grid.period)
+    .reduce((top, phase) => (combStrength(envelope, barFrames, phase) > combStrength(envelope, barFrames, top) ? phase : top));
+  return {
+    bpm: Math.round(6000 * beatUnits * rate / grid.period) / 100,
+    offset: Math.round((downbeat % barFrames) / rate * 1000) / 1000,
+  };
+};
+
+// The run of beat taps (track seconds) after one at `time`: a bounce too close to the last is dropped
+// (the same array comes back), and a pause long enough starts a new run
+export const addTrackTap = (taps, time) => {
+  const last = taps[taps.length - 1];
+  if (last !== undefined && time - last < TRACK_TAP_MIN) return taps;
+  return last === undefined || time - last > TRACK_TAP_RESET ? [time] : [...taps, time];
+};
+
+// { bpm, offset } from taps on the beat (track seconds), the first on a downbeat: a least-squares line
+// through them, numbered by the typical gap so a skipped beat doesn't throw it
+export const fitTaps = (taps, meter) => {
+  const gaps = taps.slice(1).map((t, i) => t - taps[i]).sort((a, b) => a - b);
+  const gap = gaps[Math.floor(gaps.length / 2)];
+  const beats = taps.map(t => Math.round((t - taps[0]) / gap));
+  const meanBeat = beats.reduce((total, b) => total + b, 0) / beats.length;
+  const meanTime = taps.reduce((total, t) => total + t, 0) / taps.length;
+  const slope = beats.reduce((total, b, i) => total + (b - meanBeat) * (taps[i] - meanTime), 0)
+    / beats.reduce((total, b) => total + (b - meanBeat) ** 2, 0);
+  const first = meanTime - slope * meanBeat;
+  const bar = slope * meter.beats.length;
+  return {
+    bpm: Math.round(6000 * (barUnits(meter) / meter.beats.length) / slope) / 100,
+    offset: Math.round((first - Math.floor(first / bar) * bar) * 1000) / 1000,
+  };
+};
+
+// Slides `position` within STRETCH_SEEK of where it is to the spot that best continues `target` (coarse
+// then fine, comparing every 16th sample)
+const bestOverlap = (mono, target, position) => {
+  const limit = mono.length - STRETCH_WINDOW;
+  const correlation = (at) => {
+    let sum = 0;
+    for (let i = 0; i < STRETCH_WINDOW; i += 16) sum += mono[target + i] * mono[at + i];
+    return sum;
+  };
+  const search = (from, to, step, best) => {
+    for (let at = Math.max(0, from); at <= Math.min(limit, to); at += step) {
+      const score = correlation(at);
+      if (score > best.score) best = { at, score };
+    }
+    return best;
+  };
+  const coarse = search(position - STRETCH_SEEK, position + STRETCH_SEEK, 8, { at: Math.min(limit, position), score: -Infinity });
+  return search(coarse.at - 7, coarse.at + 7, 1, coarse).at;
+};
+
+// Plays `buffer` at `speed` without changing its pitch (WSOLA): windows are read `speed` times as fast
+// as they are written, each slid to where it continues the one before. Works in slices, yielding to the
+// page between them; onProgress gets 0..1 and can return false to give up (resolving to null).
+export const stretchTrack = async (ctx, buffer, speed, onProgress) => {
+  if (speed === 1) return buffer;
+  const hop = STRETCH_WINDOW / 2;
+  const mono = monoMix(buffer);
+  const input = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+  const out = ctx.createBuffer(buffer.numberOfChannels, Math.ceil(buffer.length / speed), buffer.sampleRate);
+  const output = input.map((_, c) => out.getChannelData(c));
+  // Periodic Hann: windows half a window apart sum to one
+  const window = Float32Array.from({ length: STRETCH_WINDOW }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / STRETCH_WINDOW));
+  let previous = null;
+  for (let k = 0, at = 0; at < out.length; k++, at += hop) {
+    const nominal = Math.round(at * speed);
+    const position = previous === null || previous + hop + STRETCH_WINDOW > mono.length || nominal >= mono.length - STRETCH_WINDOW
+      ? nominal
+      : bestOverlap(mono, previous + hop, nominal);
+    const length = Math.min(STRETCH_WINDOW, out.length - at, buffer.length - position);
+    for (let c = 0; c < input.length; c++) {
+      for (let i = 0; i < length; i++) output[c][at + i] += input[c][position + i] * window[i];
+    }
+    previous = position;
+    if (k % 256 === 255) {
+      if (onProgress(at / out.length) === false) return null;
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+  return out;
+};
+
+// Engine track for the settings, `buffer` being the copy stretched for settings.speed: offset and loop
+// points in its seconds, the loop running over whole bars from `loop[0]` to `loop[1]` after the downbeat
+export const trackConfig = (buffer, settings, meter) => {
+  const barSeconds = barUnits(meter) * 60 / settings.bpm;
+  const loop = settings.looping
+    ? [settings.loop[0], settings.loop[1] + 1].map(bar => (settings.offset + bar * barSeconds) / settings.speed)
+    : null;
+  return {
+    buffer,
+    offset: settings.offset / settings.speed,
+    loop: loop && loop[1] <= buffer.duration ? loop : null,
+    tempo: settings.bpm * settings.speed,
+  };
+};
+
+// Whole bars of the track after its first downbeat
+export const trackBars = (duration, settings, meter) => (
+  Math.max(1, Math.floor((duration - settings.offset) / (barUnits(meter) * 60 / settings.bpm)))
+);
@@ -0,0 +1,55 @@
+// --- Meters, Phrases and Note Events ---
+// What a bar is made of in each meter, how many bars a phrase can have, and the note events cards turn
+// into: rests, sounding lengths in tempo units, and ties folded into the note that starts them.
+
+// Each beat has a `length` in tempo units (BPM counts the quarter in x/4 and 7/8, the dotted quarter in 6/8)
+// and a `kind`: 'simple' beats divide in two, 'compound' beats in three and draw from their own card set.
+// `unitQuarters` is the tempo unit in quarter notes, `signature` the written time signature (for export).
+export const simpleBeat = { length: 1, kind: 'simple' };
+const compoundBeat = { length: 1, kind: 'compound' };
+export const METERS = {
+  '4/4': { id: '4/4', signature: [4, 4], unitQuarters: 1, beats: [simpleBeat, simpleBeat, simpleBeat, simpleBeat] },
+  '3/4': { id: '3/4', signature: [3, 4], unitQuarters: 1, beats: [simpleBeat, simpleBeat, simpleBeat] },
+  '5/4': { id: '5/4', signature: [5, 4], unitQuarters: 1, beats: [simpleBeat, simpleBeat, simpleBeat, simpleBeat, simpleBeat] },
+  '6/8': { id: '6/8', signature: [6, 8], unitQuarters: 1.5, beats: [compoundBeat, compoundBeat] },
+  // 2+2+3 eighths: two quarter beats and a dotted-quarter beat, counted in quarters
+  '7/8': { id: '7/8', signature: [7, 8], unitQuarters: 1, beats: [simpleBeat, simpleBeat, { length: 1.5, kind: 'compound' }] },
+};
+
+// Tempo units in a bar of `meter`
+export const barUnits = (meter) => meter.beats.reduce((total, beat) => total + beat.length, 0);
+
+// Bars an exercise (a phrase) can have
+export const PHRASE_BARS = [1, 2, 4, 8, 16];
+
+// --- Note Events ---
+export const patternKind = (pattern) => pattern.kind || 'simple';
+
+// Note events of one card; cards without explicit `notes` hold each onset until the next one
+export const patternNotes = (pattern) => pattern.notes || pattern.timings.map((at, i, all) => ({ at, dur: (i + 1 < all.length ? all[i + 1] : 1) - at }));
+
+// Turns cards into per-beat note events for the engine. `length` is the sounding duration in tempo
+// units. A `tieOut` card ties into the next card's downbeat note (wrapping around when `loop`, as the
+// sequence repeats); that note is not re-attacked and its length is folded into the note that started it.
+export const buildSequence = (patterns, beats, { loop = true } = {}) => {
+  const sequence = patterns.map((pattern, i) => {
+    const beatLength = beats[i % beats.length].length;
+    return patternNotes(pattern).map(note => ({ ...note, length: note.dur * beatLength }));
+  });
+  patterns.forEach((pattern, i) => {
+    if (!pattern.tieOut || (!loop && i === patterns.length - 1)) return;
+    const target = sequence[(i + 1) % sequence.length][0];
+    if (target && !target.rest && target.at === 0) target.tied = true;
+  });
+  const flat = sequence.flat();
+  // A fully tied loop would never sound; keep the bar's downbeat attacked
+  if (flat.length > 0 && !flat.some(note => !note.rest && !note.tied)) flat[0].tied = false;
+  const ownLengths = flat.map(note => note.length);
+  flat.forEach((note, i) => {
+    if (note.rest || note.tied) return;
+    for (let j = (i + 1) % flat.length; flat[j].tied && j !== i; j = (j + 1) % flat.length) {
+      note.length += ownLengths[j];
+    }
+  });
+  return sequence;
+};
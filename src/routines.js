@@ -0,0 +1,57 @@
+// --- Routines ---
+// A routine is a named list of timed steps, each setting the level, tempo and gap click and what to
+// practise: a dealt exercise on SEQ, the sight-reading stream, one library card or just the click.
+// Routines from an old save or a link are kept to known modes and sane ranges; the difficulties and
+// pattern ids they may name are passed in (`known`), as the library lives with the app.
+export const ROUTINE_MODES = { cards: 'CARDS', stream: 'READ', pattern: 'LIB', click: 'CLICK' };
+export const ROUTINE_STEP = { mode: 'cards', minutes: 3, difficulty: 'basic', bpm: 70, gap: false, patternId: 'triplet' };
+export const ROUTINE_MAX_STEPS = 20;
+export const ROUTINE_NAME_LENGTH = 16;
+
+export const EXAMPLE_ROUTINE = {
+  id: 'routine-daily',
+  name: 'DAILY',
+  steps: [
+    { ...ROUTINE_STEP },
+    { ...ROUTINE_STEP, minutes: 5, difficulty: 'expert', bpm: 60, gap: true },
+    { ...ROUTINE_STEP, mode: 'pattern', minutes: 2 },
+  ],
+};
+
+const clamp = (value, min, max, fallback) => (Number.isFinite(value) ? Math.min(max, Math.max(min, Math.round(value))) : fallback);
+
+// Steps that aren't objects are dropped; a field out of range is clamped, one unknown takes the default
+export const sanitizeRoutine = (routine, { difficulties, patternIds }) => ({
+  id: String(routine.id),
+  name: String(routine.name || 'ROUTINE').toUpperCase().slice(0, ROUTINE_NAME_LENGTH),
+  steps: (Array.isArray(routine.steps) ? routine.steps : [])
+    .filter(step => !!step && typeof step === 'object' && !Array.isArray(step))
+    .slice(0, ROUTINE_MAX_STEPS)
+    .map(step => ({
+      mode: Object.hasOwn(ROUTINE_MODES, step.mode) ? step.mode : ROUTINE_STEP.mode,
+      minutes: clamp(step.minutes, 1, 60, ROUTINE_STEP.minutes),
+      difficulty: difficulties.includes(step.difficulty) ? step.difficulty : ROUTINE_STEP.difficulty,
+      bpm: clamp(step.bpm, 40, 180, ROUTINE_STEP.bpm),
+      gap: !!step.gap,
+      patternId: patternIds.includes(step.patternId) ? step.patternId : ROUTINE_STEP.patternId,
+    })),
+});
+
+// Routine links carry the steps as JSON, so a teacher can hand the same routine to every student
+export const routineHash = (routine) => (
+  `#${new URLSearchParams({ routine: JSON.stringify({ name: routine.name, steps: routine.steps }) })}`
+);
+
+// The routine a link carries under a fresh id, or null when there's none, it doesn't parse or it has no steps
+export const parseRoutineHash = (hash, known, now = Date.now()) => {
+  const raw = new URLSearchParams(hash.replace(/^#/, '')).get('routine');
+  if (!raw) return null;
+  try {
+    const shared = JSON.parse(raw);
+    if (!shared || typeof shared !== 'object' || Array.isArray(shared)) return null;
+    const routine = sanitizeRoutine({ ...shared, id: `routine-${now.toString(36)}` }, known);
+    return routine.steps.length > 0 ? routine : null;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,378 @@
+// --- Beat Scheduler ---
+// The metronome's timing core: each tick hands every beat that starts within `timing.ahead` seconds
+// to scheduleBeat(). Subclasses provide currentTime() (seconds on the clock the beats are timed on) and
+// scheduleBeat(), which schedules the beat at `nextNoteTime` and then calls nextNote(), or end() when
+// playback stops there.
+//
+// Ticks and beat times come from a Worker: main-thread timers are throttled to a second or worse in
+// background tabs and stall behind long renders, a worker's are not. The worker runs a BeatClock, which
+// times every beat and applies tempo, speed trainer, count-in and meter changes sent as messages. The
+// sounds are still scheduled on the main thread, where the AudioContext lives; the lookahead covers the
+// gap between ticks.
+
+// Visible tabs tick often with a short lookahead, so tempo and pattern changes are heard almost at
+// once; hidden ones schedule further ahead to ride out late ticks. Both are { interval (ms), ahead (s) }.
+export const FOREGROUND_TIMING = { interval: 25, ahead: 0.1 };
+export const BACKGROUND_TIMING = { interval: 200, ahead: 1 };
+// Most events the visual queues keep when nobody drains them (the UI stops drawing in hidden tabs)
+export const QUEUE_LIMIT = 64;
+
+// Where each beat falls. Runs in the timer worker from its own source, so it names nothing from outside
+// this class; offline renders run one on the main thread.
+export class BeatClock {
+  // time: the first beat (s); lengths: the meter's beat lengths in tempo units; ramp: as for
+  // setRamp(); countIn: beats of count-in from the first, which the speed trainer waits out
+  constructor({ time, lengths, tempo, ramp = null, countIn = 0 }) {
+    this.time = time;
+    this.lengths = lengths;
+    this.tempo = tempo;
+    this.index = 0;
+    this.beat = 0;
+    this.countInEnd = countIn;
+    this.ramp = null;
+    this.setRamp(ramp, true);
+  }
+
+  // The next beat, { index (beats since the start), time, beat (in the bar), tempo, seconds (its length) },
+  // moving the clock on past it
+  next() {
+    const seconds = (60.0 / this.tempo) * this.lengths[this.beat];
+    const next = { index: this.index, time: this.time, beat: this.beat, tempo: this.tempo, seconds };
+    this.index++;
+    this.time += seconds;
+    this.beat = (this.beat + 1) % this.lengths.length;
+    if (this.beat === 0) this.stepRamp();
+    return next;
+  }
+
+  // Every beat not handed out yet that starts before `time`
+  until(time) {
+    const beats = [];
+    while (this.time < time) beats.push(this.next());
+    return beats;
+  }
+
+  // Speed trainer: tempo only ever changes on a bar line, before the bar's first beat
+  stepRamp() {
+    const ramp = this.ramp;
+    if (!ramp) return;
+    if (this.index < this.countInEnd || this.tempo === ramp.target) {
+      ramp.bars = 0;
+      ramp.lastStepTime = this.time;
+      return;
+    }
+    ramp.bars++;
+    const due = ramp.unit === 'bars' ? ramp.bars >= ramp.every : this.time - ramp.lastStepTime >= ramp.every;
+    if (!due) return;
+    this.tempo = ramp.target > this.tempo ? Math.min(ramp.target, this.tempo + ramp.step) : Math.max(ramp.target, this.tempo - ramp.step);
+    ramp.bars = 0;
+    ramp.lastStepTime = this.time;
+  }
+
+  // ramp: { start, target, step, every, unit: 'bars' | 'seconds' } or null. A restart begins again from
+  // `start`; otherwise the tempo reached and the count towards the next step carry on.
+  setRamp(ramp, restart) {
+    if (!ramp) {
+      this.ramp = null;
+    } else if (restart || !this.ramp) {
+      this.ramp = { target: ramp.target, step: ramp.step, every: ramp.every, unit: ramp.unit, bars: 0, lastStepTime: this.time };
+      this.tempo = ramp.start;
+    } else {
+      Object.assign(this.ramp, { target: ramp.target, step: ramp.step, every: ramp.every, unit: ramp.unit });
+    }
+  }
+
+  // Changes from the page, from the first beat not handed out yet: { type: 'tempo', bpm },
+  // { type: 'ramp', ramp, restart }, { type: 'countIn', end } (the index of the first beat after it),
+  // { type: 'meter', lengths }
+  apply(message) {
+    if (message.type === 'tempo') {
+      this.tempo = message.bpm;
+    } else if (message.type === 'ramp') {
+      this.setRamp(message.ramp, message.restart);
+    } else if (message.type === 'countIn') {
+      this.countInEnd = message.end;
+    } else if (message.type === 'meter') {
+      this.lengths = message.lengths;
+      this.beat = this.beat % this.lengths.length;
+    }
+  }
+}
+
+// The timer worker, run on `scope` (its global) with `Clock` (BeatClock) handed in, since it runs from
+// its own source. Messages: { type: 'start', run, interval, clock } starts ticking with a clock made from
+// `clock`, { type: 'interval', interval } changes the period, { type: 'until', time } asks for the beats
+// before `time`, { type: 'stop' } stops; anything else goes to the clock. It answers { type: 'tick', run }
+// and { type: 'beats', run, beats }, `run` telling a stopped run's late answers apart.
+export const timerWorker = (scope, Clock) => {
+  let clock = null;
+  let run = 0;
+  let timer = null;
+  const tick = (interval) => {
+    scope.clearInterval(timer);
+    timer = scope.setInterval(() => scope.postMessage({ type: 'tick', run }), interval);
+  };
+  scope.onmessage = ({ data }) => {
+    if (data.type === 'start') {
+      clock = new Clock(data.clock);
+      run = data.run;
+      tick(data.interval);
+      return;
+    }
+    if (data.type === 'stop') {
+      scope.clearInterval(timer);
+      timer = null;
+      clock = null;
+      return;
+    }
+    // The rest is for a running clock
+    if (!clock) return;
+    if (data.type === 'interval') tick(data.interval);
+    else if (data.type === 'until') scope.postMessage({ type: 'beats', run, beats: clock.until(data.time) });
+    else clock.apply(data);
+  };
+};
+
+// The page's end of a timer worker reached through `post`: start(interval, clock, { onTick, onBeats }),
+// retime(interval), send(message), stop(); receive() takes the worker's answers
+const workerPort = (post) => {
+  let run = 0;
+  let handlers = null;
+  return {
+    start(interval, clock, callbacks) {
+      run++;
+      handlers = callbacks;
+      post({ type: 'start', run, interval, clock });
+    },
+    retime(interval) { post({ type: 'interval', interval }); },
+    send(message) { post(message); },
+    stop() {
+      handlers = null;
+      post({ type: 'stop' });
+    },
+    receive(data) {
+      if (!handlers || data.run !== run) return;
+      if (data.type === 'tick') handlers.onTick();
+      else handlers.onBeats(data.beats);
+    },
+  };
+};
+
+// The same worker run on the main thread, where workers are unavailable. `timers` supplies
+// setInterval/clearInterval (fake ones in the harness).
+export const loopbackTimer = (timers = { setInterval: (fn, ms) => setInterval(fn, ms), clearInterval: (id) => clearInterval(id) }) => {
+  const scope = { ...timers, onmessage: null, postMessage: (data) => port.receive(data) };
+  const port = workerPort((data) => scope.onmessage({ data }));
+  timerWorker(scope, BeatClock);
+  return port;
+};
+
+// Timer: as from workerPort()
+export const createSchedulerTimer = () => {
+  if (typeof Worker === 'undefined' || typeof URL === 'undefined' || !URL.createObjectURL) return loopbackTimer();
+  try {
+    const url = URL.createObjectURL(new Blob([`(${timerWorker})(self, ${BeatClock});`], { type: 'text/javascript' }));
+    let worker;
+    try {
+      worker = new Worker(url);
+    } finally {
+      // The worker has its script once constructed; the URL is only needed for that
+      URL.revokeObjectURL(url);
+    }
+    const port = workerPort((data) => worker.postMessage(data));
+    worker.onmessage = ({ data }) => port.receive(data);
+    return port;
+  } catch {
+    // No worker (or none allowed here): run it on the main thread
+    return loopbackTimer();
+  }
+};
+
+export class BeatScheduler {
+  // beats: the meter's beats ({ kind, length }, length in tempo units as in rhythm.js); timer: as from
+  // createSchedulerTimer(), made on the first start when not given (offline renders never start one);
+  // random: () => [0, 1), for the random gap click
+  constructor(beats, timer = null, random = Math.random) {
+    this.beats = beats;
+    this.random = random;
+    this.tempo = 60;
+    this.nextNoteTime = 0.0;
+    // Length (s) of the beat at `nextNoteTime`, as the clock timed it
+    this.beatSeconds = 1;
+    // Beats scheduled since the clock started
+    this.beatIndex = 0;
+    this.isPlaying = false;
+    this.timer = timer;
+    this.timing = FOREGROUND_TIMING;
+    this.beatCount = 0;
+    this.barCount = 0;
+    this.visualQueue = [];
+    this.tempoRamp = null;
+    this.countInBeats = 0;
+    this.gapClick = null;
+    this.gapBar = -1;
+    this.mutedRun = 0;
+    this.barMuted = false;
+    // Set by end(): the time playback ends, after which the tick stops the clock and calls onEnd
+    this.endTime = null;
+    this.onEnd = null;
+  }
+
+  currentTime() {
+    throw new Error('BeatScheduler.currentTime() not implemented');
+  }
+
+  scheduleBeat() {
+    throw new Error('BeatScheduler.scheduleBeat() not implemented');
+  }
+
+  // Moves on past the beat just scheduled; the clock has already timed the next one
+  nextNote() {
+    this.nextNoteTime += this.beatSeconds;
+    this.beatIndex++;
+    this.beatCount = (this.beatCount + 1) % this.beats.length;
+    if (this.beatCount === 0) {
+      this.barCount++;
+      this.advanceGap();
+    }
+  }
+
+  // Gap click: decides whether the bar about to start is muted. Count-in bars always sound and
+  // don't advance the on/off cycle.
+  advanceGap() {
+    if (this.countInBeats > 0) {
+      this.barMuted = false;
+      return;
+    }
+    this.gapBar++;
+    const gap = this.gapClick;
+    if (!gap) {
+      this.barMuted = false;
+      return;
+    }
+    if (gap.random) {
+      // Same on/off ratio on average; the first bar always sounds and at most `off` bars go silent in a row
+      const mute = this.gapBar > 0 && this.mutedRun < gap.off && this.random() < gap.off / (gap.on + gap.off);
+      this.mutedRun = mute ? this.mutedRun + 1 : 0;
+      this.barMuted = mute;
+    } else {
+      this.barMuted = this.gapBar % (gap.on + gap.off) >= gap.on;
+    }
+  }
+
+  // Schedules beats as the clock timed them, until one of them ends playback
+  takeBeats(beats) {
+    for (const beat of beats) {
+      if (this.endTime !== null) return;
+      this.nextNoteTime = beat.time;
+      this.beatSeconds = beat.seconds;
+      this.tempo = beat.tempo;
+      this.scheduleBeat();
+    }
+  }
+
+  // One tick: asks the clock for every beat that starts within the lookahead (a late tick gets the beats
+  // it missed straight away rather than dropping them), or stops once the end has been reached
+  scheduler() {
+    if (this.endTime === null) {
+      this.timer.send({ type: 'until', time: this.currentTime() + this.timing.ahead });
+    } else if (this.currentTime() >= this.endTime) {
+      this.stopClock();
+      if (this.onEnd) this.onEnd();
+    }
+  }
+
+  // Called from scheduleBeat() instead of scheduling: nothing sounds from the beat at `nextNoteTime` on
+  end() {
+    this.endTime = this.nextNoteTime;
+  }
+
+  // What a new clock starts from: the beat at `nextNoteTime` and the tempo, trainer and count-in set now
+  clockState() {
+    return {
+      time: this.nextNoteTime,
+      lengths: this.beats.map(beat => beat.length),
+      tempo: this.tempo,
+      ramp: this.tempoRamp,
+      countIn: this.countInBeats,
+    };
+  }
+
+  // Starts ticking with the first beat at `nextNoteTime`
+  startClock() {
+    this.endTime = null;
+    this.beatIndex = 0;
+    if (!this.timer) this.timer = createSchedulerTimer();
+    this.timer.start(this.timing.interval, this.clockState(), {
+      onTick: () => this.scheduler(),
+      onBeats: (beats) => this.takeBeats(beats),
+    });
+    this.scheduler();
+  }
+
+  stopClock() {
+    if (this.timer) this.timer.stop();
+  }
+
+  // Offline renders: schedules `count` beats from `nextNoteTime` at once, timed on a clock of its own
+  scheduleNow(count) {
+    this.beatIndex = 0;
+    const clock = new BeatClock(this.clockState());
+    this.takeBeats(Array.from({ length: count }, () => clock.next()));
+  }
+
+  // Hidden tabs: fewer ticks, each reaching further ahead. Fills the new lookahead at once, since the
+  // schedule so far only reaches past the next foreground tick.
+  setBackground(hidden) {
+    this.timing = hidden ? BACKGROUND_TIMING : FOREGROUND_TIMING;
+    if (!this.isPlaying || !this.timer) return;
+    this.timer.retime(this.timing.interval);
+    this.scheduler();
+  }
+
+  // Adds an event for the UI, dropping the oldest once nobody has drained the queue for a while
+  enqueue(queue, event) {
+    queue.push(event);
+    if (queue.length > QUEUE_LIMIT) queue.splice(0, queue.length - QUEUE_LIMIT);
+  }
+
+  // To the clock, when one is running (a stopped one is made afresh from this scheduler on the next start)
+  sendClock(message) {
+    if (this.timer) this.timer.send(message);
+  }
+
+  // The clock changes below take effect from the first beat it hasn't handed out yet
+  setTempo(bpm) {
+    this.tempo = bpm;
+    this.sendClock({ type: 'tempo', bpm });
+  }
+  // ramp: { start, target, step, every, unit: 'bars' | 'seconds' } or null. Restarts from `start`.
+  setTempoRamp(ramp) {
+    this.tempoRamp = ramp;
+    if (ramp) this.tempo = ramp.start;
+    this.sendClock({ type: 'ramp', ramp, restart: true });
+  }
+  // Takes a new target, step or interval without restarting: the tempo reached and the count towards
+  // the next step carry on
+  updateTempoRamp(ramp) {
+    if (!this.tempoRamp || !ramp) return this.setTempoRamp(ramp);
+    const { target, step, every, unit } = ramp;
+    this.tempoRamp = { ...this.tempoRamp, target, step, every, unit };
+    this.sendClock({ type: 'ramp', ramp: this.tempoRamp, restart: false });
+  }
+  // Count-in of `beats` beats from the next one not scheduled, which the speed trainer waits out
+  setCountIn(beats) {
+    this.countInBeats = beats;
+    this.sendClock({ type: 'countIn', end: this.beatIndex + beats });
+  }
+  // gap: { on, off, random, mutePattern } bars, or null to click every bar
+  setGapClick(gap) {
+    this.gapClick = gap;
+    if (!gap) this.barMuted = false;
+  }
+  setMeter(meter) {
+    this.beats = meter.beats;
+    this.beatCount = this.beatCount % this.beats.length;
+    this.sendClock({ type: 'meter', lengths: this.beats.map(beat => beat.length) });
+  }
+}
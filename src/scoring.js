@@ -0,0 +1,135 @@
+// --- Performance Scoring ---
+// Grades taps against the onsets the engine scheduled: each onset takes the nearest hit inside its
+// window, hits left over in a bar are extras, and a bar is graded once its window has gone by.
+
+export const TAP_WINDOW = 0.15;   // max distance (s) between a hit and the onset it counts for
+export const TAP_PERFECT = 0.025; // hits this close earn full credit
+
+export const gradeFor = (accuracy) => (
+    accuracy >= 0.95 ? 'S' : accuracy >= 0.85 ? 'A' : accuracy >= 0.7 ? 'B' : accuracy >= 0.5 ? 'C' : 'D'
+);
+
+// How a note was played, from its offset in ms (null: not played)
+export const timingMark = (offset) => (
+    offset === null ? 'miss' : Math.abs(offset) <= TAP_PERFECT * 1000 ? 'hit' : offset < 0 ? 'early' : 'late'
+);
+
+// Matches hits (taps) against the expected onsets the engine scheduled, one bar at a time.
+export class PerformanceScorer {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.bars = new Map();
+    this.hits = [];
+  }
+
+  // `step` is the beat's index in the played sequence, so results can be mapped back to cards
+  addBeat({ bar, beat, step = beat, start, end, onsets }) {
+    if (!this.bars.has(bar)) this.bars.set(bar, { bar, start, end, beats: [] });
+    const entry = this.bars.get(bar);
+    entry.start = Math.min(entry.start, start);
+    entry.end = Math.max(entry.end, end);
+    entry.beats.push({ beat, step, start, end, onsets });
+  }
+
+  addHit(time) {
+    this.hits.push({ time, used: false });
+  }
+
+  // Scores every bar whose matching window has fully elapsed. Returns them oldest first.
+  collect(now) {
+    const done = [...this.bars.values()].filter(b => b.end + TAP_WINDOW < now).sort((a, b) => a.bar - b.bar);
+    const allOnsets = [...this.bars.values()].flatMap(b => b.beats.flatMap(bt => bt.onsets)).sort((a, b) => a - b);
+    const results = done.map(bar => {
+      const result = this.scoreBar(bar, allOnsets);
+      this.bars.delete(bar.bar);
+      return result;
+    });
+    // Hits older than any open bar can no longer match anything
+    const openStart = Math.min(...[...this.bars.values()].map(b => b.start), now);
+    this.hits = this.hits.filter(h => !h.used && h.time >= openStart - TAP_WINDOW);
+    return results;
+  }
+
+  // Scores what is left when playback stops at `now`, bars cut short included: notes scheduled ahead but
+  // never heard are dropped rather than counted as missed. Leaves the scorer empty.
+  finish(now) {
+    this.bars.forEach((bar, key) => {
+      bar.beats = bar.beats
+        .filter(beat => beat.start < now)
+        .map(beat => ({ ...beat, onsets: beat.onsets.filter(time => time < now) }));
+      if (bar.beats.length === 0) this.bars.delete(key);
+    });
+    const results = this.collect(Infinity);
+    this.reset();
+    return results;
+  }
+
+  scoreBar(bar, allOnsets) {
+    // Each onset only claims hits closer to it than to its neighbours
+    const windowFor = (time) => {
+      const i = allOnsets.indexOf(time);
+      const gaps = [allOnsets[i] - allOnsets[i - 1], allOnsets[i + 1] - allOnsets[i]].filter(g => g > 0);
+      return Math.min(TAP_WINDOW, ...gaps.map(g => g / 2));
+    };
+    const notes = bar.beats.flatMap(bt => bt.onsets.map(time => ({ beat: bt.beat, time, offset: null })));
+    const pairs = [];
+    notes.forEach(note => {
+      const w = windowFor(note.time);
+      this.hits.forEach(hit => {
+        if (!hit.used && Math.abs(hit.time - note.time) <= w) pairs.push({ note, hit, dt: hit.time - note.time });
+      });
+    });
+    pairs.sort((a, b) => Math.abs(a.dt) - Math.abs(b.dt)).forEach(({ note, hit, dt }) => {
+      if (note.offset !== null || hit.used) return;
+      note.offset = dt;
+      hit.used = true;
+    });
+    // Unmatched hits inside the bar are extras, charged to the beat they fell in, unless an onset of a bar
+    // still open could claim them (a tap just early for the next downbeat)
+    const own = new Set(notes.map(note => note.time));
+    const claimable = (hit) => allOnsets.some(time => !own.has(time) && Math.abs(hit.time - time) <= windowFor(time));
+    const extras = this.hits.filter(h => !h.used && h.time >= bar.start && h.time < bar.end && !claimable(h));
+    extras.forEach(h => { h.used = true; });
+
+    const credit = (offset) => Math.abs(offset) <= TAP_PERFECT ? 1 : 1 - 0.5 * (Math.abs(offset) - TAP_PERFECT) / (TAP_WINDOW - TAP_PERFECT);
+    const summarize = (beatNotes, extraCount) => {
+      const hit = beatNotes.filter(n => n.offset !== null);
+      const total = beatNotes.length + extraCount;
+      const accuracy = total === 0 ? 1 : hit.reduce((sum, n) => sum + credit(n.offset), 0) / total;
+      return {
+        offsets: beatNotes.map(n => n.offset === null ? null : Math.round(n.offset * 1000)),
+        meanOffset: hit.length ? Math.round(hit.reduce((sum, n) => sum + n.offset, 0) / hit.length * 1000) : null,
+        missed: beatNotes.length - hit.length,
+        extra: extraCount,
+        accuracy,
+        grade: gradeFor(accuracy),
+      };
+    };
+    const cards = bar.beats.sort((a, b) => a.beat - b.beat).map(bt => ({
+      beat: bt.beat,
+      step: bt.step,
+      ...summarize(notes.filter(n => n.beat === bt.beat), extras.filter(h => h.time >= bt.start && h.time < bt.end).length),
+    }));
+    return { bar: bar.bar, ...summarize(notes, extras.length), cards };
+  }
+}
+
+// Folds per-bar results into one result covering every card (steps are already exercise-wide)
+export const combineResults = (results) => {
+  const cards = results.flatMap(r => r.cards);
+  const offsets = cards.flatMap(c => c.offsets).filter(o => o !== null);
+  const accuracy = results.reduce((total, r) => total + r.accuracy, 0) / Math.max(1, results.length);
+  return {
+    bar: 0,
+    cards,
+    offsets,
+    meanOffset: offsets.length ? Math.round(offsets.reduce((total, o) => total + o, 0) / offsets.length) : null,
+    missed: cards.reduce((total, c) => total + c.missed, 0),
+    extra: cards.reduce((total, c) => total + c.extra, 0),
+    accuracy,
+    grade: gradeFor(accuracy),
+  };
+};
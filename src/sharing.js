@@ -0,0 +1,70 @@
+// --- Seeds and Share Codes ---
+// The seeded PRNG cards are dealt from, the daily seed, and what carries an exercise to another device:
+// a short code naming its seed, or a link listing its cards (custom ones by definition).
+import { METERS, PHRASE_BARS } from './rhythm.js';
+
+export const mulberry32 = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// FNV-1a over the local date, so everyone on the same day shares a seed
+export const dailySeed = (date = new Date()) => {
+  const key = `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) hash = Math.imul(hash ^ key.charCodeAt(i), 0x01000193) >>> 0;
+  return hash;
+};
+
+const DIFFICULTY_CODES = { basic: 'B', advanced: 'A', expert: 'E' };
+
+// e.g. "B44-60-1A2B3C" or "B44X8-60-1A2B3C": difficulty, meter (x bars when more than one), tempo, base-36 seed
+export const shareCode = (exercise, difficulty, meterId, bars, bpm) => (
+  exercise && exercise.builtIn
+    ? `${DIFFICULTY_CODES[difficulty]}${meterId.replace('/', '')}${bars > 1 ? `X${bars}` : ''}-${bpm}-${exercise.seed.toString(36).toUpperCase()}`
+    : null
+);
+
+export const parseShareCode = (code) => {
+  const match = /^([BAE])(\d+)(?:X(\d+))?-(\d+)-([0-9A-Z]+)$/.exec(code.trim().toUpperCase());
+  if (!match) return null;
+  const difficulty = Object.keys(DIFFICULTY_CODES).find(key => DIFFICULTY_CODES[key] === match[1]);
+  const meterId = Object.keys(METERS).find(id => id.replace('/', '') === match[2]);
+  const bars = match[3] ? Number(match[3]) : 1;
+  const seed = parseInt(match[5], 36);
+  if (!meterId || !PHRASE_BARS.includes(bars) || seed > 0xffffffff) return null;
+  return { difficulty, meterId, bars, bpm: Math.min(180, Math.max(40, Number(match[4]))), seed };
+};
+
+// Custom cards travel by definition ("~<division>.<cells as 0/1>") since the receiver may not have them
+export const cardToken = (card) => (card.custom ? `~${card.division}.${card.cells.map(on => (on ? 1 : 0)).join('')}` : card.id);
+
+export const shareHash = (exercise, cards, difficulty, meterId, bpm) => {
+  const params = new URLSearchParams({ d: difficulty, m: meterId, t: bpm, c: cards.map(cardToken).join(',') });
+  if (exercise) {
+    params.set('s', exercise.seed.toString(36));
+    if (exercise.builtIn) params.set('p', '1');
+  }
+  return `#${params}`;
+};
+
+export const parseShareHash = (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const difficulty = params.get('d');
+  const meterId = params.get('m');
+  if (!DIFFICULTY_CODES[difficulty] || !METERS[meterId] || !params.get('c')) return null;
+  const seed = params.has('s') ? parseInt(params.get('s'), 36) : NaN;
+  return {
+    difficulty,
+    meterId,
+    bpm: Math.min(180, Math.max(40, Number(params.get('t')) || 60)),
+    tokens: params.get('c').split(','),
+    exercise: Number.isFinite(seed) ? { seed, builtIn: params.get('p') === '1', daily: false } : null,
+  };
+};
@@ -0,0 +1,120 @@
+// --- Snapshot Versions ---
+// Brings a saved snapshot (see Persistence in App.jsx) up to the current schema through the migration
+// table, then lays it over the defaults so fields added since it was written start at their defaults, as
+// do fields holding a value the app doesn't allow.
+
+export const SCHEMA_VERSION = 1;
+
+// MIGRATIONS[n] upgrades a version-n snapshot to version n + 1
+export const MIGRATIONS = {};
+
+export const migrateSnapshot = (data, migrations = MIGRATIONS, version = SCHEMA_VERSION) => {
+  let snapshot = data;
+  while (snapshot.version < version) {
+    const migrate = migrations[snapshot.version];
+    if (!migrate) throw new Error(`No migration from schema v${snapshot.version}`);
+    snapshot = { ...migrate(snapshot), version: snapshot.version + 1 };
+  }
+  return snapshot;
+};
+
+// Whether `data` is a snapshot this build can read: versioned, and not written by a newer build (e.g. after
+// a rollback). A readable snapshot can still lack a migration path (migrateSnapshot throws then).
+export const isReadable = (data) => !!data && typeof data.version === 'number' && data.version <= SCHEMA_VERSION;
+
+// Field checks for restoreSnapshot's `rules`: each gets the stored value, its default and the stored
+// object holding it, and returns the value or the default when the value isn't one the app allows
+export const flag = (value, fallback) => (typeof value === 'boolean' ? value : fallback);
+export const oneOf = (values) => (value, fallback) => (values.includes(value) ? value : fallback);
+export const numberIn = (min, max) => (value, fallback) => (Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback);
+// A list keeps the items `allowed` accepts; an object of lists keyed by `keys` keeps the allowed ones
+export const listOf = (allowed) => (value, fallback) => (Array.isArray(value) ? value.filter(allowed) : fallback);
+export const listsBy = (keys, allowed) => (value, fallback) => (
+  value && typeof value === 'object' && !Array.isArray(value)
+    ? Object.fromEntries(Object.entries(value).filter(([key, list]) => keys.includes(key) && Array.isArray(list) && list.every(allowed)))
+    : fallback
+);
+const isText = (value) => typeof value === 'string';
+const textOrNull = (value, fallback) => (value === null || isText(value) ? value : fallback);
+
+// Rules for the settings and session fields the app can't run with unchecked, given the ids it knows:
+// `screens`, sound `kits`, count `systems`, `meters` and `accentStates`. Routine steps are checked one by
+// one where they are used (an unusable step is fixed up there, not dropped).
+export const snapshotRules = ({ screens, kits, systems, meters, accentStates }) => ({
+  settings: {
+    trainer: {
+      enabled: flag,
+      start: numberIn(40, 180),
+      target: numberIn(40, 180),
+      step: numberIn(1, 20),
+      every: (value, fallback, trainer) => numberIn(1, trainer.unit === 'seconds' ? 300 : 32)(value, fallback),
+      unit: oneOf(['bars', 'seconds']),
+    },
+    gap: { enabled: flag, on: numberIn(1, 8), off: numberIn(1, 8), random: flag, mutePattern: flag, darkLeds: flag },
+    sound: {
+      kit: oneOf(kits),
+      clickLevel: numberIn(0, 100),
+      voiceLevel: numberIn(0, 100),
+      subdivision: oneOf([1, 2, 3, 4]),
+      accents: listsBy(meters, (state) => accentStates.includes(state)),
+      samples: { click: textOrNull, accent: textOrNull, voice: textOrNull },
+    },
+    counting: {
+      system: oneOf(['off', ...systems]),
+      voice: oneOf(['off', 'speech', 'recorded']),
+      speak: oneOf(['all', 'countIn']),
+      level: numberIn(0, 100),
+      recorded: listOf(isText),
+    },
+  },
+  session: { screen: oneOf(screens) },
+  custom: { routines: listOf(routine => !!routine && typeof routine === 'object' && Array.isArray(routine.steps)) },
+});
+
+// `value` checked against `rule`: a field check, or an object of rules for an object laid over `fallback`
+// (fields without a rule are kept as stored, a value that isn't an object gives `fallback`'s fields)
+const checkFields = (value, fallback, rule, holder) => {
+  if (typeof rule === 'function') return value === undefined ? fallback : rule(value, fallback, holder);
+  const stored = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  const checked = Object.keys(rule).map(key => [key, checkFields(stored[key], fallback[key], rule[key], stored)]);
+  return { ...fallback, ...stored, ...Object.fromEntries(checked) };
+};
+
+// Parsed `data` migrated and merged over `defaults` section by section, so fields added later fall back to
+// their defaults, and the fields `rules` (as from snapshotRules()) cover checked; `defaults` when the data
+// is not readable, rather than misread it. Throws when there is no migration path.
+export const restoreSnapshot = (data, defaults, rules = {}) => {
+  if (!isReadable(data)) return defaults;
+  const snapshot = migrateSnapshot(data);
+  return Object.fromEntries(Object.entries(defaults).map(([key, value]) => (
+    [key, value && typeof value === 'object' ? checkFields(snapshot[key], value, rules[key] || {}, snapshot) : value]
+  )));
+};
+
+// The snapshot stored under `key` in `storage` (a Storage, e.g. localStorage), restored over `defaults`
+// with `rules`. Data that can't be restored is copied to `<key>:rejected` before `defaults` are returned,
+// since the next save writes over it: a later build, or a hand, can still recover it from there.
+export const readSnapshot = (storage, key, defaults, rules = {}) => {
+  const raw = storage.getItem(key);
+  if (!raw) return defaults;
+  try {
+    const restored = restoreSnapshot(JSON.parse(raw), defaults, rules);
+    if (restored !== defaults) return restored;
+  } catch {
+    // Unparsable or no migration path: kept below like any other rejected snapshot
+  }
+  storage.setItem(`${key}:rejected`, raw);
+  return defaults;
+};
+
+// Applies `update` to the snapshot stored under `key` and stores the result straight away, for writes
+// that can't wait for the next full save. Nothing stored yet counts as an empty current snapshot, which
+// loading lays over the defaults; a stored one this build can't read is left alone for readSnapshot to
+// set aside. Returns whether it wrote.
+export const updateSnapshot = (storage, key, update) => {
+  const raw = storage.getItem(key);
+  const stored = raw ? JSON.parse(raw) : { version: SCHEMA_VERSION };
+  if (!isReadable(stored)) return false;
+  storage.setItem(key, JSON.stringify({ ...update(migrateSnapshot(stored)), version: SCHEMA_VERSION }));
+  return true;
+};